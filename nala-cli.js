@@ -8,7 +8,7 @@
  */
 
 import { spawn } from 'child_process';
-import { readFileSync, existsSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import {
@@ -25,6 +25,8 @@ import {
     saveVariantsToConfig,
 } from './src/utils/variant-registry.js';
 import { getFileSaveSummary, getCardSurface } from './src/utils/file-output.js';
+import { buildVariantDriftReport, formatVariantDriftReport } from './src/utils/variant-drift.js';
+import { buildCoverageReport, formatCoverageReport } from './src/utils/coverage-report.js';
 import { loadConfig, addProject, getProjectType } from './src/config.js';
 import { generateMiloTests } from './src/generators/milo-generator.js';
 
@@ -300,6 +302,12 @@ async function main() {
             case 'discover-variants':
                 await discoverVariantsCommand();
                 break;
+            case 'variant-drift':
+                await variantDriftCommand();
+                break;
+            case 'coverage-report':
+                await coverageReportCommand(args[1], args[2]);
+                break;
             case 'show-paths':
                 if (args.length < 3) {
                     console.error('Usage: show-paths <cardType> <testType>');
@@ -524,10 +532,15 @@ Variant Management Commands:
   remove-variant <name>              Remove a variant from registry
   list-variants                      List all registered variants
   discover-variants                  Auto-discover variants from MAS project
+  variant-drift                      Report orphaned suites, untested variants and surface mismatches
   validate <cardType> <testType>      Validate generated test files for syntax and structure
   run-tests <cardType> <testType> [headless] [browser] [timeout] [dryRun]  Execute generated tests
   generate-and-test <testType> <cardId> <cardType> [branch] [options]  Complete workflow: generate, validate, and test
   generate-from-config <configFile> <testType>  Generate tests using extracted configuration file
+
+Coverage Commands:
+  coverage-report [format] [outputFile]  Coverage matrix of variants and Milo blocks × test types × elements
+                                     (format: markdown|json|html, default: markdown)
   
 Milo Test Generation Commands:
   generate-milo <type> <testType> <category> [project]  Generate Milo tests (category: block|feature)
@@ -561,6 +574,10 @@ Examples:
   node nala-cli.js generate-and-test css 26f091c2-995d-4a96-a193-d62f6c73af2f fries MWPW-170520
   node nala-cli.js generate-from-config extracted-config.json css
   
+  # Coverage
+  node nala-cli.js coverage-report
+  node nala-cli.js coverage-report html coverage.html
+
   # Milo Tests
   node nala-cli.js generate-milo accordion functional block
   node nala-cli.js generate-milo card css block
@@ -736,6 +753,30 @@ async function discoverVariantsCommand() {
     });
 }
 
+/**
+ * Report drift between the variant registry and the generated suites
+ */
+async function variantDriftCommand() {
+    await initializeRegistry();
+
+    console.log(formatVariantDriftReport(buildVariantDriftReport()));
+}
+
+/**
+ * Print or save the coverage matrix
+ */
+async function coverageReportCommand(format = 'markdown', outputFile) {
+    await initializeRegistry();
+
+    const report = formatCoverageReport(buildCoverageReport(), format);
+    if (outputFile) {
+        writeFileSync(outputFile, report);
+        console.log(`✅ Coverage report (${format}) saved to ${outputFile}`);
+    } else {
+        console.log(report);
+    }
+}
+
 // Run the main function
 main().catch((error) => {
     console.error(`❌ ${error.message}`);
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 import { initConfig } from './config.js';
+import { startFixtureServer, DEFAULT_FIXTURE_PORT } from './utils/fixture-server.js';
 import { join } from 'path';
 import { existsSync } from 'fs';
 
@@ -11,6 +12,9 @@ switch (command) {
   case 'init':
     handleInit(args);
     break;
+  case 'fixtures':
+    handleFixtures(args);
+    break;
   default:
     showHelp();
 }
@@ -35,6 +39,32 @@ function handleInit(args) {
   console.log('3. Start using the MCP server with your AI assistant');
 }
 
+async function handleFixtures(args) {
+  const port = args[0] ? Number(args[0]) : DEFAULT_FIXTURE_PORT;
+
+  if (!Number.isInteger(port) || port < 0) {
+    console.error(`❌ Error: Invalid port: ${args[0]}`);
+    process.exit(1);
+  }
+
+  try {
+    const server = await startFixtureServer({ port });
+
+    console.log(`🧪 NALA fixture server running at ${server.url}`);
+    console.log(`Studio page: ${server.url}/studio.html#query=<cardId>`);
+    console.log(`Cards: ${server.cards.length}, Milo pages: ${server.blocks.length} (index at ${server.url}/)`);
+    console.log('Press Ctrl+C to stop.');
+
+    process.on('SIGINT', async () => {
+      await server.close();
+      process.exit(0);
+    });
+  } catch (error) {
+    console.error(`❌ Error: Could not start fixture server: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 function showHelp() {
   console.log(`
 NALA MCP CLI
@@ -42,9 +72,13 @@ NALA MCP CLI
 Commands:
   init [path]    Initialize configuration for a project
                  If no path is provided, uses current directory
+  fixtures [port]
+                 Serve static Studio and Milo fixture pages for offline
+                 extraction and test runs (default port: ${DEFAULT_FIXTURE_PORT})
 
 Examples:
   nala-mcp init
   nala-mcp init /path/to/project
+  nala-mcp fixtures 3000
 `);
 }
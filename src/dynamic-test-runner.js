@@ -0,0 +1,243 @@
+import { existsSync, readdirSync } from 'fs';
+import { join, relative, basename } from 'path';
+import { NALATestRunner } from './nala-test-runner.js';
+import { getTestOutputPath } from './config.js';
+import { getCardSurface } from './utils/file-output.js';
+import { initializeRegistry } from './utils/variant-registry.js';
+import { listDirectories, readSpecFile, SPEC_FILE_PATTERN } from './utils/spec-reader.js';
+import { TEST_TYPES } from './types.js';
+
+const TEST_TYPE_PATTERN = new RegExp(`-(${TEST_TYPES.join('|')})\\b`);
+
+/**
+ * A single test discovered from a NALA spec file
+ * @typedef {Object} DiscoveredTest
+ * @property {string} name - Feature name used as the NALA tag (e.g. '@studio-fries-css')
+ * @property {string} tcid - Test case id from the spec
+ * @property {string[]} tags - Tags declared on the feature
+ * @property {string} cardType - Card type directory name
+ * @property {string} surface - Surface directory the spec was found in
+ * @property {string|null} testType - Test type derived from the spec file name
+ * @property {string|null} cardId - Card id from the feature data, if any
+ * @property {string} specPath - Spec path relative to the test output root
+ */
+
+/**
+ * Result of running one category of discovered tests
+ * @typedef {Object} CategoryResult
+ * @property {number} total - Number of tests executed
+ * @property {number} passed - Tests that passed (including fixed ones)
+ * @property {number} failed - Tests that still fail
+ * @property {number} fixed - Tests that passed only after auto-fix
+ * @property {Array<Object>} results - Per-test outcome
+ */
+
+/**
+ * Discovers @studio tests in the configured MAS project and runs them
+ * through NALATestRunner, optionally self-healing failing page objects.
+ */
+export class DynamicTestRunner {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.projectName] - Project from .nala-mcp.json (defaults to defaultProject)
+     * @param {NALATestRunner} [options.runner] - Runner used to execute tests
+     */
+    constructor(options = {}) {
+        this.projectName = options.projectName;
+        this.studioRoot = join(getTestOutputPath(this.projectName), 'studio');
+        this.runner = options.runner || new NALATestRunner();
+    }
+
+    /**
+     * Walk nala/studio/<surface>/<card>/specs and collect every feature.
+     * Specs are read from their source, never imported: that would run
+     * target project code and hit the ESM cache.
+     * @returns {Promise<DiscoveredTest[]>} Unique tests, sorted by name
+     */
+    async discoverAllTests() {
+        if (!existsSync(this.studioRoot)) {
+            return [];
+        }
+
+        await initializeRegistry();
+
+        const tests = new Map();
+        for (const specPath of this.findSpecFiles()) {
+            const features = readSpecFile(specPath);
+            const [surface, cardType] = relative(this.studioRoot, specPath).split(/[\\/]/);
+            const fileMatch = basename(specPath).match(SPEC_FILE_PATTERN);
+
+            for (const feature of features) {
+                if (!feature.name || !feature.name.startsWith('@studio') || tests.has(feature.name)) {
+                    continue;
+                }
+                tests.set(feature.name, {
+                    name: feature.name,
+                    tcid: String(feature.tcid ?? ''),
+                    tags: this.parseTags(feature.tags),
+                    cardType,
+                    surface,
+                    testType: TEST_TYPES.includes(fileMatch?.[2]) ? fileMatch[2] : this.detectTestType(feature.name),
+                    cardId: feature.cardid || null,
+                    specPath: relative(join(this.studioRoot, '..'), specPath),
+                });
+            }
+        }
+
+        return [...tests.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * List spec files under studio/<surface>/<card>/specs
+     * @returns {string[]} Absolute spec file paths
+     */
+    findSpecFiles() {
+        const specFiles = [];
+        for (const surface of listDirectories(this.studioRoot)) {
+            const surfaceDir = join(this.studioRoot, surface);
+            for (const cardType of listDirectories(surfaceDir)) {
+                const specsDir = join(surfaceDir, cardType, 'specs');
+                if (!existsSync(specsDir)) continue;
+                readdirSync(specsDir)
+                    .filter((file) => file.endsWith('.spec.js'))
+                    .sort()
+                    .forEach((file) => specFiles.push(join(specsDir, file)));
+            }
+        }
+        return specFiles;
+    }
+
+    parseTags(tags) {
+        if (Array.isArray(tags)) return tags;
+        if (typeof tags !== 'string') return [];
+        return tags.split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * Derive the test type from a feature name, for specs whose file name does not carry one
+     * @param {string} featureName - Feature name, e.g. '@studio-fries-css-mobile'
+     * @returns {import('./types.js').TestType|null} Test type, null when the name has none
+     */
+    detectTestType(featureName) {
+        const match = featureName.match(TEST_TYPE_PATTERN);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Group tests by surface, resolving each card type through the variant
+     * registry and falling back to the directory the spec lives in
+     * @param {DiscoveredTest[]} tests - Discovered tests
+     * @returns {Object.<string, {surface: string, tests: DiscoveredTest[]}>} Categories keyed by surface
+     */
+    categorizeTests(tests) {
+        const categories = {};
+        for (const test of tests) {
+            let surface = test.surface;
+            try {
+                surface = getCardSurface(test.cardType) || test.surface;
+            } catch {
+                // Keep the directory surface for unknown card types
+            }
+            if (!categories[surface]) {
+                categories[surface] = { surface, tests: [] };
+            }
+            categories[surface].tests.push(test);
+        }
+        return categories;
+    }
+
+    /**
+     * Select the tests to execute for a category
+     * @param {DiscoveredTest[]} tests - Tests in the category
+     * @param {Object} options
+     * @param {string[]} [options.testTypes] - Test types to keep
+     * @param {number|null} [options.maxTests] - Sample size, null for all tests
+     * @returns {DiscoveredTest[]} Selected tests
+     */
+    selectTests(tests, { testTypes, maxTests } = {}) {
+        let selected = tests;
+        if (testTypes && testTypes.length > 0) {
+            selected = selected.filter((test) => testTypes.includes(test.testType));
+        }
+        if (maxTests) {
+            // Spread the sample across card types instead of taking the first card only
+            const byCard = new Map();
+            selected.forEach((test) => {
+                if (!byCard.has(test.cardType)) byCard.set(test.cardType, []);
+                byCard.get(test.cardType).push(test);
+            });
+            const queues = [...byCard.values()];
+            const sample = [];
+            while (sample.length < maxTests && queues.some((queue) => queue.length > 0)) {
+                queues.forEach((queue) => {
+                    if (queue.length > 0 && sample.length < maxTests) {
+                        sample.push(queue.shift());
+                    }
+                });
+            }
+            selected = sample;
+        }
+        return selected;
+    }
+
+    /**
+     * Run the tests of one category, auto-fixing page objects when the
+     * feature declares a card id
+     * @param {string} categoryName - Category key
+     * @param {{surface: string, tests: DiscoveredTest[]}} category - Category from categorizeTests
+     * @param {Object} [options]
+     * @param {number|null} [options.maxTests] - Sample size, null for full mode
+     * @param {string[]} [options.testTypes] - Test types to run
+     * @param {string} [options.mode] - 'headless' or 'headed'
+     * @param {string} [options.milolibs] - Milolibs branch
+     * @param {string} [options.branch] - Studio branch
+     * @param {boolean} [options.autoFix] - Attempt fixes on failure (default: true)
+     * @param {number} [options.maxAttempts] - Fix attempts per test (default: 3)
+     * @returns {Promise<CategoryResult>} Category result
+     */
+    async runTestsFromCategory(categoryName, category, options = {}) {
+        const {
+            branch = 'local',
+            mode = 'headless',
+            milolibs = 'local',
+            autoFix = true,
+            maxAttempts = 3,
+        } = options;
+
+        const selected = this.selectTests(category.tests, options);
+        const result = { total: selected.length, passed: 0, failed: 0, fixed: 0, results: [] };
+
+        for (const test of selected) {
+            const outcome = { name: test.name, cardType: test.cardType, testType: test.testType };
+            try {
+                if (autoFix && test.cardId) {
+                    const fixResult = await this.runner.runAndFix(test.name, test.cardType, test.cardId, {
+                        branch,
+                        mode,
+                        milolibs,
+                        maxAttempts,
+                    });
+                    outcome.success = fixResult.success;
+                    outcome.fixed = fixResult.success && fixResult.attempts > 1;
+                    outcome.errors = fixResult.lastError || [];
+                } else {
+                    const runResult = await this.runner.runNALATest(test.name, branch, mode, milolibs);
+                    outcome.success = runResult.success;
+                    outcome.fixed = false;
+                    outcome.errors = runResult.errors || [];
+                }
+            } catch (error) {
+                outcome.success = false;
+                outcome.fixed = false;
+                outcome.errors = [{ type: 'execution', message: error.message }];
+            }
+
+            if (outcome.success) result.passed++;
+            else result.failed++;
+            if (outcome.fixed) result.fixed++;
+            result.results.push(outcome);
+        }
+
+        return result;
+    }
+}
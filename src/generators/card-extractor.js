@@ -7,6 +7,16 @@ import {
     getCardVariantsFromSource,
     getCardTypeMetadata,
 } from '../utils/variant-reader.js';
+import {
+    ANALYTICS_ATTRIBUTES,
+    CHECKOUT_ATTRIBUTES,
+    INLINE_PRICE_ATTRIBUTES,
+    getAllElements,
+    getElementSelectors,
+} from '../utils/element-registry.js';
+import { getVariantElementSelectors } from '../utils/variant-registry.js';
+import { getCardNaming, getFeatureName } from '../utils/mas-test-integration.js';
+import { resolveBreakpoints } from '../utils/breakpoints.js';
 
 /**
  * @typedef {Object} ExtractedCardData
@@ -17,6 +27,8 @@ import {
  * @property {Array<string>} testTypes - Suggested test types
  * @property {Object} interactions - Detected interactions
  * @property {Object} metadata - Card metadata
+ * @property {Record<string, Object>} [breakpointCss] - Card and element CSS per breakpoint
+ * @property {Array<import('../types.js').InlinePrice>} [prices] - Inline prices of the card, in page order
  */
 
 /**
@@ -25,6 +37,11 @@ import {
  * @property {string} expectedText - Element text content
  * @property {Object} cssProperties - Element CSS properties
  * @property {Array<Object>} interactions - Element interactions
+ * @property {Array<Record<string, string>>} [analytics] - Analytics and checkout attributes
+ *   of every node the selector matches (elements covered by the analytics test type)
+ * @property {Array<{attributes: Record<string, string>, url?: string, params?: Record<string, string>}>} [checkout] -
+ *   Checkout attributes and resolved checkout URL of every node the selector matches
+ *   (elements covered by the checkout test type)
  */
 
 export class CardExtractor {
@@ -32,86 +49,10 @@ export class CardExtractor {
         // Build card type selectors dynamically from source
         this.cardTypeSelectors = this.buildCardTypeSelectors();
 
-        this.commonSelectors = {
-            title: [
-                'h3[slot="heading-xxs"]',
-                'h3[slot="heading-xs"]',
-                'h3[slot="heading-s"]',
-                'h3[slot="heading-m"]',
-                'h3[slot="heading-l"]',
-                'h2[slot="heading-xs"]',
-                'h2[slot="heading-m"]',
-                'h4[slot="heading-m"]',
-                'p[slot="heading-xs"]',
-                // Express specific
-                'h1[slot="heading-xs"]',
-                'h1[slot="heading-s"]',
-                'h1[slot="heading-m"]',
-            ],
-            eyebrow: [
-                'h4[slot="detail-s"]',
-                'h5[slot="detail-s"]',
-                'p[slot="detail-s"]',
-                // Express specific
-                'h6[slot="detail-s"]',
-                'span[slot="detail-s"]',
-                'p[slot="eyebrow"]',
-            ],
-            description: [
-                'div[slot="body-xs"] p',
-                'div[slot="body-s"] p',
-                'div[slot="body-m"] p',
-                'p[slot="body-xs"]',
-                'p[slot="body-s"]',
-            ],
-            price: [
-                'p[slot="price"]',
-                'span[slot="price"]',
-                'div[slot="price"]',
-                'p[slot="heading-m"] span[data-template="price"]',
-                // Express specific
-                'span[is="inline-price"]',
-                'p[slot="price"] span[is="inline-price"]',
-                'div[slot="price"] span[is="inline-price"]',
-            ],
-            strikethroughPrice: [
-                '.price-strikethrough',
-                'span[data-template="strikethrough"]',
-                'p[slot="heading-m"] span.price-strikethrough',
-            ],
-            cta: [
-                'div[slot="cta"] > button',
-                'div[slot="cta"] > a',
-                'div[slot="footer"] > button',
-                'div[slot="cta"] > a[is="checkout-link"]',
-                'button[is="checkout-button"]',
-                // Express specific
-                'a[slot="cta"]',
-                'a.spectrum-Button',
-                'a[href*="express.adobe.com"]',
-            ],
-            icon: ['merch-icon[slot="icons"]', 'merch-icon'],
-            image: ['div[slot="image"] img', 'img[slot="image"]'],
-            badge: [
-                'div[slot="badge"] merch-badge',
-                'merch-badge',
-                '.plans-badge',
-                '.ccd-slice-badge',
-            ],
-            trialBadge: ['div[slot="trial-badge"] merch-badge'],
-            legalLink: [
-                'div[slot="body-xs"] p > a',
-                'div[slot="body-s"] p > a',
-                'a.modal-Link',
-                'a[data-analytics-id="see-terms"]',
-                'a[data-analytics-id="learn-more"]',
-            ],
-            smallIcons: [
-                'div[slot="body-s"] merch-icon[size="xs"]',
-                'div[slot="body-s"] overlay-trigger merch-icon',
-            ],
-        };
+        // Default selectors per element kind, from the element registry
+        this.commonSelectors = getElementSelectors();
 
+        // CSS properties extracted from the card itself
         this.cssPropertiesToExtract = [
             'color',
             'font-size',
@@ -136,6 +77,23 @@ export class CardExtractor {
         ];
     }
 
+    /**
+     * Element kinds to extract, as plain data for the browser script
+     * @returns {Array<Object>} Name, selectors, CSS properties, attributes and
+     * interaction of each registered element kind
+     */
+    getElementKinds() {
+        return getAllElements().map((element) => ({
+            name: element.name,
+            selectors: this.commonSelectors[element.name] || element.selectors,
+            cssProperties: element.cssProperties,
+            attributes: element.attributes,
+            analytics: element.testTypes.includes('analytics'),
+            checkout: element.testTypes.includes('checkout'),
+            interaction: element.interaction,
+        }));
+    }
+
     /**
      * Build card type selectors dynamically from variant picker
      * @returns {Object} Card type selectors mapping
@@ -174,9 +132,11 @@ export class CardExtractor {
                 selectorPatterns[simplifiedName] ||
                 'h3[slot="heading-s"]';
 
+            const { tag, name } = getCardNaming(variant);
             selectors[simplifiedName] = {
                 identifier: selector,
                 variant: variant,
+                tag: `@${tag}-${name}`,
             };
         });
 
@@ -299,7 +259,7 @@ export class CardExtractor {
                 for (const [type, config] of Object.entries(cardTypeSelectors)) {
                     if (card.querySelector(config.identifier)) {
                         result.cardType = type;
-                        result.metadata.tags.push(\`@ccd-\${type}\`);
+                        result.metadata.tags.push(config.tag);
                         break;
                     }
                 }
@@ -314,9 +274,20 @@ export class CardExtractor {
                     }
                 });
                 
-                // Extract elements
-                const commonSelectors = ${JSON.stringify(this.commonSelectors)};
-                for (const [elementName, selectors] of Object.entries(commonSelectors)) {
+                // Extract elements (kinds, selectors and CSS properties
+                // come from the element registry)
+                const elementKinds = ${JSON.stringify(this.getElementKinds())};
+                // Variants whose source declares their slots only get the element kinds they have slots for
+                const variantSelectors = ${JSON.stringify(getVariantElementSelectors())};
+                const cardVariant = card.getAttribute('variant');
+                const analyticsAttributes = ${JSON.stringify(ANALYTICS_ATTRIBUTES)};
+                const checkoutAttributes = ${JSON.stringify(CHECKOUT_ATTRIBUTES)};
+                const inlinePriceAttributes = ${JSON.stringify(INLINE_PRICE_ATTRIBUTES)};
+                for (const kind of elementKinds) {
+                    const elementName = kind.name;
+                    const selectors = variantSelectors[cardVariant]
+                        ? variantSelectors[cardVariant][elementName] || []
+                        : kind.selectors;
                     for (const selector of selectors) {
                         const element = card.querySelector(selector);
                         if (element) {
@@ -329,24 +300,40 @@ export class CardExtractor {
                             
                             // Extract CSS properties for element
                             const elementStyles = window.getComputedStyle(element);
-                            cssProps.forEach(prop => {
+                            kind.cssProperties.forEach(prop => {
                                 const value = elementStyles.getPropertyValue(prop);
                                 if (value && value !== 'auto' && value !== 'none') {
                                     elementData.cssProperties[prop] = value;
                                 }
                             });
                             
-                            // Extract additional attributes based on element type
-                            if (elementName === 'icon' || elementName === 'smallIcons') {
-                                elementData.expectedAttribute = element.getAttribute('src') || '';
-                                elementData.size = element.getAttribute('size') || '';
-                                elementData.alt = element.getAttribute('alt') || '';
+                            // Extract additional attributes declared by the element kind
+                            for (const [field, attribute] of Object.entries(kind.attributes || {})) {
+                                elementData[field] = element.getAttribute(attribute) || '';
+                            }
+                            
+                            // Capture the analytics and checkout attributes of every matching link
+                            if (kind.analytics) {
+                                elementData.analytics = Array.from(card.querySelectorAll(selector)).map(node => Object.fromEntries(
+                                    analyticsAttributes
+                                        .filter(attribute => node.hasAttribute(attribute))
+                                        .map(attribute => [attribute, node.getAttribute(attribute)])
+                                ));
                             }
                             
-                            if (elementName === 'badge' || elementName === 'trialBadge') {
-                                elementData.backgroundColor = element.getAttribute('background-color') || '';
-                                elementData.borderColor = element.getAttribute('border-color') || '';
-                                elementData.variant = element.getAttribute('variant') || '';
+                            // Capture the offer and resolved checkout URL of every checkout link
+                            if (kind.checkout) {
+                                elementData.checkout = Array.from(card.querySelectorAll(selector)).map(node => {
+                                    const attributes = Object.fromEntries(
+                                        checkoutAttributes
+                                            .filter(attribute => node.hasAttribute(attribute))
+                                            .map(attribute => [attribute, node.getAttribute(attribute)])
+                                    );
+                                    const href = node.getAttribute('href') || '';
+                                    if (!/^https?:/.test(href)) return { attributes };
+                                    const url = new URL(href);
+                                    return { attributes, url: url.origin + url.pathname, params: Object.fromEntries(url.searchParams) };
+                                });
                             }
                             
                             if (elementName === 'price') {
@@ -363,16 +350,16 @@ export class CardExtractor {
                             }
                             
                             // Detect interactions
-                            if (elementName === 'cta' || elementName === 'legalLink') {
+                            if (kind.interaction?.type === 'click') {
                                 elementData.interactions.push({
                                     type: 'click'
                                 });
                                 result.interactions[elementName] = {
                                     selector: selector,
                                     action: 'click',
-                                    expectedResult: elementName === 'cta' ? 'navigates to checkout' : 'opens legal page'
+                                    expectedResult: kind.interaction.expectedResult || ''
                                 };
-                            } else if (['title', 'eyebrow', 'description'].includes(elementName)) {
+                            } else if (kind.interaction?.type === 'edit') {
                                 elementData.interactions.push({
                                     type: 'edit',
                                     value: \`New \${elementName.charAt(0).toUpperCase() + elementName.slice(1)}\`
@@ -385,6 +372,20 @@ export class CardExtractor {
                     }
                 }
                 
+                // Capture every inline price with its display options, rendered text,
+                // tax label and whether it is the strikethrough (regular) price
+                result.prices = Array.from(card.querySelectorAll('span[is="inline-price"]')).map(node => ({
+                    attributes: Object.fromEntries(
+                        inlinePriceAttributes
+                            .filter(attribute => node.hasAttribute(attribute))
+                            .map(attribute => [attribute, node.getAttribute(attribute)])
+                    ),
+                    text: node.textContent.replace(/\\s+/g, ' ').trim(),
+                    taxLabel: node.querySelector('.price-tax-inclusivity')?.textContent.trim() || '',
+                    strikethrough: /strikethrough/i.test(node.getAttribute('data-template') || '')
+                        || Boolean(node.closest('[slot="strikethrough-price"], .price-strikethrough, s, del')),
+                }));
+                
                 // Extract all slots present in the card
                 const allSlots = card.querySelectorAll('[slot]');
                 const slotsFound = new Set();
@@ -410,9 +411,18 @@ export class CardExtractor {
                 if (Object.keys(result.interactions).length > 0) {
                     result.testTypes.push('interaction');
                 }
-                if (result.elements.title || result.elements.eyebrow || result.elements.description) {
+                if (elementKinds.some(kind => result.elements[kind.name] && kind.interaction?.type === 'edit')) {
                     result.testTypes.push('edit', 'save', 'discard');
                 }
+                if (Object.values(result.elements).some(element => element.analytics?.some(attributes => Object.keys(attributes).length > 0))) {
+                    result.testTypes.push('analytics');
+                }
+                if (Object.values(result.elements).some(element => element.checkout?.some(link => link.attributes['data-wcs-osi']))) {
+                    result.testTypes.push('checkout');
+                }
+                if (result.prices.length > 0) {
+                    result.testTypes.push('price');
+                }
                 
                 return result;
             }
@@ -479,12 +489,14 @@ export class CardExtractor {
         return {
             cardType: extractedData.cardType,
             cardId: extractedData.cardId,
-            testSuite: `M@S Studio CCD ${extractedData.cardType.charAt(0).toUpperCase() + extractedData.cardType.slice(1)}`,
+            testSuite: getFeatureName(extractedData.cardType),
             elements: extractedData.elements,
             cssProperties: extractedData.cssProperties,
             testTypes: extractedData.testTypes,
             interactions: extractedData.interactions,
             metadata: extractedData.metadata,
+            ...(extractedData.breakpointCss && { breakpointCss: extractedData.breakpointCss }),
+            ...(extractedData.prices?.length > 0 && { prices: extractedData.prices }),
         };
     }
 
@@ -496,6 +508,8 @@ export class CardExtractor {
      * @param {string} [options.path='/studio.html'] - Page path
      * @param {string} [options.browserParams='#query='] - Browser parameters
      * @param {string} [options.milolibs] - Milolibs branch (e.g., 'MWPW-170520')
+     * @param {Array<string>} [options.breakpoints] - Also extract the CSS at these
+     *   breakpoints (see utils/breakpoints.js) into `breakpointCss`
      * @returns {string} Playwright script
      */
     generatePlaywrightExtractionScript(cardId, branchOrUrl, options = {}) {
@@ -503,8 +517,32 @@ export class CardExtractor {
             path = '/studio.html',
             browserParams = '#query=',
             milolibs,
+            breakpoints = [],
         } = options;
         const baseUrl = this.buildBaseUrl(branchOrUrl, milolibs);
+        const extractionScript = this.generateExtractionScript(
+            cardId,
+            branchOrUrl,
+            path,
+            milolibs,
+        );
+        const viewports = Object.fromEntries(
+            resolveBreakpoints(breakpoints).map(({ name, width, height }) => [name, { width, height }]),
+        );
+        const breakpointExtraction = breakpoints.length === 0 ? '' : `
+
+        // Extract the CSS again at each breakpoint
+        const breakpoints = ${JSON.stringify(viewports)};
+        result.breakpointCss = {};
+        for (const [name, viewport] of Object.entries(breakpoints)) {
+            await page.setViewportSize(viewport);
+            await page.waitForTimeout(1000);
+            const data = await page.evaluate(${extractionScript});
+            result.breakpointCss[name] = { card: data.cssProperties.card };
+            for (const [elementName, element] of Object.entries(data.elements)) {
+                result.breakpointCss[name][elementName] = element.cssProperties;
+            }
+        }`;
 
         return `
 import { chromium } from 'playwright';
@@ -525,12 +563,7 @@ async function extractCardProperties() {
         await page.waitForSelector(cardSelector, { timeout: 10000 });
         
         // Execute extraction script
-        const result = await page.evaluate(${this.generateExtractionScript(
-            cardId,
-            branchOrUrl,
-            path,
-            milolibs,
-        )});
+        const result = await page.evaluate(${extractionScript});${breakpointExtraction}
         
         console.log('Extracted card data:');
         console.log(JSON.stringify(result, null, 2));
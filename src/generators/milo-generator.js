@@ -3,6 +3,7 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { getProjectConfig } from '../config.js';
 import { writeTestFile } from '../utils/file-output.js';
+import { buildLocaleMatrix, getLocaleFeatureData, getLocaleTags, localizePath } from '../utils/locale-matrix.js';
 
 const currentDir = dirname(fileURLToPath(import.meta.url));
 const miloTypes = JSON.parse(
@@ -52,45 +53,73 @@ export function generateMiloPageObject(blockType, category = 'block') {
 
 /**
  * Generate Milo spec file
+ * @param {Object} [localeOptions] - Locale matrix (locales, localeData); see locale-matrix.js
  */
-export function generateMiloSpec(blockType, testType, category = 'block') {
+export function generateMiloSpec(blockType, testType, category = 'block', localeOptions = {}) {
   const displayName = miloTypes[`${category}s`]?.[blockType]?.displayName || blockType;
-  
-  const template = `module.exports = {
-  FeatureName: '${displayName} ${category === 'block' ? 'Block' : 'Feature'}',
-  features: [
+  const baseFeatures = [
     {
-      tcid: '0',
-      name: '@${displayName}',
-      path: '/drafts/nala/${category}s/${blockType}/${blockType}',
-      data: {
-        // Add test data here based on ${blockType} requirements
-        heading: 'Example Heading',
-        content: 'Example content text',
-      },
-      tags: '@${blockType} @smoke @regression @milo',
+      name: `@${displayName}`,
+      path: `/drafts/nala/${category}s/${blockType}/${blockType}`,
+      screenshot: blockType,
+      comment: `Add test data here based on ${blockType} requirements`,
+      data: { heading: 'Example Heading', content: 'Example content text' },
+      tags: `@${blockType} @smoke @regression @milo`,
     },
     {
-      tcid: '1',
-      name: '@${displayName} (variant)',
-      path: '/drafts/nala/${category}s/${blockType}/${blockType}-variant',
-      data: {
-        // Add variant test data here
-        heading: 'Variant Heading',
-        content: 'Variant content text',
-      },
-      tags: '@${blockType} @regression @milo',
+      name: `@${displayName} (variant)`,
+      path: `/drafts/nala/${category}s/${blockType}/${blockType}-variant`,
+      screenshot: `${blockType}-variant`,
+      comment: 'Add variant test data here',
+      data: { heading: 'Variant Heading', content: 'Variant content text' },
+      tags: `@${blockType} @regression @milo`,
     },
+  ];
+
+  // With a locale matrix every locale gets its own copy of the features
+  const locales = buildLocaleMatrix(localeOptions);
+  const features = locales.length > 0
+    ? locales.flatMap(locale => baseFeatures.map(feature => ({ ...feature, locale })))
+    : baseFeatures;
+
+  const template = `module.exports = {
+  FeatureName: '${displayName} ${category === 'block' ? 'Block' : 'Feature'}',
+  features: [
+${features.map((feature, tcid) => generateMiloFeature(feature, tcid, testType)).join('\n')}
   ],
 };`;
 
   return template;
 }
 
+/**
+ * @param {Object} feature - Feature of the default locale, with the locale to run it in
+ * @param {number} tcid
+ * @param {string} testType - Visual specs name the baseline screenshot of each feature
+ * @returns {string}
+ */
+function generateMiloFeature({ name, path, screenshot, comment, data, tags, locale }, tcid, testType) {
+  const dataLines = Object.entries({ ...data, ...getLocaleFeatureData(locale, name) })
+    .map(([key, value]) => `        ${key}: '${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}',`)
+    .join('\n');
+
+  return `    {
+      tcid: '${tcid}',
+      name: '${locale ? `${name} (${locale.code})` : name}',${locale ? `\n      locale: '${locale.code}',` : ''}
+      path: '${localizePath(path, locale)}',${testType === 'visual' ? `\n      screenshot: '${[screenshot, locale?.code].filter(Boolean).join('-')}.png',` : ''}
+      data: {
+        // ${comment}
+${dataLines}
+      },
+      tags: '${[tags, ...getLocaleTags(locale)].join(' ')}',
+    },`;
+}
+
 /**
  * Generate Milo test file
+ * @param {Object} [localeOptions] - Locale matrix of the spec; see generateMiloSpec
  */
-export function generateMiloTest(blockType, testType, category = 'block') {
+export function generateMiloTest(blockType, testType, category = 'block', localeOptions = {}) {
   const className = blockType
     .split('-')
     .map(part => part.charAt(0).toUpperCase() + part.slice(1))
@@ -110,11 +139,38 @@ export function generateMiloTest(blockType, testType, category = 'block') {
     case 'interaction':
       testContent = generateInteractionTests(blockType, className, displayName);
       break;
+    case 'visual':
+      testContent = generateVisualTests(blockType, className, displayName);
+      break;
     default:
       testContent = generateFunctionalTests(blockType, className, displayName);
   }
   
-  return testContent;
+  return localeOptions.locales?.length > 0 ? wrapInLocaleLoop(testContent) : testContent;
+}
+
+/**
+ * Run the test suite once per locale of a locale matrix spec. Each run sees
+ * only the features of its locale, so features[0] and features[1] stay the
+ * base and variant page.
+ * @param {string} testContent - Test file for a spec without locales
+ * @returns {string}
+ */
+function wrapInLocaleLoop(testContent) {
+  const describeStart = testContent.indexOf('test.describe(');
+  const describe = testContent
+    .slice(describeStart)
+    .trimEnd()
+    .replace(/^test\.describe\('(.*?)'/, (_, title) => `test.describe(\`${title} (\${locale})\``)
+    .replace(/^(?=.)/gm, '  ');
+
+  return `${testContent.slice(0, describeStart).replace('import { features } from', 'import { features as allFeatures } from')}\
+for (const locale of new Set(allFeatures.map((feature) => feature.locale))) {
+  const features = allFeatures.filter((feature) => feature.locale === locale);
+
+${describe}
+}
+`;
 }
 
 function generateFunctionalTests(blockType, className, displayName) {
@@ -319,10 +375,51 @@ test.describe('Milo ${displayName} interaction test suite', () => {
 });`;
 }
 
+function generateVisualTests(blockType, className, displayName) {
+  const blockVariable = blockType.replace(/-/g, '');
+
+  return `import { expect, test } from '@playwright/test';
+import { features } from './${blockType}.spec.js';
+import ${className} from './${blockType}.page.js';
+
+let ${blockVariable};
+
+const miloLibs = process.env.MILO_LIBS || '';
+
+test.describe('Milo ${displayName} visual test suite', () => {
+  test.beforeEach(async ({ page }) => {
+    ${blockVariable} = new ${className}(page);
+  });
+
+  for (const feature of features) {
+    test(\`\${feature.name} - Visual comparison,\${feature.tags}\`, async ({ page, baseURL }) => {
+      console.info(\`[Test Page]: \${baseURL}\${feature.path}\${miloLibs}\`);
+
+      await test.step('step-1: Go to ${displayName} test page', async () => {
+        await page.goto(\`\${baseURL}\${feature.path}\${miloLibs}\`);
+        await page.waitForLoadState('networkidle');
+      });
+
+      await test.step('step-2: Compare ${displayName} block with the baseline', async () => {
+        await expect(${blockVariable}.${blockVariable}).toBeVisible();
+        await expect(${blockVariable}.${blockVariable}).toHaveScreenshot(feature.screenshot, {
+          animations: 'disabled',
+          // Prices and dates change between runs
+          mask: [${blockVariable}.${blockVariable}.locator('span[is="inline-price"], time')],
+          maxDiffPixelRatio: 0.01,
+        });
+      });
+    });
+  }
+});`;
+}
+
 /**
  * Generate all Milo test files for a block/feature
+ * @param {Object} [writeOptions] - Passed to writeTestFile (dryRun, conflict)
+ * @param {Object} [localeOptions] - Locale matrix (locales, localeData); see generateMiloSpec
  */
-export async function generateMiloTests(blockType, testType, category = 'block', projectName = 'milo') {
+export async function generateMiloTests(blockType, testType, category = 'block', projectName = 'milo', writeOptions = {}, localeOptions = {}) {
   const config = getProjectConfig(projectName);
   if (!config) {
     throw new Error(`Project '${projectName}' not found in configuration`);
@@ -343,17 +440,17 @@ export async function generateMiloTests(blockType, testType, category = 'block',
   // Generate page object (if it doesn't exist)
   const pageObjectPath = join(outputPath, `${blockType.split('/').pop()}.page.js`);
   const pageObjectContent = generateMiloPageObject(blockType.split('/').pop(), category);
-  results.push(await writeTestFile(pageObjectPath, pageObjectContent));
+  results.push(await writeTestFile(pageObjectPath, pageObjectContent, writeOptions));
   
   // Generate spec file (if it doesn't exist)
   const specPath = join(outputPath, `${blockType.split('/').pop()}.spec.js`);
-  const specContent = generateMiloSpec(blockType.split('/').pop(), testType, category);
-  results.push(await writeTestFile(specPath, specContent));
+  const specContent = generateMiloSpec(blockType.split('/').pop(), testType, category, localeOptions);
+  results.push(await writeTestFile(specPath, specContent, writeOptions));
   
   // Generate test file
   const testPath = join(outputPath, `${blockType.split('/').pop()}.test.js`);
-  const testContent = generateMiloTest(blockType.split('/').pop(), testType, category);
-  results.push(await writeTestFile(testPath, testContent));
+  const testContent = generateMiloTest(blockType.split('/').pop(), testType, category, localeOptions);
+  results.push(await writeTestFile(testPath, testContent, writeOptions));
   
   return results;
 }
\ No newline at end of file
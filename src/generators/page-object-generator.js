@@ -5,6 +5,7 @@
  */
 
 import { WaitHelpers } from '../utils/wait-helpers.js';
+import { getCardClassName } from '../utils/mas-test-integration.js';
 import { SmartLocatorGenerator } from './smart-locator-generator.js';
 
 export class PageObjectGenerator {
@@ -36,7 +37,7 @@ ${this.generateSelectorProperties(selectors)}
         this.selectorAlternatives = ${this.formatSelectorAlternatives(robustSelectors)};
 
         // ${config.cardType} card properties:
-        this.cssProp = ${this.formatCSSProperties(cssProperties)};
+        this.cssProp = ${this.formatCSSProperties(cssProperties)};${this.generateBreakpointCSSProperty(config)}
     }
 
     /**
@@ -81,10 +82,7 @@ ${this.generateSelectorProperties(selectors)}
    * @returns {string}
    */
   generateClassName(cardType) {
-    const words = cardType.split('-').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1)
-    );
-    return `CCD${words.join('')}Page`;
+    return `${getCardClassName(cardType)}Page`;
   }
 
   /**
@@ -143,6 +141,22 @@ ${this.generateSelectorProperties(selectors)}
     return formatted.replace(/"/g, '\'');
   }
 
+  /**
+   * CSS per breakpoint (config.breakpointCss), validated by the breakpoint CSS tests
+   * @param {CardConfig} config
+   * @returns {string} cssPropByBreakpoint member, or '' without breakpoint CSS
+   */
+  generateBreakpointCSSProperty(config) {
+    if (!config.breakpointCss || Object.keys(config.breakpointCss).length === 0) {
+      return '';
+    }
+
+    return `
+
+        // ${config.cardType} card properties per breakpoint:
+        this.cssPropByBreakpoint = ${this.formatCSSProperties(config.breakpointCss)};`;
+  }
+
   /**
    * Generate robust selectors with alternatives
    * @param {CardConfig} config
@@ -3,8 +3,13 @@
  *
  * Generates robust, self-healing selectors with multiple fallback strategies
  * based on live page inspection using Playwright MCP.
+ *
+ * With the `telemetry` option, each locator records which strategies of its
+ * chain matched while the tests run (see utils/locator-telemetry.js).
  */
 
+import { LOCATOR_TELEMETRY_ENV } from '../utils/locator-telemetry.js';
+
 export class SmartLocatorGenerator {
     constructor() {
         this.selectorPriorityRules = {
@@ -24,9 +29,11 @@ export class SmartLocatorGenerator {
      * Generate smart Playwright locator code from element data
      * @param {string} elementName - Name of the element (e.g., 'title', 'cta')
      * @param {Object} elementData - Element data from browser inspector
+     * @param {Object} [options] - Generation options
+     * @param {boolean} [options.telemetry] - Record which strategy matched during runs
      * @returns {Object} Generated locator code and metadata
      */
-    generateLocatorCode(elementName, elementData) {
+    generateLocatorCode(elementName, elementData, options = {}) {
         const locatorStrategies = this.buildLocatorStrategies(elementData);
 
         const primaryLocator = this.generatePrimaryLocator(locatorStrategies[0]);
@@ -43,7 +50,9 @@ export class SmartLocatorGenerator {
             fallbackLocator: fallbackChain,
             accessibilityLocator: accessibilityLocator,
             comment: comment,
-            code: this.buildFinalLocatorCode(elementName, primaryLocator, fallbackChain, comment),
+            code: options.telemetry
+                ? this.buildTrackedLocatorCode(elementName, locatorStrategies.slice(0, 4), comment)
+                : this.buildFinalLocatorCode(elementName, primaryLocator, fallbackChain, comment),
             metadata: {
                 confidence: elementData.metadata?.confidence || 0,
                 strategyCount: locatorStrategies.length,
@@ -143,13 +152,23 @@ export class SmartLocatorGenerator {
      * @returns {string} Locator code
      */
     generatePrimaryLocator(strategy) {
-        if (!strategy) return 'page.locator(\'body\')';
+        if (!strategy) return 'this.page.locator(\'body\')';
+
+        return this.generateStrategyLocator(strategy);
+    }
 
-        if (strategy.isAccessibility && strategy.value.startsWith('page.')) {
-            return strategy.value;
+    /**
+     * Generate the locator code of one strategy
+     * @param {Object} strategy - Strategy
+     * @returns {string} Locator code
+     */
+    generateStrategyLocator(strategy) {
+        // Accessibility strategies are already Playwright locator code on `page`
+        if (strategy.value.startsWith('page.')) {
+            return `this.${strategy.value}`;
         }
 
-        return `page.locator('${strategy.value}')`;
+        return `this.page.locator('${strategy.value}')`;
     }
 
     /**
@@ -164,13 +183,8 @@ export class SmartLocatorGenerator {
 
         const fallbacks = strategies
             .filter(s => s && s.value)
-            .map(strategy => {
-                if (strategy.isAccessibility && strategy.value.startsWith('page.')) {
-                    return strategy.value;
-                }
-                return `page.locator('${strategy.value}')`;
-            })
-            .join('\n        .or(');
+            .map(strategy => this.generateStrategyLocator(strategy))
+            .join(')\n        .or(');
 
         return fallbacks ? `\n        .or(${fallbacks})` : '';
     }
@@ -222,6 +236,86 @@ export class SmartLocatorGenerator {
     }`;
     }
 
+    /**
+     * Build locator code that chains the strategies through trackLocator, so
+     * that runs can record which of them matched
+     * @param {string} elementName - Element name
+     * @param {Array} strategies - Strategies, primary first
+     * @param {string} comment - Comment text
+     * @returns {string} Complete locator code
+     */
+    buildTrackedLocatorCode(elementName, strategies, comment) {
+        const camelCaseName = this.camelCase(elementName);
+        const entries = (strategies.length > 0 ? strategies : [{ type: 'tag', value: 'body' }])
+            .map(strategy => `            { type: '${strategy.type}', value: ${JSON.stringify(strategy.value)}, locator: ${this.generateStrategyLocator(strategy)} },`)
+            .join('\n');
+
+        return `    /**
+     * ${comment}
+     */
+    get ${camelCaseName}() {
+        return this.trackLocator('${elementName}', [
+${entries}
+        ]);
+    }`;
+    }
+
+    /**
+     * Generate the trackLocator method of a page object with telemetry. It only
+     * uses class members, so it survives merging into an existing page object.
+     * @param {string} cardType - Card type
+     * @returns {string} Method code
+     */
+    generateTrackLocatorMethod(cardType) {
+        return `    /**
+     * Chain the strategies of a locator with .or(). When ${LOCATOR_TELEMETRY_ENV} names a
+     * results file, record once per page object which strategies match inside the card.
+     */
+    trackLocator(elementName, strategies) {
+        const locator = strategies
+            .slice(1)
+            .reduce((chain, { locator: fallback }) => chain.or(fallback), strategies[0].locator);
+        const resultsFile = process.env.${LOCATOR_TELEMETRY_ENV};
+        this.trackedLocators ??= new Set();
+        if (!resultsFile || this.trackedLocators.has(elementName)) return locator;
+
+        this.trackedLocators.add(elementName);
+        locator.first().waitFor({ state: 'attached' })
+            .then(() => Promise.all(strategies.map((strategy) => this.card.locator(strategy.locator).count())))
+            .then(async (counts) => {
+                const { appendFileSync } = await import('fs');
+                appendFileSync(resultsFile, \`\${JSON.stringify({
+                    cardType: '${cardType}',
+                    element: elementName,
+                    strategies: strategies.map(({ type, value }, index) => ({ type, value, matched: counts[index] > 0 })),
+                    timestamp: new Date().toISOString(),
+                })}\\n\`);
+            })
+            .catch(() => {
+                // The element never attached (or the page closed): nothing matched to record
+            });
+        return locator;
+    }`;
+    }
+
+    /**
+     * Element data that regenerates a locator chain in the given order, e.g.
+     * after promoting a fallback: the fallbacks get priorities below the
+     * primary selector's, so buildLocatorStrategies keeps the order
+     * @param {Array<{type: string, value: string}>} strategies - Chain, primary first
+     * @param {number} confidence - Confidence score (0-100)
+     * @returns {Object} Element data for generatePageObject
+     */
+    buildElementData([primary, ...fallbacks], confidence) {
+        const priority = this.selectorPriorityRules[this.detectSelectorType(primary.value)] || 50;
+
+        return {
+            selector: primary.value,
+            fallbackSelectors: fallbacks.map(({ type, value }, index) => ({ type, value, priority: priority - index - 1 })),
+            metadata: { confidence },
+        };
+    }
+
     /**
      * Generate complete page object class with smart selectors
      * @param {string} cardType - Card type
@@ -241,6 +335,10 @@ export class SmartLocatorGenerator {
             elementMethods.push(locatorCode.code);
         }
 
+        if (options.telemetry) {
+            elementMethods.push(this.generateTrackLocatorMethod(cardType));
+        }
+
         const cssProperties = this.generateCSSProperties(elementsData);
 
         return this.buildPageObjectFile(className, elementMethods, cssProperties);
@@ -256,8 +354,8 @@ export class SmartLocatorGenerator {
      * Main card locator with smart detection
      */
     get card() {
-        return page.locator('merch-card[variant="${cardType}"]')
-            .or(page.locator('merch-card'))
+        return this.page.locator('merch-card[variant="${cardType}"]')
+            .or(this.page.locator('merch-card'))
             .first();
     }`;
     }
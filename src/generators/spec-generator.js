@@ -1,28 +1,50 @@
 /**
  * @typedef {import('../types.js').CardConfig} CardConfig
+ * @typedef {import('../types.js').SuiteCard} SuiteCard
+ * @typedef {import('../utils/locale-matrix.js').Locale} Locale
+ * @typedef {import('../utils/breakpoints.js').Breakpoint} Breakpoint
  * @typedef {import('../types.js').TestSuiteConfig} TestSuiteConfig
  * @typedef {import('../types.js').TestSpec} TestSpec
  * @typedef {import('../types.js').TestType} TestType
  */
 
+import { getTemplatedElements, loadTestTemplate } from '../utils/test-templates.js';
+import { getDefaultTags, getFeatureName, getSuiteMatrix } from '../utils/mas-test-integration.js';
+import { getLocaleFeatureData, getLocaleTags, localizePath } from '../utils/locale-matrix.js';
+import { createTcidAllocator, readSpecFeatures } from '../utils/spec-reader.js';
+import { getCSSBreakpoints } from '../utils/breakpoints.js';
+import { getA11yAllowRules } from '../utils/a11y-rules.js';
+
+const DEFAULT_CARD_ID = '206a8742-0289-4196-92d4-ced99ec4191e';
+
+// Save tests clone this card rather than the default one
+const DEFAULT_SAVE_CARD_ID = 'cc85b026-240a-4280-ab41-7618e65daac4';
+
 export class SpecGenerator {
   /**
    * @param {CardConfig} config
    * @param {TestType} testType
+   * @param {Object} [options] - See generateSpecFile
    * @returns {string}
    */
-  generateTestSpec(config, testType = 'css') {
-    return this.generateSpecFile(config, testType);
+  generateTestSpec(config, testType = 'css', options = {}) {
+    return this.generateSpecFile(config, testType, options);
   }
 
   /**
    * @param {CardConfig} config
    * @param {TestType} testType
+   * @param {Object} [options]
+   * @param {string} [options.existingSpec] - Content of the spec file being replaced.
+   *   Its features keep their tcids and new features never reuse one of them.
    * @returns {string}
    */
-  generateSpecFile(config, testType) {
+  generateSpecFile(config, testType, options = {}) {
     const featureName = this.generateFeatureName(config);
-    const features = this.generateFeatures(config, testType);
+    const allocateTcid = createTcidAllocator(
+      options.existingSpec ? readSpecFeatures(options.existingSpec) : []
+    );
+    const features = this.generateFeatures(config, testType, allocateTcid);
 
     return `export default {
     FeatureName: '${featureName}',
@@ -37,30 +59,32 @@ export class SpecGenerator {
    * @returns {string}
    */
   generateFeatureName(config) {
-    const cardTypeName = config.cardType.split('-').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1)
-    ).join(' ');
-    return `M@S Studio CCD ${cardTypeName}`;
+    return getFeatureName(config.cardType);
   }
 
   /**
    * @param {CardConfig} config
    * @param {TestType} testType
+   * @param {(name: string) => string} [allocateTcid]
    * @returns {string}
    */
-  generateFeatures(config, testType) {
+  generateFeatures(config, testType, allocateTcid = createTcidAllocator()) {
     switch (testType) {
       case 'css':
-        return this.generateCSSFeatures(config);
+        return this.generateCSSFeatures(config, allocateTcid);
       case 'edit':
-        return this.generateEditFeatures(config);
       case 'save':
-        return this.generateSaveFeatures(config);
       case 'discard':
-        return this.generateDiscardFeatures(config);
+        return this.generateTemplatedFeatures(config, testType, allocateTcid);
       case 'functional':
       case 'interaction':
-        return this.generateFunctionalFeatures(config);
+        return this.generateFunctionalFeatures(config, allocateTcid);
+      case 'visual':
+      case 'a11y':
+      case 'analytics':
+      case 'checkout':
+      case 'price':
+        return this.generateCardFeatures(config, testType, allocateTcid);
       default:
         return '';
     }
@@ -68,221 +92,124 @@ export class SpecGenerator {
 
   /**
    * @param {CardConfig} config
+   * @param {(name: string) => string} allocateTcid
    * @returns {string}
    */
-  generateCSSFeatures(config) {
-    const tags = this.generateTags(config, 'css', 'all');
-    const cardId = config.cardId || '206a8742-0289-4196-92d4-ced99ec4191e';
-    const path = config.metadata?.path || '/studio.html';
-    const browserParams = config.metadata?.browserParams || '#page=content&path=nala&query=';
-
-    return `
-        {
-            tcid: '0',
-            name: '@studio-${config.cardType}-css',
-            path: '${path}',
-            data: {
-                cardid: '${cardId}',
-            },
-            browserParams: '${browserParams}',
-            tags: '${tags}',
-        },`;
+  generateCSSFeatures(config, allocateTcid) {
+    const breakpoints = getCSSBreakpoints(config);
+
+    return getSuiteMatrix(config)
+      .flatMap(({ card, locale }) => [
+        this.generateFeature(config, 'css', 'css', card, locale, allocateTcid),
+        ...breakpoints.map(breakpoint =>
+          this.generateFeature(config, 'css', `css-${breakpoint.name}`, card, locale, allocateTcid, {}, breakpoint)
+        ),
+      ])
+      .join('');
   }
 
-
   /**
+   * Generate one feature per card and locale for test types that cover the
+   * card as a whole
    * @param {CardConfig} config
+   * @param {TestType} testType
+   * @param {(name: string) => string} allocateTcid
    * @returns {string}
    */
-  generateEditFeatures(config) {
-    let features = '';
-    let tcid = 0;
-
-    if (config.elements.title) {
-      features += this.generateEditFeature(config, tcid, 'title', {
-        title: 'Automation Test Card',
-        newTitle: 'Change title'
-      });
-      tcid++;
-    }
-
-    if (config.elements.eyebrow) {
-      features += this.generateEditFeature(config, tcid, 'eyebrow', {
-        subtitle: 'do not edit',
-        newSubtitle: 'Change subtitle'
-      });
-      tcid++;
-    }
-
-    if (config.elements.description) {
-      features += this.generateEditFeature(config, tcid, 'description', {
-        description: 'MAS repo validation card for Nala tests',
-        newDescription: 'New Test Description'
-      });
-      tcid++;
-    }
-
-    if (config.elements.icon) {
-      features += this.generateEditFeature(config, tcid, 'mnemonic', {
-        iconURL: 'https://www.adobe.com/content/dam/shared/images/product-icons/svg/photoshop.svg',
-        newIconURL: 'https://www.adobe.com/content/dam/shared/images/product-icons/svg/illustrator.svg'
-      });
-      tcid++;
-    }
-
-    if (config.elements.backgroundImage) {
-      features += this.generateEditFeature(config, tcid, 'background', {
-        newBackgroundURL: 'https://main--milo--adobecom.aem.page/assets/img/commerce/media_1d63dab9ee1edbf371d6f0548516c9e12b3ea3ff4.png'
-      });
-      tcid++;
-    }
-
-    if (config.elements.price) {
-      features += this.generateEditFeature(config, tcid, 'price', {
-        price: 'US$17.24/mo',
-        strikethroughPrice: 'US$34.49/mo',
-        newPrice: 'US$17.24/moper license',
-        newStrikethroughPrice: 'US$34.49/moper license'
-      });
-      tcid++;
-    }
-
-    if (config.elements.cta) {
-      features += this.generateEditFeature(config, tcid, 'cta-label', {
-        osi: 'A1xn6EL4pK93bWjM8flffQpfEL-bnvtoQKQAvkx574M',
-        ctaText: 'Buy now',
-        newCtaText: 'Buy now 2'
-      });
-      tcid++;
-    }
-
-    return features;
+  generateCardFeatures(config, testType, allocateTcid) {
+    return getSuiteMatrix(config)
+      .map(({ card, locale }) => this.generateFeature(config, testType, testType, card, locale, allocateTcid))
+      .join('');
   }
 
   /**
+   * Generate one feature per card element that has a test template, with the
+   * feature name and data from the template
    * @param {CardConfig} config
-   * @param {number} tcid
-   * @param {string} elementName
-   * @param {Object} testData
+   * @param {TestType} testType
+   * @param {(name: string) => string} allocateTcid
    * @returns {string}
    */
-  generateEditFeature(config, tcid, elementName, testData) {
-    const tags = this.generateTags(config, 'edit', elementName);
-    const cardId = config.cardId || '206a8742-0289-4196-92d4-ced99ec4191e';
-    const dataEntries = Object.entries(testData).map(([key, value]) => 
-      `                ${key}: '${value}',`
-    ).join('\n');
-    
-    // Use path and browserParams from metadata directly
-    const path = config.metadata?.path || '/studio.html';
-    const browserParams = config.metadata?.browserParams || '#query=';
-
-    return `
-        {
-            tcid: '${tcid}',
-            name: '@studio-${config.cardType}-edit-${elementName}',
-            path: '${path}',
-            data: {
-                cardid: '${cardId}',
-${dataEntries}
-            },
-            browserParams: '${browserParams}',
-            tags: '${tags}',
-        },`;
+  generateTemplatedFeatures(config, testType, allocateTcid) {
+    const templates = getTemplatedElements(testType, config.elements)
+      .map(elementName => loadTestTemplate(testType, elementName).meta);
+
+    return getSuiteMatrix(config)
+      .flatMap(({ card, locale }) => templates.map(meta =>
+        this.generateFeature(config, testType, `${testType}-${meta.feature}`, card, locale, allocateTcid, meta.data)
+      ))
+      .join('');
   }
 
   /**
    * @param {CardConfig} config
+   * @param {(name: string) => string} allocateTcid
    * @returns {string}
    */
-  generateSaveFeatures(config) {
-    let features = '';
-    let tcid = 0;
-
-    if (config.elements.title) {
-      features += this.generateSaveFeature(config, tcid, 'edited-title', {
-        title: 'Field Edit & Save',
-        newTitle: 'Cloned Field Edit'
-      });
-      tcid++;
-    }
-
-    if (config.elements.eyebrow) {
-      features += this.generateSaveFeature(config, tcid, 'edited-eyebrow', {
-        subtitle: 'do not edit',
-        newSubtitle: 'New Subtitle'
-      });
-      tcid++;
-    }
-
-    if (config.elements.description) {
-      features += this.generateSaveFeature(config, tcid, 'edited-description', {
-        description: 'MAS repo validation card for Nala tests',
-        newDescription: 'New Test Description'
-      });
-      tcid++;
-    }
-
-    if (config.elements.icon) {
-      features += this.generateSaveFeature(config, tcid, 'edited-mnemonic', {
-        iconURL: 'https://www.adobe.com/content/dam/shared/images/product-icons/svg/photoshop.svg',
-        newIconURL: 'https://www.adobe.com/content/dam/shared/images/product-icons/svg/illustrator.svg'
-      });
-      tcid++;
-    }
-
-    if (config.elements.backgroundImage) {
-      features += this.generateSaveFeature(config, tcid, 'edited-image', {
-        newBackgroundURL: 'https://main--milo--adobecom.aem.page/assets/img/commerce/media_1d63dab9ee1edbf371d6f0548516c9e12b3ea3ff4.png'
-      });
-      tcid++;
-    }
-
-    if (config.elements.price) {
-      features += this.generateSaveFeature(config, tcid, 'edited-price', {
-        price: 'US$17.24/mo',
-        strikethroughPrice: 'US$34.49/mo'
-      });
-      tcid++;
-    }
-
-    if (config.elements.cta) {
-      features += this.generateSaveFeature(config, tcid, 'edited-cta-label', {
-        ctaText: 'Buy now',
-        newCtaText: 'Buy now 2'
-      });
-      tcid++;
-    }
-
-    return features;
+  generateFunctionalFeatures(config, allocateTcid) {
+    const interactions = Object.entries(config.elements).flatMap(([elementName, elementConfig]) =>
+      (elementConfig?.interactions || []).map(interaction => `${interaction.type}-${elementName}`)
+    );
+
+    return getSuiteMatrix(config)
+      .flatMap(({ card, locale }) => interactions.map(feature =>
+        this.generateFeature(config, 'functional', feature, card, locale, allocateTcid)
+      ))
+      .join('');
   }
 
   /**
    * @param {CardConfig} config
-   * @param {number} tcid
-   * @param {string} elementName
-   * @param {Object} testData
+   * @param {TestType} testType
+   * @param {string} feature - Feature name after the card type, e.g. 'edit-title'
+   * @param {SuiteCard} card - Card the feature runs against
+   * @param {Locale | null} locale - Locale the feature runs in
+   * @param {(name: string) => string} allocateTcid
+   * @param {Record<string, string>} [testData] - Feature data before the card's and locale's own data
+   * @param {Breakpoint | null} [breakpoint] - Viewport the feature runs at (CSS features only)
    * @returns {string}
    */
-  generateSaveFeature(config, tcid, elementName, testData) {
-    const tags = this.generateTags(config, 'save', elementName);
-    const cardId = config.cardId || 'cc85b026-240a-4280-ab41-7618e65daac4';
-    const dataEntries = Object.entries(testData).map(([key, value]) => 
-      `                ${key}: '${value}',`
-    ).join('\n');
-    
+  generateFeature(config, testType, feature, card, locale, allocateTcid, testData = {}, breakpoint = null) {
+    const baseName = `@studio-${config.cardType}-${feature}`;
+    const name = [baseName, card.label, locale?.code].filter(Boolean).join('-');
+    const tags = [
+      this.generateTags(config, testType, feature),
+      ...(breakpoint ? [`@breakpoint-${breakpoint.name}`] : []),
+      ...getLocaleTags(locale),
+    ].join(' ');
+    const defaultCardId = testType === 'save' ? DEFAULT_SAVE_CARD_ID : DEFAULT_CARD_ID;
+    const cardId = card.cardId || defaultCardId;
+    const dataLines = Object.entries({ ...testData, ...card.data, ...getLocaleFeatureData(locale, baseName) }).map(([key, value]) =>
+      `\n                ${key}: '${this.escape(value)}',`
+    ).join('');
+    const cardLine = card.label ? `\n            card: '${card.label}',` : '';
+    const localeLine = locale ? `\n            locale: '${locale.code}',` : '';
+    // Baseline file name of a visual feature, unique per card and locale
+    const screenshotLine = testType === 'visual' ? `\n            screenshot: '${name.slice(1)}.png',` : '';
+    // axe rules the a11y test of the feature does not fail on
+    const allowRules = testType === 'a11y' ? getA11yAllowRules(config) : [];
+    const allowRulesLine = allowRules.length > 0
+      ? `\n            a11yAllowRules: [${allowRules.map(rule => `'${this.escape(rule)}'`).join(', ')}],`
+      : '';
+    const analyticsLines = testType === 'analytics' ? this.generateAnalyticsLines(config, card, locale) : '';
+    const checkoutLines = testType === 'checkout' ? this.generateCheckoutLines(config, card, locale) : '';
+    const priceLines = testType === 'price' ? this.generatePriceLines(config, card, locale) : '';
+    const breakpointLines = breakpoint
+      ? `\n            breakpoint: '${breakpoint.name}',\n            viewport: { width: ${breakpoint.width}, height: ${breakpoint.height} },`
+      : '';
+
     // Use path and browserParams from metadata directly
-    const path = config.metadata?.path || '/studio.html';
-    const browserParams = config.metadata?.browserParams || '#query=';
+    const path = localizePath(config.metadata?.path || '/studio.html', locale);
+    const browserParams = config.metadata?.browserParams
+      || (['css', 'visual', 'a11y'].includes(testType) ? '#page=content&path=nala&query=' : '#query=');
 
     return `
         {
-            tcid: '${tcid}',
-            name: '@studio-${config.cardType}-save-${elementName}',
+            tcid: '${allocateTcid(name)}',
+            name: '${name}',${cardLine}${localeLine}${breakpointLines}${screenshotLine}${allowRulesLine}${analyticsLines}${checkoutLines}${priceLines}
             path: '${path}',
             data: {
-                cardid: '${cardId}',
-${dataEntries}
+                cardid: '${cardId}',${dataLines}
             },
             browserParams: '${browserParams}',
             tags: '${tags}',
@@ -290,151 +217,110 @@ ${dataEntries}
   }
 
   /**
+   * Expected analytics attributes of a feature, per element with extracted
+   * `analytics`. The values were extracted from config.cardId in the default
+   * locale; other cards and locales expect the same attributes to be set (true).
    * @param {CardConfig} config
+   * @param {SuiteCard} card
+   * @param {Locale | null} locale
    * @returns {string}
    */
-  generateDiscardFeatures(config) {
-    let features = '';
-    let tcid = 0;
-
-    if (config.elements.title) {
-      features += this.generateDiscardFeature(config, tcid, 'edited-title', {
-        title: 'Automation Test Card',
-        newTitle: 'Change title'
-      });
-      tcid++;
-    }
-
-    if (config.elements.eyebrow) {
-      features += this.generateDiscardFeature(config, tcid, 'edited-eyebrow', {
-        subtitle: 'do not edit',
-        newSubtitle: 'Change subtitle'
-      });
-      tcid++;
-    }
-
-    if (config.elements.description) {
-      features += this.generateDiscardFeature(config, tcid, 'edited-description', {
-        description: 'MAS repo validation card for Nala tests',
-        newDescription: 'New Test Description'
-      });
-      tcid++;
-    }
-
-    if (config.elements.icon) {
-      features += this.generateDiscardFeature(config, tcid, 'edited-mnemonic', {
-        iconURL: 'https://www.adobe.com/content/dam/shared/images/product-icons/svg/photoshop.svg',
-        newIconURL: 'https://www.adobe.com/content/dam/shared/images/product-icons/svg/illustrator.svg'
-      });
-      tcid++;
-    }
-
-    if (config.elements.backgroundImage) {
-      features += this.generateDiscardFeature(config, tcid, 'edited-background', {
-        newBackgroundURL: 'https://main--milo--adobecom.aem.page/assets/img/commerce/media_1d63dab9ee1edbf371d6f0548516c9e12b3ea3ff4.png'
-      });
-      tcid++;
-    }
-
-    if (config.elements.price) {
-      features += this.generateDiscardFeature(config, tcid, 'edited-price', {
-        price: 'US$17.24/mo',
-        strikethroughPrice: 'US$34.49/mo',
-        newPrice: 'US$17.24/moper license',
-        newStrikethroughPrice: 'US$34.49/moper license'
-      });
-      tcid++;
-    }
-
-    if (config.elements.cta) {
-      features += this.generateDiscardFeature(config, tcid, 'edited-cta-label', {
-        ctaText: 'Buy now',
-        newCtaText: 'Buy now 2'
-      });
-      tcid++;
-    }
-
-    return features;
+  generateAnalyticsLines(config, card, locale) {
+    const exact = this.isExtractedCard(config, card, locale);
+    return this.generateElementExpectations(config, 'analytics', attributes =>
+      `\n                    ${this.formatExpected(attributes, exact)},`
+    );
   }
 
   /**
+   * Expected checkout links of a feature, per element with extracted
+   * `checkout`: the link attributes, the checkout URL without its query and
+   * the query parameters. Like analytics, only the extracted card in the
+   * default locale expects the extracted values.
    * @param {CardConfig} config
-   * @param {number} tcid
-   * @param {string} elementName
-   * @param {Object} testData
+   * @param {SuiteCard} card
+   * @param {Locale | null} locale
    * @returns {string}
    */
-  generateDiscardFeature(config, tcid, elementName, testData) {
-    const tags = this.generateTags(config, 'discard', elementName);
-    const cardId = config.cardId || '206a8742-0289-4196-92d4-ced99ec4191e';
-    const dataEntries = Object.entries(testData).map(([key, value]) => 
-      `                ${key}: '${value}',`
-    ).join('\n');
-    
-    // Use path and browserParams from metadata directly
-    const path = config.metadata?.path || '/studio.html';
-    const browserParams = config.metadata?.browserParams || '#query=';
-
-    return `
-        {
-            tcid: '${tcid}',
-            name: '@studio-${config.cardType}-discard-${elementName}',
-            path: '${path}',
-            data: {
-                cardid: '${cardId}',
-${dataEntries}
-            },
-            browserParams: '${browserParams}',
-            tags: '${tags}',
-        },`;
+  generateCheckoutLines(config, card, locale) {
+    const exact = this.isExtractedCard(config, card, locale);
+    return this.generateElementExpectations(config, 'checkout', ({ attributes, url, params }) => {
+      const urlLines = url
+        ? `\n                        url: ${exact ? `'${this.escape(url)}'` : 'true'},\n                        params: ${this.formatExpected(params || {}, exact)},`
+        : '';
+      return `\n                    {\n                        attributes: ${this.formatExpected(attributes, exact)},${urlLines}\n                    },`;
+    });
   }
 
   /**
+   * Expected inline prices of a feature (config.prices). Only the extracted
+   * card in the default locale expects the extracted text and display
+   * options; elsewhere prices are expected to render, with tax labels from
+   * the locale's `taxLabel` data.
    * @param {CardConfig} config
+   * @param {SuiteCard} card
+   * @param {Locale | null} locale
    * @returns {string}
+   * @throws {Error} When the config has no extracted prices
    */
-  generateFunctionalFeatures(config) {
-    let features = '';
-    let tcid = 0;
+  generatePriceLines(config, card, locale) {
+    if (!config.prices?.length) {
+      throw new Error(`No prices in the ${config.cardType} card config: extract the card with its inline prices before generating price specs`);
+    }
 
-    Object.entries(config.elements).forEach(([elementName, elementConfig]) => {
-      if (elementConfig?.interactions) {
-        elementConfig.interactions.forEach(interaction => {
-          features += this.generateFunctionalFeature(config, tcid, elementName, interaction.type);
-          tcid++;
-        });
-      }
+    const exact = this.isExtractedCard(config, card, locale);
+    const prices = config.prices.map(({ attributes, text, taxLabel, strikethrough }) => {
+      const lines = [
+        `attributes: ${this.formatExpected(attributes, exact)},`,
+        `text: ${exact ? `'${this.escape(text)}'` : 'true'},`,
+        ...(taxLabel ? [`taxLabel: ${exact ? `'${this.escape(taxLabel)}'` : 'true'},`] : []),
+        ...(strikethrough ? ['strikethrough: true,'] : []),
+      ];
+      return `\n                {${lines.map(line => `\n                    ${line}`).join('')}\n                },`;
     });
 
-    return features;
+    return `\n            prices: [${prices.join('')}\n            ],`;
   }
 
   /**
+   * Render the `<field>: { <element>: [...] }` block of the elements that have
+   * extracted values for the field
    * @param {CardConfig} config
-   * @param {number} tcid
-   * @param {string} elementName
-   * @param {string} interactionType
+   * @param {'analytics' | 'checkout'} field - Element config field
+   * @param {(node: Object) => string} renderNode - Renders the expectation of one node
    * @returns {string}
    */
-  generateFunctionalFeature(config, tcid, elementName, interactionType) {
-    const tags = this.generateTags(config, 'functional', elementName);
-    const cardId = config.cardId || '206a8742-0289-4196-92d4-ced99ec4191e';
-    
-    // Use path and browserParams from metadata directly
-    const path = config.metadata?.path || '/studio.html';
-    const browserParams = config.metadata?.browserParams || '#query=';
+  generateElementExpectations(config, field, renderNode) {
+    const elements = Object.entries(config.elements)
+      .filter(([, elementConfig]) => elementConfig?.[field]?.length > 0)
+      .map(([elementName, elementConfig]) =>
+        `\n                ${elementName}: [${elementConfig[field].map(renderNode).join('')}\n                ],`
+      );
+
+    return elements.length > 0 ? `\n            ${field}: {${elements.join('')}\n            },` : '';
+  }
 
-    return `
-        {
-            tcid: '${tcid}',
-            name: '@studio-${config.cardType}-${interactionType}-${elementName}',
-            path: '${path}',
-            data: {
-                cardid: '${cardId}',
-            },
-            browserParams: '${browserParams}',
-            tags: '${tags}',
-        },`;
+  /**
+   * Whether a feature runs against the card and locale values were extracted from
+   * @param {CardConfig} config
+   * @param {SuiteCard} card
+   * @param {Locale | null} locale
+   * @returns {boolean}
+   */
+  isExtractedCard(config, card, locale) {
+    return card.cardId === config.cardId && !locale?.prefix;
+  }
+
+  /**
+   * Render expected string values, or `true` (value is set) for each key
+   * @param {Record<string, string>} values
+   * @param {boolean} exact - Expect the values themselves
+   * @returns {string}
+   */
+  formatExpected(values, exact) {
+    const entries = Object.entries(values)
+      .map(([key, value]) => `'${this.escape(key)}': ${exact ? `'${this.escape(value)}'` : 'true'}`);
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
   }
 
   /**
@@ -444,13 +330,15 @@ ${dataEntries}
    * @returns {string}
    */
   generateTags(config, testType, elementName) {
-    const baseTag = `@mas-studio @ccd @ccd-${config.cardType}`;
-    const testTypeTag = `@ccd-${config.cardType}-${testType}`;
-
-    if (testType === 'css') {
-      return `${baseTag} ${testTypeTag} @ccd-css`;
-    }
+    return getDefaultTags(config.cardType, testType);
+  }
 
-    return `${baseTag} ${testTypeTag}`;
+  /**
+   * Escape a value for a single-quoted string literal
+   * @param {string} value
+   * @returns {string}
+   */
+  escape(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'');
   }
-} 
\ No newline at end of file
+}
@@ -5,9 +5,17 @@
 
 import { getImportPaths } from '../config.js';
 import { WaitHelpers } from '../utils/wait-helpers.js';
+import { getElement } from '../utils/element-registry.js';
+import { getCSSBreakpoints } from '../utils/breakpoints.js';
+import { A11Y_STEP_RULES, A11Y_TAGS, getA11yAllowRules } from '../utils/a11y-rules.js';
+import { getTemplatedElements, renderTestTemplate } from '../utils/test-templates.js';
 import {
   generateMasTestImport,
   getCardVariable,
+  getCardClassName,
+  getFeatureName,
+  getVariantAttribute,
+  isMatrixSuite,
   generateValidationLabels,
   getImportPathDepth
 } from '../utils/mas-test-integration.js';
@@ -20,14 +28,14 @@ export class TestGenerator {
    */
   generateTestFile(config, testType) {
     const imports = this.getTestImports(config, testType);
-    const setup = this.generateSetup(config);
+    const setup = this.generateSetup(config, testType);
     const tests = this.generateTests(config, testType);
 
     return `${imports}
 
 ${setup}
 
-test.describe('M@S Studio CCD ${this.capitalize(config.cardType)} card test suite', () => {
+test.describe('${getFeatureName(config.cardType)} card test suite', () => {
 ${tests}
 });
 `;
@@ -45,19 +53,25 @@ ${tests}
     const pathDepth = getImportPathDepth();
 
     const masTestImport = generateMasTestImport(config.cardType, testType);
+    const axeImport = testType === 'a11y' ? '\nimport AxeBuilder from \'@axe-core/playwright\';' : '';
     const specImport = `import ${className}Spec from '../specs/${specFileName}';`;
 
-    return `${masTestImport}\n${specImport}`;
+    return `${masTestImport}${axeImport}\n${specImport}`;
   }
 
   /**
    * @param {CardConfig} config
+   * @param {TestType} [testType]
    * @returns {string}
    */
-  generateSetup(config) {
+  generateSetup(config, testType) {
     const className = this.generateClassName(config.cardType);
+    // Checkout specs expect true where any value will do
+    const helpers = testType === 'checkout'
+      ? '\n\nconst expected = (value) => (value === true ? expect.stringMatching(/\\S/) : value);'
+      : '';
 
-    return `const { features } = ${className}Spec;`;
+    return `const { features } = ${className}Spec;${helpers}`;
   }
 
   /**
@@ -72,1462 +86,524 @@ ${tests}
       case 'functional':
         return this.generateFunctionalTests(config);
       case 'edit':
-        return this.generateEditTests(config);
       case 'save':
-        return this.generateSaveTests(config);
       case 'discard':
-        return this.generateDiscardTests(config);
+        return this.generateTemplatedTests(config, testType);
       case 'interaction':
         return this.generateInteractionTests(config);
+      case 'visual':
+        return this.generateFeatureTest(config, 'visual', 0, feature => this.generateVisualTest(config, feature));
+      case 'a11y':
+        return this.generateFeatureTest(config, 'a11y', 0, feature => this.generateA11yTest(config, feature));
+      case 'analytics':
+        return this.generateAnalyticsTests(config);
+      case 'checkout':
+        return this.generateCheckoutTests(config);
+      case 'price':
+        return this.generatePriceTests(config);
       default:
         return '';
     }
   }
 
   /**
+   * Render a test for one spec feature. In a multi-card or multi-locale suite
+   * the test runs once per feature of the spec with that name, card and locale.
    * @param {CardConfig} config
+   * @param {string} featureName - Feature name after the card type, e.g. 'edit-title'
+   * @param {number} featureIndex - Index of the feature in a single-card spec
+   * @param {(feature: string) => string} renderTest - Renders the test for an expression of the feature
    * @returns {string}
    */
-  generateCSSTests(config) {
-    const cardVariable = getCardVariable(config.cardType);
-    const validationLabels = generateValidationLabels(config.elements);
-    const validationSteps = this.generateCSSValidationSteps(config, cardVariable);
-
-    return `
-    // @studio-${config.cardType}-css - Validate all CSS properties for ${config.cardType} card in parallel
-    test(\`\${features[0].name},\${features[0].tags}\`, async ({ page, baseURL }) => {
-        const { data } = features[0];
-        const testPage = \`\${baseURL}\${features[0].path}\${miloLibs}\${features[0].browserParams}\${data.cardid}\`;
-        const ${cardVariable}Card = await studio.getCard(data.cardid);
-        setTestPage(testPage);
-
-        const validationLabels = ${JSON.stringify(validationLabels)};
-
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-        });
-
-        await test.step('step-2: Validate ${config.cardType} card is visible', async () => {
-            await expect(${cardVariable}Card).toBeVisible();
-        });
-
-        await test.step('step-3: Validate all CSS properties in parallel', async () => {
-            const results = await Promise.allSettled([
-${validationSteps}
-            ]);
-
-            // Check results and report any failures
-            const failures = results
-                .map((result, index) => ({ result, index }))
-                .filter(({ result }) => result.status === 'rejected')
-                .map(({ result, index }) => \`🔍 Validation-\${index + 1} (\${validationLabels[index]}) failed: \${result.reason}\`);
-
-            if (failures.length > 0) {
-                throw new Error(\`\\x1b[31m✘\\x1b[0m ${config.cardType.charAt(0).toUpperCase() + config.cardType.slice(1)} card CSS validation failures:\\n\${failures.join('\\n')}\`);
-            }
-        });
-    });
-`;
-  }
-
-  /**
-   * Generate parallel CSS validation steps
-   * @param {CardConfig} config
-   * @param {string} cardVariable
-   * @returns {string}
-   */
-  generateCSSValidationSteps(config, cardVariable) {
-    let steps = '';
-    let stepIndex = 1;
-
-    steps += `                // Card container CSS
-                test.step('Validation-${stepIndex}: Validate card container CSS', async () => {
-                    expect(await webUtil.verifyCSS(${cardVariable}Card, ${cardVariable}.cssProp.card)).toBeTruthy();
-                }),
-`;
-    stepIndex++;
-
-    Object.keys(config.elements).forEach(elementName => {
-      const camelCaseName = this.camelCase(elementName);
-      const firstSelector = elementName === 'price' || elementName === 'icon' ? '.first()' : '';
-
-      steps += `
-                // Card ${elementName} CSS
-                test.step('Validation-${stepIndex}: Validate card ${elementName} CSS', async () => {
-                    expect(await webUtil.verifyCSS(${cardVariable}Card.locator(${cardVariable}.${camelCaseName})${firstSelector}, ${cardVariable}.cssProp.${elementName})).toBeTruthy();
-                }),`;
-      stepIndex++;
-    });
-
-    return steps;
-  }
-
-
-  /**
-   * @param {CardConfig} config
-   * @returns {string}
-   */
-  generateEditTests(config) {
-    let tests = '';
-    let featureIndex = 0;
-
-    if (config.elements.title) {
-      tests += this.generateEditTitleTest(config, featureIndex);
-          featureIndex++;
-    }
-
-    if (config.elements.eyebrow) {
-      tests += this.generateEditEyebrowTest(config, featureIndex);
-      featureIndex++;
-    }
-
-    if (config.elements.description) {
-      tests += this.generateEditDescriptionTest(config, featureIndex);
-      featureIndex++;
-    }
-
-    if (config.elements.icon) {
-      tests += this.generateEditIconTest(config, featureIndex);
-      featureIndex++;
-    }
-
-    if (config.elements.backgroundImage) {
-      tests += this.generateEditBackgroundTest(config, featureIndex);
-      featureIndex++;
-    }
-
-    if (config.elements.price) {
-      tests += this.generateEditPriceTest(config, featureIndex);
-      featureIndex++;
-    }
-
-    if (config.elements.cta) {
-      tests += this.generateEditCTATest(config, featureIndex);
-      featureIndex++;
-    }
-
-    return tests;
-  }
-
-  /**
-   * @param {CardConfig} config
-   * @param {number} featureIndex
-   * @returns {string}
-   */
-  generateEditTitleTest(config, featureIndex) {
-    const cardVariable = getCardVariable(config.cardType);
-
-    return `
-    // @studio-${config.cardType}-edit-title - Validate edit title for ${config.cardType} card in mas studio
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
-        setTestPage(testPage);
-
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Open card editor', async () => {
-            const card = await studio.getCard(data.cardid);
-            await expect(card).toBeVisible();
-            await expect(card).toHaveAttribute(
-                'variant',
-                'ccd-${config.cardType}',
-            );
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-            await card.dblclick();
-            ${WaitHelpers.editorOpenWait()}
-        });
-
-        await test.step('step-3: Edit title field', async () => {
-            await expect(await editor.title).toBeVisible();
-            await expect(await editor.title).toHaveValue(data.title);
-            await editor.title.fill(data.newTitle);
-        });
-
-        await test.step('step-4: Validate edited title field in Editor panel', async () => {
-            await expect(await editor.title).toHaveValue(data.newTitle);
-        });
-
-        await test.step('step-5: Validate edited title field on the card', async () => {
-            await expect(await ${cardVariable}.cardTitle).toHaveText(data.newTitle);
-        });
-    });
-`;
-  }
-
-  /**
-   * @param {CardConfig} config
-   * @param {number} featureIndex
-   * @returns {string}
-   */
-  generateEditEyebrowTest(config, featureIndex) {
-    const cardVariable = getCardVariable(config.cardType);
-
-    return `
-    // @studio-${config.cardType}-edit-eyebrow - Validate edit eyebrow field for ${config.cardType} card in mas studio
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
-        setTestPage(testPage);
-
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Open card editor', async () => {
-            const card = await studio.getCard(data.cardid);
-            await expect(card).toBeVisible();
-            await expect(card).toHaveAttribute(
-                'variant',
-                'ccd-${config.cardType}',
-            );
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-            await card.dblclick();
-            ${WaitHelpers.editorOpenWait()}
-        });
-
-        await test.step('step-3: Edit eyebrow field', async () => {
-            await expect(await editor.subtitle).toBeVisible();
-            await expect(await editor.subtitle).toHaveValue(data.subtitle);
-            await editor.subtitle.fill(data.newSubtitle);
-        });
-
-        await test.step('step-4: Validate edited eyebrow/subtitle field in Editor panel', async () => {
-            await expect(await editor.subtitle).toHaveValue(data.newSubtitle);
-        });
-
-        await test.step('step-5: Validate edited eyebrow field on the card', async () => {
-            await expect(await ${cardVariable}.cardEyebrow).toHaveText(
-                data.newSubtitle,
-            );
-        });
-    });
-`;
-  }
-
-  /**
-   * @param {CardConfig} config
-   * @param {number} featureIndex
-   * @returns {string}
-   */
-  generateEditDescriptionTest(config, featureIndex) {
-    const cardVariable = getCardVariable(config.cardType);
-
-    return `
-    // @studio-${config.cardType}-edit-description - Validate edit description field for ${config.cardType} card in mas studio
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
-        setTestPage(testPage);
-
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Open card editor', async () => {
-            const card = await studio.getCard(data.cardid);
-            await expect(card).toBeVisible();
-            await expect(card).toHaveAttribute(
-                'variant',
-                'ccd-${config.cardType}',
-            );
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-            await card.dblclick();
-            ${WaitHelpers.editorOpenWait()}
-        });
-
-        await test.step('step-3: Edit description field', async () => {
-            await expect(await editor.description).toBeVisible();
-            await expect(await editor.description).toContainText(
-                data.description,
-            );
-            await editor.description.fill(data.newDescription);
-        });
-
-        await test.step('step-4: Validate edited description in Editor panel', async () => {
-            await expect(await editor.description).toContainText(
-                data.newDescription,
-            );
-        });
-
-        await test.step('step-5: Validate edited description on the card', async () => {
-            await expect(await ${cardVariable}.cardDescription).toHaveText(
-                data.newDescription,
-            );
-        });
-    });
-`;
-  }
-
-  /**
-   * @param {CardConfig} config
-   * @param {number} featureIndex
-   * @returns {string}
-   */
-  generateEditIconTest(config, featureIndex) {
-    const cardVariable = getCardVariable(config.cardType);
-
-    return `
-    // @studio-${config.cardType}-edit-mnemonic - Validate edit mnemonic URL field for ${config.cardType} card in mas studio
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
-        setTestPage(testPage);
-
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Open card editor', async () => {
-            const card = await studio.getCard(data.cardid);
-            await expect(card).toBeVisible();
-            await expect(card).toHaveAttribute(
-                'variant',
-                'ccd-${config.cardType}',
-            );
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-            await card.dblclick();
-            ${WaitHelpers.editorOpenWait()}
-        });
-
-        await test.step('step-3: Edit mnemonic URL field', async () => {
-            await expect(await editor.iconURL).toBeVisible();
-            await expect(await editor.iconURL).toHaveValue(data.iconURL);
-            await editor.iconURL.fill(data.newIconURL);
-        });
-
-        await test.step('step-4: Validate edited mnemonic URL field in Editor panel', async () => {
-            await expect(await editor.iconURL).toHaveValue(data.newIconURL);
-        });
-
-        await test.step('step-5: Validate edited mnemonic URL on the card', async () => {
-            await expect(await ${cardVariable}.cardIcon).toHaveAttribute(
-                'src',
-                data.newIconURL,
-            );
-        });
-    });
-`;
-  }
-
-  /**
-   * @param {CardConfig} config
-   * @param {number} featureIndex
-   * @returns {string}
-   */
-  generateEditBackgroundTest(config, featureIndex) {
-    return `
-    // @studio-${config.cardType}-edit-background - Validate edit background field for ${config.cardType} card in mas studio
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
-        setTestPage(testPage);
-
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Open card editor', async () => {
-            const card = await studio.getCard(data.cardid);
-            await expect(card).toBeVisible();
-            await expect(card).toHaveAttribute(
-                'variant',
-                'ccd-${config.cardType}',
-            );
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-            await card.dblclick();
-            ${WaitHelpers.editorOpenWait()}
-        });
-
-        await test.step('step-3: Edit background URL field', async () => {
-            await expect(await editor.backgroundImage).toBeVisible();
-            await expect(await editor.backgroundImage).toHaveValue('');
-            await editor.backgroundImage.fill(data.newBackgroundURL);
-        });
-
-        await test.step('step-4: Validate edited background image URL field in Editor panel', async () => {
-            await expect(await editor.backgroundImage).toHaveValue(
-                data.newBackgroundURL,
-            );
-        });
-
-        await test.step('step-5: Validate edited background image URL field on the card', async () => {
-            await expect(await studio.getCard(data.cardid)).toHaveAttribute(
-                'background-image',
-                data.newBackgroundURL,
-            );
-        });
-    });
-`;
-  }
-
-  /**
-   * @param {CardConfig} config
-   * @param {number} featureIndex
-   * @returns {string}
-   */
-  generateEditPriceTest(config, featureIndex) {
-    const cardVariable = getCardVariable(config.cardType);
-
-    return `
-    // @studio-${config.cardType}-edit-price - Validate edit price field for ${config.cardType} card in mas studio
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
-        setTestPage(testPage);
-
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Open card editor', async () => {
-            const card = await studio.getCard(data.cardid);
-            await expect(card).toBeVisible();
-            await expect(card).toHaveAttribute(
-                'variant',
-                'ccd-${config.cardType}',
-            );
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-            await card.dblclick();
-            ${WaitHelpers.editorOpenWait()}
-        });
-
-        await test.step('step-3: Edit price field', async () => {
-            await expect(await editor.prices).toBeVisible();
-            await expect(await editor.prices).toContainText(data.price);
-            await expect(await editor.prices).not.toContainText(data.newPrice);
-            await expect(await editor.prices).toContainText(
-                data.strikethroughPrice,
-            );
-            await expect(await editor.prices).not.toContainText(
-                data.newStrikethroughPrice,
-            );
-
-            await (await editor.prices.locator(editor.regularPrice)).dblclick();
-            ${WaitHelpers.dialogWait('ost')}
-            await expect(await ost.price).toBeVisible();
-            await expect(await ost.priceUse).toBeVisible();
-            await expect(await ost.unitCheckbox).toBeVisible();
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-            await ost.unitCheckbox.click();
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.ANIMATION});
-            await ost.priceUse.click();
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-4: Validate edited price in Editor panel', async () => {
-            await expect(await editor.prices).toContainText(data.newPrice);
-            await expect(await editor.prices).toContainText(
-                data.newStrikethroughPrice,
-            );
-        });
-
-        await test.step('step-5: Validate edited price field on the card', async () => {
-            await expect(await ${cardVariable}.cardPrice).toContainText(
-                data.newPrice,
-            );
-            await expect(await ${cardVariable}.cardPrice).toContainText(
-                data.newStrikethroughPrice,
-            );
-        });
-    });
-`;
-  }
-
-  /**
-   * @param {CardConfig} config
-   * @param {number} featureIndex
-   * @returns {string}
-   */
-  generateEditCTATest(config, featureIndex) {
-    const cardVariable = getCardVariable(config.cardType);
-
-    return `
-    // @studio-${config.cardType}-edit-cta-label - Validate edit CTA label for ${config.cardType} card in mas studio
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
-        setTestPage(testPage);
-
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Open card editor', async () => {
-            const card = await studio.getCard(data.cardid);
-            await expect(card).toBeVisible();
-            await expect(card).toHaveAttribute(
-                'variant',
-                'ccd-${config.cardType}',
-            );
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-            await card.dblclick();
-            ${WaitHelpers.editorOpenWait()}
-        });
-
-        await test.step('step-3: Edit CTA label', async () => {
-            await expect(
-                await editor.footer.locator(editor.linkEdit),
-            ).toBeVisible();
-            await expect(await editor.CTA).toBeVisible();
-            await expect(await editor.footer).toContainText(data.ctaText);
-            await editor.CTA.click();
-            await editor.footer.locator(editor.linkEdit).click();
-            await expect(await editor.linkText).toBeVisible();
-            await expect(await editor.linkSave).toBeVisible();
-            await expect(await editor.linkText).toHaveValue(data.ctaText);
-            await editor.linkText.fill(data.newCtaText);
-            await editor.linkSave.click();
-        });
-
-        await test.step('step-4: Validate edited CTA label in Editor panel', async () => {
-            await expect(await editor.footer).toContainText(data.newCtaText);
-        });
-
-        await test.step('step-5: Validate edited CTA on the card', async () => {
-            await expect(await ${cardVariable}.cardCTA).toContainText(
-                data.newCtaText,
-            );
-            await expect(await ${cardVariable}.cardCTA).toHaveAttribute(
-                'data-wcs-osi',
-                data.osi,
-            );
-            await expect(await ${cardVariable}.cardCTA).toHaveAttribute(
-                'is',
-                'checkout-button',
-            );
-        });
-    });
-`;
-  }
-
-  /**
-   * @param {CardConfig} config
-   * @returns {string}
-   */
-  generateSaveTests(config) {
-    let tests = '';
-    let featureIndex = 0;
-
-    if (config.elements.title) {
-      tests += this.generateSaveTitleTest(config, featureIndex);
-      featureIndex++;
-    }
-
-    if (config.elements.eyebrow) {
-      tests += this.generateSaveEyebrowTest(config, featureIndex);
-      featureIndex++;
-    }
-
-    if (config.elements.description) {
-      tests += this.generateSaveDescriptionTest(config, featureIndex);
-      featureIndex++;
-    }
-
-    if (config.elements.icon) {
-      tests += this.generateSaveIconTest(config, featureIndex);
-      featureIndex++;
-    }
-
-    if (config.elements.backgroundImage) {
-      tests += this.generateSaveBackgroundTest(config, featureIndex);
-      featureIndex++;
-    }
-
-    if (config.elements.price) {
-      tests += this.generateSavePriceTest(config, featureIndex);
-      featureIndex++;
-    }
-
-    if (config.elements.cta) {
-      tests += this.generateSaveCTATest(config, featureIndex);
-      featureIndex++;
-    }
-
-    return tests;
-  }
-
-  /**
-   * @param {CardConfig} config
-   * @param {number} featureIndex
-   * @returns {string}
-   */
-  generateSaveTitleTest(config, featureIndex) {
-    const cardVariable = getCardVariable(config.cardType);
-
-    return `
-    // @studio-${config.cardType}-save-edited-title - Validate saving card after editing card title
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
-        setTestPage(testPage);
-        let clonedCard;
-
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Clone card and open editor', async () => {
-            await studio.cloneCard(data.cardid);
-            clonedCard = await studio.getCard(data.cardid, 'cloned');
-            clonedCardID = await clonedCard
-                .locator('aem-fragment')
-                .getAttribute('fragment');
-            data.clonedCardID = await clonedCardID;
-            await expect(await clonedCard).toBeVisible();
-            await clonedCard.dblclick();
-            ${WaitHelpers.editorOpenWait()}
-        });
-
-        await test.step('step-3: Edit title and save card', async () => {
-            await expect(await editor.title).toBeVisible();
-            await expect(await editor.title).toHaveValue(data.title);
-            await editor.title.fill(data.newTitle);
-            await studio.saveCard();
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SAVE_OPERATION});
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-        });
-
-        await test.step('step-4: Validate edited card title', async () => {
-            await expect(await editor.title).toHaveValue(data.newTitle);
-            await expect(
-                await clonedCard.locator(${cardVariable}.cardTitle),
-            ).toHaveText(data.newTitle);
-        });
-    });
-`;
-  }
-
-  /**
-   * @param {CardConfig} config
-   * @param {number} featureIndex
-   * @returns {string}
-   */
-  generateSaveEyebrowTest(config, featureIndex) {
-    const cardVariable = getCardVariable(config.cardType);
-
-    return `
-    // @studio-${config.cardType}-save-edited-eyebrow - Validate saving card after editing card eyebrow
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
-        setTestPage(testPage);
-        let clonedCard;
-
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Clone card and open editor', async () => {
-            await studio.cloneCard(data.cardid);
-            clonedCard = await studio.getCard(data.cardid, 'cloned');
-            clonedCardID = await clonedCard
-                .locator('aem-fragment')
-                .getAttribute('fragment');
-            data.clonedCardID = await clonedCardID;
-            await expect(await clonedCard).toBeVisible();
-            await clonedCard.dblclick();
-            ${WaitHelpers.editorOpenWait()}
-        });
-
-        await test.step('step-3: Edit eyebrow and save card', async () => {
-            await expect(await editor.subtitle).toBeVisible();
-            await expect(await editor.subtitle).toHaveValue(data.subtitle);
-            await editor.subtitle.fill(data.newSubtitle);
-            await studio.saveCard();
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SAVE_OPERATION});
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-        });
-
-        await test.step('step-4: Validate edited card eyebrow', async () => {
-            await expect(await editor.subtitle).toHaveValue(data.newSubtitle);
-            await expect(
-                await clonedCard.locator(${cardVariable}.cardEyebrow),
-            ).toHaveText(data.newSubtitle);
-        });
-    });
-`;
-  }
-
-  /**
-   * @param {CardConfig} config
-   * @param {number} featureIndex
-   * @returns {string}
-   */
-  generateSaveDescriptionTest(config, featureIndex) {
-    const cardVariable = getCardVariable(config.cardType);
-
-    return `
-    // @studio-${config.cardType}-save-edited-description - Validate saving card after editing card description
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
-        setTestPage(testPage);
-        let clonedCard;
-
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Clone card and open editor', async () => {
-            await studio.cloneCard(data.cardid);
-            clonedCard = await studio.getCard(data.cardid, 'cloned');
-            clonedCardID = await clonedCard
-                .locator('aem-fragment')
-                .getAttribute('fragment');
-            data.clonedCardID = await clonedCardID;
-            await expect(await clonedCard).toBeVisible();
-            await clonedCard.dblclick();
-            ${WaitHelpers.editorOpenWait()}
-        });
-
-        await test.step('step-3: Edit description and save card', async () => {
-            await expect(await editor.description).toBeVisible();
-            await expect(await editor.description).toContainText(
-                data.description,
-            );
-            await editor.description.fill(data.newDescription);
-            await studio.saveCard();
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SAVE_OPERATION});
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-        });
-
-        await test.step('step-4: Validate edited card description', async () => {
-            await expect(await editor.description).toContainText(
-                data.newDescription,
-            );
-            await expect(
-                await clonedCard.locator(${cardVariable}.cardDescription),
-            ).toHaveText(data.newDescription);
-        });
-    });
-`;
-  }
-
-  /**
-   * @param {CardConfig} config
-   * @param {number} featureIndex
-   * @returns {string}
-   */
-  generateSaveIconTest(config, featureIndex) {
-    const cardVariable = getCardVariable(config.cardType);
-
-    return `
-    // @studio-${config.cardType}-save-edited-mnemonic - Validate saving card after editing card mnemonic
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
-        setTestPage(testPage);
-        let clonedCard;
-
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Clone card and open editor', async () => {
-            await studio.cloneCard(data.cardid);
-            clonedCard = await studio.getCard(data.cardid, 'cloned');
-            clonedCardID = await clonedCard
-                .locator('aem-fragment')
-                .getAttribute('fragment');
-            data.clonedCardID = await clonedCardID;
-            await expect(await clonedCard).toBeVisible();
-            await clonedCard.dblclick();
-            ${WaitHelpers.editorOpenWait()}
-        });
-
-        await test.step('step-3: Edit mnemonic and save card', async () => {
-            await expect(await editor.iconURL).toBeVisible();
-            await expect(await editor.iconURL).toHaveValue(data.iconURL);
-            await editor.iconURL.fill(data.newIconURL);
-            await studio.saveCard();
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SAVE_OPERATION});
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-        });
+  generateFeatureTest(config, featureName, featureIndex, renderTest) {
+    if (!isMatrixSuite(config)) {
+      return renderTest(`features[${featureIndex}]`);
+    }
 
-        await test.step('step-4: Validate edited card mnemonic', async () => {
-            await expect(await editor.iconURL).toHaveValue(data.newIconURL);
-            await expect(
-                await clonedCard.locator(${cardVariable}.cardIcon),
-            ).toHaveAttribute('src', data.newIconURL);
-        });
-    });
+    const test = renderTest('feature').replace(/^(?=.)/gm, '    ');
+    return `
+    for (const feature of features.filter(({ name, card, locale }) => name === ['@studio-${config.cardType}-${featureName}', card, locale].filter(Boolean).join('-'))) {${test}    }
 `;
   }
 
   /**
+   * Generate the CSS test, plus one test per breakpoint in config.breakpointCss
    * @param {CardConfig} config
-   * @param {number} featureIndex
    * @returns {string}
    */
-  generateSaveBackgroundTest(config, featureIndex) {
-    return `
-    // @studio-${config.cardType}-save-edited-image - Validate saving card after editing card background image
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
-        setTestPage(testPage);
-        let clonedCard;
-
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Clone card and open editor', async () => {
-            await studio.cloneCard(data.cardid);
-            clonedCard = await studio.getCard(data.cardid, 'cloned');
-            clonedCardID = await clonedCard
-                .locator('aem-fragment')
-                .getAttribute('fragment');
-            data.clonedCardID = await clonedCardID;
-            await expect(await clonedCard).toBeVisible();
-            await clonedCard.dblclick();
-            ${WaitHelpers.editorOpenWait()}
-        });
-
-        await test.step('step-3: Edit fields and save card', async () => {
-            await expect(await editor.backgroundImage).toBeVisible();
-            await expect(await editor.backgroundImage).toHaveValue('');
-            await editor.backgroundImage.fill(data.newBackgroundURL);
-            await studio.saveCard();
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SAVE_OPERATION});
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-        });
+  generateCSSTests(config) {
+    const breakpoints = getCSSBreakpoints(config);
 
-        await test.step('step-4: Validate edited card image', async () => {
-            await expect(await editor.backgroundImage).toHaveValue(
-                data.newBackgroundURL,
-            );
-            await expect(await clonedCard).toHaveAttribute(
-                'background-image',
-                data.newBackgroundURL,
-            );
-        });
-    });
-`;
+    return [null, ...breakpoints].map((breakpoint, featureIndex) => this.generateFeatureTest(
+      config,
+      breakpoint ? `css-${breakpoint.name}` : 'css',
+      featureIndex,
+      feature => this.generateCSSTest(config, feature, breakpoint)
+    )).join('');
   }
 
   /**
    * @param {CardConfig} config
-   * @param {number} featureIndex
+   * @param {string} feature - Expression of the spec feature, e.g. 'features[0]'
+   * @param {import('../utils/breakpoints.js').Breakpoint | null} [breakpoint] - Viewport to validate
+   *   cssPropByBreakpoint at, or null for cssProp at the default viewport
    * @returns {string}
    */
-  generateSavePriceTest(config, featureIndex) {
+  generateCSSTest(config, feature, breakpoint = null) {
     const cardVariable = getCardVariable(config.cardType);
+    const elementNames = this.getCSSElementNames(config, breakpoint);
+    const validationLabels = generateValidationLabels(Object.fromEntries(elementNames.map(name => [name, config.elements[name]])));
+    const cssProp = breakpoint ? `${cardVariable}.cssPropByBreakpoint.${breakpoint.name}` : `${cardVariable}.cssProp`;
+    const validationSteps = this.generateCSSValidationSteps(config, cardVariable, cssProp, elementNames);
+    const description = breakpoint
+      ? `Validate CSS properties for ${config.cardType} card at the ${breakpoint.name} breakpoint (${breakpoint.width}x${breakpoint.height})`
+      : `Validate all CSS properties for ${config.cardType} card in parallel`;
+    const setViewport = breakpoint ? `\n            await page.setViewportSize(${feature}.viewport);` : '';
+    const label = `${config.cardType.charAt(0).toUpperCase() + config.cardType.slice(1)} card${breakpoint ? ` ${breakpoint.name}` : ''}`;
 
     return `
-    // @studio-${config.cardType}-save-edited-price - Validate saving card after editing card price
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
+    // @studio-${config.cardType}-css${breakpoint ? `-${breakpoint.name}` : ''} - ${description}
+    test(\`\${${feature}.name},\${${feature}.tags}\`, async ({ page, baseURL }) => {
+        const { data } = ${feature};
+        const testPage = \`\${baseURL}\${${feature}.path}\${miloLibs}\${${feature}.browserParams}\${data.cardid}\`;
+        const ${cardVariable}Card = await studio.getCard(data.cardid);
         setTestPage(testPage);
-        let clonedCard;
 
-        await test.step('step-1: Go to MAS Studio test page', async () => {
+        const validationLabels = ${JSON.stringify(validationLabels)};
+
+        await test.step('step-1: Go to MAS Studio test page', async () => {${setViewport}
             await page.goto(testPage);
             await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
         });
 
-        await test.step('step-2: Clone card and open editor', async () => {
-            await studio.cloneCard(data.cardid);
-            clonedCard = await studio.getCard(data.cardid, 'cloned');
-            clonedCardID = await clonedCard
-                .locator('aem-fragment')
-                .getAttribute('fragment');
-            data.clonedCardID = await clonedCardID;
-            await expect(await clonedCard).toBeVisible();
-            await clonedCard.dblclick();
-            ${WaitHelpers.editorOpenWait()}
+        await test.step('step-2: Validate ${config.cardType} card is visible', async () => {
+            await expect(${cardVariable}Card).toBeVisible();
         });
 
-        await test.step('step-3: Edit price and save card', async () => {
-            await expect(await editor.prices).toBeVisible();
-            await expect(await editor.prices).toContainText(data.price);
-            await expect(await editor.prices).toContainText(
-                data.strikethroughPrice,
-            );
-            await studio.saveCard();
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SAVE_OPERATION});
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-        });
+        await test.step('step-3: Validate all CSS properties in parallel', async () => {
+            const results = await Promise.allSettled([
+${validationSteps}
+            ]);
+
+            // Check results and report any failures
+            const failures = results
+                .map((result, index) => ({ result, index }))
+                .filter(({ result }) => result.status === 'rejected')
+                .map(({ result, index }) => \`🔍 Validation-\${index + 1} (\${validationLabels[index]}) failed: \${result.reason}\`);
 
-        await test.step('step-4: Validate edited card price', async () => {
-            await expect(await editor.prices).toContainText(data.price);
-            await expect(await editor.prices).toContainText(
-                data.strikethroughPrice,
-            );
-            await expect(
-                await clonedCard.locator(${cardVariable}.cardPrice),
-            ).toContainText(data.price);
+            if (failures.length > 0) {
+                throw new Error(\`\\x1b[31m✘\\x1b[0m ${label} CSS validation failures:\\n\${failures.join('\\n')}\`);
+            }
         });
     });
 `;
   }
 
   /**
+   * Screenshot comparison of the card against its baseline, with the dynamic
+   * elements of the element registry and config.visualMask masked
    * @param {CardConfig} config
-   * @param {number} featureIndex
+   * @param {string} feature - Expression of the spec feature, e.g. 'features[0]'
    * @returns {string}
    */
-  generateSaveCTATest(config, featureIndex) {
+  generateVisualTest(config, feature) {
     const cardVariable = getCardVariable(config.cardType);
+    const masks = [
+      ...Object.keys(config.elements)
+        .filter(elementName => getElement(elementName)?.dynamic)
+        .map(elementName => `${cardVariable}Card.locator(${cardVariable}.${this.camelCase(elementName)})`),
+      ...(config.visualMask || []).map(selector => `${cardVariable}Card.locator('${selector.replace(/'/g, '\\\'')}')`),
+    ];
+    const maskOption = masks.length > 0
+      ? `\n                mask: [\n${masks.map(mask => `                    ${mask},`).join('\n')}\n                ],`
+      : '';
 
     return `
-    // @studio-${config.cardType}-save-edited-cta-label - Validate saving card after editing CTA label
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
+    // @studio-${config.cardType}-visual - Compare the ${config.cardType} card with its baseline screenshot
+    test(\`\${${feature}.name},\${${feature}.tags}\`, async ({ page, baseURL }) => {
+        const { data } = ${feature};
+        const testPage = \`\${baseURL}\${${feature}.path}\${miloLibs}\${${feature}.browserParams}\${data.cardid}\`;
+        const ${cardVariable}Card = await studio.getCard(data.cardid);
         setTestPage(testPage);
-        let clonedCard;
 
         await test.step('step-1: Go to MAS Studio test page', async () => {
             await page.goto(testPage);
             await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Clone card and open editor', async () => {
-            await studio.cloneCard(data.cardid);
-            clonedCard = await studio.getCard(data.cardid, 'cloned');
-            clonedCardID = await clonedCard
-                .locator('aem-fragment')
-                .getAttribute('fragment');
-            data.clonedCardID = await clonedCardID;
-            await expect(await clonedCard).toBeVisible();
-            await clonedCard.dblclick();
-            ${WaitHelpers.editorOpenWait()}
         });
 
-        await test.step('step-3: Edit CTA and save card', async () => {
-            await expect(await editor.footer).toContainText(data.ctaText);
-            await editor.CTA.click();
-            await editor.footer.locator(editor.linkEdit).click();
-            await editor.linkText.fill(data.newCtaText);
-            await editor.linkSave.click();
-            await studio.saveCard();
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SAVE_OPERATION});
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
+        await test.step('step-2: Validate ${config.cardType} card is visible', async () => {
+            await expect(${cardVariable}Card).toBeVisible();
         });
 
-        await test.step('step-4: Validate edited card CTA', async () => {
-            await expect(await editor.footer).toContainText(data.newCtaText);
-            await expect(
-                await clonedCard.locator(${cardVariable}.cardCTA),
-            ).toContainText(data.newCtaText);
+        await test.step('step-3: Compare ${config.cardType} card with the baseline', async () => {
+            await expect(${cardVariable}Card).toHaveScreenshot(${feature}.screenshot, {
+                animations: 'disabled',${maskOption}
+                maxDiffPixelRatio: 0.01,
+            });
         });
     });
 `;
   }
 
   /**
+   * Accessibility test of the card: an axe scan scoped to the card (minus the
+   * rules in the feature's a11yAllowRules), then CTA accessible names, heading
+   * order, price and eyebrow color contrast and keyboard focusability. The
+   * heading order, contrast and keyboard steps are left out when their axe rule
+   * (A11Y_STEP_RULES) is allowed for the card.
    * @param {CardConfig} config
+   * @param {string} feature - Expression of the spec feature, e.g. 'features[0]'
    * @returns {string}
    */
-  generateDiscardTests(config) {
-    let tests = '';
-    let featureIndex = 0;
-
-    if (config.elements.title) {
-      tests += this.generateDiscardTitleTest(config, featureIndex);
-      featureIndex++;
-    }
-
-    if (config.elements.eyebrow) {
-      tests += this.generateDiscardEyebrowTest(config, featureIndex);
-      featureIndex++;
-    }
-
-    if (config.elements.description) {
-      tests += this.generateDiscardDescriptionTest(config, featureIndex);
-      featureIndex++;
-    }
-
-    if (config.elements.icon) {
-      tests += this.generateDiscardIconTest(config, featureIndex);
-      featureIndex++;
-    }
+  generateA11yTest(config, feature) {
+    const cardVariable = getCardVariable(config.cardType);
+    const allowRules = getA11yAllowRules(config);
+    const isChecked = rule => !allowRules.includes(rule);
+    const contrastElements = ['price', 'eyebrow'].filter(elementName => config.elements[elementName]);
+    const steps = [
+      ['Go to MAS Studio test page', `            await page.goto(testPage);
+            await page.waitForLoadState('domcontentloaded');`],
+      [`Validate ${config.cardType} card is visible`, `            await expect(${cardVariable}Card).toBeVisible();
+            await ${cardVariable}Card.evaluate(card => card.setAttribute('data-nala-a11y', 'card'));`],
+      [`Run axe on the ${config.cardType} card`, `            const { violations } = await new AxeBuilder({ page })
+                .include('[data-nala-a11y="card"]')
+                .withTags([${A11Y_TAGS.map(tag => `'${tag}'`).join(', ')}])
+                .disableRules(${feature}.a11yAllowRules || [])
+                .analyze();
+            expect(violations.map(({ id, help, nodes }) => \`\${id}: \${help} (\${nodes.length})\`)).toEqual([]);`],
+    ];
 
-    if (config.elements.backgroundImage) {
-      tests += this.generateDiscardBackgroundTest(config, featureIndex);
-      featureIndex++;
+    if (config.elements.cta) {
+      steps.push([`Validate the ${config.cardType} CTAs have accessible names`, `            const ctas = await ${cardVariable}Card.locator(${cardVariable}.cta).all();
+            expect(ctas.length).toBeGreaterThan(0);
+            for (const cta of ctas) {
+                await expect(cta).toHaveAccessibleName(/\\S/);
+            }`]);
     }
 
-    if (config.elements.price) {
-      tests += this.generateDiscardPriceTest(config, featureIndex);
-      featureIndex++;
+    if (isChecked(A11Y_STEP_RULES.headingOrder)) {
+      steps.push([`Validate the heading order in the ${config.cardType} card`, `            const levels = await ${cardVariable}Card
+                .locator('h1, h2, h3, h4, h5, h6, [role="heading"][aria-level]')
+                .evaluateAll(headings => headings.map(heading => Number(heading.getAttribute('aria-level') || heading.tagName.slice(1))));
+            levels.slice(1).forEach((level, index) => {
+                expect(level - levels[index], \`h\${levels[index]} is followed by h\${level}\`).toBeLessThanOrEqual(1);
+            });`]);
     }
 
-    if (config.elements.cta) {
-      tests += this.generateDiscardCTATest(config, featureIndex);
-      featureIndex++;
+    if (contrastElements.length > 0 && isChecked(A11Y_STEP_RULES.colorContrast)) {
+      steps.push([`Validate the color contrast of the ${config.cardType} ${contrastElements.join(' and ')}`, `            for (const element of [${contrastElements.map(elementName => `${cardVariable}.${this.camelCase(elementName)}`).join(', ')}]) {
+                await ${cardVariable}Card.locator(element).evaluateAll(nodes => nodes.forEach(node => node.setAttribute('data-nala-a11y', 'contrast')));
+            }
+            const { violations } = await new AxeBuilder({ page })
+                .include('[data-nala-a11y="contrast"]')
+                .withRules(['color-contrast'])
+                .analyze();
+            expect(violations.flatMap(({ nodes }) => nodes.map(({ target, failureSummary }) => \`\${target}: \${failureSummary}\`))).toEqual([]);`]);
     }
 
-      return tests;
+    if (isChecked(A11Y_STEP_RULES.keyboard)) {
+      steps.push([`Validate the ${config.cardType} card is keyboard accessible`, `            const focusables = await ${cardVariable}Card.locator('a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])').all();
+            for (const focusable of focusables) {
+                if (!(await focusable.isVisible())) continue;
+                expect(await focusable.evaluate(node => node.tabIndex)).toBeGreaterThanOrEqual(0);
+                await focusable.focus();
+                await expect(focusable).toBeFocused();
+            }`]);
     }
 
-  /**
-   * @param {CardConfig} config
-   * @param {number} featureIndex
-   * @returns {string}
-   */
-  generateDiscardTitleTest(config, featureIndex) {
-    const cardVariable = getCardVariable(config.cardType);
-
     return `
-    // @studio-${config.cardType}-discard-edited-title - Validate discard edited title for ${config.cardType} card in mas studio
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
+    // @studio-${config.cardType}-a11y - Check the accessibility of the ${config.cardType} card
+    test(\`\${${feature}.name},\${${feature}.tags}\`, async ({ page, baseURL }) => {
+        const { data } = ${feature};
+        const testPage = \`\${baseURL}\${${feature}.path}\${miloLibs}\${${feature}.browserParams}\${data.cardid}\`;
+        const ${cardVariable}Card = await studio.getCard(data.cardid);
         setTestPage(testPage);
 
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Open card editor', async () => {
-            await expect(await studio.getCard(data.cardid)).toBeVisible();
-            await (await studio.getCard(data.cardid)).dblclick();
-            await expect(await editor.panel).toBeVisible();
-        });
-
-        await test.step('step-3: Edit title field', async () => {
-            await expect(await editor.title).toBeVisible();
-            await editor.title.fill(data.newTitle);
-        });
-
-        await test.step('step-4: Close the editor and verify discard is triggered', async () => {
-            await editor.closeEditor.click();
-            await expect(await studio.confirmationDialog).toBeVisible();
-            await studio.discardDialog.click();
-            await expect(await editor.panel).not.toBeVisible();
-        });
-
-        await test.step('step-5: Verify there is no changes of the card', async () => {
-            await expect(await ${cardVariable}.cardTitle).toHaveText(data.title);
-            await (await studio.getCard(data.cardid)).dblclick();
-            await expect(await editor.panel).toBeVisible();
-            await expect(await editor.title).toHaveValue(data.title);
-        });
+${steps.map(([title, body], index) => `        await test.step('step-${index + 1}: ${title}', async () => {
+${body}
+        });`).join('\n\n')}
     });
 `;
   }
 
   /**
+   * Analytics test of the card: the attributes of every node of each element
+   * with extracted `analytics` match the feature's expectations, where `true`
+   * only expects the attribute to be set
    * @param {CardConfig} config
-   * @param {number} featureIndex
    * @returns {string}
    */
-  generateDiscardEyebrowTest(config, featureIndex) {
+  generateAnalyticsTests(config) {
     const cardVariable = getCardVariable(config.cardType);
+    const elementNames = Object.keys(config.elements)
+      .filter(elementName => config.elements[elementName]?.analytics?.length > 0);
+    if (elementNames.length === 0) return '';
+
+    return this.generateFeatureTest(config, 'analytics', 0, feature => {
+      const steps = elementNames.map((elementName, index) => `
+        await test.step('step-${index + 3}: Validate ${config.cardType} ${getElement(elementName)?.label || elementName} analytics attributes', async () => {
+            const nodes = ${cardVariable}Card.locator(${cardVariable}.${this.camelCase(elementName)});
+            await expect(nodes).toHaveCount(${feature}.analytics.${elementName}.length);
+            for (const [index, attributes] of ${feature}.analytics.${elementName}.entries()) {
+                for (const [name, value] of Object.entries(attributes)) {
+                    await expect(nodes.nth(index)).toHaveAttribute(name, value === true ? /\\S/ : value);
+                }
+            }
+        });`).join('\n');
 
-    return `
-    // @studio-${config.cardType}-discard-edited-eyebrow - Validate discard edited eyebrow field for ${config.cardType} card in mas studio
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
+      return `
+    // @studio-${config.cardType}-analytics - Validate the analytics and checkout attributes of the ${config.cardType} card links
+    test(\`\${${feature}.name},\${${feature}.tags}\`, async ({ page, baseURL }) => {
+        const { data } = ${feature};
+        const testPage = \`\${baseURL}\${${feature}.path}\${miloLibs}\${${feature}.browserParams}\${data.cardid}\`;
+        const ${cardVariable}Card = await studio.getCard(data.cardid);
         setTestPage(testPage);
 
         await test.step('step-1: Go to MAS Studio test page', async () => {
             await page.goto(testPage);
             await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
         });
 
-        await test.step('step-2: Open card editor', async () => {
-            await expect(await studio.getCard(data.cardid)).toBeVisible();
-            await (await studio.getCard(data.cardid)).dblclick();
-            await expect(await editor.panel).toBeVisible();
-        });
-
-        await test.step('step-3: Edit eyebrow field', async () => {
-            await expect(await editor.subtitle).toBeVisible();
-            await editor.subtitle.fill(data.newSubtitle);
-        });
-
-        await test.step('step-4: Close the editor and verify discard is triggered', async () => {
-            await editor.closeEditor.click();
-            await expect(await studio.confirmationDialog).toBeVisible();
-            await studio.discardDialog.click();
-            await expect(await editor.panel).not.toBeVisible();
-        });
-
-        await test.step('step-5: Verify there is no changes of the card', async () => {
-            await expect(await ${cardVariable}.cardEyebrow).toHaveText(data.subtitle);
-            await (await studio.getCard(data.cardid)).dblclick();
-            await expect(await editor.panel).toBeVisible();
-            await expect(await editor.subtitle).toHaveValue(data.subtitle);
+        await test.step('step-2: Validate ${config.cardType} card is visible', async () => {
+            await expect(${cardVariable}Card).toBeVisible();
         });
+${steps}
     });
 `;
+    });
   }
 
   /**
+   * Checkout test of the card: every checkout link of each element with
+   * extracted `checkout` has the expected offer attributes, and resolves to
+   * the expected checkout URL and query parameters
    * @param {CardConfig} config
-   * @param {number} featureIndex
    * @returns {string}
    */
-  generateDiscardDescriptionTest(config, featureIndex) {
+  generateCheckoutTests(config) {
     const cardVariable = getCardVariable(config.cardType);
+    const elementNames = Object.keys(config.elements)
+      .filter(elementName => config.elements[elementName]?.checkout?.length > 0);
+    if (elementNames.length === 0) return '';
+
+    return this.generateFeatureTest(config, 'checkout', 0, feature => {
+      const steps = elementNames.map((elementName, index) => `
+        await test.step('step-${index + 3}: Validate ${config.cardType} ${getElement(elementName)?.label || elementName} checkout links', async () => {
+            const nodes = ${cardVariable}Card.locator(${cardVariable}.${this.camelCase(elementName)});
+            await expect(nodes).toHaveCount(${feature}.checkout.${elementName}.length);
+            for (const [index, { attributes, url, params }] of ${feature}.checkout.${elementName}.entries()) {
+                const link = nodes.nth(index);
+                for (const [name, value] of Object.entries(attributes)) {
+                    await expect(link).toHaveAttribute(name, value === true ? /\\S/ : value);
+                }
+                if (!url) continue;
+
+                // The checkout URL is set once the offer resolves
+                await expect(link).toHaveAttribute('href', /^https?:\\/\\//);
+                const checkoutUrl = new URL(await link.getAttribute('href'));
+                expect(\`\${checkoutUrl.origin}\${checkoutUrl.pathname}\`).toEqual(expected(url));
+                for (const [name, value] of Object.entries(params)) {
+                    expect(checkoutUrl.searchParams.get(name), \`checkout URL parameter \${name}\`).toEqual(expected(value));
+                }
+            }
+        });`).join('\n');
 
-    return `
-    // @studio-${config.cardType}-discard-edited-description - Validate discard edited description field for ${config.cardType} card in mas studio
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
+      return `
+    // @studio-${config.cardType}-checkout - Validate the offers and checkout URLs of the ${config.cardType} card
+    test(\`\${${feature}.name},\${${feature}.tags}\`, async ({ page, baseURL }) => {
+        const { data } = ${feature};
+        const testPage = \`\${baseURL}\${${feature}.path}\${miloLibs}\${${feature}.browserParams}\${data.cardid}\`;
+        const ${cardVariable}Card = await studio.getCard(data.cardid);
         setTestPage(testPage);
 
         await test.step('step-1: Go to MAS Studio test page', async () => {
             await page.goto(testPage);
             await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Open card editor', async () => {
-            await expect(await studio.getCard(data.cardid)).toBeVisible();
-            await (await studio.getCard(data.cardid)).dblclick();
-            await expect(await editor.panel).toBeVisible();
-        });
-
-        await test.step('step-3: Edit description field', async () => {
-            await expect(await editor.description).toBeVisible();
-            await editor.description.fill(data.newDescription);
-        });
-
-        await test.step('step-4: Close the editor and verify discard is triggered', async () => {
-            await editor.closeEditor.click();
-            await expect(await studio.confirmationDialog).toBeVisible();
-            await studio.discardDialog.click();
-            await expect(await editor.panel).not.toBeVisible();
         });
 
-        await test.step('step-5: Verify there is no changes of the card', async () => {
-            await expect(await ${cardVariable}.cardDescription).toContainText(
-                data.description,
-            );
-            await (await studio.getCard(data.cardid)).dblclick();
-            await expect(await editor.panel).toBeVisible();
-            await expect(await editor.description).toContainText(
-                data.description,
-            );
+        await test.step('step-2: Validate ${config.cardType} card is visible', async () => {
+            await expect(${cardVariable}Card).toBeVisible();
         });
+${steps}
     });
 `;
+    });
   }
 
   /**
+   * Price test of the card: every inline price has the expected display
+   * options, renders a formatted amount with the locale's tax label, and each
+   * strikethrough price is paired with a lower discounted price next to it
    * @param {CardConfig} config
-   * @param {number} featureIndex
    * @returns {string}
+   * @throws {Error} When the config has no extracted prices
    */
-  generateDiscardIconTest(config, featureIndex) {
+  generatePriceTests(config) {
+    if (!config.prices?.length) {
+      throw new Error(`No prices in the ${config.cardType} card config: extract the card with its inline prices before generating price tests`);
+    }
+
     const cardVariable = getCardVariable(config.cardType);
+    const hasStrikethrough = config.prices.some(price => price.strikethrough);
+
+    return this.generateFeatureTest(config, 'price', 0, feature => {
+      const priceVisible = config.elements.price
+        ? `\n            await expect(${cardVariable}Card.locator(${cardVariable}.price)).toBeVisible();`
+        : '';
+      const strikethroughVisible = config.elements.strikethroughPrice
+        ? `\n            await expect(${cardVariable}Card.locator(${cardVariable}.strikethroughPrice)).toBeVisible();`
+        : '';
+      const strikethroughStep = hasStrikethrough ? `
+
+        await test.step('step-4: Validate ${config.cardType} card strikethrough and discounted prices', async () => {${strikethroughVisible}
+            const amounts = await prices.evaluateAll((nodes) => nodes.map((node) => {
+                const integer = node.querySelector('.price-integer')?.textContent || '';
+                const decimals = node.querySelector('.price-decimals')?.textContent || '';
+                return Number(\`\${integer.replace(/\\D/g, '')}.\${decimals.replace(/\\D/g, '') || 0}\`);
+            }));
+            for (const [index, { strikethrough }] of ${feature}.prices.entries()) {
+                if (!strikethrough) continue;
+
+                // The discounted price is rendered next to its strikethrough price
+                const discounted = [index + 1, index - 1]
+                    .find((candidate) => ${feature}.prices[candidate] && !${feature}.prices[candidate].strikethrough);
+                expect(discounted, \`discounted price of strikethrough price \${index}\`).toBeDefined();
+                expect(amounts[discounted]).toBeLessThan(amounts[index]);
+            }
+        });` : '';
 
-    return `
-    // @studio-${config.cardType}-discard-edited-mnemonic - Validate discard edited mnemonic field for ${config.cardType} card in mas studio
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
+      return `
+    // @studio-${config.cardType}-price - Validate the price rendering of the ${config.cardType} card
+    test(\`\${${feature}.name},\${${feature}.tags}\`, async ({ page, baseURL }) => {
+        const { data } = ${feature};
+        const testPage = \`\${baseURL}\${${feature}.path}\${miloLibs}\${${feature}.browserParams}\${data.cardid}\`;
+        const ${cardVariable}Card = await studio.getCard(data.cardid);
+        const prices = ${cardVariable}Card.locator('span[is="inline-price"]');
         setTestPage(testPage);
 
         await test.step('step-1: Go to MAS Studio test page', async () => {
             await page.goto(testPage);
             await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Open card editor', async () => {
-            await expect(await studio.getCard(data.cardid)).toBeVisible();
-            await (await studio.getCard(data.cardid)).dblclick();
-            await expect(await editor.panel).toBeVisible();
         });
 
-        await test.step('step-3: Edit mnemonic field', async () => {
-            await expect(await editor.iconURL).toBeVisible();
-            await editor.iconURL.fill(data.newIconURL);
+        await test.step('step-2: Validate ${config.cardType} card is visible', async () => {
+            await expect(${cardVariable}Card).toBeVisible();
         });
 
-        await test.step('step-4: Close the editor and verify discard is triggered', async () => {
-            await editor.closeEditor.click();
-            await expect(await studio.confirmationDialog).toBeVisible();
-            await studio.discardDialog.click();
-            await expect(await editor.panel).not.toBeVisible();
-        });
+        await test.step('step-3: Validate ${config.cardType} card price formatting and tax labels', async () => {${priceVisible}
+            await expect(prices).toHaveCount(${feature}.prices.length);
+            for (const [index, { attributes, text, taxLabel }] of ${feature}.prices.entries()) {
+                const price = prices.nth(index);
+                for (const [name, value] of Object.entries(attributes)) {
+                    await expect(price).toHaveAttribute(name, value === true ? /\\S/ : value);
+                }
+                // Any rendered amount will do where the spec expects true
+                await expect(price).toHaveText(text === true ? /\\d/ : text);
+                if (!taxLabel) continue;
 
-        await test.step('step-5: Verify there is no changes of the card', async () => {
-            await expect(await ${cardVariable}.cardIcon).toHaveAttribute(
-                'src',
-                data.iconURL,
-            );
-            await (await studio.getCard(data.cardid)).dblclick();
-            await expect(await editor.panel).toBeVisible();
-            await expect(await editor.iconURL).toHaveValue(data.iconURL);
-        });
+                const expectedTaxLabel = taxLabel === true ? data.taxLabel || /\\S/ : taxLabel;
+                await expect(price.locator('.price-tax-inclusivity')).toHaveText(expectedTaxLabel);
+            }
+        });${strikethroughStep}
     });
 `;
+    });
   }
 
   /**
+   * Elements a CSS test validates: every configured element, or at a
+   * breakpoint the configured elements that have CSS for it
    * @param {CardConfig} config
-   * @param {number} featureIndex
-   * @returns {string}
+   * @param {import('../utils/breakpoints.js').Breakpoint | null} breakpoint
+   * @returns {string[]}
    */
-  generateDiscardBackgroundTest(config, featureIndex) {
-    return `
-    // @studio-${config.cardType}-discard-edited-background - Validate discard edited background field for ${config.cardType} card in mas studio
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
-        setTestPage(testPage);
-
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Open card editor', async () => {
-            await expect(await studio.getCard(data.cardid)).toBeVisible();
-            await (await studio.getCard(data.cardid)).dblclick();
-            await expect(await editor.panel).toBeVisible();
-        });
-
-        await test.step('step-3: Edit background field', async () => {
-            await expect(await editor.backgroundImage).toBeVisible();
-            await editor.backgroundImage.fill(data.newBackgroundURL);
-        });
+  getCSSElementNames(config, breakpoint) {
+    const elementNames = Object.keys(config.elements);
+    if (!breakpoint) return elementNames;
 
-        await test.step('step-4: Close the editor and verify discard is triggered', async () => {
-            await editor.closeEditor.click();
-            await expect(await studio.confirmationDialog).toBeVisible();
-            await studio.discardDialog.click();
-            await expect(await editor.panel).not.toBeVisible();
-        });
-
-        await test.step('step-5: Verify there is no changes of the card', async () => {
-            await expect(await studio.getCard(data.cardid)).not.toHaveAttribute(
-                'background-image',
-                data.newBackgroundURL,
-            );
-        });
-    });
-`;
+    const breakpointCss = config.breakpointCss[breakpoint.name];
+    return elementNames.filter(elementName => breakpointCss[elementName]);
   }
 
   /**
+   * Generate parallel CSS validation steps
    * @param {CardConfig} config
-   * @param {number} featureIndex
+   * @param {string} cardVariable
+   * @param {string} [cssProp] - Expression of the expected CSS map
+   * @param {string[]} [elementNames] - Elements to validate after the card
    * @returns {string}
    */
-  generateDiscardPriceTest(config, featureIndex) {
-    const cardVariable = getCardVariable(config.cardType);
-
-    return `
-    // @studio-${config.cardType}-discard-edited-price - Validate discard edited price field for ${config.cardType} card in mas studio
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
-        page,
-        baseURL,
-    }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
-        setTestPage(testPage);
+  generateCSSValidationSteps(config, cardVariable, cssProp = `${cardVariable}.cssProp`, elementNames = Object.keys(config.elements)) {
+    let steps = '';
+    let stepIndex = 1;
 
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
+    steps += `                // Card container CSS
+                test.step('Validation-${stepIndex}: Validate card container CSS', async () => {
+                    expect(await webUtil.verifyCSS(${cardVariable}Card, ${cssProp}.card)).toBeTruthy();
+                }),
+`;
+    stepIndex++;
 
-        await test.step('step-2: Open card editor', async () => {
-            await expect(await studio.getCard(data.cardid)).toBeVisible();
-            await (await studio.getCard(data.cardid)).dblclick();
-            await expect(await editor.panel).toBeVisible();
-        });
+    elementNames.forEach(elementName => {
+      const camelCaseName = this.camelCase(elementName);
+      const firstSelector = getElement(elementName)?.multiple ? '.first()' : '';
 
-        await test.step('step-3: Edit price field', async () => {
-            await expect(await editor.prices).toBeVisible();
-            await (await editor.prices.locator(editor.regularPrice)).dblclick();
-            await expect(await ost.price).toBeVisible();
-            await ost.unitCheckbox.click();
-            await ost.priceUse.click();
-        });
+      steps += `
+                // Card ${elementName} CSS
+                test.step('Validation-${stepIndex}: Validate card ${elementName} CSS', async () => {
+                    expect(await webUtil.verifyCSS(${cardVariable}Card.locator(${cardVariable}.${camelCaseName})${firstSelector}, ${cssProp}.${elementName})).toBeTruthy();
+                }),`;
+      stepIndex++;
+    });
 
-        await test.step('step-4: Close the editor and verify discard is triggered', async () => {
-            await editor.closeEditor.click();
-            await expect(await studio.confirmationDialog).toBeVisible();
-            await studio.discardDialog.click();
-            await expect(await editor.panel).not.toBeVisible();
-        });
+    return steps;
+  }
 
-        await test.step('step-5: Verify there is no changes of the card', async () => {
-            await expect(await ${cardVariable}.cardPrice).toContainText(data.price);
-            await expect(await ${cardVariable}.cardPrice).toContainText(
-                data.strikethroughPrice,
-            );
-        });
-    });
-`;
+  /**
+   * Generate edit, save or discard tests from the test templates, one per
+   * card element that has a template for the test type
+   * @param {CardConfig} config
+   * @param {TestType} testType
+   * @returns {string}
+   */
+  generateTemplatedTests(config, testType) {
+    return getTemplatedElements(testType, config.elements)
+      .map((elementName, featureIndex) => this.generateTemplatedTest(config, testType, elementName, featureIndex))
+      .join('');
   }
 
   /**
    * @param {CardConfig} config
+   * @param {TestType} testType
+   * @param {string} elementName
    * @param {number} featureIndex
    * @returns {string}
    */
-  generateDiscardCTATest(config, featureIndex) {
-    const cardVariable = getCardVariable(config.cardType);
-
-    return `
-    // @studio-${config.cardType}-discard-edited-cta-label - Validate discard edited CTA label for ${config.cardType} card in mas studio
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
+  generateTemplatedTest(config, testType, elementName, featureIndex) {
+    const template = renderTestTemplate(testType, elementName, {
+      cardType: config.cardType,
+      cardVariable: getCardVariable(config.cardType),
+      variantAttribute: getVariantAttribute(config.cardType),
+      featureIndex,
+    });
+    const setup = template.setup ? `\n${template.setup}` : '';
+    const steps = template.steps.map((step, index) => `        await test.step('step-${index + 1}: ${step.title}', async () => {
+${step.body}
+        });`).join('\n\n');
+
+    return this.generateFeatureTest(config, `${testType}-${template.feature}`, featureIndex, feature => `
+    // @studio-${config.cardType}-${testType}-${template.feature} - ${template.description}
+    test(\`\${${feature}.name},\${${feature}.tags}\`, async ({
         page,
         baseURL,
     }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
-        setTestPage(testPage);
-
-        await test.step('step-1: Go to MAS Studio test page', async () => {
-            await page.goto(testPage);
-            await page.waitForLoadState('domcontentloaded');
-            await page.waitForLoadState('networkidle', { timeout: ${WaitHelpers.TIMEOUTS.NETWORK_IDLE} });
-            await page.waitForTimeout(${WaitHelpers.TIMEOUTS.SHORT});
-        });
-
-        await test.step('step-2: Open card editor', async () => {
-            await expect(await studio.getCard(data.cardid)).toBeVisible();
-            await (await studio.getCard(data.cardid)).dblclick();
-            await expect(await editor.panel).toBeVisible();
-        });
+        const { data } = ${feature};
+        const testPage = \`\${baseURL}\${${feature}.path}\${miloLibs}\${${feature}.browserParams}\${data.cardid}\`;
+        setTestPage(testPage);${setup}
 
-        await test.step('step-3: Edit CTA label', async () => {
-            await expect(await editor.footer).toContainText(data.ctaText);
-            await editor.CTA.click();
-            await editor.footer.locator(editor.linkEdit).click();
-            await editor.linkText.fill(data.newCtaText);
-        });
-
-        await test.step('step-4: Close the editor and verify discard is triggered', async () => {
-            await editor.closeEditor.click();
-            await expect(await studio.confirmationDialog).toBeVisible();
-            await studio.discardDialog.click();
-            await expect(await editor.panel).not.toBeVisible();
-        });
-
-        await test.step('step-5: Verify there is no changes of the card', async () => {
-            await expect(await ${cardVariable}.cardCTA).toContainText(data.ctaText);
-            await (await studio.getCard(data.cardid)).dblclick();
-            await expect(await editor.panel).toBeVisible();
-            await expect(await editor.footer).toContainText(data.ctaText);
-        });
+${steps}
     });
-`;
+`);
   }
 
   /**
@@ -1560,14 +636,14 @@ ${validationSteps}
   generateFunctionalTest(config, featureIndex, elementName, interactionType) {
     const cardVariable = getCardVariable(config.cardType);
 
-    return `
+    return this.generateFeatureTest(config, `${interactionType}-${elementName}`, featureIndex, feature => `
     // @studio-${config.cardType}-${interactionType}-${elementName} - Test ${interactionType} interaction on ${elementName}
-    test(\`\${features[${featureIndex}].name},\${features[${featureIndex}].tags}\`, async ({
+    test(\`\${${feature}.name},\${${feature}.tags}\`, async ({
         page,
         baseURL,
     }) => {
-        const { data } = features[${featureIndex}];
-        const testPage = \`\${baseURL}\${features[${featureIndex}].path}\${miloLibs}\${features[${featureIndex}].browserParams}\${data.cardid}\`;
+        const { data } = ${feature};
+        const testPage = \`\${baseURL}\${${feature}.path}\${miloLibs}\${${feature}.browserParams}\${data.cardid}\`;
         const ${cardVariable}Card = await studio.getCard(data.cardid);
         setTestPage(testPage);
 
@@ -1583,7 +659,7 @@ ${validationSteps}
             await ${cardVariable}Card.locator(${cardVariable}.${this.camelCase(elementName)}).${this.getPlaywrightAction(interactionType)}();
         });
     });
-`;
+`);
   }
 
   /**
@@ -1616,10 +692,7 @@ ${validationSteps}
    * @returns {string}
    */
   generateClassName(cardType) {
-    const words = cardType.split('-').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1)
-    );
-    return `CCD${words.join('')}`;
+    return getCardClassName(cardType);
   }
 
   /**
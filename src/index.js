@@ -9,22 +9,54 @@ import { TestGenerator } from './generators/test-generator.js';
 import { CardExtractor } from './generators/card-extractor.js';
 import { SnapshotAnalyzer } from './integrations/snapshot-analyzer.js';
 import { SmartLocatorGenerator } from './generators/smart-locator-generator.js';
-import { initializeRegistry, isValidVariant } from './utils/variant-registry.js';
+import { initializeRegistry, isValidVariant, getUnsupportedElements } from './utils/variant-registry.js';
+import { getVariantAttribute } from './utils/mas-test-integration.js';
+import { createElementsSchema } from './utils/element-registry.js';
 import {
   saveCompleteTestSuite,
+  writeToNALAStructure,
+  readFromNALAStructure,
   getFileSaveSummary,
+  formatFileWriteResults,
+  CONFLICT_POLICIES,
   getCardSurface,
   getNALADirectoryPath,
+  getNALAFilePath,
+  validatePath,
 } from './utils/file-output.js';
 import {
   runNALATest,
+  runPlaywrightTestFile,
   validateGeneratedFiles,
   runCompleteTestSuite,
   generateTestReport,
 } from './utils/test-runner.js';
+import {
+  listBaselines,
+  diffBaselines,
+  pruneBaselines,
+  formatBaselines,
+  getBaselineDir,
+} from './utils/visual-baselines.js';
+import { getTargetProjectRoot } from './config.js';
+import { TEST_TYPES } from './types.js';
 import { autoFixAllErrors } from './utils/error-fixer.js';
-import { join } from 'path';
-import { existsSync } from 'fs';
+import { formatReportMarkdown, getReportFailures } from './utils/playwright-report.js';
+import { mergePageObject } from './utils/page-object-merge.js';
+import {
+  readLocatorTelemetry,
+  summarizeLocatorTelemetry,
+  proposeLocatorPromotions,
+  resolveTelemetryFile,
+  getMatchRate,
+  DEFAULT_TELEMETRY_FILE,
+  LOCATOR_TELEMETRY_ENV,
+} from './utils/locator-telemetry.js';
+import { startFixtureServer, DEFAULT_FIXTURE_PORT } from './utils/fixture-server.js';
+import { buildVariantDriftReport, formatVariantDriftReport } from './utils/variant-drift.js';
+import { buildCoverageReport, formatCoverageReport, COVERAGE_FORMATS } from './utils/coverage-report.js';
+import { join, isAbsolute, relative } from 'path';
+import { existsSync, writeFileSync } from 'fs';
 import { runNALATestWithFixes } from './nala-test-runner.js';
 
 /**
@@ -32,189 +64,118 @@ import { runNALATestWithFixes } from './nala-test-runner.js';
  * @typedef {import('./types.js').TestType} TestType
  */
 
+const DryRunSchema = z
+  .boolean()
+  .optional()
+  .describe(
+    'Preview only: return a unified diff against the existing files instead of writing them (default: false)'
+  );
+
+const ConflictPolicySchema = z
+  .enum(CONFLICT_POLICIES)
+  .optional()
+  .describe(
+    'What to do when a file already exists: overwrite, skip, write-alongside (<name>.generated.js) or merge (page objects only, which keeps hand-written members; other files are written alongside) (default: overwrite; card page objects default to merge)'
+  );
+
+const LocalesSchema = z
+  .array(
+    z.union([
+      z.string(),
+      z.object({
+        code: z.string().describe('Locale code used in feature names and tags, e.g. "ch_fr"'),
+        prefix: z.string().optional().describe('Path prefix (default: /<code>, none for "us")'),
+        geo: z.string().optional().describe('Geo the locale is routed from; adds a @geo-<geo> tag'),
+      }),
+    ])
+  )
+  .optional()
+  .describe('Locales to expand every feature into, e.g. ["us", "de", "jp"]');
+
+const LocaleDataSchema = z
+  .union([z.string(), z.record(z.record(z.any()))])
+  .optional()
+  .describe('Expected data per locale, or the path of a JSON file with it (relative to the project root)');
+
+const BreakpointsSchema = z
+  .array(z.string())
+  .optional()
+  .describe('Also extract the CSS at these breakpoints (mobile, tablet, desktop, wide or from .nala-mcp.json)');
+
+// Test file and run options shared by the visual baseline tools
+const VisualTestShape = {
+  cardType: z
+    .string()
+    .refine(val => isValidVariant(val), { message: 'Invalid card type' })
+    .optional()
+    .describe('MAS card type whose <cardType>_visual.test.js to run'),
+  testFile: z
+    .string()
+    .optional()
+    .describe('Visual test file relative to the project root, e.g. for Milo blocks (overrides cardType)'),
+  grep: z.string().optional().describe('Only run the tests whose title matches'),
+  headless: z.boolean().optional().describe('Run browser in headless mode (default: true)'),
+  browser: z
+    .enum(['chromium', 'firefox', 'webkit'])
+    .optional()
+    .describe('Browser to use (default: chromium)'),
+  project: z
+    .string()
+    .optional()
+    .describe('Playwright project; baselines are stored per project (default: mas-live-<browser>)'),
+  timeout: z.number().optional().describe('Test timeout in milliseconds (default: 30000)'),
+};
+
 const CardConfigSchema = z.object({
   cardType: z.string().refine(val => isValidVariant(val), {
     message: 'Invalid card type'
   }),
   cardId: z.string(),
-  testSuite: z.string(),
-  elements: z.object({
-    title: z
-      .object({
-        selector: z.string(),
-        expectedText: z.string().optional(),
-        expectedValue: z.string().optional(),
-        expectedAttribute: z.string().optional(),
-        cssProperties: z.record(z.string()).optional(),
-        interactions: z
-          .array(
-            z.object({
-              type: z.enum(['click', 'hover', 'type', 'select', 'edit']),
-              value: z.string().optional(),
-              waitFor: z.string().optional(),
-              expectedResult: z.string().optional(),
-            })
-          )
-          .optional(),
-      })
-      .optional(),
-    eyebrow: z
-      .object({
-        selector: z.string(),
-        expectedText: z.string().optional(),
-        expectedValue: z.string().optional(),
-        expectedAttribute: z.string().optional(),
-        cssProperties: z.record(z.string()).optional(),
-        interactions: z
-          .array(
-            z.object({
-              type: z.enum(['click', 'hover', 'type', 'select', 'edit']),
-              value: z.string().optional(),
-              waitFor: z.string().optional(),
-              expectedResult: z.string().optional(),
-            })
-          )
-          .optional(),
-      })
-      .optional(),
-    description: z
-      .object({
-        selector: z.string(),
-        expectedText: z.string().optional(),
-        expectedValue: z.string().optional(),
-        expectedAttribute: z.string().optional(),
-        cssProperties: z.record(z.string()).optional(),
-        interactions: z
-          .array(
-            z.object({
-              type: z.enum(['click', 'hover', 'type', 'select', 'edit']),
-              value: z.string().optional(),
-              waitFor: z.string().optional(),
-              expectedResult: z.string().optional(),
-            })
-          )
-          .optional(),
-      })
-      .optional(),
-    price: z
-      .object({
-        selector: z.string(),
-        expectedText: z.string().optional(),
-        expectedValue: z.string().optional(),
-        expectedAttribute: z.string().optional(),
-        cssProperties: z.record(z.string()).optional(),
-        interactions: z
-          .array(
-            z.object({
-              type: z.enum(['click', 'hover', 'type', 'select', 'edit']),
-              value: z.string().optional(),
-              waitFor: z.string().optional(),
-              expectedResult: z.string().optional(),
-            })
-          )
-          .optional(),
-      })
-      .optional(),
-    strikethroughPrice: z
-      .object({
-        selector: z.string(),
-        expectedText: z.string().optional(),
-        expectedValue: z.string().optional(),
-        expectedAttribute: z.string().optional(),
-        cssProperties: z.record(z.string()).optional(),
-        interactions: z
-          .array(
-            z.object({
-              type: z.enum(['click', 'hover', 'type', 'select', 'edit']),
-              value: z.string().optional(),
-              waitFor: z.string().optional(),
-              expectedResult: z.string().optional(),
-            })
-          )
-          .optional(),
-      })
-      .optional(),
-    cta: z
-      .object({
-        selector: z.string(),
-        expectedText: z.string().optional(),
-        expectedValue: z.string().optional(),
-        expectedAttribute: z.string().optional(),
-        cssProperties: z.record(z.string()).optional(),
-        interactions: z
-          .array(
-            z.object({
-              type: z.enum(['click', 'hover', 'type', 'select', 'edit']),
-              value: z.string().optional(),
-              waitFor: z.string().optional(),
-              expectedResult: z.string().optional(),
-            })
-          )
-          .optional(),
-      })
-      .optional(),
-    icon: z
-      .object({
-        selector: z.string(),
-        expectedText: z.string().optional(),
-        expectedValue: z.string().optional(),
-        expectedAttribute: z.string().optional(),
-        cssProperties: z.record(z.string()).optional(),
-        interactions: z
-          .array(
-            z.object({
-              type: z.enum(['click', 'hover', 'type', 'select', 'edit']),
-              value: z.string().optional(),
-              waitFor: z.string().optional(),
-              expectedResult: z.string().optional(),
-            })
-          )
-          .optional(),
-      })
-      .optional(),
-    legalLink: z
-      .object({
-        selector: z.string(),
-        expectedText: z.string().optional(),
-        expectedValue: z.string().optional(),
-        expectedAttribute: z.string().optional(),
-        cssProperties: z.record(z.string()).optional(),
-        interactions: z
-          .array(
-            z.object({
-              type: z.enum(['click', 'hover', 'type', 'select', 'edit']),
-              value: z.string().optional(),
-              waitFor: z.string().optional(),
-              expectedResult: z.string().optional(),
-            })
-          )
-          .optional(),
-      })
-      .optional(),
-    backgroundImage: z
-      .object({
-        selector: z.string(),
-        expectedText: z.string().optional(),
-        expectedValue: z.string().optional(),
-        expectedAttribute: z.string().optional(),
-        cssProperties: z.record(z.string()).optional(),
-        interactions: z
-          .array(
-            z.object({
-              type: z.enum(['click', 'hover', 'type', 'select', 'edit']),
-              value: z.string().optional(),
-              waitFor: z.string().optional(),
-              expectedResult: z.string().optional(),
-            })
-          )
-          .optional(),
+  cards: z
+    .array(
+      z.object({
+        cardId: z.string(),
+        label: z
+          .string()
+          .optional()
+          .describe('Suffix of the feature names for this card, e.g. "jp" (default: card-<n>)'),
+        data: z
+          .record(z.string())
+          .optional()
+          .describe('Expected data for this card, merged over the generated feature data'),
       })
-      .optional(),
-  }),
+    )
+    .optional()
+    .describe('Cards covered by one spec, one feature per card (default: cardId only)'),
+  locales: LocalesSchema,
+  localeData: LocaleDataSchema,
+  testSuite: z.string(),
+  elements: createElementsSchema(),
   cssProperties: z.record(z.record(z.string())).optional(),
-  testTypes: z.array(
-    z.enum(['css', 'functional', 'edit', 'save', 'discard', 'interaction'])
-  ),
+  breakpointCss: z
+    .record(z.record(z.record(z.string())))
+    .optional()
+    .describe('Card and element CSS per breakpoint, e.g. { "mobile": { "card": {...}, "title": {...} } }'),
+  visualMask: z
+    .array(z.string())
+    .optional()
+    .describe('Extra selectors inside the card to mask in visual tests (prices are always masked)'),
+  prices: z
+    .array(
+      z.object({
+        attributes: z.record(z.string()),
+        text: z.string(),
+        taxLabel: z.string().optional(),
+        strikethrough: z.boolean().optional(),
+      })
+    )
+    .optional()
+    .describe('Inline prices of the card in page order, as extracted; price tests assert them'),
+  a11yAllowRules: z
+    .array(z.string())
+    .optional()
+    .describe('axe rule ids a11y tests do not fail on, in addition to the variant\'s rules in .nala-mcp.json'),
+  testTypes: z.array(z.enum(TEST_TYPES)),
   metadata: z
     .object({
       tags: z.array(z.string()).optional(),
@@ -237,6 +198,53 @@ const specGenerator = new SpecGenerator();
 const testGenerator = new TestGenerator();
 const cardExtractor = new CardExtractor();
 
+/**
+ * Read the spec file a generated spec replaces, so its features keep their tcids
+ * @param {string} cardType - Card type
+ * @param {TestType} testType - Test type of the spec
+ * @returns {string|null} Spec content, or null when there is none
+ */
+function readExistingSpec(cardType, testType) {
+  try {
+    return readFromNALAStructure(cardType, `${cardType}_${testType}.spec.js`, 'specs');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Test file a visual baseline tool works on
+ * @param {string} [cardType] - MAS card type; resolves to its <cardType>_visual.test.js
+ * @param {string} [testFile] - Test file path, relative to the project root
+ * @returns {string} Absolute test file path
+ * @throws {Error} When the test file is outside the project root
+ */
+function resolveVisualTestFile(cardType, testFile) {
+  if (testFile) {
+    const projectRoot = getTargetProjectRoot();
+    return validatePath(isAbsolute(testFile) ? testFile : join(projectRoot, testFile), projectRoot);
+  }
+  if (cardType) {
+    return getNALAFilePath(cardType, `${cardType}_visual.test.js`, 'tests');
+  }
+  throw new Error('Either cardType or testFile is required');
+}
+
+/**
+ * Warn about config elements the card's variant has no slots for
+ * @param {CardConfig} cardConfig
+ * @returns {string} Markdown note, or ''
+ */
+function formatVariantWarnings(cardConfig) {
+  const unsupported = getUnsupportedElements(
+    getVariantAttribute(cardConfig.cardType),
+    Object.keys(cardConfig.elements)
+  );
+  if (unsupported.length === 0) return '';
+
+  return `> ⚠️ The ${cardConfig.cardType} variant source has no slots for: ${unsupported.join(', ')}. Their locators will not match; remove them from the config.\n\n`;
+}
+
 // Initialize variant registry on server start
 (async () => {
   await initializeRegistry();
@@ -259,7 +267,7 @@ server.tool(
         content: [
           {
             type: 'text',
-            text: `Generated page object for ${cardConfig.cardType} card:\n\n\`\`\`javascript\n${pageObjectCode}\n\`\`\``,
+            text: `Generated page object for ${cardConfig.cardType} card:\n\n${formatVariantWarnings(cardConfig)}\`\`\`javascript\n${pageObjectCode}\n\`\`\``,
           },
         ],
       };
@@ -289,7 +297,9 @@ server.tool(
   async ({ config }) => {
     try {
       const cardConfig = /** @type {CardConfig} */ (config);
-      const specCode = specGenerator.generateSpecFile(cardConfig, 'css');
+      const specCode = specGenerator.generateSpecFile(cardConfig, 'css', {
+        existingSpec: readExistingSpec(cardConfig.cardType, 'css'),
+      });
 
       return {
         content: [
@@ -320,7 +330,7 @@ server.tool(
   {
     config: CardConfigSchema.describe('Card configuration'),
     testType: z
-      .enum(['css', 'functional', 'edit', 'save', 'discard', 'interaction'])
+      .enum(TEST_TYPES)
       .describe('Type of test to generate'),
   },
   async ({ config, testType }) => {
@@ -357,32 +367,55 @@ server.tool(
   'Generate a complete NALA test suite including page object, specs, and all test implementations',
   {
     config: CardConfigSchema.describe('Complete card configuration'),
+    dryRun: z
+      .boolean()
+      .optional()
+      .describe(
+        'Also return a unified diff against the files already in the NALA structure (default: false)'
+      ),
   },
-  async ({ config }) => {
+  async ({ config, dryRun = false }) => {
     try {
       const cardConfig = /** @type {CardConfig} */ (config);
 
       const pageObjectCode = pageObjectGenerator.generatePageObject(cardConfig);
-      const specCode = specGenerator.generateSpecFile(cardConfig, 'css');
 
-      const testFiles = {};
+      // Each test imports the spec of its own test type
+      const suiteFiles = {};
       for (const testType of cardConfig.testTypes) {
-        testFiles[testType] = testGenerator.generateTestFile(
-          cardConfig,
-          testType
-        );
+        suiteFiles[testType] = {
+          spec: specGenerator.generateSpecFile(cardConfig, testType, {
+            existingSpec: readExistingSpec(cardConfig.cardType, testType),
+          }),
+          test: testGenerator.generateTestFile(cardConfig, testType),
+        };
       }
 
       let result = `# Complete NALA Test Suite for ${cardConfig.cardType} Card\n\n`;
+      result += formatVariantWarnings(cardConfig);
 
       result += `## Page Object (${cardConfig.cardType}.page.js)\n\n\`\`\`javascript\n${pageObjectCode}\n\`\`\`\n\n`;
 
-      result += `## Test Specification (${cardConfig.cardType}_css.spec.js)\n\n\`\`\`javascript\n${specCode}\n\`\`\`\n\n`;
-
-      for (const [testType, testCode] of Object.entries(testFiles)) {
+      for (const [testType, { spec, test }] of Object.entries(suiteFiles)) {
+        result += `## ${testType.toUpperCase()} Test Specification (${
+          cardConfig.cardType
+        }_${testType}.spec.js)\n\n\`\`\`javascript\n${spec}\n\`\`\`\n\n`;
         result += `## ${testType.toUpperCase()} Test Implementation (${
           cardConfig.cardType
-        }_${testType}.test.js)\n\n\`\`\`javascript\n${testCode}\n\`\`\`\n\n`;
+        }_${testType}.test.js)\n\n\`\`\`javascript\n${test}\n\`\`\`\n\n`;
+      }
+
+      if (dryRun) {
+        const previewOptions = { dryRun: true };
+        const previews = Object.values(
+          saveCompleteTestSuite(cardConfig.cardType, { pageObject: pageObjectCode }, null, previewOptions).results
+        );
+        for (const [testType, files] of Object.entries(suiteFiles)) {
+          previews.push(
+            ...Object.values(saveCompleteTestSuite(cardConfig.cardType, files, testType, previewOptions).results)
+          );
+        }
+        result += `## Changes Preview (nothing written)\n\n${formatFileWriteResults(previews, { includeNewFiles: false })}\n`;
       }
 
       return {
@@ -632,10 +665,11 @@ server.tool(
       .string()
       .optional()
       .describe('Milolibs branch (e.g., \'MWPW-170520\')'),
+    breakpoints: BreakpointsSchema,
   },
-  async ({ cardId, branch = 'main', path, browserParams, milolibs }) => {
+  async ({ cardId, branch = 'main', path, browserParams, milolibs, breakpoints }) => {
     try {
-      const options = { path, browserParams, milolibs };
+      const options = { path, browserParams, milolibs, breakpoints };
       const playwrightScript = cardExtractor.generatePlaywrightExtractionScript(
         cardId,
         branch,
@@ -747,7 +781,9 @@ server.tool(
           cardExtractor.createConfigFromExtractedData(extractedData);
 
         const pageObjectCode = pageObjectGenerator.generatePageObject(config);
-        const specCode = specGenerator.generateSpecFile(config, 'css');
+        const specCode = specGenerator.generateSpecFile(config, 'css', {
+          existingSpec: readExistingSpec(config.cardType, 'css'),
+        });
 
         const testFiles = {};
         for (const testType of config.testTypes) {
@@ -820,6 +856,7 @@ server.tool(
       .boolean()
       .optional()
       .describe('Run browser in headless mode (default: true)'),
+    breakpoints: BreakpointsSchema,
   },
   async ({
     cardId,
@@ -828,6 +865,7 @@ server.tool(
     browserParams,
     milolibs,
     headless = true,
+    breakpoints = [],
   }) => {
     try {
       const { chromium } = await import('playwright');
@@ -929,7 +967,9 @@ server.tool(
         // Use dynamic extraction - auto-detect card type
         const result = await liveExtractor.extractActualCSSProperties(
           cardId,
-          milolibs
+          milolibs,
+          null,
+          { baseUrl: /^https?:\/\//.test(branch) ? baseUrl : undefined, headless, breakpoints }
         );
 
         if (result.error) {
@@ -937,6 +977,9 @@ server.tool(
         }
 
         const cssProps = liveExtractor.generateCSSPropertyObject(result);
+        const breakpointCss = liveExtractor.generateBreakpointCSSPropertyObject(result);
+        const analytics = liveExtractor.generateAnalyticsObject(result);
+        const checkout = liveExtractor.generateCheckoutObject(result);
         const detectedCardType = result.cardType || 'unknown';
 
         let response = '# Dynamically Extracted Card Properties\n\n';
@@ -952,6 +995,31 @@ server.tool(
           2
         )}\n\`\`\`\n\n`;
 
+        if (Object.keys(breakpointCss).length > 0) {
+          response += '## CSS Properties per Breakpoint\n\n';
+          response += 'Add this as `breakpointCss` to the card config to generate breakpoint CSS tests.\n\n';
+          response += `\`\`\`json\n${JSON.stringify(breakpointCss, null, 2)}\n\`\`\`\n\n`;
+        }
+
+        if (Object.keys(analytics).length > 0) {
+          response += '## Analytics Attributes\n\n';
+          response += 'Add these as `analytics` to the element configs to generate analytics tests.\n\n';
+          response += `\`\`\`json\n${JSON.stringify(analytics, null, 2)}\n\`\`\`\n\n`;
+        }
+
+        if (result.prices?.length > 0) {
+          response += '## Inline Prices\n\n';
+          response += 'Add this as `prices` to the card config to generate price tests.\n\n';
+          response += `\`\`\`json\n${JSON.stringify(result.prices, null, 2)}\n\`\`\`\n\n`;
+        }
+
+        if (Object.keys(checkout).length > 0) {
+          response += '## Checkout Links\n\n';
+          response += 'Add these as `checkout` to the element configs to generate checkout tests. ';
+          response += 'Remove the URL parameters that change between sessions.\n\n';
+          response += `\`\`\`json\n${JSON.stringify(checkout, null, 2)}\n\`\`\`\n\n`;
+        }
+
         response += '## Raw Extraction Data\n\n';
         response += `\`\`\`json\n${JSON.stringify(
           result,
@@ -1017,8 +1085,8 @@ server.tool(
   'Generate NALA tests for a specific test type with card ID and branch',
   {
     testType: z
-      .enum(['css', 'edit', 'save', 'discard'])
-      .describe('Type of test to generate (css, edit, save, discard)'),
+      .enum(['css', 'edit', 'save', 'discard', 'visual', 'a11y', 'analytics', 'checkout', 'price'])
+      .describe('Type of test to generate (css, edit, save, discard, visual, a11y, analytics, checkout, price)'),
     cardId: z
       .string()
       .describe('The ID of the merch card to generate tests for'),
@@ -1041,8 +1109,10 @@ server.tool(
       .describe(
         'Type of card (optional - will be auto-detected if not provided)'
       ),
+    dryRun: DryRunSchema,
+    conflict: ConflictPolicySchema,
   },
-  async ({ testType, cardId, branch, milolibs, cardType }) => {
+  async ({ testType, cardId, branch, milolibs, cardType, dryRun = false, conflict }) => {
     try {
       const cardExtractor = new CardExtractor();
       const pageObjectGenerator = new PageObjectGenerator();
@@ -1098,7 +1168,9 @@ server.tool(
 
       // Step 3: Generate the files
       const pageObject = pageObjectGenerator.generatePageObject(config);
-      const spec = specGenerator.generateSpecFile(config, testType);
+      const spec = specGenerator.generateSpecFile(config, testType, {
+        existingSpec: readExistingSpec(config.cardType, testType),
+      });
       const test = testGenerator.generateTestFile(config, testType);
 
       // Step 4: Save files to NALA structure
@@ -1109,8 +1181,12 @@ server.tool(
           spec,
           test,
         },
-        testType
+        testType,
+        { dryRun, conflict }
       );
+      const fileChanges = formatFileWriteResults(Object.values(savedFiles.results), {
+        includeNewFiles: false,
+      });
 
       const branchDetected = branch || 'main';
       const branchInfo =
@@ -1121,14 +1197,11 @@ server.tool(
         content: [
           {
             type: 'text',
-            text: `✅ Generated and saved ${testType} test files for card ${cardId}${branchInfo}
+            text: `${dryRun ? '🔍 Previewed' : '✅ Generated and saved'} ${testType} test files for card ${cardId}${branchInfo}
 
-📁 **Files saved to NALA structure (${fileSummary.surface} surface):**
-
-• **Page Object**: \`${savedFiles.pageObject}\`
-• **Test Spec**: \`${savedFiles.spec}\`  
-• **Test Implementation**: \`${savedFiles.test}\`
+📁 **Files ${dryRun ? 'that would be saved' : 'saved'} to NALA structure (${fileSummary.surface} surface):**
 
+${fileChanges}
 ## Generated Content:
 
 ### Page Object (${cardTypeDetected}.page.js)
@@ -1170,7 +1243,7 @@ server.tool(
       message: 'Invalid card type'
     }).describe('Type of card to validate'),
     testType: z
-      .enum(['css', 'edit', 'save', 'discard'])
+      .enum(['css', 'edit', 'save', 'discard', 'visual', 'a11y', 'analytics', 'checkout', 'price'])
       .describe('Type of test to validate'),
   },
   async ({ cardType, testType }) => {
@@ -1245,7 +1318,7 @@ server.tool(
       message: 'Invalid card type'
     }).describe('Type of card to test'),
     testType: z
-      .enum(['css', 'edit', 'save', 'discard'])
+      .enum(['css', 'edit', 'save', 'discard', 'visual', 'a11y', 'analytics', 'checkout', 'price'])
       .describe('Type of test to run'),
     headless: z
       .boolean()
@@ -1319,7 +1392,9 @@ server.tool(
         response += '\n';
       }
 
-      if (result.output && !dryRun) {
+      if (result.report) {
+        response += `## Test Results\n\n${formatReportMarkdown(result.report)}`;
+      } else if (result.output && !dryRun) {
         response += `## Test Output\n\n\`\`\`\n${result.output}\n\`\`\`\n`;
       }
 
@@ -1351,7 +1426,7 @@ server.tool(
   'Complete workflow: generate tests, validate, and execute them',
   {
     testType: z
-      .enum(['css', 'edit', 'save', 'discard'])
+      .enum(['css', 'edit', 'save', 'discard', 'visual', 'a11y', 'analytics', 'checkout', 'price'])
       .describe('Type of test to generate and run'),
     cardId: z.string().describe('The ID of the merch card'),
     cardType: z.string().refine(val => isValidVariant(val), {
@@ -1382,6 +1457,8 @@ server.tool(
       .describe(
         'Only validate generated files without running tests (default: false)'
       ),
+    dryRun: DryRunSchema,
+    conflict: ConflictPolicySchema,
   },
   async ({
     testType,
@@ -1393,6 +1470,8 @@ server.tool(
     browser = 'chromium',
     timeout = 30000,
     validateOnly = false,
+    dryRun = false,
+    conflict,
   }) => {
     try {
       const startTime = Date.now();
@@ -1430,7 +1509,9 @@ server.tool(
       };
 
       const pageObject = pageObjectGenerator.generatePageObject(config);
-      const spec = specGenerator.generateSpecFile(config, testType);
+      const spec = specGenerator.generateSpecFile(config, testType, {
+        existingSpec: readExistingSpec(config.cardType, testType),
+      });
       const test = testGenerator.generateTestFile(config, testType);
 
       const savedFiles = saveCompleteTestSuite(
@@ -1440,8 +1521,27 @@ server.tool(
           spec,
           test,
         },
-        testType
+        testType,
+        { dryRun, conflict }
       );
+      const fileSummary = getFileSaveSummary(cardType, testType);
+
+      // Nothing was written, so there is nothing to validate or run yet
+      if (dryRun) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🔍 Previewed ${testType} test files for card ${cardId} (${cardType})
+
+📁 **Files that would be saved to NALA structure (${fileSummary.surface} surface):**
+
+${formatFileWriteResults(Object.values(savedFiles.results))}
+_Dry run: the files were not written, so they were not validated or run._`,
+            },
+          ],
+        };
+      }
 
       // Note: Console output disabled to prevent MCP JSON parsing issues
       // console.error(`✅ Generated and saved test files`);
@@ -1458,7 +1558,6 @@ server.tool(
       });
 
       const totalDuration = Date.now() - startTime;
-      const fileSummary = getFileSaveSummary(cardType, testType);
       const report = generateTestReport(testResult);
 
       let response = '# Complete Test Generation and Execution Report\n\n';
@@ -1474,6 +1573,8 @@ server.tool(
       response += `• **Page Object**: \`${savedFiles.pageObject}\`\n`;
       response += `• **Test Spec**: \`${savedFiles.spec}\`\n`;
       response += `• **Test Implementation**: \`${savedFiles.test}\`\n\n`;
+      response += formatFileWriteResults(Object.values(savedFiles.results), { includeNewFiles: false });
+      response += '\n';
 
       response += report;
 
@@ -1524,7 +1625,7 @@ server.tool(
       message: 'Invalid card type'
     }).describe('Type of card'),
     testType: z
-      .enum(['css', 'edit', 'save', 'discard'])
+      .enum(['css', 'edit', 'save', 'discard', 'visual', 'a11y', 'analytics', 'checkout', 'price'])
       .describe('Type of test to run'),
     branch: z
       .string()
@@ -1568,6 +1669,7 @@ server.tool(
       .describe(
         'Create backup of original files before fixing (default: true)'
       ),
+    conflict: ConflictPolicySchema,
   },
   async ({
     cardId,
@@ -1582,6 +1684,7 @@ server.tool(
     maxFixAttempts = 3,
     dryRun = false,
     backupOriginal = true,
+    conflict,
   }) => {
     try {
       const startTime = Date.now();
@@ -1645,7 +1748,9 @@ server.tool(
         };
 
         const pageObject = pageObjectGenerator.generatePageObject(config);
-        const spec = specGenerator.generateSpecFile(config, testType);
+        const spec = specGenerator.generateSpecFile(config, testType, {
+          existingSpec: readExistingSpec(config.cardType, testType),
+        });
         const test = testGenerator.generateTestFile(config, testType);
 
         const savedFiles = saveCompleteTestSuite(
@@ -1655,10 +1760,17 @@ server.tool(
             spec,
             test,
           },
-          testType
+          testType,
+          { dryRun, conflict }
         );
 
         response += '## Generated Test Files\n\n';
+        if (dryRun) {
+          response += `🔍 Test files that would be created for ${cardType} ${testType} tests:\n`;
+          response += formatFileWriteResults(Object.values(savedFiles.results));
+          response += '\n_Dry run: the files were not written, so there is nothing to validate or run._\n';
+          return { content: [{ type: 'text', text: response }] };
+        }
         response += `✅ Created test files for ${cardType} ${testType} tests:\n`;
         response += `• Page Object: \`${savedFiles.pageObject}\`\n`;
         response += `• Test Spec: \`${savedFiles.spec}\`\n`;
@@ -1725,6 +1837,14 @@ server.tool(
               response += '\n';
             }
 
+            if (fixResult.diffs.length > 0) {
+              response += `**${dryRun ? 'Proposed' : 'Applied'} Changes**:\n`;
+              fixResult.diffs.forEach((diff) => {
+                response += `\`\`\`diff\n${diff}\`\`\`\n`;
+              });
+              response += '\n';
+            }
+
             if (fixResult.remainingErrors.length > 0) {
               response += '**Remaining Errors**:\n';
               fixResult.remainingErrors.forEach((error, index) => {
@@ -1792,7 +1912,9 @@ server.tool(
             response += '\n';
           }
 
-          if (testResult.output) {
+          if (testResult.report) {
+            response += formatReportMarkdown(testResult.report);
+          } else if (testResult.output) {
             response += `**Test Output**:\n\`\`\`\n${testResult.output}\n\`\`\`\n\n`;
           }
 
@@ -1800,6 +1922,32 @@ server.tool(
           if (testResult.success) {
             break;
           }
+
+          // Fix runtime failures reported by Playwright before the next attempt
+          const failures = getReportFailures(testResult.report);
+          if (autoFix && failures.length > 0 && attempt < maxFixAttempts) {
+            const runtimeFixResult = await autoFixAllErrors(
+              cardType,
+              testType,
+              { errors: [], failures },
+              {
+                dryRun,
+                backupOriginal: backupOriginal && allFixesApplied.length === 0,
+              }
+            );
+            allFixesApplied.push(...runtimeFixResult.fixesApplied);
+
+            response += '### Runtime Error Fixing\n';
+            response += `**Fixes Applied**: ${runtimeFixResult.fixesApplied.length}\n`;
+            response += `**Remaining Errors**: ${runtimeFixResult.remainingErrors.length}\n\n`;
+            runtimeFixResult.diffs.forEach((diff) => {
+              response += `\`\`\`diff\n${diff}\`\`\`\n\n`;
+            });
+
+            if (runtimeFixResult.fixesApplied.length === 0) {
+              break;
+            }
+          }
         }
 
         // If we reach here and it's the last attempt, break
@@ -1882,7 +2030,7 @@ server.tool(
       .optional()
       .describe('Maximum tests to run per category in sample mode (default: 5)'),
     testTypes: z
-      .array(z.enum(['css', 'edit', 'save', 'discard']))
+      .array(z.enum(TEST_TYPES))
       .optional()
       .describe('Filter by test types (default: [\'css\', \'edit\'])'),
     branch: z.string().optional().describe('Branch name (defaults to \'local\')'),
@@ -1904,7 +2052,7 @@ server.tool(
     milolibs = 'local',
   }) => {
     try {
-      const { DynamicTestRunner } = await import('../run-dynamic-test-discovery.js');
+      const { DynamicTestRunner } = await import('./dynamic-test-runner.js');
       const runner = new DynamicTestRunner();
 
       let response = '# Dynamic NALA Test Discovery and Execution\n\n';
@@ -1964,9 +2112,12 @@ server.tool(
       // Run tests for each category
       for (const [categoryName, category] of Object.entries(categories)) {
         if (category.tests.length > 0) {
-          response += `### ${categoryName.toUpperCase()} (${category.surface} surface)\n`;
-          
           const categoryResult = await runner.runTestsFromCategory(categoryName, category, options);
+          if (categoryResult.total === 0) {
+            continue;
+          }
+          response += `### ${categoryName.toUpperCase()} (${category.surface} surface)\n`;
+
           results.totalTests += categoryResult.total;
           results.totalPassed += categoryResult.passed;
           results.totalFailed += categoryResult.failed;
@@ -1980,6 +2131,12 @@ server.tool(
           }
           if (categoryResult.failed > 0) {
             response += `**Failed**: ${categoryResult.failed} tests\n`;
+            categoryResult.results
+              .filter((result) => !result.success)
+              .forEach((result) => {
+                const reasons = result.errors.map((e) => e.type).join(', ') || 'unknown';
+                response += `  - \`${result.name}\` (${reasons})\n`;
+              });
           }
           response += '\n';
         }
@@ -1987,6 +2144,17 @@ server.tool(
 
       // Overall summary
       response += '## Overall Summary\n\n';
+      if (results.totalTests === 0) {
+        response += `No discovered tests matched test types: ${testTypes.join(', ')}\n`;
+        return {
+          content: [
+            {
+              type: 'text',
+              text: response,
+            },
+          ],
+        };
+      }
       const overallSuccessRate = ((results.totalPassed / results.totalTests) * 100).toFixed(1);
       response += `**Total Tests Executed**: ${results.totalTests}\n`;
       response += `**Passed**: ${results.totalPassed} (${overallSuccessRate}%)\n`;
@@ -2055,6 +2223,18 @@ server.tool(
       .number()
       .optional()
       .describe('Maximum fix attempts (default: 3)'),
+    cssRepairMode: z
+      .enum(['targeted', 'full'])
+      .optional()
+      .describe('\'targeted\' patches only failing cssProp values, \'full\' re-extracts the whole card (default: targeted)'),
+    previewOnly: z
+      .boolean()
+      .optional()
+      .describe('Show the CSS repair diff without modifying the page object (default: false)'),
+    baseUrl: z
+      .string()
+      .optional()
+      .describe('Studio base URL used to re-extract card properties, e.g. the fixture server URL (default: derived from branch/milolibs)'),
   },
   async ({
     testTag,
@@ -2064,6 +2244,9 @@ server.tool(
     mode = 'headless',
     milolibs = 'local',
     maxAttempts = 3,
+    cssRepairMode = 'targeted',
+    previewOnly = false,
+    baseUrl,
   }) => {
     try {
       // Note: Console output disabled to prevent MCP JSON parsing issues
@@ -2079,6 +2262,9 @@ server.tool(
         mode,
         milolibs,
         maxAttempts,
+        cssRepairMode,
+        previewOnly,
+        baseUrl,
       });
 
       let response = '# NALA Test Execution with Auto-Fix Report\n\n';
@@ -2089,6 +2275,27 @@ server.tool(
       response += `**Milolibs**: ${milolibs}\n`;
       response += `**Attempts**: ${result.attempts}/${maxAttempts}\n\n`;
 
+      if (result.cssRepairs && result.cssRepairs.length > 0) {
+        response += `## CSS Value Repairs${previewOnly ? ' (preview)' : ''}\n\n`;
+        result.cssRepairs.forEach((repair) => {
+          response += `### Attempt ${repair.attempt}\n`;
+          if (repair.error) {
+            response += `❌ ${repair.error}\n\n`;
+            return;
+          }
+          repair.repairs.forEach((r) => {
+            response += `- \`${r.breakpoint ? `cssPropByBreakpoint.${r.breakpoint}.` : ''}${r.element}\` ${r.property}: \`${r.expected}\` → \`${r.actual}\`\n`;
+          });
+          repair.unresolved.forEach((u) => {
+            response += `- ⚠️ Skipped ${u.mismatch.property}: ${u.reason}\n`;
+          });
+          if (repair.diff) {
+            response += `\n\`\`\`diff\n${repair.diff}\`\`\`\n`;
+          }
+          response += '\n';
+        });
+      }
+
       if (result.success) {
         response += '## ✅ Success!\n\n';
         response += `The test passed after ${result.attempts} attempt(s).\n\n`;
@@ -2120,11 +2327,17 @@ server.tool(
           response += '### Last Errors\n';
           result.lastError.forEach((error) => {
             response += `- **${error.type}**: ${error.message}\n`;
-            if (error.selector) {
-              response += `  - Selector: \`${error.selector}\`\n`;
+            if (error.test) {
+              response += `  - Test: \`${error.test}\`${error.step ? ` › \`${error.step}\`` : ''}\n`;
+            }
+            if (error.locator || error.selector) {
+              response += `  - Locator: \`${error.locator || error.selector}\`\n`;
+            }
+            if (error.expected !== undefined || error.actual !== undefined) {
+              response += `  - Expected: \`${error.expected}\`, actual: \`${error.actual}\`\n`;
             }
             if (error.file) {
-              response += `  - File: \`${error.file}\`\n`;
+              response += `  - File: \`${error.file}${error.line ? `:${error.line}` : ''}\`\n`;
             }
           });
           response += '\n';
@@ -2166,10 +2379,12 @@ server.tool(
   {
     config: CardConfigSchema.describe('Pre-extracted card configuration with actual selectors'),
     testType: z
-      .enum(['css', 'functional', 'edit', 'save', 'discard', 'interaction'])
+      .enum(TEST_TYPES)
       .describe('Type of test to generate'),
+    dryRun: DryRunSchema,
+    conflict: ConflictPolicySchema,
   },
-  async ({ config, testType }) => {
+  async ({ config, testType, dryRun = false, conflict }) => {
     try {
       const cardConfig = /** @type {CardConfig} */ (config);
       
@@ -2184,7 +2399,9 @@ server.tool(
       
       // Generate the files
       const pageObject = pageObjectGenerator.generatePageObject(cardConfig);
-      const spec = specGenerator.generateSpecFile(cardConfig, testType);
+      const spec = specGenerator.generateSpecFile(cardConfig, testType, {
+        existingSpec: readExistingSpec(cardConfig.cardType, testType),
+      });
       const test = testGenerator.generateTestFile(cardConfig, testType);
       
       // Save files to NALA structure
@@ -2195,8 +2412,12 @@ server.tool(
           spec,
           test,
         },
-        testType
+        testType,
+        { dryRun, conflict }
       );
+      const fileChanges = formatFileWriteResults(Object.values(savedFiles.results), {
+        includeNewFiles: false,
+      });
       
       const fileSummary = getFileSaveSummary(cardConfig.cardType, testType);
       
@@ -2204,14 +2425,11 @@ server.tool(
         content: [
           {
             type: 'text',
-            text: `✅ Generated ${testType} test files using extracted configuration for ${cardConfig.cardType}
-
-📁 **Files saved to NALA structure (${fileSummary.surface} surface):**
+            text: `${dryRun ? '🔍 Previewed' : '✅ Generated'} ${testType} test files using extracted configuration for ${cardConfig.cardType}
 
-• **Page Object**: \`${savedFiles.pageObject}\`
-• **Test Spec**: \`${savedFiles.spec}\`  
-• **Test Implementation**: \`${savedFiles.test}\`
+📁 **Files ${dryRun ? 'that would be saved' : 'saved'} to NALA structure (${fileSummary.surface} surface):**
 
+${fileChanges}
 ## Generated Content:
 
 ### Page Object (${cardConfig.cardType}.page.js)
@@ -2254,7 +2472,7 @@ server.tool(
       .string()
       .describe('Block or feature type (e.g., "accordion", "feds/header")'),
     testType: z
-      .enum(['functional', 'css', 'interaction'])
+      .enum(['functional', 'css', 'interaction', 'visual'])
       .describe('Type of test to generate'),
     category: z
       .enum(['block', 'feature'])
@@ -2263,27 +2481,31 @@ server.tool(
       .string()
       .optional()
       .describe('Project name (defaults to "milo")'),
+    locales: LocalesSchema,
+    localeData: LocaleDataSchema,
+    dryRun: DryRunSchema,
+    conflict: ConflictPolicySchema,
   },
-  async ({ type, testType, category, projectName }) => {
+  async ({ type, testType, category, projectName, locales, localeData, dryRun = false, conflict = 'overwrite' }) => {
     try {
       const { generateMiloTests } = await import('./generators/milo-generator.js');
       const results = await generateMiloTests(
         type,
         testType,
         category,
-        projectName || 'milo'
+        projectName || 'milo',
+        { dryRun, conflict },
+        { locales, localeData }
       );
       
       const successFiles = results.filter(r => r.success);
       const failedFiles = results.filter(r => !r.success);
       
-      let response = `Generated Milo ${category} tests for ${type}:\n\n`;
+      let response = `${dryRun ? 'Preview of' : 'Generated'} Milo ${category} tests for ${type}:\n\n`;
       
       if (successFiles.length > 0) {
-        response += 'Successfully created:\n';
-        successFiles.forEach(file => {
-          response += `✅ ${file.path}\n`;
-        });
+        response += dryRun ? 'Changes (nothing written):\n' : 'Successfully written:\n';
+        response += formatFileWriteResults(successFiles);
       }
       
       if (failedFiles.length > 0) {
@@ -2358,7 +2580,7 @@ server.tool(
       cssProperties: z.record(z.any()).optional(),
     }).describe('Element data from browser_evaluate using extraction script'),
     cardId: z.string().describe('The ID of the merch card'),
-    testTypes: z.array(z.enum(['css', 'functional', 'edit', 'save', 'discard', 'interaction'])).optional().describe('Types of tests to generate (default: [\'css\', \'functional\'])'),
+    testTypes: z.array(z.enum(TEST_TYPES)).optional().describe('Types of tests to generate (default: [\'css\', \'functional\'])'),
   },
   async ({ snapshot, elementData, cardId, testTypes = ['css', 'functional'] }) => {
     try {
@@ -2394,6 +2616,27 @@ server.tool(
   }
 );
 
+/**
+ * Markdown section of a live selector verification
+ * @param {{elements: Record<string, Object>, dropped: Record<string, string[]>}} result - applySelectorVerification result
+ * @param {Record<string, Array<import('./utils/live-card-extractor.js').SelectorCheck>>} checks
+ * @returns {string}
+ */
+function formatSelectorVerification(result, checks) {
+  const sections = Object.entries(checks).map(([elementName, elementChecks]) => {
+    const dropped = new Set(result.dropped[elementName] || []);
+    const rows = elementChecks.map((check) => {
+      const reason = check.count > 1 ? 'not unique' : 'no match';
+      const status = check.error ? `⚠️ ${check.error}` : dropped.has(check.value) ? `❌ dropped (${reason})` : check.unique ? '✅' : `⚠️ ${reason}`;
+      return `| \`${check.value}\` | ${check.count} | ${check.visible ? 'yes' : 'no'} | ${status} |`;
+    });
+    const { selector, metadata } = result.elements[elementName];
+    return `### ${elementName}\n\n| Selector | Matches | Visible | Status |\n|----------|---------|---------|--------|\n${rows.join('\n')}\n\n**Primary**: \`${selector}\` (confidence: ${metadata.confidence}%)\n`;
+  });
+
+  return `## Selector Verification\n\n${sections.join('\n')}\n`;
+}
+
 server.tool(
   'generate-smart-page-object',
   'Generate NALA page object with smart selectors and fallback chains using Playwright MCP data',
@@ -2401,26 +2644,79 @@ server.tool(
     cardType: z.string().describe('Type of card'),
     elements: z.record(z.object({
       selector: z.string(),
-      fallbackSelectors: z.array(z.string()).optional(),
+      fallbackSelectors: z.array(z.union([
+        z.string(),
+        z.object({ type: z.string(), value: z.string(), priority: z.number().optional() }),
+      ])).optional(),
       accessibilitySelectors: z.array(z.any()).optional(),
       cssProperties: z.record(z.string()).optional(),
       metadata: z.any().optional(),
-    })).describe('Elements data from analyze-browser-snapshot'),
+    })).describe('Elements data from analyze-browser-snapshot or propose-locator-promotions'),
     useSmartSelectors: z.boolean().optional().describe('Enable smart selector generation with .or() chains (default: true)'),
+    telemetry: z
+      .boolean()
+      .optional()
+      .describe(
+        `Record which strategy of each fallback chain matches when tests run with ${LOCATOR_TELEMETRY_ENV}=<results file> (default: false)`
+      ),
+    verify: z
+      .object({
+        cardId: z.string().describe('ID of the card to evaluate the selectors on'),
+        milolibs: z.string().optional().describe('Milolibs branch; \'local\' uses localhost:3000 (default: \'local\')'),
+        baseUrl: z.string().optional().describe('Studio base URL, e.g. a fixture server URL'),
+      })
+      .optional()
+      .describe(
+        'Open the card with Playwright first and evaluate every selector inside it: selectors matching no node or more than one node are dropped and confidence comes from what the selectors matched'
+      ),
+    save: z
+      .boolean()
+      .optional()
+      .describe(
+        'Merge into the card page object in the NALA structure, keeping hand-written members (default: false)'
+      ),
+    dryRun: DryRunSchema,
   },
-  async ({ cardType, elements, useSmartSelectors = true }) => {
+  async ({ cardType, elements, useSmartSelectors = true, telemetry = false, verify, save = false, dryRun = false }) => {
     try {
       const generator = new SmartLocatorGenerator();
 
-      const pageObjectCode = generator.generatePageObject(cardType, elements, {
-        useSmartSelectors
+      let verification = '';
+      let verifiedElements = elements;
+      if (verify) {
+        const { LiveCardExtractor } = await import('./utils/live-card-extractor.js');
+        const analyzer = new SnapshotAnalyzer();
+        const checks = await new LiveCardExtractor().verifySelectors(
+          verify.cardId,
+          analyzer.getSelectorValues(elements),
+          verify.milolibs,
+          { baseUrl: verify.baseUrl, headless: true }
+        );
+        const result = analyzer.applySelectorVerification(elements, checks);
+        verifiedElements = result.elements;
+        verification = formatSelectorVerification(result, checks);
+      }
+
+      const pageObjectCode = generator.generatePageObject(cardType, verifiedElements, {
+        useSmartSelectors,
+        telemetry,
       });
 
+      let saved = '';
+      if (save || dryRun) {
+        const result = writeToNALAStructure(cardType, `${cardType}.page.js`, pageObjectCode, null, {
+          dryRun,
+          conflict: 'merge',
+          merge: mergePageObject,
+        });
+        saved = `## ${dryRun ? 'Merge Preview (nothing written)' : 'Saved Page Object'}\n\n${formatFileWriteResults([result])}\n`;
+      }
+
       return {
         content: [
           {
             type: 'text',
-            text: `# Smart Page Object for ${cardType}\n\nGenerated with multi-level fallback selectors for self-healing tests.\n\n## Page Object Code\n\n\`\`\`javascript\n${pageObjectCode}\n\`\`\`\n\n## Features\n\n- ✅ Smart selectors with .or() fallback chains\n- ✅ Accessibility-first approach (ARIA labels, roles)\n- ✅ Confidence scores in comments\n- ✅ Self-healing capabilities\n- ✅ Last validated timestamps\n\n## Usage\n\nSave this to your NALA page objects directory and use with existing test suites. The smart selectors will automatically fall back to alternative strategies if the primary selector fails.`,
+            text: `# Smart Page Object for ${cardType}\n\nGenerated with multi-level fallback selectors for self-healing tests.\n\n${verification}${saved}## Page Object Code\n\n\`\`\`javascript\n${pageObjectCode}\n\`\`\`\n\n## Features\n\n- ✅ Smart selectors with .or() fallback chains\n- ✅ Accessibility-first approach (ARIA labels, roles)\n- ✅ Confidence scores in comments\n- ✅ Self-healing capabilities\n- ✅ Last validated timestamps\n\n## Usage\n\nSave this to your NALA page objects directory and use with existing test suites. The smart selectors will automatically fall back to alternative strategies if the primary selector fails.`,
           },
         ],
       };
@@ -2437,6 +2733,181 @@ server.tool(
   }
 );
 
+/**
+ * Markdown section of one locator proposal
+ * @param {import('./utils/locator-telemetry.js').LocatorProposal} proposal
+ * @param {SnapshotAnalyzer} analyzer
+ * @returns {string}
+ */
+function formatLocatorProposal(proposal, analyzer) {
+  const confidence = (strategies) =>
+    analyzer.calculateSelectorConfidence({ alternativeSelectors: strategies }, getMatchRate(strategies[0]));
+  const rows = proposal.strategies.map((strategy, index) => {
+    const status = strategy.matches === 0 ? '❌' : '✅';
+    return `| \`${strategy.value}\`${index === 0 ? ' (primary)' : ''} | ${strategy.type} | ${strategy.matches}/${strategy.runs} ${status} |`;
+  });
+  const actions = {
+    promote: `Promote \`${proposal.proposed[0].value}\` to primary`,
+    remove: 'Remove the dead fallbacks',
+    keep: 'Keep the chain: every strategy matched at least once',
+    unmatched: 'No strategy matched: the element is missing or every selector is stale',
+    'insufficient-data': 'Not enough runs to decide yet',
+  };
+  const removed = proposal.removed.length > 0
+    ? `\n**Remove**: ${proposal.removed.map((strategy) => `\`${strategy.value}\``).join(', ')}`
+    : '';
+  const confidenceLine = ['promote', 'remove'].includes(proposal.action)
+    ? `\n**Confidence**: ${confidence(proposal.strategies)}% → ${confidence(proposal.proposed)}%`
+    : '';
+
+  return `### ${proposal.cardType} / ${proposal.element}\n\n**Runs**: ${proposal.runs}\n\n| Strategy | Type | Matched |\n|----------|------|---------|\n${rows.join('\n')}\n\n**Proposal**: ${actions[proposal.action]}${removed}${confidenceLine}\n`;
+}
+
+server.tool(
+  'propose-locator-promotions',
+  'Read the locator telemetry of smart page objects and propose promoting working fallbacks to primary or removing dead selectors',
+  {
+    resultsFile: z
+      .string()
+      .optional()
+      .describe(`Telemetry results file, absolute or relative to the project root (default: ${DEFAULT_TELEMETRY_FILE})`),
+    cardType: z.string().optional().describe('Only propose changes for this card type'),
+    minRuns: z
+      .number()
+      .int()
+      .positive()
+      .optional()
+      .describe('Runs a strategy needs without a match before it counts as dead (default: 3)'),
+  },
+  async ({ resultsFile, cardType, minRuns = 3 }) => {
+    try {
+      const file = resolveTelemetryFile(resultsFile);
+      const records = readLocatorTelemetry(file).filter((record) => !cardType || record.cardType === cardType);
+      if (records.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No locator telemetry in ${file}.\n\nGenerate the page object with \`generate-smart-page-object\` and \`telemetry: true\`, then run the tests with \`${LOCATOR_TELEMETRY_ENV}=${resultsFile || DEFAULT_TELEMETRY_FILE}\`.`,
+            },
+          ],
+        };
+      }
+
+      const analyzer = new SnapshotAnalyzer();
+      const generator = new SmartLocatorGenerator();
+      const proposals = proposeLocatorPromotions(summarizeLocatorTelemetry(records), { minRuns });
+
+      // Element data that regenerates the proposed chains, per card type
+      const elementsByCard = {};
+      for (const proposal of proposals.filter(({ action }) => ['promote', 'remove'].includes(action))) {
+        const confidence = analyzer.calculateSelectorConfidence(
+          { alternativeSelectors: proposal.proposed },
+          getMatchRate(proposal.proposed[0])
+        );
+        elementsByCard[proposal.cardType] = {
+          ...elementsByCard[proposal.cardType],
+          [proposal.element]: generator.buildElementData(proposal.proposed, confidence),
+        };
+      }
+      const nextSteps = Object.entries(elementsByCard).map(([type, elements]) =>
+        `### ${type}\n\n\`\`\`json\n${JSON.stringify(elements, null, 2)}\n\`\`\`\n`
+      );
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `# Locator Promotions\n\n**Results**: ${file} (${records.length} records)\n**Dead after**: ${minRuns} runs without a match\n\n${proposals.map((proposal) => formatLocatorProposal(proposal, analyzer)).join('\n')}\n## Proposed Elements\n\n${nextSteps.length > 0 ? `Merge these into the elements of \`generate-smart-page-object\` (with \`save: true\`) to apply the proposals:\n\n${nextSteps.join('\n')}` : '_No changes proposed_\n'}`,
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error proposing locator promotions: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+);
+
+server.tool(
+  'variant-drift-report',
+  'Compare the registered variants with the generated suites in nala/studio/<surface>/<card>: orphaned suites, variants without tests, surface mismatches and missing test types',
+  {
+    testOutputDir: z
+      .string()
+      .optional()
+      .describe('NALA directory, absolute or relative to the project root (default: the configured test output path)'),
+  },
+  async ({ testOutputDir }) => {
+    try {
+      await initializeRegistry();
+      const report = buildVariantDriftReport(
+        testOutputDir
+          ? { testOutputDir: isAbsolute(testOutputDir) ? testOutputDir : join(getTargetProjectRoot(), testOutputDir) }
+          : {}
+      );
+
+      return { content: [{ type: 'text', text: formatVariantDriftReport(report) }] };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error building variant drift report: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+);
+
+server.tool(
+  'coverage-report',
+  'Scan the generated specs of every registered variant and Milo block/feature into a coverage matrix of target × test type × element, with tcids, tags and last-modified dates',
+  {
+    format: z
+      .enum(COVERAGE_FORMATS)
+      .optional()
+      .describe('markdown, json or html (a standalone page) (default: markdown)'),
+    outputFile: z
+      .string()
+      .optional()
+      .describe('Also write the report to this file, relative to the project root (paths outside it are rejected)'),
+    project: z.string().optional().describe('Only this project from the configuration (default: every project)'),
+  },
+  async ({ format = 'markdown', outputFile, project }) => {
+    try {
+      await initializeRegistry();
+      const report = formatCoverageReport(buildCoverageReport({ project }), format);
+
+      let saved = '';
+      if (outputFile) {
+        const projectRoot = getTargetProjectRoot(project);
+        const filePath = validatePath(isAbsolute(outputFile) ? outputFile : join(projectRoot, outputFile), projectRoot);
+        writeFileSync(filePath, report);
+        saved = `Saved the ${format} coverage report to ${filePath}\n\n`;
+      }
+
+      return { content: [{ type: 'text', text: `${saved}${report}` }] };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error building coverage report: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+);
+
 server.tool(
   'add-project-config',
   'Add a project to the NALA MCP configuration',
@@ -2471,6 +2942,215 @@ server.tool(
   }
 );
 
+/**
+ * Run a visual test file and report the baselines it wrote
+ * @param {Object} params - VisualTestShape parameters
+ * @param {boolean} updateSnapshots - Rewrite the baselines that differ
+ * @returns {Promise<string>} Markdown report
+ */
+async function runVisualBaselines(params, updateSnapshots) {
+  const { cardType, testFile, grep, headless = true, browser = 'chromium', project, timeout = 30000 } = params;
+  const testFilePath = resolveVisualTestFile(cardType, testFile);
+  const baselineDir = getBaselineDir(testFilePath);
+
+  const before = listBaselines(baselineDir);
+  const result = await runPlaywrightTestFile(testFilePath, {
+    headless,
+    browser,
+    project,
+    timeout,
+    grep,
+    updateSnapshots,
+  });
+  const { created, updated } = diffBaselines(before, listBaselines(baselineDir));
+
+  let response = `**Test file**: \`${relative(getTargetProjectRoot(), testFilePath)}\`\n`;
+  response += `**Duration**: ${result.duration}ms\n\n`;
+  response += `## New Baselines (${created.length})\n\n${formatBaselines(created)}\n`;
+  if (updateSnapshots) {
+    response += `## Updated Baselines (${updated.length})\n\n${formatBaselines(updated)}\n`;
+  }
+
+  if (!result.report && result.error) {
+    response += `## Error\n\n\`\`\`\n${result.error}\n\`\`\`\n\n`;
+  } else if (result.report) {
+    // Playwright fails a screenshot assertion whose baseline it had to write
+    if (!updateSnapshots && created.length > 0) {
+      response += '_Tests that wrote a new baseline are reported as failed on this first run._\n\n';
+    }
+    response += `## Test Results\n\n${formatReportMarkdown(result.report)}`;
+  }
+
+  return response;
+}
+
+server.tool(
+  'create-visual-baselines',
+  'Run a visual test file so Playwright writes the screenshot baselines that do not exist yet',
+  VisualTestShape,
+  async (params) => {
+    try {
+      const report = await runVisualBaselines(params, false);
+      return { content: [{ type: 'text', text: `# Create Visual Baselines\n\n${report}` }] };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error creating visual baselines: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+);
+
+server.tool(
+  'approve-visual-baselines',
+  'Accept the current rendering as the new baseline: rerun a visual test file with --update-snapshots',
+  VisualTestShape,
+  async (params) => {
+    try {
+      const report = await runVisualBaselines(params, true);
+      return { content: [{ type: 'text', text: `# Approve Visual Baselines\n\n${report}` }] };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error approving visual baselines: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+);
+
+server.tool(
+  'list-visual-baselines',
+  'List the screenshot baselines in the target project, flagging those no test uses anymore',
+  {
+    cardType: VisualTestShape.cardType,
+    testFile: VisualTestShape.testFile,
+  },
+  async ({ cardType, testFile }) => {
+    try {
+      const baselines = cardType || testFile
+        ? listBaselines(getBaselineDir(resolveVisualTestFile(cardType, testFile)))
+        : listBaselines();
+      const orphaned = baselines.filter(baseline => baseline.orphaned).length;
+
+      let response = '# Visual Baselines\n\n';
+      response += `**Total**: ${baselines.length}${orphaned > 0 ? ` (${orphaned} orphaned)` : ''}\n\n`;
+      response += formatBaselines(baselines);
+      if (orphaned > 0) {
+        response += '\nUse `prune-visual-baselines` to delete the orphaned baselines.\n';
+      }
+
+      return { content: [{ type: 'text', text: response }] };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error listing visual baselines: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+);
+
+server.tool(
+  'prune-visual-baselines',
+  'Delete the screenshot baselines whose test file or spec feature no longer exists',
+  {
+    dryRun: z
+      .boolean()
+      .optional()
+      .describe('Only list the baselines that would be deleted (default: false)'),
+  },
+  async ({ dryRun = false }) => {
+    try {
+      const pruned = pruneBaselines({ dryRun });
+
+      let response = `# ${dryRun ? 'Orphaned' : 'Pruned'} Visual Baselines (${pruned.length})\n\n`;
+      response += formatBaselines(pruned);
+
+      return { content: [{ type: 'text', text: response }] };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error pruning visual baselines: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+);
+
+let fixtureServer = null;
+
+server.tool(
+  'fixture-server',
+  'Start or stop a local server with static Studio and Milo fixture pages, for offline extraction and run-and-fix',
+  {
+    action: z
+      .enum(['start', 'stop', 'status'])
+      .describe('Start the server, stop it, or report whether it is running'),
+    port: z
+      .number()
+      .optional()
+      .describe(`Port to listen on; 0 picks a free port (default: ${DEFAULT_FIXTURE_PORT}, the local Studio port used by milolibs=local)`),
+  },
+  async ({ action, port = DEFAULT_FIXTURE_PORT }) => {
+    try {
+      if (action === 'stop') {
+        if (fixtureServer) {
+          await fixtureServer.close();
+          fixtureServer = null;
+          return { content: [{ type: 'text', text: '✅ Fixture server stopped.' }] };
+        }
+        return { content: [{ type: 'text', text: 'Fixture server is not running.' }] };
+      }
+
+      if (action === 'start' && !fixtureServer) {
+        fixtureServer = await startFixtureServer({ port });
+      }
+
+      if (!fixtureServer) {
+        return { content: [{ type: 'text', text: 'Fixture server is not running.' }] };
+      }
+
+      let response = '# Fixture Server\n\n';
+      response += `**URL**: ${fixtureServer.url}\n\n`;
+      response += 'Pass the URL as `branch` (auto-extract-card-properties, extract-card-properties) or `baseUrl` (run-nala-test-standard). ';
+      response += `On port ${DEFAULT_FIXTURE_PORT} it also answers for \`milolibs=local\`.\n\n`;
+      response += '## Cards\n\n';
+      fixtureServer.cards.forEach((card) => {
+        response += `- ${card.label} (\`${card.variant}\`, ${card.surface}): \`${card.id}\`\n`;
+      });
+      response += '\n## Milo Pages\n\n';
+      fixtureServer.blocks.forEach((block) => {
+        response += `- ${block.displayName || block.name}: \`${block.path}\` (and \`${block.path}-variant\`)\n`;
+      });
+
+      return { content: [{ type: 'text', text: response }] };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error managing fixture server: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+);
+
 async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
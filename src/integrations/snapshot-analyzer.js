@@ -6,6 +6,8 @@
  * and analyzes it to generate robust, self-healing selectors.
  */
 
+import { getElementSelectors } from '../utils/element-registry.js';
+
 export class SnapshotAnalyzer {
     constructor() {
         this.extractedData = null;
@@ -134,35 +136,7 @@ export class SnapshotAnalyzer {
                 return cssProps;
             };
 
-            const selectorMap = {
-                title: [
-                    'h3[slot="heading-xxs"]',
-                    'h2[slot="heading-xs"]',
-                    'h1[slot="heading-s"]',
-                    '[slot="heading-xs"]',
-                    '[slot="heading-m"]'
-                ],
-                eyebrow: [
-                    'h4[slot="detail-s"]',
-                    'p[slot="detail-s"]',
-                    '[slot="eyebrow"]'
-                ],
-                description: [
-                    'div[slot="body-s"]',
-                    'p[slot="body-xs"]',
-                    '[slot="body-s"]'
-                ],
-                price: [
-                    'p[slot="price"] span[is="inline-price"]',
-                    '[slot="price"]'
-                ],
-                cta: [
-                    '[slot="cta"] a',
-                    'a.spectrum-Button'
-                ],
-                icon: ['merch-icon'],
-                badge: ['merch-badge', '[slot="badge"]']
-            };
+            const selectorMap = ${JSON.stringify(getElementSelectors())};
 
             const result = {
                 cardType: card.getAttribute('variant') || 'unknown',
@@ -347,10 +321,30 @@ export class SnapshotAnalyzer {
 
     /**
      * Calculate confidence score for selectors
-     * @param {Object} elementData - Element data
+     * @param {Object} elementData - Element data; with `verification` (live selector
+     *   checks), the score comes from what the selectors matched instead of their types
+     * @param {number} [matchRate] - Share of recorded test runs the primary selector
+     *   matched in (locator telemetry, 0-1); scales the score when known
      * @returns {number} Confidence score (0-100)
      */
-    calculateSelectorConfidence(elementData) {
+    calculateSelectorConfidence(elementData, matchRate) {
+        let confidence = elementData.verification
+            ? this.calculateVerifiedConfidence(elementData.verification)
+            : this.calculateTypeConfidence(elementData);
+
+        if (matchRate !== undefined) {
+            confidence = Math.round(confidence * matchRate);
+        }
+
+        return Math.min(confidence, 100);
+    }
+
+    /**
+     * Confidence from the types of the alternative selectors
+     * @param {Object} elementData - Element data
+     * @returns {number} Confidence score
+     */
+    calculateTypeConfidence(elementData) {
         let confidence = 50;
 
         const altSelectors = elementData.alternativeSelectors || [];
@@ -362,7 +356,84 @@ export class SnapshotAnalyzer {
 
         if (altSelectors.length > 3) confidence += 10;
 
-        return Math.min(confidence, 100);
+        return confidence;
+    }
+
+    /**
+     * Confidence from a live verification: a unique primary selector scores 60,
+     * 80 when visible, and each other unique selector adds 10 (up to 20)
+     * @param {Array<import('../utils/live-card-extractor.js').SelectorCheck>} checks - Checks of the kept selectors, primary first
+     * @returns {number} Confidence score
+     */
+    calculateVerifiedConfidence([primary, ...fallbacks]) {
+        let confidence = 0;
+
+        if (primary?.unique) confidence += 60;
+        if (primary?.visible) confidence += 20;
+        confidence += Math.min(fallbacks.filter(check => check.unique).length * 10, 20);
+
+        return confidence;
+    }
+
+    /**
+     * Selectors of each element in chain order: primary, fallbacks, accessibility
+     * @param {Record<string, Object>} elements - Elements data of generate-smart-page-object
+     * @returns {Record<string, Array<string>>} Selectors per element name
+     */
+    getSelectorValues(elements) {
+        return Object.fromEntries(Object.entries(elements).map(([elementName, elementData]) => [
+            elementName,
+            [...new Set([
+                elementData.selector,
+                ...(elementData.fallbackSelectors || []),
+                ...(elementData.accessibilitySelectors || []),
+            ].map(selector => (typeof selector === 'string' ? selector : selector?.value)).filter(Boolean))],
+        ]));
+    }
+
+    /**
+     * Drop the selectors that did not match exactly one node of the live card
+     * (none, several, or could not be evaluated), and score each element from
+     * what its remaining selectors matched. A dropped primary selector is
+     * replaced by the first remaining fallback.
+     * @param {Record<string, Object>} elements - Elements data of generate-smart-page-object
+     * @param {Record<string, Array<import('../utils/live-card-extractor.js').SelectorCheck>>} checks - Live checks per element
+     * @returns {{elements: Record<string, Object>, dropped: Record<string, Array<string>>}} Verified elements data and dropped selectors
+     */
+    applySelectorVerification(elements, checks) {
+        const verified = {};
+        const dropped = {};
+
+        for (const [elementName, elementData] of Object.entries(elements)) {
+            const elementChecks = checks[elementName] || [];
+            const rejected = new Set(elementChecks.filter(check => !check.unique).map(check => check.value));
+            const keep = selector => !rejected.has(typeof selector === 'string' ? selector : selector.value);
+
+            // Without a selector left, keep the primary one so the getter still exists
+            const [primary = elementData.selector, ...fallbackSelectors] =
+                [elementData.selector, ...(elementData.fallbackSelectors || [])].filter(keep);
+            const primaryValue = typeof primary === 'string' ? primary : primary.value;
+            rejected.delete(primaryValue);
+
+            verified[elementName] = {
+                ...elementData,
+                selector: primaryValue,
+                fallbackSelectors,
+                accessibilitySelectors: (elementData.accessibilitySelectors || []).filter(keep),
+                metadata: {
+                    ...elementData.metadata,
+                    confidence: this.calculateSelectorConfidence({
+                        verification: elementChecks.filter(check => !rejected.has(check.value)),
+                    }),
+                    verification: elementChecks,
+                },
+            };
+            if (rejected.size > 0) {
+                dropped[elementName] = [...rejected];
+            }
+        }
+
+        return { elements: verified, dropped };
     }
 }
 
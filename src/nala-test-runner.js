@@ -4,6 +4,8 @@ import { readFile, writeFile } from 'fs/promises';
 import path from 'path';
 import { chromium } from 'playwright';
 import { autoFixAllErrors } from './utils/error-fixer.js';
+import { classifyFailures } from './utils/failure-classifier.js';
+import { getFailureBreakpoint, repairPageObjectCSS } from './utils/css-repair.js';
 import { getTargetProjectRoot } from './config.js';
 
 const execAsync = promisify(exec);
@@ -14,7 +16,7 @@ export class NALATestRunner {
     }
 
     validateInput(value, name) {
-        const validPattern = /^[a-zA-Z0-9_\/-]+$/;
+        const validPattern = /^@?[a-zA-Z0-9_\/-]+$/;
         if (!validPattern.test(value)) {
             throw new Error(`Invalid ${name}: contains invalid characters`);
         }
@@ -32,7 +34,7 @@ export class NALATestRunner {
         const command = 'npm';
         const args = ['run', 'nala', 'branch', branch, testTag, `mode=${mode}`, `milolibs=${milolibs}`];
 
-        console.log(`Running NALA test: ${command} ${args.join(' ')}`);
+        console.error(`Running NALA test: ${command} ${args.join(' ')}`);
 
         try {
             const { stdout, stderr } = await execAsync(`${command} ${args.join(' ')}`, {
@@ -60,68 +62,19 @@ export class NALATestRunner {
             return {
                 success: false,
                 output: error.stdout || '',
-                errors: this.parseErrors(error.stdout + error.stderr)
+                errors: this.parseErrors((error.stdout || '') + (error.stderr || ''))
             };
         }
     }
 
+    /**
+     * Classify failures in NALA output, attributing each one to its test,
+     * step and locator (see utils/failure-classifier.js for the error types)
+     * @param {string} output - Combined stdout and stderr
+     * @returns {Array<import('./utils/failure-classifier.js').ClassifiedError>} Classified errors
+     */
     parseErrors(output) {
-        const errors = [];
-        
-        // Parse authentication errors (but not cleanup errors)
-        if (output.includes('authenticate') && output.includes('failed') && !output.includes('Cleanup failed')) {
-            errors.push({
-                type: 'authentication',
-                message: 'Authentication failed - may need to log in manually'
-            });
-        }
-        
-        // Parse CSS property errors
-        if (output.includes('Cannot convert undefined or null to object')) {
-            errors.push({
-                type: 'missing-css-properties',
-                message: 'CSS properties are not defined in page object',
-                file: this.extractFileFromError(output)
-            });
-        }
-        
-        // Parse selector errors
-        if (output.includes('locator.') && output.includes('resolved to')) {
-            errors.push({
-                type: 'invalid-selector',
-                message: 'Element selector not found on page',
-                selector: this.extractSelectorFromError(output)
-            });
-        }
-        
-        // Parse timeout errors
-        if (output.includes('Timeout') || output.includes('exceeded')) {
-            errors.push({
-                type: 'timeout',
-                message: 'Test timed out waiting for element or action'
-            });
-        }
-        
-        // Parse cleanup errors (these should not cause test failure)
-        if (output.includes('Cleanup failed')) {
-            // Only add as error if it's the only issue, otherwise ignore
-            if (!output.includes('passed') || output.includes('failed')) {
-                errors.push({
-                    type: 'cleanup',
-                    message: 'Test cleanup failed - this can be ignored'
-                });
-            }
-        }
-        
-        // Parse CSS verification errors
-        if (output.includes('Expected') && output.includes('toBeTruthy')) {
-            errors.push({
-                type: 'css-mismatch',
-                message: 'CSS properties do not match expected values'
-            });
-        }
-        
-        return errors;
+        return classifyFailures(output);
     }
 
     extractFileFromError(output) {
@@ -134,14 +87,24 @@ export class NALATestRunner {
         return match ? match[1] : null;
     }
 
-    async extractCardProperties(cardId, branch = 'main', milolibs = 'local') {
+    /**
+     * Open the card in Studio and extract its elements and computed CSS
+     * @param {string} cardId - Card ID
+     * @param {string} [branch] - Studio branch
+     * @param {string} [milolibs] - Milolibs branch; 'local' uses localhost:3000
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - Studio base URL, e.g. a fixture server URL
+     * @param {boolean} [options.headless] - Run the browser headless (default: false)
+     */
+    async extractCardProperties(cardId, branch = 'main', milolibs = 'local', options = {}) {
         this.validateInput(cardId, 'cardId');
         this.validateInput(branch, 'branch');
         this.validateInput(milolibs, 'milolibs');
 
+        const { baseUrl: baseUrlOverride, headless = false } = options;
         const isLocalDev = milolibs === 'local';
 
-        const browser = await chromium.launch({ headless: false });
+        const browser = await chromium.launch({ headless });
         const context = await browser.newContext({
             ignoreHTTPSErrors: isLocalDev,
             permissions: ['clipboard-read', 'clipboard-write']
@@ -150,15 +113,17 @@ export class NALATestRunner {
         const page = await context.newPage();
         
         try {
-            const baseUrl = milolibs === 'local' ? 'http://localhost:3000' : `https://${branch}--mas--adobecom.aem.page`;
+            const baseUrl = baseUrlOverride
+                ? baseUrlOverride.replace(/\/+$/, '')
+                : milolibs === 'local' ? 'http://localhost:3000' : `https://${branch}--mas--adobecom.aem.page`;
             const url = `${baseUrl}/studio.html?milolibs=${milolibs}#page=content&path=nala&query=${cardId}`;
             
-            console.log(`Navigating to: ${url}`);
+            console.error(`Navigating to: ${url}`);
             await page.goto(url, { waitUntil: 'networkidle' });
             
             // Handle authentication if needed
             if (page.url().includes('auth.services.adobe.com')) {
-                console.log('Authentication required. Please log in manually...');
+                console.error('Authentication required. Please log in manually...');
                 await page.waitForNavigation({ waitUntil: 'networkidle', timeout: 60000 });
             }
             
@@ -219,14 +184,68 @@ export class NALATestRunner {
         }
     }
 
-    async fixPageObject(cardType, properties) {
-        const pageObjectPath = path.join(
+    getPageObjectPath(cardType) {
+        return path.join(
             this.rootPath,
             'nala/studio',
             this.getCardSurface(cardType),
             cardType,
             `${cardType}.page.js`
         );
+    }
+
+    /**
+     * Turn classified css-mismatch errors into property/expected/actual triples.
+     * Mismatches logged by webUtil.verifyCSS carry the values but not the element;
+     * when a single Validation-N step of the same test failed, its label names the
+     * cssProp key. Breakpoint tests carry their breakpoint so the repair patches
+     * cssPropByBreakpoint.<breakpoint> instead.
+     * @param {Array<Object>} errors - Classified errors
+     * @returns {Array<Object>} Mismatches for repairPageObjectCSS
+     */
+    collectCSSMismatches(errors) {
+        const cssErrors = errors.filter(e => e.type === 'css-mismatch');
+        const failedElements = (test) => [...new Set(cssErrors
+            .filter(e => e.element && e.test === test)
+            .map(e => e.element))];
+
+        return cssErrors
+            .filter(e => e.property)
+            .map(e => {
+                const candidates = failedElements(e.test);
+                return {
+                    property: e.property,
+                    expected: e.expected,
+                    actual: e.actual,
+                    selector: e.selector,
+                    element: e.element || (candidates.length === 1 ? candidates[0] : undefined),
+                    breakpoint: getFailureBreakpoint(e) || undefined,
+                };
+            });
+    }
+
+    /**
+     * Patch the failing cssProp values only, keeping hand-tuned entries untouched
+     * @param {string} cardType - Card type
+     * @param {Array<Object>} errors - Classified errors from the last run
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - Only compute the diff
+     * @returns {Object|null} Repair result, or null when no CSS triples were reported
+     */
+    repairCSSValues(cardType, errors, options = {}) {
+        const mismatches = this.collectCSSMismatches(errors);
+        if (mismatches.length === 0) {
+            return null;
+        }
+        const pageObjectPath = this.getPageObjectPath(cardType);
+        return repairPageObjectCSS(pageObjectPath, mismatches, {
+            ...options,
+            label: path.relative(this.rootPath, pageObjectPath),
+        });
+    }
+
+    async fixPageObject(cardType, properties) {
+        const pageObjectPath = this.getPageObjectPath(cardType);
         
         const content = await readFile(pageObjectPath, 'utf-8');
         
@@ -271,7 +290,7 @@ export class NALATestRunner {
         );
         
         await writeFile(pageObjectPath, updatedContent);
-        console.log(`Updated page object: ${pageObjectPath}`);
+        console.error(`Updated page object: ${pageObjectPath}`);
     }
 
     getCardSurface(cardType) {
@@ -292,34 +311,75 @@ export class NALATestRunner {
     }
 
     async runAndFix(testTag, cardType, cardId, options = {}) {
-        const { branch = 'local', mode = 'headless', milolibs = 'local', maxAttempts = 3 } = options;
+        const {
+            branch = 'local',
+            mode = 'headless',
+            milolibs = 'local',
+            maxAttempts = 3,
+            cssRepairMode = 'targeted',
+            previewOnly = false,
+            baseUrl,
+        } = options;
         
         let attempt = 0;
         let lastResult;
+        const cssRepairs = [];
         
         while (attempt < maxAttempts) {
             attempt++;
-            console.log(`\n=== Attempt ${attempt}/${maxAttempts} ===`);
+            console.error(`\n=== Attempt ${attempt}/${maxAttempts} ===`);
             
             // Run the test
             lastResult = await this.runNALATest(testTag, branch, mode, milolibs);
             
             if (lastResult.success) {
-                console.log('✅ Test passed!');
-                return { success: true, attempts: attempt };
+                console.error('✅ Test passed!');
+                return { success: true, attempts: attempt, cssRepairs };
             }
             
-            console.log('❌ Test failed. Analyzing errors...');
+            console.error('❌ Test failed. Analyzing errors...');
+
+            // Re-extracting selectors cannot fix an IMS sign-in redirect
+            const authError = lastResult.errors.find(
+                e => e.type === 'ims-auth-redirect' || e.type === 'authentication'
+            );
+            if (authError) {
+                console.error(`🔒 ${authError.message}`);
+                break;
+            }
             
+            // Patch only the CSS values that failed verifyCSS
+            if (cssRepairMode === 'targeted') {
+                const repair = this.repairCSSValues(cardType, lastResult.errors, { dryRun: previewOnly });
+                if (repair) {
+                    cssRepairs.push({ attempt, ...repair });
+                    if (previewOnly) {
+                        console.error('👀 Preview only - page object not modified.');
+                        break;
+                    }
+                    if (repair.updated) {
+                        console.error(`🎯 Patched ${repair.repairs.length} CSS value(s). Retrying test...`);
+                        continue;
+                    }
+                }
+            }
+
             // Check for fixable errors
-            const cssError = lastResult.errors.find(e => e.type === 'missing-css-properties');
+            const cssError = lastResult.errors.find(e =>
+                e.type === 'missing-css-properties' ||
+                (cssRepairMode === 'full' && e.type === 'css-mismatch')
+            );
             const selectorError = lastResult.errors.find(e => e.type === 'invalid-selector');
             
             if (cssError || selectorError) {
-                console.log('🔧 Attempting to fix by extracting card properties...');
+                console.error('🔧 Attempting to fix by extracting card properties...');
                 
-                // Extract properties from live card
-                const properties = await this.extractCardProperties(cardId, branch, milolibs);
+                // Extract properties from live card; a baseUrl (e.g. the fixture
+                // server) needs no manual IMS login, so it can run headless
+                const properties = await this.extractCardProperties(cardId, branch, milolibs, {
+                    baseUrl,
+                    headless: Boolean(baseUrl) && mode === 'headless',
+                });
                 
                 if (properties.error) {
                     console.error('Failed to extract properties:', properties.error);
@@ -329,9 +389,9 @@ export class NALATestRunner {
                 // Fix the page object
                 await this.fixPageObject(cardType, properties);
                 
-                console.log('✅ Page object updated. Retrying test...');
+                console.error('✅ Page object updated. Retrying test...');
             } else {
-                console.log('No fixable errors detected.');
+                console.error('No fixable errors detected.');
                 break;
             }
         }
@@ -339,19 +399,24 @@ export class NALATestRunner {
         return { 
             success: false, 
             attempts: attempt,
-            lastError: lastResult.errors
+            lastError: lastResult.errors,
+            cssRepairs
         };
     }
 }
 
 // Export for MCP integration
 export async function runNALATestWithFixes(params) {
-    const { testTag, cardType, cardId, branch, mode, milolibs } = params;
+    const { testTag, cardType, cardId, branch, mode, milolibs, maxAttempts, cssRepairMode, previewOnly, baseUrl } = params;
     const runner = new NALATestRunner();
     
     return await runner.runAndFix(testTag, cardType, cardId, {
         branch,
         mode,
-        milolibs
+        milolibs,
+        maxAttempts,
+        cssRepairMode,
+        previewOnly,
+        baseUrl
     });
 } 
\ No newline at end of file
@@ -0,0 +1,28 @@
+---
+{
+    "feature": "edited-background",
+    "description": "Validate discard edited background field for {{cardType}} card in mas studio",
+    "data": {
+        "newBackgroundURL": "https://main--milo--adobecom.aem.page/assets/img/commerce/media_1d63dab9ee1edbf371d6f0548516c9e12b3ea3ff4.png"
+    }
+}
+---
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## open-editor: Open card editor
+{{> open-editor-panel}}
+
+## edit: Edit background field
+await expect(await editor.backgroundImage).toBeVisible();
+await editor.backgroundImage.fill(data.newBackgroundURL);
+
+## discard: Close the editor and verify discard is triggered
+{{> discard-changes}}
+
+## validate-unchanged: Verify there is no changes of the card
+await expect(await studio.getCard(data.cardid)).not.toHaveAttribute(
+    'background-image',
+    data.newBackgroundURL,
+);
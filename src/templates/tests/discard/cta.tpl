@@ -0,0 +1,31 @@
+---
+{
+    "feature": "edited-cta-label",
+    "description": "Validate discard edited CTA label for {{cardType}} card in mas studio",
+    "data": {
+        "ctaText": "Buy now",
+        "newCtaText": "Buy now 2"
+    }
+}
+---
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## open-editor: Open card editor
+{{> open-editor-panel}}
+
+## edit: Edit CTA label
+await expect(await editor.footer).toContainText(data.ctaText);
+await editor.CTA.click();
+await editor.footer.locator(editor.linkEdit).click();
+await editor.linkText.fill(data.newCtaText);
+
+## discard: Close the editor and verify discard is triggered
+{{> discard-changes}}
+
+## validate-unchanged: Verify there is no changes of the card
+await expect(await {{cardVariable}}.cardCTA).toContainText(data.ctaText);
+await (await studio.getCard(data.cardid)).dblclick();
+await expect(await editor.panel).toBeVisible();
+await expect(await editor.footer).toContainText(data.ctaText);
@@ -0,0 +1,33 @@
+---
+{
+    "feature": "edited-description",
+    "description": "Validate discard edited description field for {{cardType}} card in mas studio",
+    "data": {
+        "description": "MAS repo validation card for Nala tests",
+        "newDescription": "New Test Description"
+    }
+}
+---
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## open-editor: Open card editor
+{{> open-editor-panel}}
+
+## edit: Edit description field
+await expect(await editor.description).toBeVisible();
+await editor.description.fill(data.newDescription);
+
+## discard: Close the editor and verify discard is triggered
+{{> discard-changes}}
+
+## validate-unchanged: Verify there is no changes of the card
+await expect(await {{cardVariable}}.cardDescription).toContainText(
+    data.description,
+);
+await (await studio.getCard(data.cardid)).dblclick();
+await expect(await editor.panel).toBeVisible();
+await expect(await editor.description).toContainText(
+    data.description,
+);
@@ -0,0 +1,29 @@
+---
+{
+    "feature": "edited-eyebrow",
+    "description": "Validate discard edited eyebrow field for {{cardType}} card in mas studio",
+    "data": {
+        "subtitle": "do not edit",
+        "newSubtitle": "Change subtitle"
+    }
+}
+---
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## open-editor: Open card editor
+{{> open-editor-panel}}
+
+## edit: Edit eyebrow field
+await expect(await editor.subtitle).toBeVisible();
+await editor.subtitle.fill(data.newSubtitle);
+
+## discard: Close the editor and verify discard is triggered
+{{> discard-changes}}
+
+## validate-unchanged: Verify there is no changes of the card
+await expect(await {{cardVariable}}.cardEyebrow).toHaveText(data.subtitle);
+await (await studio.getCard(data.cardid)).dblclick();
+await expect(await editor.panel).toBeVisible();
+await expect(await editor.subtitle).toHaveValue(data.subtitle);
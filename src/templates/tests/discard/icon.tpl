@@ -0,0 +1,32 @@
+---
+{
+    "feature": "edited-mnemonic",
+    "description": "Validate discard edited mnemonic field for {{cardType}} card in mas studio",
+    "data": {
+        "iconURL": "https://www.adobe.com/content/dam/shared/images/product-icons/svg/photoshop.svg",
+        "newIconURL": "https://www.adobe.com/content/dam/shared/images/product-icons/svg/illustrator.svg"
+    }
+}
+---
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## open-editor: Open card editor
+{{> open-editor-panel}}
+
+## edit: Edit mnemonic field
+await expect(await editor.iconURL).toBeVisible();
+await editor.iconURL.fill(data.newIconURL);
+
+## discard: Close the editor and verify discard is triggered
+{{> discard-changes}}
+
+## validate-unchanged: Verify there is no changes of the card
+await expect(await {{cardVariable}}.cardIcon).toHaveAttribute(
+    'src',
+    data.iconURL,
+);
+await (await studio.getCard(data.cardid)).dblclick();
+await expect(await editor.panel).toBeVisible();
+await expect(await editor.iconURL).toHaveValue(data.iconURL);
@@ -0,0 +1,34 @@
+---
+{
+    "feature": "edited-price",
+    "description": "Validate discard edited price field for {{cardType}} card in mas studio",
+    "data": {
+        "price": "US$17.24/mo",
+        "strikethroughPrice": "US$34.49/mo",
+        "newPrice": "US$17.24/moper license",
+        "newStrikethroughPrice": "US$34.49/moper license"
+    }
+}
+---
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## open-editor: Open card editor
+{{> open-editor-panel}}
+
+## edit: Edit price field
+await expect(await editor.prices).toBeVisible();
+await (await editor.prices.locator(editor.regularPrice)).dblclick();
+await expect(await ost.price).toBeVisible();
+await ost.unitCheckbox.click();
+await ost.priceUse.click();
+
+## discard: Close the editor and verify discard is triggered
+{{> discard-changes}}
+
+## validate-unchanged: Verify there is no changes of the card
+await expect(await {{cardVariable}}.cardPrice).toContainText(data.price);
+await expect(await {{cardVariable}}.cardPrice).toContainText(
+    data.strikethroughPrice,
+);
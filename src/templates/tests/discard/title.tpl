@@ -0,0 +1,29 @@
+---
+{
+    "feature": "edited-title",
+    "description": "Validate discard edited title for {{cardType}} card in mas studio",
+    "data": {
+        "title": "Automation Test Card",
+        "newTitle": "Change title"
+    }
+}
+---
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## open-editor: Open card editor
+{{> open-editor-panel}}
+
+## edit: Edit title field
+await expect(await editor.title).toBeVisible();
+await editor.title.fill(data.newTitle);
+
+## discard: Close the editor and verify discard is triggered
+{{> discard-changes}}
+
+## validate-unchanged: Verify there is no changes of the card
+await expect(await {{cardVariable}}.cardTitle).toHaveText(data.title);
+await (await studio.getCard(data.cardid)).dblclick();
+await expect(await editor.panel).toBeVisible();
+await expect(await editor.title).toHaveValue(data.title);
@@ -0,0 +1,31 @@
+---
+{
+    "feature": "background",
+    "description": "Validate edit background field for {{cardType}} card in mas studio",
+    "data": {
+        "newBackgroundURL": "https://main--milo--adobecom.aem.page/assets/img/commerce/media_1d63dab9ee1edbf371d6f0548516c9e12b3ea3ff4.png"
+    }
+}
+---
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## open-editor: Open card editor
+{{> open-editor}}
+
+## edit: Edit background URL field
+await expect(await editor.backgroundImage).toBeVisible();
+await expect(await editor.backgroundImage).toHaveValue('');
+await editor.backgroundImage.fill(data.newBackgroundURL);
+
+## validate-editor: Validate edited background image URL field in Editor panel
+await expect(await editor.backgroundImage).toHaveValue(
+    data.newBackgroundURL,
+);
+
+## validate-card: Validate edited background image URL field on the card
+await expect(await studio.getCard(data.cardid)).toHaveAttribute(
+    'background-image',
+    data.newBackgroundURL,
+);
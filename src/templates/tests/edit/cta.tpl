@@ -0,0 +1,47 @@
+---
+{
+    "feature": "cta-label",
+    "description": "Validate edit CTA label for {{cardType}} card in mas studio",
+    "data": {
+        "osi": "A1xn6EL4pK93bWjM8flffQpfEL-bnvtoQKQAvkx574M",
+        "ctaText": "Buy now",
+        "newCtaText": "Buy now 2"
+    }
+}
+---
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## open-editor: Open card editor
+{{> open-editor}}
+
+## edit: Edit CTA label
+await expect(
+    await editor.footer.locator(editor.linkEdit),
+).toBeVisible();
+await expect(await editor.CTA).toBeVisible();
+await expect(await editor.footer).toContainText(data.ctaText);
+await editor.CTA.click();
+await editor.footer.locator(editor.linkEdit).click();
+await expect(await editor.linkText).toBeVisible();
+await expect(await editor.linkSave).toBeVisible();
+await expect(await editor.linkText).toHaveValue(data.ctaText);
+await editor.linkText.fill(data.newCtaText);
+await editor.linkSave.click();
+
+## validate-editor: Validate edited CTA label in Editor panel
+await expect(await editor.footer).toContainText(data.newCtaText);
+
+## validate-card: Validate edited CTA on the card
+await expect(await {{cardVariable}}.cardCTA).toContainText(
+    data.newCtaText,
+);
+await expect(await {{cardVariable}}.cardCTA).toHaveAttribute(
+    'data-wcs-osi',
+    data.osi,
+);
+await expect(await {{cardVariable}}.cardCTA).toHaveAttribute(
+    'is',
+    'checkout-button',
+);
@@ -0,0 +1,33 @@
+---
+{
+    "feature": "description",
+    "description": "Validate edit description field for {{cardType}} card in mas studio",
+    "data": {
+        "description": "MAS repo validation card for Nala tests",
+        "newDescription": "New Test Description"
+    }
+}
+---
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## open-editor: Open card editor
+{{> open-editor}}
+
+## edit: Edit description field
+await expect(await editor.description).toBeVisible();
+await expect(await editor.description).toContainText(
+    data.description,
+);
+await editor.description.fill(data.newDescription);
+
+## validate-editor: Validate edited description in Editor panel
+await expect(await editor.description).toContainText(
+    data.newDescription,
+);
+
+## validate-card: Validate edited description on the card
+await expect(await {{cardVariable}}.cardDescription).toHaveText(
+    data.newDescription,
+);
@@ -0,0 +1,29 @@
+---
+{
+    "feature": "eyebrow",
+    "description": "Validate edit eyebrow field for {{cardType}} card in mas studio",
+    "data": {
+        "subtitle": "do not edit",
+        "newSubtitle": "Change subtitle"
+    }
+}
+---
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## open-editor: Open card editor
+{{> open-editor}}
+
+## edit: Edit eyebrow field
+await expect(await editor.subtitle).toBeVisible();
+await expect(await editor.subtitle).toHaveValue(data.subtitle);
+await editor.subtitle.fill(data.newSubtitle);
+
+## validate-editor: Validate edited eyebrow/subtitle field in Editor panel
+await expect(await editor.subtitle).toHaveValue(data.newSubtitle);
+
+## validate-card: Validate edited eyebrow field on the card
+await expect(await {{cardVariable}}.cardEyebrow).toHaveText(
+    data.newSubtitle,
+);
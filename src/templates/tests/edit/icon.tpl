@@ -0,0 +1,30 @@
+---
+{
+    "feature": "mnemonic",
+    "description": "Validate edit mnemonic URL field for {{cardType}} card in mas studio",
+    "data": {
+        "iconURL": "https://www.adobe.com/content/dam/shared/images/product-icons/svg/photoshop.svg",
+        "newIconURL": "https://www.adobe.com/content/dam/shared/images/product-icons/svg/illustrator.svg"
+    }
+}
+---
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## open-editor: Open card editor
+{{> open-editor}}
+
+## edit: Edit mnemonic URL field
+await expect(await editor.iconURL).toBeVisible();
+await expect(await editor.iconURL).toHaveValue(data.iconURL);
+await editor.iconURL.fill(data.newIconURL);
+
+## validate-editor: Validate edited mnemonic URL field in Editor panel
+await expect(await editor.iconURL).toHaveValue(data.newIconURL);
+
+## validate-card: Validate edited mnemonic URL on the card
+await expect(await {{cardVariable}}.cardIcon).toHaveAttribute(
+    'src',
+    data.newIconURL,
+);
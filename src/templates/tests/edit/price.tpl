@@ -0,0 +1,54 @@
+---
+{
+    "feature": "price",
+    "description": "Validate edit price field for {{cardType}} card in mas studio",
+    "data": {
+        "price": "US$17.24/mo",
+        "strikethroughPrice": "US$34.49/mo",
+        "newPrice": "US$17.24/moper license",
+        "newStrikethroughPrice": "US$34.49/moper license"
+    }
+}
+---
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## open-editor: Open card editor
+{{> open-editor}}
+
+## edit: Edit price field
+await expect(await editor.prices).toBeVisible();
+await expect(await editor.prices).toContainText(data.price);
+await expect(await editor.prices).not.toContainText(data.newPrice);
+await expect(await editor.prices).toContainText(
+    data.strikethroughPrice,
+);
+await expect(await editor.prices).not.toContainText(
+    data.newStrikethroughPrice,
+);
+
+await (await editor.prices.locator(editor.regularPrice)).dblclick();
+{{waits.ostDialog}}
+await expect(await ost.price).toBeVisible();
+await expect(await ost.priceUse).toBeVisible();
+await expect(await ost.unitCheckbox).toBeVisible();
+await page.waitForTimeout({{timeouts.SHORT}});
+await ost.unitCheckbox.click();
+await page.waitForTimeout({{timeouts.ANIMATION}});
+await ost.priceUse.click();
+await page.waitForTimeout({{timeouts.SHORT}});
+
+## validate-editor: Validate edited price in Editor panel
+await expect(await editor.prices).toContainText(data.newPrice);
+await expect(await editor.prices).toContainText(
+    data.newStrikethroughPrice,
+);
+
+## validate-card: Validate edited price field on the card
+await expect(await {{cardVariable}}.cardPrice).toContainText(
+    data.newPrice,
+);
+await expect(await {{cardVariable}}.cardPrice).toContainText(
+    data.newStrikethroughPrice,
+);
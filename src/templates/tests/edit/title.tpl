@@ -0,0 +1,27 @@
+---
+{
+    "feature": "title",
+    "description": "Validate edit title for {{cardType}} card in mas studio",
+    "data": {
+        "title": "Automation Test Card",
+        "newTitle": "Change title"
+    }
+}
+---
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## open-editor: Open card editor
+{{> open-editor}}
+
+## edit: Edit title field
+await expect(await editor.title).toBeVisible();
+await expect(await editor.title).toHaveValue(data.title);
+await editor.title.fill(data.newTitle);
+
+## validate-editor: Validate edited title field in Editor panel
+await expect(await editor.title).toHaveValue(data.newTitle);
+
+## validate-card: Validate edited title field on the card
+await expect(await {{cardVariable}}.cardTitle).toHaveText(data.newTitle);
@@ -0,0 +1,9 @@
+await studio.cloneCard(data.cardid);
+clonedCard = await studio.getCard(data.cardid, 'cloned');
+clonedCardID = await clonedCard
+    .locator('aem-fragment')
+    .getAttribute('fragment');
+data.clonedCardID = await clonedCardID;
+await expect(await clonedCard).toBeVisible();
+await clonedCard.dblclick();
+{{waits.editorOpen}}
@@ -0,0 +1,4 @@
+await editor.closeEditor.click();
+await expect(await studio.confirmationDialog).toBeVisible();
+await studio.discardDialog.click();
+await expect(await editor.panel).not.toBeVisible();
@@ -0,0 +1,3 @@
+await expect(await studio.getCard(data.cardid)).toBeVisible();
+await (await studio.getCard(data.cardid)).dblclick();
+await expect(await editor.panel).toBeVisible();
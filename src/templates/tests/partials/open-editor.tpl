@@ -0,0 +1,9 @@
+const card = await studio.getCard(data.cardid);
+await expect(card).toBeVisible();
+await expect(card).toHaveAttribute(
+    'variant',
+    '{{variantAttribute}}',
+);
+await page.waitForTimeout({{timeouts.SHORT}});
+await card.dblclick();
+{{waits.editorOpen}}
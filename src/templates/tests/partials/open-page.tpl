@@ -0,0 +1,4 @@
+await page.goto(testPage);
+await page.waitForLoadState('domcontentloaded');
+await page.waitForLoadState('networkidle', { timeout: {{timeouts.NETWORK_IDLE}} });
+await page.waitForTimeout({{timeouts.SHORT}});
@@ -0,0 +1,3 @@
+await studio.saveCard();
+await page.waitForTimeout({{timeouts.SAVE_OPERATION}});
+await page.waitForLoadState('networkidle', { timeout: {{timeouts.NETWORK_IDLE}} });
@@ -0,0 +1,33 @@
+---
+{
+    "feature": "edited-image",
+    "description": "Validate saving card after editing card background image",
+    "data": {
+        "newBackgroundURL": "https://main--milo--adobecom.aem.page/assets/img/commerce/media_1d63dab9ee1edbf371d6f0548516c9e12b3ea3ff4.png"
+    }
+}
+---
+
+## setup
+let clonedCard;
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## clone-card: Clone card and open editor
+{{> clone-and-open-editor}}
+
+## edit-and-save: Edit fields and save card
+await expect(await editor.backgroundImage).toBeVisible();
+await expect(await editor.backgroundImage).toHaveValue('');
+await editor.backgroundImage.fill(data.newBackgroundURL);
+{{> save-card}}
+
+## validate: Validate edited card image
+await expect(await editor.backgroundImage).toHaveValue(
+    data.newBackgroundURL,
+);
+await expect(await clonedCard).toHaveAttribute(
+    'background-image',
+    data.newBackgroundURL,
+);
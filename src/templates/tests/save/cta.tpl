@@ -0,0 +1,33 @@
+---
+{
+    "feature": "edited-cta-label",
+    "description": "Validate saving card after editing CTA label",
+    "data": {
+        "ctaText": "Buy now",
+        "newCtaText": "Buy now 2"
+    }
+}
+---
+
+## setup
+let clonedCard;
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## clone-card: Clone card and open editor
+{{> clone-and-open-editor}}
+
+## edit-and-save: Edit CTA and save card
+await expect(await editor.footer).toContainText(data.ctaText);
+await editor.CTA.click();
+await editor.footer.locator(editor.linkEdit).click();
+await editor.linkText.fill(data.newCtaText);
+await editor.linkSave.click();
+{{> save-card}}
+
+## validate: Validate edited card CTA
+await expect(await editor.footer).toContainText(data.newCtaText);
+await expect(
+    await clonedCard.locator({{cardVariable}}.cardCTA),
+).toContainText(data.newCtaText);
@@ -0,0 +1,35 @@
+---
+{
+    "feature": "edited-description",
+    "description": "Validate saving card after editing card description",
+    "data": {
+        "description": "MAS repo validation card for Nala tests",
+        "newDescription": "New Test Description"
+    }
+}
+---
+
+## setup
+let clonedCard;
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## clone-card: Clone card and open editor
+{{> clone-and-open-editor}}
+
+## edit-and-save: Edit description and save card
+await expect(await editor.description).toBeVisible();
+await expect(await editor.description).toContainText(
+    data.description,
+);
+await editor.description.fill(data.newDescription);
+{{> save-card}}
+
+## validate: Validate edited card description
+await expect(await editor.description).toContainText(
+    data.newDescription,
+);
+await expect(
+    await clonedCard.locator({{cardVariable}}.cardDescription),
+).toHaveText(data.newDescription);
@@ -0,0 +1,31 @@
+---
+{
+    "feature": "edited-eyebrow",
+    "description": "Validate saving card after editing card eyebrow",
+    "data": {
+        "subtitle": "do not edit",
+        "newSubtitle": "New Subtitle"
+    }
+}
+---
+
+## setup
+let clonedCard;
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## clone-card: Clone card and open editor
+{{> clone-and-open-editor}}
+
+## edit-and-save: Edit eyebrow and save card
+await expect(await editor.subtitle).toBeVisible();
+await expect(await editor.subtitle).toHaveValue(data.subtitle);
+await editor.subtitle.fill(data.newSubtitle);
+{{> save-card}}
+
+## validate: Validate edited card eyebrow
+await expect(await editor.subtitle).toHaveValue(data.newSubtitle);
+await expect(
+    await clonedCard.locator({{cardVariable}}.cardEyebrow),
+).toHaveText(data.newSubtitle);
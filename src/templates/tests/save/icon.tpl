@@ -0,0 +1,31 @@
+---
+{
+    "feature": "edited-mnemonic",
+    "description": "Validate saving card after editing card mnemonic",
+    "data": {
+        "iconURL": "https://www.adobe.com/content/dam/shared/images/product-icons/svg/photoshop.svg",
+        "newIconURL": "https://www.adobe.com/content/dam/shared/images/product-icons/svg/illustrator.svg"
+    }
+}
+---
+
+## setup
+let clonedCard;
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## clone-card: Clone card and open editor
+{{> clone-and-open-editor}}
+
+## edit-and-save: Edit mnemonic and save card
+await expect(await editor.iconURL).toBeVisible();
+await expect(await editor.iconURL).toHaveValue(data.iconURL);
+await editor.iconURL.fill(data.newIconURL);
+{{> save-card}}
+
+## validate: Validate edited card mnemonic
+await expect(await editor.iconURL).toHaveValue(data.newIconURL);
+await expect(
+    await clonedCard.locator({{cardVariable}}.cardIcon),
+).toHaveAttribute('src', data.newIconURL);
@@ -0,0 +1,36 @@
+---
+{
+    "feature": "edited-price",
+    "description": "Validate saving card after editing card price",
+    "data": {
+        "price": "US$17.24/mo",
+        "strikethroughPrice": "US$34.49/mo"
+    }
+}
+---
+
+## setup
+let clonedCard;
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## clone-card: Clone card and open editor
+{{> clone-and-open-editor}}
+
+## edit-and-save: Edit price and save card
+await expect(await editor.prices).toBeVisible();
+await expect(await editor.prices).toContainText(data.price);
+await expect(await editor.prices).toContainText(
+    data.strikethroughPrice,
+);
+{{> save-card}}
+
+## validate: Validate edited card price
+await expect(await editor.prices).toContainText(data.price);
+await expect(await editor.prices).toContainText(
+    data.strikethroughPrice,
+);
+await expect(
+    await clonedCard.locator({{cardVariable}}.cardPrice),
+).toContainText(data.price);
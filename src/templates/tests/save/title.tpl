@@ -0,0 +1,31 @@
+---
+{
+    "feature": "edited-title",
+    "description": "Validate saving card after editing card title",
+    "data": {
+        "title": "Field Edit & Save",
+        "newTitle": "Cloned Field Edit"
+    }
+}
+---
+
+## setup
+let clonedCard;
+
+## open-page: Go to MAS Studio test page
+{{> open-page}}
+
+## clone-card: Clone card and open editor
+{{> clone-and-open-editor}}
+
+## edit-and-save: Edit title and save card
+await expect(await editor.title).toBeVisible();
+await expect(await editor.title).toHaveValue(data.title);
+await editor.title.fill(data.newTitle);
+{{> save-card}}
+
+## validate: Validate edited card title
+await expect(await editor.title).toHaveValue(data.newTitle);
+await expect(
+    await clonedCard.locator({{cardVariable}}.cardTitle),
+).toHaveText(data.newTitle);
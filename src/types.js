@@ -2,25 +2,47 @@
  * @typedef {Object} CardConfig
  * @property {string} cardType
  * @property {string} cardId
+ * @property {SuiteCard[]} [cards] - Cards covered by one spec, one feature per card
+ * @property {Array<string | Object>} [locales] - Locales to expand every feature into
+ * (see utils/locale-matrix.js)
+ * @property {string | Record<string, Object>} [localeData] - Expected data per locale, or the
+ * path of a JSON file with it
  * @property {string} testSuite
- * @property {Object} elements
- * @property {ElementConfig} [elements.title]
- * @property {ElementConfig} [elements.eyebrow]
- * @property {ElementConfig} [elements.description]
- * @property {ElementConfig} [elements.price]
- * @property {ElementConfig} [elements.strikethroughPrice]
- * @property {ElementConfig} [elements.cta]
- * @property {ElementConfig} [elements.icon]
- * @property {ElementConfig} [elements.legalLink]
- * @property {ElementConfig} [elements.backgroundImage]
+ * @property {Record<string, ElementConfig>} elements - Keyed by element kind
+ * (title, eyebrow, description, price, strikethroughPrice, cta, icon, legalLink,
+ * backgroundImage, image, badge, trialBadge, smallIcons, or a custom kind; see
+ * utils/element-registry.js)
  * @property {Record<string, CSSProperties>} [cssProperties]
+ * @property {Record<string, Record<string, CSSProperties>>} [breakpointCss] - Card and element
+ * CSS per breakpoint name (see utils/breakpoints.js)
  * @property {TestType[]} testTypes
+ * @property {string[]} [visualMask] - Extra selectors inside the card that visual tests mask
+ * (dates, counters, ...); elements flagged dynamic in the element registry are always masked
+ * @property {string[]} [a11yAllowRules] - axe rule ids a11y tests do not fail on, in addition to
+ * the rules allowed for the variant in .nala-mcp.json (see utils/a11y-rules.js)
+ * @property {InlinePrice[]} [prices] - Inline prices of the card in page order, as extracted
  * @property {Object} [metadata]
  * @property {string[]} [metadata.tags]
  * @property {string} [metadata.browserParams]
  * @property {string} [metadata.path]
  */
 
+/**
+ * @typedef {Object} InlinePrice
+ * @property {Record<string, string>} attributes - Data attributes of the `span[is="inline-price"]`
+ * (data-template, data-display-tax, ...)
+ * @property {string} text - Rendered price, e.g. 'US$22.99/mo'
+ * @property {string} [taxLabel] - Rendered tax label, e.g. 'excl. tax'
+ * @property {boolean} [strikethrough] - Regular price shown struck through next to a discounted price
+ */
+
+/**
+ * @typedef {Object} SuiteCard
+ * @property {string} cardId
+ * @property {string} [label] - Suffix of the feature names for this card (default: card-<n>)
+ * @property {Record<string, string>} [data] - Expected data merged over the generated feature data
+ */
+
 /**
  * @typedef {Object} ElementConfig
  * @property {string} selector
@@ -29,6 +51,12 @@
  * @property {string} [expectedAttribute]
  * @property {CSSProperties} [cssProperties]
  * @property {InteractionConfig[]} [interactions]
+ * @property {string} [size] - icon, image and smallIcons
+ * @property {string} [alt] - icon, image and smallIcons
+ * @property {string} [backgroundColor] - badge and trialBadge
+ * @property {string} [borderColor] - badge and trialBadge
+ * @property {string} [variant] - badge and trialBadge
+ * @property {Object} [priceDetails] - price
  */
 
 /**
@@ -61,9 +89,15 @@
  */
 
 /**
- * @typedef {'css' | 'functional' | 'edit' | 'save' | 'discard' | 'interaction'} TestType
+ * @typedef {'css' | 'functional' | 'edit' | 'save' | 'discard' | 'interaction' | 'visual' | 'a11y' | 'analytics' | 'checkout' | 'price'} TestType
  */
 
+/**
+ * Every test type the spec and test generators produce, in generation order
+ * @type {TestType[]}
+ */
+export const TEST_TYPES = ['css', 'functional', 'edit', 'save', 'discard', 'interaction', 'visual', 'a11y', 'analytics', 'checkout', 'price'];
+
 /**
  * @typedef {Object} TestSpec
  * @property {string} tcid
@@ -86,5 +120,3 @@
  * @property {Record<string, string>} selectors
  * @property {Record<string, CSSProperties>} cssProperties
  */
-
-export {}; 
\ No newline at end of file
@@ -0,0 +1,85 @@
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { getTargetProjectRoot } from '../config.js';
+
+/**
+ * WCAG levels the card-wide axe scan of an a11y test checks
+ */
+export const A11Y_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+
+/**
+ * axe rule each dedicated a11y test step stands in for; allowing the rule
+ * drops the step as well as the rule from the axe scan
+ */
+export const A11Y_STEP_RULES = {
+    headingOrder: 'heading-order',
+    colorContrast: 'color-contrast',
+    keyboard: 'tabindex',
+};
+
+// Key of the rules allowed for every variant
+const ALL_VARIANTS = '*';
+
+class A11yRuleRegistry {
+    constructor() {
+        /** @type {Map<string, Set<string>>} */
+        this.allowRules = new Map();
+        this.loadConfigRules();
+    }
+
+    /**
+     * Read the axe rules each variant may violate from the target project's
+     * .nala-mcp.json ("a11y": { "allowRules": { "*": [...], "<variant>": [...] } })
+     */
+    loadConfigRules() {
+        try {
+            const configPath = join(getTargetProjectRoot(), '.nala-mcp.json');
+            if (!existsSync(configPath)) return;
+
+            let config;
+            try {
+                config = JSON.parse(readFileSync(configPath, 'utf-8'));
+            } catch (parseError) {
+                console.error('Failed to parse config a11y rules JSON:', parseError.message);
+                return;
+            }
+
+            for (const [variant, rules] of Object.entries(config.a11y?.allowRules || {})) {
+                if (!Array.isArray(rules)) {
+                    console.error(`Skipping a11y allow rules of "${variant}": expected an array of axe rule ids`);
+                    continue;
+                }
+                this.allow(variant, rules);
+            }
+        } catch (error) {
+            // Config might not exist, that's okay
+        }
+    }
+
+    /**
+     * @param {string} variant - Card type, or '*' for every variant
+     * @param {Array<string>} rules - axe rule ids
+     */
+    allow(variant, rules) {
+        const allowed = this.allowRules.get(variant) || new Set();
+        rules.forEach((rule) => allowed.add(rule));
+        this.allowRules.set(variant, allowed);
+    }
+}
+
+// Singleton instance
+const registry = new A11yRuleRegistry();
+
+/**
+ * axe rules an a11y test of a card does not fail on: the rules allowed for every
+ * variant, for the card type and in the card config (config.a11yAllowRules)
+ * @param {import('../types.js').CardConfig} config
+ * @returns {Array<string>} Sorted rule ids
+ */
+export function getA11yAllowRules(config) {
+    return [...new Set([
+        ...(registry.allowRules.get(ALL_VARIANTS) || []),
+        ...(registry.allowRules.get(config.cardType) || []),
+        ...(config.a11yAllowRules || []),
+    ])].sort();
+}
@@ -0,0 +1,116 @@
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { getTargetProjectRoot } from '../config.js';
+
+/**
+ * @typedef {Object} Breakpoint
+ * @property {string} name - Breakpoint name, e.g. 'mobile'
+ * @property {number} width - Viewport width in pixels
+ * @property {number} height - Viewport height in pixels
+ */
+
+/**
+ * Viewports of the MAS/Milo breakpoints (mobile < 600px, tablet < 1200px,
+ * desktop < 1600px, wide above)
+ */
+export const DEFAULT_BREAKPOINTS = {
+    mobile: { width: 375, height: 812 },
+    tablet: { width: 768, height: 1024 },
+    desktop: { width: 1280, height: 800 },
+    wide: { width: 1920, height: 1080 },
+};
+
+class BreakpointRegistry {
+    constructor() {
+        /** @type {Map<string, Breakpoint>} */
+        this.breakpoints = new Map();
+        for (const [name, viewport] of Object.entries(DEFAULT_BREAKPOINTS)) {
+            this.register(name, viewport);
+        }
+        this.loadConfigBreakpoints();
+    }
+
+    /**
+     * Read breakpoints from the target project's .nala-mcp.json
+     * ("breakpoints": { "<name>": { "width": 375, "height": 812 } })
+     */
+    loadConfigBreakpoints() {
+        try {
+            const configPath = join(getTargetProjectRoot(), '.nala-mcp.json');
+            if (!existsSync(configPath)) return;
+
+            let config;
+            try {
+                config = JSON.parse(readFileSync(configPath, 'utf-8'));
+            } catch (parseError) {
+                console.error('Failed to parse config breakpoints JSON:', parseError.message);
+                return;
+            }
+
+            for (const [name, viewport] of Object.entries(config.breakpoints || {})) {
+                try {
+                    this.register(name, viewport);
+                } catch (error) {
+                    console.error(`Skipping breakpoint "${name}":`, error.message);
+                }
+            }
+        } catch (error) {
+            // Config might not exist, that's okay
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @param {{ width: number, height: number }} viewport
+     */
+    register(name, viewport) {
+        if (!Number.isInteger(viewport?.width) || !Number.isInteger(viewport?.height)) {
+            throw new Error('width and height must be integers');
+        }
+        this.breakpoints.set(name, { name, width: viewport.width, height: viewport.height });
+    }
+}
+
+// Singleton instance
+const registry = new BreakpointRegistry();
+
+/**
+ * @returns {Array<string>} Names of the known breakpoints, narrowest first
+ */
+export function getBreakpointNames() {
+    return [...registry.breakpoints.values()]
+        .sort((a, b) => a.width - b.width)
+        .map((breakpoint) => breakpoint.name);
+}
+
+/**
+ * @param {string} name
+ * @returns {Breakpoint | undefined}
+ */
+export function getBreakpoint(name) {
+    return registry.breakpoints.get(name);
+}
+
+/**
+ * Look up breakpoints by name
+ * @param {Array<string>} [names] - Breakpoint names (default: all, narrowest first)
+ * @returns {Array<Breakpoint>}
+ */
+export function resolveBreakpoints(names = getBreakpointNames()) {
+    return names.map((name) => {
+        const breakpoint = getBreakpoint(name);
+        if (!breakpoint) {
+            throw new Error(`Unknown breakpoint: ${name}. Known breakpoints: ${getBreakpointNames().join(', ')}`);
+        }
+        return breakpoint;
+    });
+}
+
+/**
+ * Breakpoints a card config has CSS for (config.breakpointCss), in config order
+ * @param {import('../types.js').CardConfig} config
+ * @returns {Array<Breakpoint>}
+ */
+export function getCSSBreakpoints(config) {
+    return resolveBreakpoints(Object.keys(config.breakpointCss || {}));
+}
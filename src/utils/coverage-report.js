@@ -0,0 +1,436 @@
+import { existsSync, readFileSync, readdirSync, statSync } from 'fs';
+import { basename, dirname, join, relative } from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig, getTestOutputPath } from '../config.js';
+import { getAllVariants } from './variant-registry.js';
+import { getElementNames } from './element-registry.js';
+import { getCardNaming } from './mas-test-integration.js';
+import { getCardSurface } from './file-output.js';
+import { propertyKey, toLiteral } from './test-validator.js';
+import { listDirectories, readFeatureProperties, SPEC_FILE_PATTERN } from './spec-reader.js';
+
+/**
+ * Test coverage report
+ *
+ * Reads the generated specs of every registered variant (nala/studio/<surface>/<card>/specs/<card>_<type>.spec.js)
+ * and of every Milo block and feature in milo-types.json (nala/blocks/<block>/<block>.spec.js,
+ * nala/features/<path>/<name>.spec.js) into a matrix of target × test type × element.
+ */
+
+/**
+ * @typedef {Object} CoverageCell
+ * @property {Array<string>} specs - Spec files, relative to the project root
+ * @property {Array<string>} tcids - tcids of the features
+ * @property {Array<string>} tags - Tags of the features
+ * @property {Record<string, Array<string>>} elements - tcids per element; '*' for features of the whole card or block
+ * @property {string} modified - Last modification of the newest spec (ISO date)
+ */
+
+/**
+ * @typedef {Object} CoverageRow
+ * @property {string} project - Project name from the configuration
+ * @property {'variant' | 'block' | 'feature'} category
+ * @property {string} name - Card directory, block name or feature path (e.g. 'feds/header')
+ * @property {Array<string>} variants - Registered variants of the card (empty for Milo)
+ * @property {string|null} surface - Surface of the card (null for Milo)
+ * @property {Array<string>} expected - Test types the variant or block supports
+ * @property {Record<string, CoverageCell>} testTypes - Covered test types
+ * @property {Array<string>} missing - Expected test types without a spec
+ */
+
+/**
+ * @typedef {Object} CoverageReport
+ * @property {string} generatedAt - ISO date
+ * @property {Array<string>} testTypes - Test types of the matrix
+ * @property {Array<string>} elements - Elements of the matrix
+ * @property {CoverageRow[]} rows
+ */
+
+export const COVERAGE_FORMATS = ['markdown', 'json', 'html'];
+
+// Element of features that cover the whole card or block
+export const WHOLE_TARGET = '*';
+
+const currentDir = dirname(fileURLToPath(import.meta.url));
+const miloTypesPath = join(currentDir, '../data/milo-types.json');
+
+// Feature properties keyed by the elements they check (see spec-generator.js)
+const ELEMENT_EXPECTATIONS = ['analytics', 'checkout'];
+
+// Describe titles of generated Milo tests, by test type (see milo-generator.js)
+const MILO_SUITE_TITLES = [
+    [/\bCSS test suite\b/, 'css'],
+    [/\binteraction test suite\b/, 'interaction'],
+    [/\bvisual test suite\b/, 'visual'],
+    [/\btest suite\b/, 'functional'],
+];
+
+/**
+ * Elements a spec feature checks: elements named in the feature name
+ * ('@studio-fries-edit-title'), elements with expectations (analytics,
+ * checkout) and the price for inline price expectations
+ * @param {string} name - Feature name
+ * @param {Map<string, Object>} properties - Feature properties by key
+ * @param {Array<string>} elementNames - Known elements
+ * @returns {Array<string>} Elements, or ['*'] when the feature covers the whole card
+ */
+function getFeatureElements(name, properties, elementNames) {
+    const elements = new Set(elementNames.filter((element) => new RegExp(`-${element}(?=-|$)`).test(name)));
+    for (const key of ELEMENT_EXPECTATIONS) {
+        const value = properties.get(key);
+        if (value?.type !== 'ObjectExpression') continue;
+        value.properties.filter((p) => p.type === 'Property').forEach((p) => elements.add(propertyKey(p)));
+    }
+    if (properties.has('prices')) elements.add('price');
+
+    return elements.size > 0 ? [...elements] : [WHOLE_TARGET];
+}
+
+/**
+ * Read the features of a spec file with the elements each one checks
+ * @param {string} specPath - Spec file path
+ * @param {Array<string>} [elementNames] - Known elements (default: the element registry)
+ * @returns {Array<{tcid: string, name: string, tags: Array<string>, elements: Array<string>}>}
+ *   Features, empty when the spec cannot be read
+ */
+export function readSpecCoverage(specPath, elementNames = getElementNames()) {
+    try {
+        return readFeatureProperties(readFileSync(specPath, 'utf-8')).map((properties) => {
+            const name = String(toLiteral(properties.get('name')) ?? '');
+            return {
+                tcid: String(toLiteral(properties.get('tcid')) ?? ''),
+                name,
+                tags: String(toLiteral(properties.get('tags')) ?? '').split(/\s+/).filter(Boolean),
+                elements: getFeatureElements(name, properties, elementNames),
+            };
+        });
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Add a spec to the cell of its test type
+ * @param {Record<string, CoverageCell>} testTypes - Cells of a row
+ * @param {string} testType
+ * @param {string} specPath - Absolute spec path
+ * @param {string} projectRoot - Project root the spec path is reported relative to
+ */
+function addSpec(testTypes, testType, specPath, projectRoot) {
+    const cell = testTypes[testType] || { specs: [], tcids: [], tags: [], elements: {}, modified: null };
+    const modified = statSync(specPath).mtime.toISOString();
+
+    cell.specs.push(relative(projectRoot, specPath));
+    if (!cell.modified || modified > cell.modified) cell.modified = modified;
+    for (const feature of readSpecCoverage(specPath)) {
+        cell.tcids.push(feature.tcid);
+        feature.tags.filter((tag) => !cell.tags.includes(tag)).forEach((tag) => cell.tags.push(tag));
+        for (const element of feature.elements) {
+            cell.elements[element] = [...(cell.elements[element] || []), feature.tcid];
+        }
+    }
+    testTypes[testType] = cell;
+}
+
+/**
+ * Coverage of the registered variants. Aliases of one card (`ccd-suggested`
+ * and `suggested`) share its suite directory and row.
+ * @param {Array<Object>} variants - Registry variants
+ * @param {string} testOutputDir - NALA directory of the MAS project
+ * @param {string} projectRoot - MAS project root
+ * @param {string} [project] - Project name
+ * @returns {CoverageRow[]} Rows sorted by card
+ */
+export function scanVariantCoverage(variants, testOutputDir, projectRoot, project = 'mas') {
+    const rows = new Map();
+    for (const variant of variants) {
+        const { name } = getCardNaming(variant.value);
+        const row = rows.get(name) || {
+            project,
+            category: 'variant',
+            name,
+            variants: [],
+            surface: getCardSurface(variant.value),
+            expected: [],
+            testTypes: {},
+            missing: [],
+        };
+        row.variants.push(variant.value);
+        (variant.testTypes || []).filter((type) => !row.expected.includes(type)).forEach((type) => row.expected.push(type));
+        rows.set(name, row);
+    }
+
+    const studioDir = join(testOutputDir, 'studio');
+    for (const row of rows.values()) {
+        const cardDirs = [...new Set([row.name, ...row.variants])];
+        for (const surface of listDirectories(studioDir)) {
+            for (const cardType of cardDirs) {
+                const specsDir = join(studioDir, surface, cardType, 'specs');
+                if (!existsSync(specsDir)) continue;
+                readdirSync(specsDir).sort().forEach((file) => {
+                    const testType = file.match(SPEC_FILE_PATTERN)?.[2];
+                    if (testType) addSpec(row.testTypes, testType, join(specsDir, file), projectRoot);
+                });
+            }
+        }
+        row.missing = row.expected.filter((type) => !row.testTypes[type]);
+    }
+
+    return [...rows.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Blocks and leaf features of milo-types.json
+ * @returns {Array<{category: 'block' | 'feature', name: string, testTypes: Array<string>}>}
+ */
+export function listMiloTargets() {
+    let types;
+    try {
+        types = JSON.parse(readFileSync(miloTypesPath, 'utf-8'));
+    } catch (error) {
+        console.error('Failed to read Milo types:', error.message);
+        return [];
+    }
+
+    const targets = Object.entries(types.blocks || {}).map(([name, block]) => ({
+        category: 'block',
+        name,
+        testTypes: block.testTypes || [],
+    }));
+    const addFeatures = (entries, parents) => {
+        for (const [name, feature] of Object.entries(entries)) {
+            const path = [...parents, name];
+            if (feature.testTypes) {
+                targets.push({ category: 'feature', name: path.join('/'), testTypes: feature.testTypes });
+            }
+            if (feature.subtypes) addFeatures(feature.subtypes, path);
+        }
+    };
+    addFeatures(types.features || {}, []);
+
+    return targets;
+}
+
+/**
+ * Test type of a generated Milo spec: from a `<name>_<type>.spec.js` file name,
+ * or the describe title of the test next to it (`<name>.test.js`)
+ * @param {string} specPath
+ * @returns {string} Test type ('functional' when unknown)
+ */
+function getMiloTestType(specPath) {
+    const fromName = basename(specPath).match(SPEC_FILE_PATTERN)?.[2];
+    if (fromName) return fromName;
+
+    const testPath = specPath.replace(/\.spec\.js$/, '.test.js');
+    const test = existsSync(testPath) ? readFileSync(testPath, 'utf-8') : '';
+    const title = test.match(/test\.describe\(\s*[`'"]([^`'"]*)/)?.[1] || '';
+    return MILO_SUITE_TITLES.find(([pattern]) => pattern.test(title))?.[1] || 'functional';
+}
+
+/**
+ * Coverage of the Milo blocks and features in milo-types.json
+ * @param {string} testOutputDir - NALA directory of the Milo project
+ * @param {string} projectRoot - Milo project root
+ * @param {string} [project] - Project name
+ * @returns {CoverageRow[]} Blocks, then features
+ */
+export function scanMiloCoverage(testOutputDir, projectRoot, project = 'milo') {
+    return listMiloTargets().map(({ category, name, testTypes: expected }) => {
+        const dir = join(testOutputDir, `${category}s`, ...name.split('/'));
+        const specName = name.split('/').pop();
+        const testTypes = {};
+        if (existsSync(dir)) {
+            readdirSync(dir)
+                .filter((file) => file === `${specName}.spec.js` || file.match(SPEC_FILE_PATTERN)?.[1] === specName)
+                .sort()
+                .forEach((file) => addSpec(testTypes, getMiloTestType(join(dir, file)), join(dir, file), projectRoot));
+        }
+        return {
+            project,
+            category,
+            name,
+            variants: [],
+            surface: null,
+            expected,
+            testTypes,
+            missing: expected.filter((type) => !testTypes[type]),
+        };
+    });
+}
+
+/**
+ * Build the coverage matrix of every configured project. Call
+ * initializeRegistry() first so configured and discovered variants are included.
+ * @param {Object} [options]
+ * @param {string} [options.project] - Only this project
+ * @returns {CoverageReport}
+ */
+export function buildCoverageReport(options = {}) {
+    const projects = Object.entries(loadConfig().projects || {})
+        .filter(([name]) => !options.project || name === options.project);
+
+    const rows = projects.flatMap(([name, project]) => (project.type === 'milo'
+        ? scanMiloCoverage(getTestOutputPath(name), project.path, name)
+        : scanVariantCoverage(getAllVariants(), getTestOutputPath(name), project.path, name)));
+
+    const testTypes = [...new Set(rows.flatMap((row) => [...row.expected, ...Object.keys(row.testTypes)]))];
+    const elements = [...new Set(rows.flatMap((row) =>
+        Object.values(row.testTypes).flatMap((cell) => Object.keys(cell.elements))))];
+
+    return {
+        generatedAt: new Date().toISOString(),
+        testTypes,
+        elements: elements.sort((a, b) => (a === WHOLE_TARGET ? -1 : b === WHOLE_TARGET ? 1 : a.localeCompare(b))),
+        rows,
+    };
+}
+
+/**
+ * @param {CoverageCell} cell
+ * @returns {string} Covered elements, e.g. 'all' or 'title, cta'
+ */
+function formatElements(cell) {
+    const elements = Object.keys(cell.elements);
+    return [
+        ...(elements.includes(WHOLE_TARGET) ? ['all'] : []),
+        ...elements.filter((element) => element !== WHOLE_TARGET),
+    ].join(', ');
+}
+
+function rowLabel(row) {
+    return row.surface ? `${row.name} (${row.surface})` : `${row.name} (${row.category})`;
+}
+
+function groupByProject(rows) {
+    return rows.reduce((groups, row) => ({ ...groups, [row.project]: [...(groups[row.project] || []), row] }), {});
+}
+
+/**
+ * @param {CoverageReport} report
+ * @returns {string} Markdown report: a matrix per project, then the tcids, tags and specs per test type
+ */
+export function formatCoverageMarkdown(report) {
+    const covered = report.rows.reduce((count, row) => count + Object.keys(row.testTypes).length, 0);
+    const missing = report.rows.reduce((count, row) => count + row.missing.length, 0);
+
+    let output = '# Test Coverage Report\n\n';
+    output += `**Generated**: ${report.generatedAt}\n`;
+    output += `**Targets**: ${report.rows.length} (${covered} test types covered, ${missing} missing)\n\n`;
+    output += '✅ covered (elements), ❌ supported but missing, – not supported\n\n';
+
+    for (const [project, rows] of Object.entries(groupByProject(report.rows))) {
+        const testTypes = report.testTypes.filter((type) => rows.some((row) => row.expected.includes(type) || row.testTypes[type]));
+        output += `## ${project}\n\n`;
+        output += `| Target | ${testTypes.join(' | ')} |\n`;
+        output += `| --- | ${testTypes.map(() => '---').join(' | ')} |\n`;
+        for (const row of rows) {
+            const cells = testTypes.map((type) => {
+                if (row.testTypes[type]) return `✅ ${formatElements(row.testTypes[type])}`;
+                return row.expected.includes(type) ? '❌' : '–';
+            });
+            output += `| ${rowLabel(row)} | ${cells.join(' | ')} |\n`;
+        }
+        output += '\n';
+
+        for (const row of rows.filter((r) => Object.keys(r.testTypes).length > 0)) {
+            output += `### ${rowLabel(row)}\n\n`;
+            for (const [type, cell] of Object.entries(row.testTypes)) {
+                output += `- **${type}**: tcids ${cell.tcids.join(', ') || '–'}; elements ${formatElements(cell)}; modified ${cell.modified}\n`;
+                output += `  - Specs: ${cell.specs.map((spec) => `\`${spec}\``).join(', ')}\n`;
+                output += `  - Tags: ${cell.tags.join(' ') || '–'}\n`;
+            }
+            output += '\n';
+        }
+    }
+
+    return output.trimEnd() + '\n';
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {CoverageReport} report
+ * @returns {string} Standalone HTML page: a matrix per project, the tcids, tags and
+ *   specs of each cell in its tooltip, and a target × element table per test type
+ */
+export function formatCoverageHtml(report) {
+    const sections = Object.entries(groupByProject(report.rows)).map(([project, rows]) => {
+        const testTypes = report.testTypes.filter((type) => rows.some((row) => row.expected.includes(type) || row.testTypes[type]));
+        const head = `<tr><th>Target</th>${testTypes.map((type) => `<th>${escapeHtml(type)}</th>`).join('')}</tr>`;
+        const body = rows.map((row) => {
+            const cells = testTypes.map((type) => {
+                const cell = row.testTypes[type];
+                if (!cell) {
+                    return row.expected.includes(type) ? '<td class="missing">missing</td>' : '<td class="none">–</td>';
+                }
+                const title = `tcids: ${cell.tcids.join(', ')}\ntags: ${cell.tags.join(' ')}\nmodified: ${cell.modified}\n${cell.specs.join('\n')}`;
+                return `<td class="covered" title="${escapeHtml(title)}">${escapeHtml(formatElements(cell))}</td>`;
+            });
+            return `<tr><th>${escapeHtml(rowLabel(row))}</th>${cells.join('')}</tr>`;
+        }).join('\n');
+
+        const elements = report.elements.filter((element) =>
+            rows.some((row) => Object.values(row.testTypes).some((cell) => cell.elements[element])));
+        const elementTables = testTypes
+            .filter((type) => rows.some((row) => row.testTypes[type]))
+            .map((type) => {
+                const elementRows = rows.filter((row) => row.testTypes[type]).map((row) => {
+                    const cells = elements.map((element) => {
+                        const tcids = row.testTypes[type].elements[element];
+                        return tcids ? `<td class="covered">${escapeHtml(tcids.join(', '))}</td>` : '<td class="none">–</td>';
+                    });
+                    return `<tr><th>${escapeHtml(rowLabel(row))}</th>${cells.join('')}</tr>`;
+                }).join('\n');
+                const elementHead = elements.map((element) => `<th>${escapeHtml(element === WHOLE_TARGET ? 'all' : element)}</th>`).join('');
+                return `<h3>${escapeHtml(type)}: tcids per element</h3>\n<table>\n<tr><th>Target</th>${elementHead}</tr>\n${elementRows}\n</table>`;
+            }).join('\n');
+
+        return `<h2>${escapeHtml(project)}</h2>\n<table>\n${head}\n${body}\n</table>\n${elementTables}`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>NALA Test Coverage</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 2rem; font-size: 0.9rem; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; }
+td.covered { background: #e3f6e5; }
+td.missing { background: #fbe3e3; color: #a00; }
+td.none { color: #999; }
+</style>
+</head>
+<body>
+<h1>NALA Test Coverage</h1>
+<p>Generated ${escapeHtml(report.generatedAt)}. Hover a covered cell for its tcids, tags, specs and last modification.</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+/**
+ * @param {CoverageReport} report
+ * @param {'markdown' | 'json' | 'html'} [format]
+ * @returns {string} The report in that format
+ */
+export function formatCoverageReport(report, format = 'markdown') {
+    switch (format) {
+        case 'json':
+            return `${JSON.stringify(report, null, 2)}\n`;
+        case 'html':
+            return formatCoverageHtml(report);
+        case 'markdown':
+            return formatCoverageMarkdown(report);
+        default:
+            throw new Error(`Unknown coverage report format: ${format} (expected ${COVERAGE_FORMATS.join(', ')})`);
+    }
+}
@@ -0,0 +1,247 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { full as walkFull } from 'acorn-walk';
+import { parseModule } from './test-validator.js';
+import { createUnifiedDiff } from './diff.js';
+import { getBreakpointNames } from './breakpoints.js';
+
+/**
+ * A failed CSS assertion to repair
+ * @typedef {Object} CSSMismatchInput
+ * @property {string} property - CSS property name
+ * @property {string} expected - Value currently in the page object
+ * @property {string} actual - Value rendered on the page
+ * @property {string} [element] - cssProp key (e.g. 'title'), when known
+ * @property {string} [selector] - Selector the assertion ran against, when known
+ * @property {string} [breakpoint] - Breakpoint of a breakpoint CSS test; its
+ *   values live in cssPropByBreakpoint.<breakpoint> instead of cssProp
+ */
+
+/**
+ * A single planned cssProp edit
+ * @typedef {Object} CSSRepair
+ * @property {string} element - cssProp key
+ * @property {string|null} breakpoint - cssPropByBreakpoint key, null for cssProp
+ * @property {string} property - CSS property name
+ * @property {string} expected - Old value
+ * @property {string} actual - New value
+ * @property {number} start - Offset of the value literal
+ * @property {number} end - End offset of the value literal
+ * @property {string} quote - Quote character of the value literal
+ */
+
+function keyName(node) {
+    return node.type === 'Identifier' ? node.name : String(node.value);
+}
+
+function firstLocatorSelector(node) {
+    let selector = null;
+    walkFull(node, (child) => {
+        if (
+            !selector &&
+            child.type === 'CallExpression' &&
+            child.callee.type === 'MemberExpression' &&
+            child.callee.property.name === 'locator' &&
+            child.arguments[0]?.type === 'Literal'
+        ) {
+            selector = child.arguments[0].value;
+        }
+    });
+    return selector;
+}
+
+/**
+ * Breakpoint a failing test validates: its `@breakpoint-<name>` tag, or the
+ * `-css-<name>` suffix of its feature name
+ * @param {{test?: string|null, tags?: Array<string>}} failure - Classified error
+ * @returns {string|null} Breakpoint name, or null for the default CSS test
+ */
+export function getFailureBreakpoint({ test, tags = [] }) {
+    const tag = tags.find((t) => t.startsWith('@breakpoint-'));
+    if (tag) return tag.slice('@breakpoint-'.length);
+
+    const name = test?.split(/\s/)[0] || '';
+    return getBreakpointNames().find((breakpoint) => new RegExp(`-css-${breakpoint}(?:-|$)`).test(name)) || null;
+}
+
+/**
+ * Locate the cssProp and cssPropByBreakpoint objects and element locators of a page object
+ * @param {string} content - Page object source
+ * @returns {{cssProp: Object|null, cssPropByBreakpoint: Object|null, locators: Map<string, string>}}
+ *   ObjectExpressions and name → selector map
+ */
+export function analyzePageObject(content) {
+    const ast = parseModule(content);
+    const locators = new Map();
+    const objects = { cssProp: null, cssPropByBreakpoint: null };
+
+    walkFull(ast, (node) => {
+        if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' && node.left.object.type === 'ThisExpression' && !node.left.computed) {
+            const name = node.left.property.name;
+            if (name in objects && node.right.type === 'ObjectExpression') {
+                objects[name] = node.right;
+            } else {
+                const selector = firstLocatorSelector(node.right);
+                if (selector) locators.set(name, selector);
+            }
+        }
+        if (node.type === 'MethodDefinition' && node.kind === 'get') {
+            const name = keyName(node.key);
+            if (name in objects) {
+                const returned = node.value.body.body.find((s) => s.type === 'ReturnStatement');
+                if (returned?.argument?.type === 'ObjectExpression') objects[name] = returned.argument;
+            } else {
+                const selector = firstLocatorSelector(node.value.body);
+                if (selector) locators.set(name, selector);
+            }
+        }
+    });
+
+    return { ...objects, locators };
+}
+
+function findProperty(objectNode, name) {
+    return objectNode.properties.find((p) => p.type === 'Property' && keyName(p.key) === name);
+}
+
+/**
+ * Decide which cssProp (or cssPropByBreakpoint.<breakpoint>) entry each mismatch refers to
+ * @param {string} content - Page object source
+ * @param {CSSMismatchInput[]} mismatches - Failed CSS assertions
+ * @returns {{repairs: CSSRepair[], unresolved: Array<{mismatch: CSSMismatchInput, reason: string}>}} Planned repairs
+ */
+export function planCSSRepairs(content, mismatches) {
+    const { cssProp, cssPropByBreakpoint, locators } = analyzePageObject(content);
+    const repairs = [];
+    const unresolved = [];
+
+    const listElements = (objectNode) => objectNode.properties
+        .filter((p) => p.type === 'Property' && p.value.type === 'ObjectExpression')
+        .map((p) => ({ name: keyName(p.key), node: p.value }));
+
+    for (const mismatch of mismatches) {
+        // Breakpoint tests validate cssPropByBreakpoint.<breakpoint>, never the default cssProp
+        const breakpoint = mismatch.breakpoint || null;
+        const container = breakpoint
+            ? findProperty(cssPropByBreakpoint || { properties: [] }, breakpoint)?.value
+            : cssProp;
+        if (container?.type !== 'ObjectExpression') {
+            unresolved.push({
+                mismatch,
+                reason: breakpoint
+                    ? `Page object has no cssPropByBreakpoint.${breakpoint} object`
+                    : 'Page object has no cssProp object',
+            });
+            continue;
+        }
+        const elements = listElements(container);
+        const objectName = breakpoint ? `cssPropByBreakpoint.${breakpoint}` : 'cssProp';
+
+        if (!mismatch.property || mismatch.expected === null || mismatch.expected === undefined || mismatch.actual === null || mismatch.actual === undefined) {
+            unresolved.push({ mismatch, reason: 'Missing property, expected or actual value' });
+            continue;
+        }
+
+        // Entries for this property whose value is the failing expected value
+        let candidates = elements.filter((element) => {
+            const entry = findProperty(element.node, mismatch.property);
+            return entry?.value.type === 'Literal' && entry.value.value === mismatch.expected;
+        });
+
+        if (mismatch.element) {
+            candidates = candidates.filter((element) => element.name === mismatch.element);
+        } else if (candidates.length > 1 && mismatch.selector) {
+            const bySelector = candidates.filter((element) => locators.get(element.name) === mismatch.selector);
+            if (bySelector.length > 0) candidates = bySelector;
+        }
+
+        if (candidates.length === 0) {
+            unresolved.push({
+                mismatch,
+                reason: `No ${objectName} entry has ${mismatch.property}: '${mismatch.expected}'${mismatch.element ? ` for ${mismatch.element}` : ''}`,
+            });
+            continue;
+        }
+        if (candidates.length > 1) {
+            unresolved.push({
+                mismatch,
+                reason: `Ambiguous: ${candidates.map((c) => c.name).join(', ')} all have ${mismatch.property}: '${mismatch.expected}'`,
+            });
+            continue;
+        }
+
+        const [element] = candidates;
+        const valueNode = findProperty(element.node, mismatch.property).value;
+        if (repairs.some((repair) => repair.start === valueNode.start)) continue;
+
+        repairs.push({
+            element: element.name,
+            breakpoint,
+            property: mismatch.property,
+            expected: mismatch.expected,
+            actual: mismatch.actual,
+            start: valueNode.start,
+            end: valueNode.end,
+            quote: content[valueNode.start],
+        });
+    }
+
+    return { repairs, unresolved };
+}
+
+/**
+ * Replace the planned values in the page object source, leaving everything else untouched
+ * @param {string} content - Page object source
+ * @param {CSSRepair[]} repairs - Planned repairs
+ * @returns {string} Updated source
+ */
+export function applyCSSRepairs(content, repairs) {
+    return [...repairs]
+        .sort((a, b) => b.start - a.start)
+        .reduce((updated, repair) => {
+            const quote = repair.quote === '"' ? '"' : '\'';
+            const escaped = repair.actual.replace(/\\/g, '\\\\').split(quote).join(`\\${quote}`);
+            return `${updated.slice(0, repair.start)}${quote}${escaped}${quote}${updated.slice(repair.end)}`;
+        }, content);
+}
+
+/**
+ * Patch only the failing cssProp values of a page object
+ * @param {string} pageObjectPath - Page object file
+ * @param {CSSMismatchInput[]} mismatches - Failed CSS assertions
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Compute the diff without writing (default: false)
+ * @param {string} [options.label] - File name shown in the diff header (default: pageObjectPath)
+ * @returns {{updated: boolean, diff: string, repairs: CSSRepair[], unresolved: Array<Object>, error?: string}} Repair result
+ */
+export function repairPageObjectCSS(pageObjectPath, mismatches, options = {}) {
+    const { dryRun = false, label = pageObjectPath } = options;
+
+    if (!existsSync(pageObjectPath)) {
+        return { updated: false, diff: '', repairs: [], unresolved: [], error: `Page object not found: ${pageObjectPath}` };
+    }
+
+    const content = readFileSync(pageObjectPath, 'utf-8');
+    let plan;
+    try {
+        plan = planCSSRepairs(content, mismatches);
+    } catch (error) {
+        return { updated: false, diff: '', repairs: [], unresolved: [], error: `Could not parse page object: ${error.message}` };
+    }
+
+    const updatedContent = applyCSSRepairs(content, plan.repairs);
+    const diff = createUnifiedDiff(content, updatedContent, {
+        fromFile: `a/${label}`,
+        toFile: `b/${label}`,
+    });
+
+    if (!dryRun && updatedContent !== content) {
+        writeFileSync(pageObjectPath, updatedContent);
+    }
+
+    return {
+        updated: !dryRun && updatedContent !== content,
+        diff,
+        repairs: plan.repairs,
+        unresolved: plan.unresolved,
+    };
+}
@@ -0,0 +1,148 @@
+/**
+ * Compute a line-based edit script between two texts (LCS)
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>} Edit script
+ */
+function diffLines(oldLines, newLines) {
+    const n = oldLines.length;
+    const m = newLines.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = oldLines[i] === newLines[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const edits = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (oldLines[i] === newLines[j]) {
+            edits.push({ type: ' ', line: oldLines[i++] });
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            edits.push({ type: '-', line: oldLines[i++] });
+        } else {
+            edits.push({ type: '+', line: newLines[j++] });
+        }
+    }
+    while (i < n) edits.push({ type: '-', line: oldLines[i++] });
+    while (j < m) edits.push({ type: '+', line: newLines[j++] });
+
+    return edits;
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ * @param {string} oldContent - Current content ('' for a new file)
+ * @param {string} newContent - Proposed content
+ * @param {Object} [options]
+ * @param {string} [options.fromFile] - Label for the old file (default: 'a')
+ * @param {string} [options.toFile] - Label for the new file (default: 'b')
+ * @param {number} [options.context] - Context lines around changes (default: 3)
+ * @returns {string} Unified diff, or '' when the contents are equal
+ */
+export function createUnifiedDiff(oldContent, newContent, options = {}) {
+    const { fromFile = 'a', toFile = 'b', context = 3 } = options;
+    if (oldContent === newContent) return '';
+
+    const oldLines = oldContent === '' ? [] : oldContent.split('\n');
+    const newLines = newContent === '' ? [] : newContent.split('\n');
+    const edits = diffLines(oldLines, newLines);
+
+    // Group changes into hunks with surrounding context
+    const hunks = [];
+    let current = null;
+    let oldLine = 1;
+    let newLine = 1;
+    let trailingContext = 0;
+
+    edits.forEach((edit, index) => {
+        if (edit.type !== ' ') {
+            if (!current) {
+                const start = Math.max(0, index - context);
+                const leading = edits.slice(start, index);
+                current = {
+                    oldStart: oldLine - leading.length,
+                    newStart: newLine - leading.length,
+                    lines: leading.map((e) => ` ${e.line}`),
+                };
+                hunks.push(current);
+            }
+            current.lines.push(`${edit.type}${edit.line}`);
+            trailingContext = 0;
+        } else if (current) {
+            const nextChange = edits.slice(index + 1, index + 1 + context * 2).some((e) => e.type !== ' ');
+            if (trailingContext < context || nextChange) {
+                current.lines.push(` ${edit.line}`);
+                trailingContext++;
+            } else {
+                current = null;
+            }
+        }
+
+        if (edit.type !== '+') oldLine++;
+        if (edit.type !== '-') newLine++;
+    });
+
+    let output = `--- ${fromFile}\n+++ ${toFile}\n`;
+    for (const hunk of hunks) {
+        const oldCount = hunk.lines.filter((line) => !line.startsWith('+')).length;
+        const newCount = hunk.lines.filter((line) => !line.startsWith('-')).length;
+        const oldStart = oldCount === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+        const newStart = newCount === 0 ? hunk.newStart - 1 : hunk.newStart;
+        output += `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`;
+        output += `${hunk.lines.join('\n')}\n`;
+    }
+
+    return output;
+}
+
+/**
+ * Merge a generated file into an existing one, keeping the lines both versions
+ * share and wrapping each differing region in git-style conflict markers
+ * @param {string} existingContent - Content currently on disk
+ * @param {string} generatedContent - Newly generated content
+ * @param {Object} [options]
+ * @param {string} [options.ours] - Label of the existing side (default: 'existing')
+ * @param {string} [options.theirs] - Label of the generated side (default: 'generated')
+ * @returns {{content: string, conflicts: number}} Merged content and number of conflict regions
+ */
+export function mergeWithConflictMarkers(existingContent, generatedContent, options = {}) {
+    const { ours = 'existing', theirs = 'generated' } = options;
+    if (existingContent === generatedContent) {
+        return { content: existingContent, conflicts: 0 };
+    }
+
+    const edits = diffLines(existingContent.split('\n'), generatedContent.split('\n'));
+    const lines = [];
+    let conflicts = 0;
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+        if (removed.length === 0 && added.length === 0) return;
+        lines.push(`<<<<<<< ${ours}`, ...removed, '=======', ...added, `>>>>>>> ${theirs}`);
+        conflicts++;
+        removed = [];
+        added = [];
+    };
+
+    for (const edit of edits) {
+        if (edit.type === '-') {
+            removed.push(edit.line);
+        } else if (edit.type === '+') {
+            added.push(edit.line);
+        } else {
+            flush();
+            lines.push(edit.line);
+        }
+    }
+    flush();
+
+    return { content: lines.join('\n'), conflicts };
+}
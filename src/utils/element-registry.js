@@ -0,0 +1,451 @@
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { z } from 'zod';
+import { getTargetProjectRoot } from '../config.js';
+
+/**
+ * @typedef {import('../types.js').TestType} TestType
+ */
+
+/**
+ * @typedef {Object} ElementInteraction
+ * @property {'click' | 'edit'} type - Interaction recorded during extraction
+ * @property {string} [expectedResult] - Expected result of a click
+ */
+
+/**
+ * @typedef {Object} ElementDefinition
+ * @property {string} name - Element kind, used as the key in config.elements
+ * @property {string} label - Human readable name
+ * @property {Array<string>} selectors - Default selectors, most specific first
+ * @property {Array<string>} cssProperties - CSS properties extracted for the element
+ * @property {Array<TestType>} testTypes - Test types that can cover the element
+ * @property {ElementInteraction} [interaction] - Interaction recorded during extraction
+ * @property {Record<string, string>} [attributes] - Config field to DOM attribute
+ * captured during extraction, e.g. { size: 'size' }
+ * @property {boolean} [multiple] - Selectors may match several nodes, so
+ * generated locators take the first one
+ * @property {boolean} [dynamic] - Content changes between runs (prices, dates),
+ * so visual tests mask it
+ * @property {z.ZodTypeAny} schema - Schema of the element config
+ * @property {boolean} [isCustom] - Registered from .nala-mcp.json
+ */
+
+/**
+ * Base schema of an element config, shared by every element kind
+ */
+export const ElementConfigSchema = z.object({
+    selector: z.string(),
+    expectedText: z.string().optional(),
+    expectedValue: z.string().optional(),
+    expectedAttribute: z.string().optional(),
+    cssProperties: z.record(z.string()).optional(),
+    interactions: z
+        .array(
+            z.object({
+                type: z.enum(['click', 'hover', 'type', 'select', 'edit']),
+                value: z.string().optional(),
+                waitFor: z.string().optional(),
+                expectedResult: z.string().optional(),
+            }),
+        )
+        .optional(),
+    analytics: z
+        .array(z.record(z.string()))
+        .optional()
+        .describe('Analytics and checkout attributes of every node the selector matches, in page order'),
+    checkout: z
+        .array(
+            z.object({
+                attributes: z.record(z.string()),
+                url: z.string().optional(),
+                params: z.record(z.string()).optional(),
+            }),
+        )
+        .optional()
+        .describe('Checkout attributes and resolved checkout URL of every node the selector matches, in page order'),
+});
+
+/**
+ * Attributes extraction captures and analytics tests assert on the elements
+ * covered by the 'analytics' test type (CTAs, legal links)
+ */
+export const ANALYTICS_ATTRIBUTES = ['data-analytics-id', 'daa-ll', 'data-wcs-osi', 'data-checkout-workflow'];
+
+/**
+ * Attributes of checkout links and buttons that extraction captures and
+ * checkout tests assert, next to the parameters of the resolved checkout URL
+ */
+export const CHECKOUT_ATTRIBUTES = [
+    'data-wcs-osi',
+    'data-promotion-code',
+    'data-checkout-workflow',
+    'data-checkout-workflow-step',
+];
+
+/**
+ * Data attributes of `span[is="inline-price"]` that extraction captures and
+ * price tests assert: template and tax, unit and term display options
+ */
+export const INLINE_PRICE_ATTRIBUTES = [
+    'data-template',
+    'data-display-tax',
+    'data-display-per-unit',
+    'data-display-recurrence',
+    'data-display-old-price',
+    'data-force-tax-exclusive',
+    'data-wcs-osi',
+];
+
+const TEXT_CSS = ['color', 'font-size', 'font-weight', 'line-height'];
+const BOX_CSS = ['width', 'height'];
+const EDITABLE = ['css', 'edit', 'save', 'discard'];
+const CLICKABLE = ['css', 'functional', 'interaction'];
+
+const IconSchema = ElementConfigSchema.extend({
+    size: z.string().optional(),
+    alt: z.string().optional(),
+});
+
+const BadgeSchema = ElementConfigSchema.extend({
+    backgroundColor: z.string().optional(),
+    borderColor: z.string().optional(),
+    variant: z.string().optional(),
+});
+
+const PriceSchema = ElementConfigSchema.extend({
+    priceDetails: z
+        .object({
+            currency: z.string().optional(),
+            integer: z.string().optional(),
+            decimals: z.string().optional(),
+            recurrence: z.string().optional(),
+        })
+        .optional(),
+});
+
+/**
+ * Built-in element kinds, in the order they appear in generated files
+ * @type {Array<Omit<ElementDefinition, 'schema'> & { schema?: z.ZodTypeAny }>}
+ */
+const DEFAULT_ELEMENTS = [
+    {
+        name: 'title',
+        label: 'Title',
+        selectors: [
+            'h3[slot="heading-xxs"]',
+            'h3[slot="heading-xs"]',
+            'h3[slot="heading-s"]',
+            'h3[slot="heading-m"]',
+            'h3[slot="heading-l"]',
+            'h2[slot="heading-xs"]',
+            'h2[slot="heading-m"]',
+            'h4[slot="heading-m"]',
+            'p[slot="heading-xs"]',
+            // Express specific
+            'h1[slot="heading-xs"]',
+            'h1[slot="heading-s"]',
+            'h1[slot="heading-m"]',
+            '[slot="heading-xs"]',
+            '[slot="heading-s"]',
+            '[slot="heading-m"]',
+            '[slot="heading-l"]',
+            '[slot="heading-xl"]',
+        ],
+        cssProperties: TEXT_CSS,
+        testTypes: EDITABLE,
+        interaction: { type: 'edit' },
+    },
+    {
+        name: 'eyebrow',
+        label: 'Eyebrow',
+        selectors: [
+            'h4[slot="detail-s"]',
+            'h5[slot="detail-s"]',
+            'p[slot="detail-s"]',
+            // Express specific
+            'h6[slot="detail-s"]',
+            'span[slot="detail-s"]',
+            'p[slot="eyebrow"]',
+            '[slot="eyebrow"]',
+        ],
+        cssProperties: TEXT_CSS,
+        testTypes: EDITABLE,
+        interaction: { type: 'edit' },
+    },
+    {
+        name: 'description',
+        label: 'Description',
+        selectors: [
+            'div[slot="body-xs"] p',
+            'div[slot="body-s"] p',
+            'div[slot="body-m"] p',
+            'p[slot="body-xs"]',
+            'p[slot="body-s"]',
+            '[slot="body-xs"]',
+            '[slot="body-s"]',
+            '[slot="body-m"]',
+            '[slot="body-l"]',
+            '[slot="body-xl"]',
+        ],
+        cssProperties: TEXT_CSS,
+        testTypes: EDITABLE,
+        interaction: { type: 'edit' },
+    },
+    {
+        name: 'icon',
+        label: 'Icon',
+        selectors: ['merch-icon[slot="icons"]', 'merch-icon'],
+        cssProperties: BOX_CSS,
+        testTypes: EDITABLE,
+        attributes: { expectedAttribute: 'src', size: 'size', alt: 'alt' },
+        multiple: true,
+        schema: IconSchema,
+    },
+    {
+        name: 'backgroundImage',
+        label: 'Background Image',
+        selectors: ['div[slot="bg-image"] img', 'div[slot="media"] img', '[slot="media"]'],
+        cssProperties: BOX_CSS,
+        testTypes: EDITABLE,
+    },
+    {
+        name: 'price',
+        label: 'Price',
+        selectors: [
+            'p[slot="price"]',
+            'span[slot="price"]',
+            'div[slot="price"]',
+            'p[slot="heading-m"] span[data-template="price"]',
+            // Express specific
+            'span[is="inline-price"]',
+            'p[slot="price"] span[is="inline-price"]',
+            'div[slot="price"] span[is="inline-price"]',
+            '[slot="price"]',
+        ],
+        cssProperties: TEXT_CSS,
+        testTypes: EDITABLE,
+        multiple: true,
+        dynamic: true,
+        schema: PriceSchema,
+    },
+    {
+        name: 'strikethroughPrice',
+        label: 'Strikethrough Price',
+        selectors: [
+            '.price-strikethrough',
+            'span[data-template="strikethrough"]',
+            'p[slot="heading-m"] span.price-strikethrough',
+            '[slot="strikethrough-price"]',
+        ],
+        cssProperties: [...TEXT_CSS, 'text-decoration-line', 'text-decoration-color'],
+        testTypes: ['css'],
+        dynamic: true,
+    },
+    {
+        name: 'cta',
+        label: 'CTA',
+        selectors: [
+            'div[slot="cta"] > button',
+            'div[slot="cta"] > a',
+            'div[slot="footer"] > button',
+            'div[slot="cta"] > a[is="checkout-link"]',
+            'button[is="checkout-button"]',
+            // Express specific
+            'a[slot="cta"]',
+            'a.spectrum-Button',
+            'a[href*="express.adobe.com"]',
+            '[slot="cta"] a',
+            '[slot="cta"]',
+        ],
+        cssProperties: [...TEXT_CSS, 'background-color', 'border-color', 'min-width', 'padding'],
+        testTypes: [...EDITABLE, 'functional', 'interaction', 'analytics', 'checkout'],
+        interaction: { type: 'click', expectedResult: 'navigates to checkout' },
+    },
+    {
+        name: 'legalLink',
+        label: 'Legal Link',
+        selectors: [
+            'div[slot="body-xs"] p > a',
+            'div[slot="body-s"] p > a',
+            'a.modal-Link',
+            'a[data-analytics-id="see-terms"]',
+            'a[data-analytics-id="learn-more"]',
+            '[slot="legal-link"]',
+        ],
+        cssProperties: [...TEXT_CSS, 'text-decoration-line'],
+        testTypes: [...CLICKABLE, 'analytics'],
+        interaction: { type: 'click', expectedResult: 'opens legal page' },
+    },
+    {
+        name: 'image',
+        label: 'Image',
+        selectors: ['div[slot="image"] img', 'img[slot="image"]'],
+        cssProperties: BOX_CSS,
+        testTypes: ['css'],
+        attributes: { expectedAttribute: 'src', alt: 'alt' },
+        schema: IconSchema,
+    },
+    {
+        name: 'badge',
+        label: 'Badge',
+        selectors: [
+            'div[slot="badge"] merch-badge',
+            'merch-badge',
+            '.plans-badge',
+            '.ccd-slice-badge',
+            '[slot="badge"]',
+        ],
+        cssProperties: [...TEXT_CSS, 'background-color', 'border-color'],
+        testTypes: ['css'],
+        attributes: { backgroundColor: 'background-color', borderColor: 'border-color', variant: 'variant' },
+        schema: BadgeSchema,
+    },
+    {
+        name: 'trialBadge',
+        label: 'Trial Badge',
+        selectors: [
+            'div[slot="trial-badge"] merch-badge',
+            '[slot="trial-badge"] merch-badge',
+            '[slot="trial-badge"]',
+        ],
+        cssProperties: [...TEXT_CSS, 'background-color', 'border-color'],
+        testTypes: ['css'],
+        attributes: { backgroundColor: 'background-color', borderColor: 'border-color', variant: 'variant' },
+        schema: BadgeSchema,
+    },
+    {
+        name: 'smallIcons',
+        label: 'Small Icons',
+        selectors: [
+            'div[slot="body-s"] merch-icon[size="xs"]',
+            'div[slot="body-s"] overlay-trigger merch-icon',
+        ],
+        cssProperties: BOX_CSS,
+        testTypes: ['css'],
+        attributes: { expectedAttribute: 'src', size: 'size', alt: 'alt' },
+        multiple: true,
+        schema: IconSchema,
+    },
+];
+
+class ElementRegistry {
+    constructor() {
+        /** @type {Map<string, ElementDefinition>} */
+        this.elements = new Map();
+        DEFAULT_ELEMENTS.forEach((definition) => this.registerElement(definition.name, definition));
+        this.loadConfigElements();
+    }
+
+    /**
+     * Load custom element kinds from the target project's .nala-mcp.json
+     * ("elements": { "<name>": { selectors, cssProperties, testTypes, ... } })
+     */
+    loadConfigElements() {
+        try {
+            const configPath = join(getTargetProjectRoot(), '.nala-mcp.json');
+            if (!existsSync(configPath)) return;
+
+            let config;
+            try {
+                config = JSON.parse(readFileSync(configPath, 'utf-8'));
+            } catch (parseError) {
+                console.error('Failed to parse config elements JSON:', parseError.message);
+                return;
+            }
+
+            Object.entries(config.elements || {}).forEach(([name, data]) => {
+                this.registerElement(name, { ...data, isCustom: true });
+            });
+        } catch (error) {
+            // Config might not exist, that's okay
+        }
+    }
+
+    /**
+     * Register an element kind, or extend a registered one
+     * @param {string} name - Element kind
+     * @param {Partial<ElementDefinition>} definition - Element definition
+     * @returns {ElementDefinition} Registered definition
+     */
+    registerElement(name, definition = {}) {
+        if (!/^[a-zA-Z][a-zA-Z0-9]*$/.test(name)) {
+            throw new Error(`Invalid element name: ${name} (use camelCase letters and digits)`);
+        }
+
+        const existing = this.elements.get(name);
+        const element = {
+            label: name,
+            selectors: [],
+            cssProperties: TEXT_CSS,
+            testTypes: ['css'],
+            schema: ElementConfigSchema,
+            ...existing,
+            ...definition,
+            name,
+        };
+        this.elements.set(name, element);
+        return element;
+    }
+
+    getElement(name) {
+        return this.elements.get(name);
+    }
+
+    getAllElements() {
+        return Array.from(this.elements.values());
+    }
+}
+
+// Singleton instance
+const registry = new ElementRegistry();
+
+export function registerElement(name, definition) {
+    return registry.registerElement(name, definition);
+}
+
+export function getElement(name) {
+    return registry.getElement(name);
+}
+
+export function getAllElements() {
+    return registry.getAllElements();
+}
+
+export function getElementNames() {
+    return registry.getAllElements().map((element) => element.name);
+}
+
+/**
+ * Default selectors of every element kind, keyed by name
+ * @returns {Record<string, Array<string>>} Selectors per element kind
+ */
+export function getElementSelectors() {
+    return Object.fromEntries(
+        registry.getAllElements().map((element) => [element.name, element.selectors]),
+    );
+}
+
+/**
+ * Element kinds whose generated tests can cover the given test type
+ * @param {TestType} testType - Test type
+ * @returns {Array<ElementDefinition>} Matching element kinds
+ */
+export function getElementsForTestType(testType) {
+    return registry.getAllElements().filter((element) => element.testTypes.includes(testType));
+}
+
+/**
+ * Build the Zod schema of config.elements from the registry. Elements of an
+ * unregistered kind are still accepted with the base element schema.
+ * @returns {z.ZodObject} Elements schema
+ */
+export function createElementsSchema() {
+    const shape = Object.fromEntries(
+        registry.getAllElements().map((element) => [
+            element.name,
+            element.schema.optional().describe(element.label),
+        ]),
+    );
+    return z.object(shape).catchall(ElementConfigSchema);
+}
@@ -1,9 +1,10 @@
 import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
+import { join, dirname, relative } from 'path';
 import { fileURLToPath } from 'url';
 import { getNALADirectoryPath, getCardSurface } from './file-output.js';
 import { getTargetProjectRoot, getTestOutputPath, getImportPaths } from '../config.js';
 import { WaitHelpers } from './wait-helpers.js';
+import { createUnifiedDiff } from './diff.js';
 
 const currentDir = dirname(fileURLToPath(import.meta.url));
 const projectRoot = join(currentDir, '../../..');
@@ -15,12 +16,21 @@ const projectRoot = join(currentDir, '../../..');
  * @property {Array<string>} fixesApplied - List of fixes that were applied
  * @property {Array<string>} remainingErrors - Errors that couldn't be fixed
  * @property {string} details - Detailed information about the fixes
+ * @property {string} [diff] - Unified diff of the changes (also set for dry runs)
  */
 
+function fixDiff(filePath, originalContent, content) {
+    const label = relative(getTargetProjectRoot(), filePath);
+    return createUnifiedDiff(originalContent, content, {
+        fromFile: `a/${label}`,
+        toFile: `b/${label}`,
+    });
+}
+
 /**
  * Common error patterns and their fixes
  */
-const ERROR_PATTERNS = {
+export const ERROR_PATTERNS = {
     missingImports: {
         pattern: /Missing required import: (.+)/,
         fix: (content, match) => {
@@ -346,6 +356,7 @@ export async function fixTestErrors(cardType, testType, errors, options = {}) {
         fixesApplied,
         remainingErrors,
         details,
+        diff: fixDiff(testFilePath, originalContent, content),
     };
 }
 
@@ -447,6 +458,7 @@ export async function fixPageObjectErrors(
         fixesApplied,
         remainingErrors,
         details,
+        diff: fixDiff(pageObjectPath, originalContent, content),
     };
 }
 
@@ -550,16 +562,42 @@ export async function fixSpecErrors(cardType, testType, errors, options = {}) {
         fixesApplied,
         remainingErrors,
         details,
+        diff: fixDiff(specPath, originalContent, content),
     };
 }
 
+/**
+ * Translate a structured test failure into the error message the matching
+ * ERROR_PATTERNS entry expects
+ * @param {Object} failure - Failure from getReportFailures
+ * @returns {string} Error message
+ */
+function describeRuntimeFailure(failure) {
+    const message = failure.message || '';
+    const where = failure.step ? ` (step: ${failure.step})` : '';
+    const timeout = message.match(/Timeout (\d+)ms exceeded/);
+
+    if (failure.selector && /resolved to 0 elements|waiting for/.test(message)) {
+        return `Element not found: ${failure.selector}`;
+    }
+    if (/toBeVisible/.test(message)) {
+        return `Expected element to be visible but it's not${where}`;
+    }
+    if (timeout) {
+        return `Timeout ${timeout[1]}ms exceeded${where}`;
+    }
+    return `${message.split('\n')[0]}${where}`;
+}
+
 /**
  * Automatically fix all detected errors in generated test files
  * @param {string} cardType - The card type
  * @param {string} testType - The test type
  * @param {Object} validationResult - Validation result with errors
+ * @param {Array<string>} validationResult.errors - Validation error messages
+ * @param {Array<Object>} [validationResult.failures] - Structured runtime failures from getReportFailures
  * @param {Object} options - Fix options
- * @returns {Promise<Object>} Combined fix result
+ * @returns {Promise<Object>} Combined fix result, with `diffs` holding one unified diff per changed file
  */
 export async function autoFixAllErrors(
     cardType,
@@ -570,6 +608,7 @@ export async function autoFixAllErrors(
     const { maxRetries = 3, retryDelay = 1000 } = options;
     const allFixes = [];
     const allRemainingErrors = [];
+    const diffs = [];
     let overallSuccess = true;
 
     // Categorize errors by file type
@@ -590,6 +629,12 @@ export async function autoFixAllErrors(
         }
     }
 
+    // Runtime failures from the Playwright report are fixed in the test file
+    const runtimeErrors = [
+        ...new Set((validationResult.failures || []).map(describeRuntimeFailure)),
+    ];
+    testErrors.push(...runtimeErrors);
+
     // Fix test file errors
     if (testErrors.length > 0) {
         const testFixResult = await fixTestErrors(
@@ -600,6 +645,7 @@ export async function autoFixAllErrors(
         );
         allFixes.push(...testFixResult.fixesApplied);
         allRemainingErrors.push(...testFixResult.remainingErrors);
+        if (testFixResult.diff) diffs.push(testFixResult.diff);
         if (!testFixResult.success) overallSuccess = false;
     }
 
@@ -613,6 +659,7 @@ export async function autoFixAllErrors(
         );
         allFixes.push(...pageObjectFixResult.fixesApplied);
         allRemainingErrors.push(...pageObjectFixResult.remainingErrors);
+        if (pageObjectFixResult.diff) diffs.push(pageObjectFixResult.diff);
         if (!pageObjectFixResult.success) overallSuccess = false;
     }
 
@@ -626,6 +673,7 @@ export async function autoFixAllErrors(
         );
         allFixes.push(...specFixResult.fixesApplied);
         allRemainingErrors.push(...specFixResult.remainingErrors);
+        if (specFixResult.diff) diffs.push(specFixResult.diff);
         if (!specFixResult.success) overallSuccess = false;
     }
 
@@ -633,9 +681,10 @@ export async function autoFixAllErrors(
         success: overallSuccess,
         fixesApplied: allFixes,
         remainingErrors: allRemainingErrors,
+        diffs,
         details: `Applied ${allFixes.length} fixes, ${allRemainingErrors.length} errors remaining`,
-        originalErrorCount: validationResult.errors.length,
+        originalErrorCount: validationResult.errors.length + runtimeErrors.length,
         fixedErrorCount:
-            validationResult.errors.length - allRemainingErrors.length,
+            validationResult.errors.length + runtimeErrors.length - allRemainingErrors.length,
     };
 }
@@ -0,0 +1,300 @@
+import { analyzeErrorMessage, extractCSSMismatches, stripAnsi } from './playwright-report.js';
+
+/**
+ * A classified test failure
+ * @typedef {Object} ClassifiedError
+ * @property {string} type - strict-mode-violation, detached-element, navigation-failure,
+ *   ims-auth-redirect, css-mismatch, text-mismatch, invalid-selector, missing-css-properties,
+ *   timeout, assertion, cleanup or authentication
+ * @property {string} message - Human readable description
+ * @property {string|null} test - Test title (feature name) the failure belongs to
+ * @property {Array<string>} tags - Feature tags of the test, e.g. '@breakpoint-mobile'
+ * @property {string|null} step - test.step title the failure belongs to
+ * @property {string|null} locator - Locator involved in the failure
+ * @property {string|null} selector - Innermost selector of the locator
+ * @property {string|null} file - Source file reported in the stack or header
+ * @property {number|null} line - Line in `file`
+ * @property {string} [element] - Validation label, e.g. 'title' (css-mismatch from a Validation-N step)
+ * @property {string} [property] - CSS property (css-mismatch)
+ * @property {string} [expected] - Expected value (css-mismatch, text-mismatch)
+ * @property {string} [actual] - Actual value (css-mismatch, text-mismatch)
+ * @property {number} [count] - Number of matched elements (strict-mode-violation)
+ * @property {string} [url] - URL involved (navigation-failure, ims-auth-redirect)
+ */
+
+const IMS_HOSTS = /(auth(?:-stg1)?\.services\.adobe\.com|ims-na1(?:-stg1)?\.adobelogin\.com|adobeid-na1[\w.-]*\.adobe\.com)/;
+
+// "  1) [mas-live-chromium] › path/to/file.test.js:12:5 › Describe › Test › step"
+const FAILURE_HEADER = /^\s*\d+\) (?:\[([^\]]+)\] › )?(\S+?):(\d+):\d+ › (.+)$/gm;
+
+const FAILURE_HEADER_START = /^\s*\d+\) (?:\[[^\]]+\] › )?\S+?:\d+:\d+ › /m;
+
+const STEP_TITLE = /^(step-\d+|Validation-\d+)\b/;
+
+/**
+ * Split reporter output into one block per failing test
+ * @param {string} output - Plain (ANSI-free) reporter output
+ * @returns {Array<{header: Object, body: string}>} Failure blocks
+ */
+function splitFailureBlocks(output) {
+    const headers = [...output.matchAll(FAILURE_HEADER)];
+    return headers.map((match, index) => {
+        const end = index + 1 < headers.length ? headers[index + 1].index : output.length;
+        const titles = match[4].split(' › ').map((title) => title.trim());
+        const stepIndex = titles.findIndex((title) => STEP_TITLE.test(title));
+        const testTitles = stepIndex === -1 ? titles : titles.slice(0, stepIndex);
+        const testTitle = testTitles[testTitles.length - 1] || null;
+        // Generated tests are titled `${feature.name},${feature.tags}`
+        const [name, tags = ''] = testTitle ? testTitle.split(/,(.*)/s) : [];
+
+        return {
+            header: {
+                project: match[1] || null,
+                file: match[2],
+                line: parseInt(match[3], 10),
+                test: testTitle ? name.trim() : null,
+                tags: tags.split(/\s+/).filter((tag) => tag.startsWith('@')),
+                step: stepIndex === -1 ? null : titles.slice(stepIndex).join(' › '),
+            },
+            body: output.slice(match.index + match[0].length, end),
+        };
+    });
+}
+
+/**
+ * Find the innermost step mentioned in a failure body
+ * ("at ... test.step('Validation-2: ...')" or an explicit "Validation-N (label) failed")
+ * @param {string} body
+ * @returns {string|null} Step title
+ */
+function findStepInBody(body) {
+    const validation = body.match(/(Validation-\d+) \(([^)]+)\) failed/);
+    if (validation) return `${validation[1]} (${validation[2]})`;
+    const step = body.match(/test\.step\(\s*['"`]((?:step|Validation)-\d+[^'"`]*)['"`]/);
+    return step ? step[1] : null;
+}
+
+function findSourceLocation(body) {
+    const match = body.match(/at\s+(?:.*\()?([^\s()]+\.js):(\d+):\d+\)?/);
+    return match ? { file: match[1], line: parseInt(match[2], 10) } : { file: null, line: null };
+}
+
+/**
+ * Classify a single error message
+ * @param {string} body - Error text of one failure
+ * @returns {Array<Omit<ClassifiedError, 'test'|'step'|'file'|'line'>>} One or more classifications
+ */
+export function classifyErrorMessage(body) {
+    const text = stripAnsi(body);
+    const details = analyzeErrorMessage(text);
+    const base = { locator: details.locator, selector: details.selector };
+
+    const strict = text.match(/strict mode violation: (.+?) resolved to (\d+) elements/);
+    if (strict) {
+        const locatorDetails = analyzeErrorMessage(strict[1]);
+        return [{
+            type: 'strict-mode-violation',
+            message: `${strict[1]} matched ${strict[2]} elements`,
+            locator: strict[1],
+            selector: locatorDetails.selector || details.selector,
+            count: parseInt(strict[2], 10),
+        }];
+    }
+
+    const authUrl = text.match(new RegExp(`(https?://${IMS_HOSTS.source}[^\\s"']*)`));
+    if (authUrl || /navigated to "?https?:\/\/[^\s"]*(?:adobelogin|auth\.services)/.test(text)) {
+        return [{
+            type: 'ims-auth-redirect',
+            message: 'Page was redirected to IMS sign-in - check IMS_EMAIL/IMS_PASS or the stored auth state',
+            ...base,
+            url: authUrl ? authUrl[1] : null,
+        }];
+    }
+
+    if (/Element is not attached to the DOM|element was detached from the DOM|Element is detached/i.test(text)) {
+        return [{
+            type: 'detached-element',
+            message: 'Element was detached from the DOM while the action ran - the card re-rendered',
+            ...base,
+        }];
+    }
+
+    const navigation = text.match(/page\.(?:goto|waitForNavigation|reload): (net::ERR_[A-Z_]+|NS_ERROR_[A-Z_]+|Navigation failed[^\n]*|Timeout \d+ms exceeded)[^\n]*(?:\n[\s\S]*?navigating to "([^"]+)")?/);
+    if (navigation) {
+        return [{
+            type: 'navigation-failure',
+            message: `Navigation failed: ${navigation[1]}`,
+            ...base,
+            url: navigation[2] || null,
+        }];
+    }
+
+    const cssMismatches = extractCSSMismatches(text);
+    if (cssMismatches.length > 0) {
+        return cssMismatches.map((mismatch) => ({
+            type: 'css-mismatch',
+            message: `CSS ${mismatch.property} expected ${mismatch.expected} but was ${mismatch.received}`,
+            locator: mismatch.locator || base.locator,
+            selector: mismatch.locator ? analyzeErrorMessage(mismatch.locator).selector : base.selector,
+            property: mismatch.property,
+            expected: mismatch.expected,
+            actual: mismatch.received,
+        }));
+    }
+
+    const textAssertion = text.match(/\.(toHaveText|toContainText|toHaveValue|toHaveAttribute|toHaveTitle|toHaveURL)\(/);
+    if (textAssertion && (details.expected !== null || details.received !== null)) {
+        return [{
+            type: 'text-mismatch',
+            message: `${textAssertion[1]} expected ${details.expected} but received ${details.received}`,
+            ...base,
+            expected: details.expected,
+            actual: details.received,
+        }];
+    }
+
+    if (/Cannot convert undefined or null to object/.test(text)) {
+        return [{
+            type: 'missing-css-properties',
+            message: 'CSS properties are not defined in page object',
+            ...base,
+        }];
+    }
+
+    if (details.locator && /resolved to 0 elements|waiting for (?:locator|getBy)|element\(s\) not found/.test(text)) {
+        return [{
+            type: 'invalid-selector',
+            message: `Element selector not found on page: ${details.locator}`,
+            ...base,
+        }];
+    }
+
+    const timeout = text.match(/(?:Test timeout of|Timeout) (\d+)ms exceeded/);
+    if (timeout) {
+        return [{
+            type: 'timeout',
+            message: `Timed out after ${timeout[1]}ms${details.locator ? ` waiting for ${details.locator}` : ''}`,
+            ...base,
+        }];
+    }
+
+    return [{
+        type: 'assertion',
+        message: details.error || 'Test failed',
+        ...base,
+        expected: details.expected,
+        actual: details.received,
+    }];
+}
+
+/**
+ * Classify every failure in NALA / Playwright reporter output and attribute
+ * it to its test, step and locator
+ * @param {string} output - Combined stdout and stderr
+ * @returns {ClassifiedError[]} Classified errors
+ */
+export function classifyFailures(output) {
+    const text = stripAnsi(output || '');
+    const errors = [];
+
+    const blocks = splitFailureBlocks(text);
+
+    for (const { header, body } of blocks) {
+        const source = findSourceLocation(body);
+        const location = {
+            file: source.file || header.file,
+            line: source.file ? source.line : header.line,
+        };
+        const validations = [...body.matchAll(/(Validation-\d+) \(([^)]+)\) failed: ([^\n]*)/g)];
+
+        if (validations.length > 0) {
+            // Parallel CSS validation summary: one error per failed Validation-N step
+            for (const [, validation, element, message] of validations) {
+                for (const classified of classifyErrorMessage(message)) {
+                    const isCssCheck = classified.type === 'assertion';
+                    errors.push({
+                        test: header.test,
+                        tags: header.tags,
+                        step: `${validation} (${element})`,
+                        ...location,
+                        ...classified,
+                        type: isCssCheck ? 'css-mismatch' : classified.type,
+                        message: isCssCheck ? `CSS validation failed for ${element}` : classified.message,
+                        element,
+                    });
+                }
+            }
+            continue;
+        }
+
+        for (const classified of classifyErrorMessage(body)) {
+            errors.push({
+                test: header.test,
+                tags: header.tags,
+                step: header.step || findStepInBody(body),
+                ...location,
+                ...classified,
+            });
+        }
+    }
+
+    // webUtil.verifyCSS logs mismatches while the test runs, before the failure summary
+    const preamble = blocks.length > 0 ? text.slice(0, text.search(FAILURE_HEADER_START)) : text;
+    const loggedHeader = blocks.length === 1 ? blocks[0].header : { test: null, tags: [] };
+    for (const mismatch of extractCSSMismatches(preamble)) {
+        const duplicate = errors.some((error) =>
+            error.property === mismatch.property &&
+            error.expected === mismatch.expected &&
+            error.actual === mismatch.received);
+        if (duplicate) continue;
+        errors.push({
+            type: 'css-mismatch',
+            message: `CSS ${mismatch.property} expected ${mismatch.expected} but was ${mismatch.received}`,
+            test: loggedHeader.test,
+            tags: loggedHeader.tags,
+            step: null,
+            locator: mismatch.locator,
+            selector: mismatch.locator ? analyzeErrorMessage(mismatch.locator).selector : null,
+            file: null,
+            line: null,
+            property: mismatch.property,
+            expected: mismatch.expected,
+            actual: mismatch.received,
+        });
+    }
+
+    // Failures outside of test blocks: global setup, auth and cleanup
+    if (errors.length === 0) {
+        const authUrl = text.match(new RegExp(`https?://${IMS_HOSTS.source}[^\\s"']*`));
+        if (authUrl || (/authenticat/i.test(text) && /failed/i.test(text) && !/Cleanup failed/.test(text))) {
+            errors.push({
+                type: authUrl ? 'ims-auth-redirect' : 'authentication',
+                message: 'Authentication failed - may need to log in manually',
+                test: null,
+                tags: [],
+                step: null,
+                locator: null,
+                selector: null,
+                file: null,
+                line: null,
+                url: authUrl ? authUrl[0] : null,
+            });
+        }
+    }
+
+    if (/Cleanup failed/.test(text)) {
+        errors.push({
+            type: 'cleanup',
+            message: 'Test cleanup failed - this can be ignored',
+            test: null,
+            tags: [],
+            step: null,
+            locator: null,
+            selector: null,
+            file: null,
+            line: null,
+        });
+    }
+
+    return errors;
+}
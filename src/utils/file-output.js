@@ -1,15 +1,54 @@
-import { writeFileSync, mkdirSync, existsSync } from 'fs';
-import { join, dirname, resolve, normalize } from 'path';
+import { writeFileSync, mkdirSync, existsSync, readFileSync } from 'fs';
+import { join, dirname, resolve, normalize, relative, isAbsolute, sep } from 'path';
 import { getCardTypeMetadata } from './variant-reader.js';
 import { detectSurface as detectVariantSurface, getVariant } from './variant-registry.js';
 import { getTargetProjectRoot, getTestOutputPath, getProjectType } from '../config.js';
+import { createUnifiedDiff, mergeWithConflictMarkers } from './diff.js';
+import { mergePageObject, formatMergeReport } from './page-object-merge.js';
 
-function validatePath(targetPath, projectRoot) {
+/**
+ * What to do when a generated file already exists
+ * - overwrite: replace the existing file (default)
+ * - skip: leave the existing file untouched
+ * - write-alongside: write `<name>.generated.js` next to the existing file
+ * - merge: merge the generated members into the existing page object; other
+ *   files cannot be merged and are written alongside instead
+ * @typedef {'overwrite'|'skip'|'write-alongside'|'merge'} ConflictPolicy
+ */
+
+export const CONFLICT_POLICIES = ['overwrite', 'skip', 'write-alongside', 'merge'];
+
+/**
+ * Outcome of writing (or previewing) one generated file
+ * @typedef {Object} FileWriteResult
+ * @property {string} path - Path of the file that was (or would be) written
+ * @property {string} targetPath - Path the content was generated for
+ * @property {string} action - created, overwritten, unchanged, skipped, written-alongside or merged
+ * @property {boolean} written - Whether the file was written to disk
+ * @property {boolean} dryRun - Whether this was a preview
+ * @property {string} diff - Unified diff against the existing file ('' when nothing changes)
+ * @property {number} [conflicts] - Number of conflict regions (merge)
+ * @property {import('./page-object-merge.js').PageObjectMergeReport} [mergeReport] - Members added, changed,
+ *   removed and preserved (page object merge)
+ * @property {string} [mergeError] - Why the page object merge fell back to conflict markers
+ * @property {string} [note] - Why the conflict policy was not applied as requested
+ */
+
+/**
+ * Resolve a path and make sure it stays inside the project root
+ * @param {string} targetPath - Path to check
+ * @param {string} projectRoot - Project root
+ * @returns {string} Resolved path
+ * @throws {Error} When the path is outside the project root
+ */
+export function validatePath(targetPath, projectRoot) {
     const normalizedTarget = normalize(targetPath);
     const resolvedPath = resolve(normalizedTarget);
     const resolvedRoot = resolve(projectRoot);
 
-    if (!resolvedPath.startsWith(resolvedRoot)) {
+    // A sibling like `<root>-evil` shares the prefix, so compare path segments
+    const fromRoot = relative(resolvedRoot, resolvedPath);
+    if (fromRoot === '..' || fromRoot.startsWith(`..${sep}`) || isAbsolute(fromRoot)) {
         throw new Error(`Path traversal detected: ${targetPath} is outside project root`);
     }
 
@@ -41,6 +80,137 @@ function sanitizeCardType(cardType) {
     return cardType;
 }
 
+function alongsidePath(filePath) {
+    return filePath.replace(/(\.[^./]+)?$/, '.generated$1');
+}
+
+/**
+ * Write generated content to a file, honouring the dry-run flag and conflict policy
+ * @param {string} filePath - Full file path
+ * @param {string} content - Generated content
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only compute the diff, do not write (default: false)
+ * @param {ConflictPolicy} [options.conflict] - Policy when the file exists (default: 'overwrite')
+ * @param {string} [options.label] - File name shown in the diff header (default: filePath)
+ * @param {Function} [options.merge] - `(existing, generated) => {content, report}` for the merge
+ *   policy ('' as existing for new files); without it the merge policy writes alongside
+ * @returns {FileWriteResult} Write result
+ */
+export function writeGeneratedFile(filePath, content, options = {}) {
+    const { dryRun = false, conflict = 'overwrite', label = filePath, merge } = options;
+
+    if (!CONFLICT_POLICIES.includes(conflict)) {
+        throw new Error(`Invalid conflict policy: ${conflict}. Use one of: ${CONFLICT_POLICIES.join(', ')}`);
+    }
+
+    const exists = existsSync(filePath);
+    const existing = exists ? readFileSync(filePath, 'utf-8') : '';
+    const result = { path: filePath, targetPath: filePath, written: false, dryRun, diff: '' };
+    let output = content;
+
+    if (!exists) {
+        result.action = 'created';
+        if (merge && conflict === 'merge') {
+            const merged = merge('', content);
+            output = merged.content;
+            result.mergeReport = merged.report;
+        }
+    } else if (existing === content) {
+        return { ...result, action: 'unchanged' };
+    } else if (conflict === 'skip') {
+        return {
+            ...result,
+            action: 'skipped',
+            diff: createUnifiedDiff(existing, content, { fromFile: `a/${label}`, toFile: `b/${label}` }),
+        };
+    } else if (conflict === 'write-alongside' || (conflict === 'merge' && !merge)) {
+        // Conflict markers would leave specs and tests unparseable, so only page objects merge
+        result.action = 'written-alongside';
+        result.path = alongsidePath(filePath);
+        if (conflict === 'merge') {
+            result.note = 'only page objects can be merged, wrote the generated file alongside';
+        }
+    } else if (conflict === 'merge') {
+        try {
+            const merged = merge(existing, content);
+            output = merged.content;
+            result.mergeReport = merged.report;
+        } catch (error) {
+            // Fall back to conflict markers when the existing file cannot be parsed
+            const merged = mergeWithConflictMarkers(existing, content);
+            output = merged.content;
+            result.conflicts = merged.conflicts;
+            result.mergeError = error.message;
+        }
+        if (output === existing) {
+            return { ...result, action: 'unchanged' };
+        }
+        result.action = 'merged';
+    } else {
+        result.action = 'overwritten';
+    }
+
+    const toLabel = result.path === filePath ? label : alongsidePath(label);
+    result.diff = createUnifiedDiff(existing, output, {
+        fromFile: exists ? `a/${label}` : '/dev/null',
+        toFile: `b/${toLabel}`,
+    });
+
+    if (!dryRun) {
+        mkdirSync(dirname(result.path), { recursive: true });
+        writeFileSync(result.path, output, 'utf-8');
+        result.written = true;
+    }
+
+    return result;
+}
+
+function describeAction(result) {
+    const changes = !['unchanged', 'skipped'].includes(result.action);
+    return result.dryRun && changes ? `would be ${result.action}` : result.action;
+}
+
+/**
+ * Format file write results as markdown, including diffs for previews and conflicts
+ * @param {Array<FileWriteResult>} results - Write results
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDiffs] - Include diff blocks (default: true)
+ * @param {boolean} [options.includeNewFiles] - Include diffs of files that do not exist yet (default: true)
+ * @returns {string} Markdown summary
+ */
+export function formatFileWriteResults(results, options = {}) {
+    const { includeDiffs = true, includeNewFiles = true } = options;
+    const projectRoot = getTargetProjectRoot();
+    const display = (filePath) => relative(projectRoot, filePath) || filePath;
+
+    let output = '';
+    for (const result of results) {
+        const verb = describeAction(result);
+        const target = result.path !== result.targetPath
+            ? ` (alongside \`${display(result.targetPath)}\`)`
+            : '';
+        const conflicts = result.conflicts ? `, ${result.conflicts} conflict region(s) to resolve` : '';
+        output += `• \`${display(result.path)}\`${target}: ${verb}${conflicts}\n`;
+        if (result.note) {
+            output += `  Note: ${result.note}\n`;
+        }
+        if (result.mergeError) {
+            output += `  Could not merge page object members (${result.mergeError}), used conflict markers instead\n`;
+        } else if (result.mergeReport && result.action !== 'created') {
+            output += formatMergeReport(result.mergeReport).replace(/^(?=.)/gm, '  ');
+        }
+    }
+
+    if (includeDiffs) {
+        const withDiffs = results.filter((r) => r.diff && (includeNewFiles || r.action !== 'created'));
+        for (const result of withDiffs) {
+            output += `\n\`\`\`diff\n${result.diff}\`\`\`\n`;
+        }
+    }
+
+    return output;
+}
+
 /**
  * Get the surface for a given card type
  * @param {string} cardType - The card type (simplified name)
@@ -117,14 +287,17 @@ export function getNALAFilePath(cardType, fileName, subDir = null) {
 }
 
 /**
- * Save a file to the correct NALA directory structure
+ * Write a file to the correct NALA directory structure
  * @param {string} cardType - The card type
  * @param {string} fileName - The file name
  * @param {string} content - The file content
  * @param {string} [subDir] - Optional subdirectory ('specs' or 'tests')
- * @returns {string} The path where the file was saved
+ * @param {Object} [options] - Write options (see writeGeneratedFile)
+ * @param {boolean} [options.dryRun] - Only compute the diff, do not write
+ * @param {ConflictPolicy} [options.conflict] - Policy when the file exists
+ * @returns {FileWriteResult & {relativePath: string}} Write result with the path relative to the test output path
  */
-export function saveToNALAStructure(cardType, fileName, content, subDir = null) {
+export function writeToNALAStructure(cardType, fileName, content, subDir = null, options = {}) {
     sanitizeCardType(cardType);
     sanitizeFileName(fileName);
     if (subDir) {
@@ -136,14 +309,44 @@ export function saveToNALAStructure(cardType, fileName, content, subDir = null)
 
     validatePath(filePath, testOutputPath);
 
-    const dirPath = dirname(filePath);
+    const relativePath = join(getNALADirectoryPath(cardType), subDir || '', fileName);
+    const label = relative(getTargetProjectRoot(), filePath);
+    const result = writeGeneratedFile(filePath, content, { ...options, label });
 
-    mkdirSync(dirPath, { recursive: true });
+    return {
+        ...result,
+        relativePath: result.path === filePath ? relativePath : alongsidePath(relativePath),
+    };
+}
 
-    writeFileSync(filePath, content, 'utf-8');
+/**
+ * Read a file from the NALA directory structure
+ * @param {string} cardType - The card type
+ * @param {string} fileName - The file name
+ * @param {string} [subDir] - Optional subdirectory ('specs' or 'tests')
+ * @returns {string|null} File content, or null when the file does not exist
+ */
+export function readFromNALAStructure(cardType, fileName, subDir = null) {
+    sanitizeCardType(cardType);
+    sanitizeFileName(fileName);
 
-    const relativePath = join(getNALADirectoryPath(cardType), subDir || '', fileName);
-    return relativePath;
+    const filePath = getNALAFilePath(cardType, fileName, subDir);
+    validatePath(filePath, getTestOutputPath());
+
+    return existsSync(filePath) ? readFileSync(filePath, 'utf-8') : null;
+}
+
+/**
+ * Save a file to the correct NALA directory structure
+ * @param {string} cardType - The card type
+ * @param {string} fileName - The file name
+ * @param {string} content - The file content
+ * @param {string} [subDir] - Optional subdirectory ('specs' or 'tests')
+ * @param {Object} [options] - Write options (dryRun, conflict)
+ * @returns {string} The path where the file was (or would be) saved
+ */
+export function saveToNALAStructure(cardType, fileName, content, subDir = null, options = {}) {
+    return writeToNALAStructure(cardType, fileName, content, subDir, options).relativePath;
 }
 
 /**
@@ -154,40 +357,41 @@ export function saveToNALAStructure(cardType, fileName, content, subDir = null)
  * @param {string} files.spec - Spec file content
  * @param {string} files.test - Test file content
  * @param {string} testType - The test type (css, edit, save, discard)
- * @returns {Object} Object with saved file paths
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.dryRun] - Only compute diffs, do not write (default: false)
+ * @param {ConflictPolicy} [options.conflict] - Policy for existing files (default: 'overwrite' for
+ *   specs and tests, 'merge' for the page object, which keeps hand-written members)
+ * @returns {Object} Object with saved file paths, plus `results` with the FileWriteResult of each file
  */
-export function saveCompleteTestSuite(cardType, files, testType) {
+export function saveCompleteTestSuite(cardType, files, testType, options = {}) {
     const savedFiles = {};
-    
-    // Save page object (in root of card directory)
+    const results = {};
+
+    const save = (key, fileName, content, subDir = null, fileOptions = options) => {
+        results[key] = writeToNALAStructure(cardType, fileName, content, subDir, fileOptions);
+        savedFiles[key] = results[key].relativePath;
+    };
+
+    // Save page object (in root of card directory), merged into the existing one
     if (files.pageObject) {
-        savedFiles.pageObject = saveToNALAStructure(
-            cardType, 
-            `${cardType}.page.js`, 
-            files.pageObject
-        );
+        save('pageObject', `${cardType}.page.js`, files.pageObject, null, {
+            ...options,
+            conflict: options.conflict || 'merge',
+            merge: mergePageObject,
+        });
     }
-    
+
     // Save spec file (in specs subdirectory)
     if (files.spec) {
-        savedFiles.spec = saveToNALAStructure(
-            cardType, 
-            `${cardType}_${testType}.spec.js`, 
-            files.spec, 
-            'specs'
-        );
+        save('spec', `${cardType}_${testType}.spec.js`, files.spec, 'specs');
     }
-    
+
     // Save test file (in tests subdirectory)
     if (files.test) {
-        savedFiles.test = saveToNALAStructure(
-            cardType, 
-            `${cardType}_${testType}.test.js`, 
-            files.test, 
-            'tests'
-        );
+        save('test', `${cardType}_${testType}.test.js`, files.test, 'tests');
     }
-    
+
+    savedFiles.results = results;
     return savedFiles;
 }
 
@@ -252,25 +456,24 @@ export function getMiloFilePath(type, fileName, category = 'block', projectName)
  * Write a test file with proper error handling
  * @param {string} filePath - Full file path
  * @param {string} content - File content
- * @returns {Object} Result object with path and success status
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.dryRun] - Only compute the diff, do not write (default: false)
+ * @param {ConflictPolicy} [options.conflict] - Policy when the file exists (default: 'overwrite')
+ * @returns {Object} Result object with path and success status, plus the FileWriteResult fields
  */
-export async function writeTestFile(filePath, content) {
+export async function writeTestFile(filePath, content, options = {}) {
     try {
         const testOutputPath = getTestOutputPath();
         validatePath(filePath, testOutputPath);
 
-        const dirPath = dirname(filePath);
-
-        if (!existsSync(dirPath)) {
-            mkdirSync(dirPath, { recursive: true });
-        }
-
-        writeFileSync(filePath, content, 'utf-8');
+        const label = relative(getTargetProjectRoot(), filePath);
+        const result = writeGeneratedFile(filePath, content, { ...options, label });
+        const verb = describeAction(result);
 
         return {
             success: true,
-            path: filePath,
-            message: `File written successfully: ${filePath}`
+            ...result,
+            message: `File ${verb}: ${result.path}`
         };
     } catch (error) {
         return {
@@ -0,0 +1,364 @@
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const currentDir = dirname(fileURLToPath(import.meta.url));
+const variantsDataPath = join(currentDir, '../data/card-variants.json');
+const miloTypesPath = join(currentDir, '../data/milo-types.json');
+
+/**
+ * Prefix of the card IDs served by the fixture Studio page
+ */
+export const FIXTURE_CARD_PREFIX = 'nala-fixture-';
+
+/**
+ * Port of the local Studio dev server the fixture server stands in for
+ */
+export const DEFAULT_FIXTURE_PORT = 3000;
+
+// Inline images, so img.complete is true without network access
+const FIXTURE_IMAGE = `data:image/svg+xml,${encodeURIComponent(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="40" height="40"><rect width="40" height="40" fill="#e34850"/></svg>',
+)}`;
+
+/**
+ * Slot layout per surface, mirroring the markup Studio renders for each
+ */
+const SURFACE_SLOTS = {
+    ccd: { heading: ['h3', 'heading-xs'], body: 'body-xs', eyebrow: ['h4', 'detail-s'], media: 'bg-image' },
+    commerce: { heading: ['h3', 'heading-xxs'], body: 'body-xs' },
+    'adobe-home': { heading: ['h3', 'heading-xs'], body: 'body-xs', media: 'image' },
+    express: { heading: ['h3', 'heading-xs'], body: 'body-s', badge: true },
+    acom: { heading: ['h3', 'heading-xs'], body: 'body-s', badge: true, trialBadge: true, media: 'media' },
+};
+
+const STYLES = `
+body { margin: 0; font-family: Arial, sans-serif; color: rgb(44, 44, 44); background-color: rgb(255, 255, 255); }
+.fixture-grid { display: flex; flex-wrap: wrap; gap: 24px; padding: 24px; }
+merch-card { display: block; position: relative; box-sizing: border-box; width: 300px; min-height: 200px; padding: 16px; border: 1px solid rgb(218, 218, 218); border-radius: 8px; background-color: rgb(255, 255, 255); }
+merch-card[data-surface="ccd"] { width: 270px; background-color: rgb(245, 245, 245); border-color: rgb(230, 230, 230); border-radius: 4px; }
+merch-card[data-surface="commerce"] { width: 378px; border-radius: 4px; }
+merch-card[data-surface="adobe-home"] { width: 322px; background-color: rgb(248, 248, 248); }
+merch-card[data-surface="express"] { width: 365px; border-radius: 16px; }
+merch-card [slot^="heading"] { margin: 8px 0; font-size: 18px; font-weight: 700; line-height: 22.5px; color: rgb(44, 44, 44); }
+merch-card [slot="heading-xxs"] { font-size: 16px; line-height: 20px; }
+merch-card [slot="detail-s"] { margin: 0; font-size: 11px; font-weight: 700; line-height: 14px; color: rgb(110, 110, 110); }
+merch-card [slot^="body"] { font-size: 14px; font-weight: 400; line-height: 21px; color: rgb(75, 75, 75); }
+merch-card [slot="price"] { font-size: 16px; font-weight: 700; line-height: 20px; color: rgb(34, 34, 34); }
+merch-card [slot="cta"] { display: flex; justify-content: flex-end; }
+merch-card [slot="cta"] a { display: inline-block; padding: 7px 18px; border-radius: 16px; font-size: 15px; font-weight: 700; line-height: 18px; color: rgb(255, 255, 255); background-color: rgb(59, 99, 251); text-decoration: none; }
+merch-card merch-icon { display: inline-block; width: 40px; height: 40px; }
+merch-card merch-icon img { width: 100%; height: 100%; }
+merch-card merch-badge { display: inline-block; padding: 2px 10px; border-radius: 4px; font-size: 12px; color: rgb(255, 255, 255); background-color: rgb(230, 125, 0); }
+merch-card [slot="trial-badge"] merch-badge { color: rgb(0, 122, 77); background-color: rgb(255, 255, 255); border: 1px solid rgb(0, 122, 77); }
+merch-card [slot="bg-image"] img, merch-card [slot="image"] img, merch-card [slot="media"] img { display: block; width: 100%; height: 120px; }
+main .section { padding: 40px 24px; }
+main .foreground { max-width: 1200px; margin: 0 auto; }
+main .foreground h2 { font-size: 28px; font-weight: 700; line-height: 35px; color: rgb(44, 44, 44); }
+main .foreground p { font-size: 16px; line-height: 24px; color: rgb(75, 75, 75); }
+main .con-button { display: inline-block; padding: 7px 18px; border-radius: 16px; font-weight: 700; color: rgb(255, 255, 255); background-color: rgb(59, 99, 251); text-decoration: none; }
+main .dark { background-color: rgb(17, 17, 17); }
+main .dark h2, main .dark p { color: rgb(255, 255, 255); }
+`.trim();
+
+// Studio selects cards from the hash (#page=content&path=nala&query=<id>);
+// the fixture page keeps only the matching card so `merch-card` finds it first
+const QUERY_SCRIPT = `
+(() => {
+    const params = new URLSearchParams(location.search);
+    const hash = new URLSearchParams(location.hash.slice(1));
+    const query = hash.get('query') || params.get('query');
+    if (!query) return;
+    document.querySelectorAll('merch-card').forEach((card) => {
+        if (card.id !== query && card.getAttribute('variant') !== query) card.remove();
+    });
+})();
+`.trim();
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} value
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function readJson(filePath, fallback) {
+    try {
+        return JSON.parse(readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        console.error(`Error loading ${filePath}:`, error.message);
+        return fallback;
+    }
+}
+
+/**
+ * @typedef {Object} FixtureCard
+ * @property {string} id - Card ID, usable as the cardId of any tool
+ * @property {string} variant - merch-card variant attribute
+ * @property {string} label - Variant label
+ * @property {string} surface - Surface the variant belongs to
+ */
+
+/**
+ * List the fixture cards, one per variant in card-variants.json
+ * @returns {Array<FixtureCard>} Fixture cards
+ */
+export function getFixtureCards() {
+    const { variants = [] } = readJson(variantsDataPath, { variants: [] });
+    return variants
+        .filter((variant) => variant.value !== 'all')
+        .map((variant) => ({
+            id: `${FIXTURE_CARD_PREFIX}${variant.value}`,
+            variant: variant.value,
+            label: variant.label,
+            surface: variant.surface,
+        }));
+}
+
+/**
+ * @typedef {Object} FixtureBlock
+ * @property {string} name - Block or feature name, e.g. 'accordion' or 'header'
+ * @property {string} category - 'block' or 'feature'
+ * @property {string} displayName - Display name from milo-types.json
+ * @property {string} path - Page path used by generated Milo specs
+ */
+
+/**
+ * List the Milo fixture pages: every block and every leaf feature in
+ * milo-types.json, at the paths generate-milo-tests writes into its specs
+ * @returns {Array<FixtureBlock>} Fixture blocks
+ */
+export function getFixtureBlocks() {
+    const { blocks = {}, features = {} } = readJson(miloTypesPath, {});
+    const result = Object.entries(blocks).map(([name, block]) => ({
+        name,
+        category: 'block',
+        displayName: block.displayName,
+        path: `/drafts/nala/blocks/${name}/${name}`,
+    }));
+
+    const addFeatures = (entries) => {
+        for (const [name, feature] of Object.entries(entries)) {
+            if (feature.subtypes) {
+                addFeatures(feature.subtypes);
+            }
+            const path = `/drafts/nala/features/${name}/${name}`;
+            if ((!feature.subtypes || feature.testTypes) && !result.some((b) => b.path === path)) {
+                result.push({
+                    name,
+                    category: 'feature',
+                    displayName: feature.displayName,
+                    path,
+                });
+            }
+        }
+    };
+    addFeatures(features);
+
+    return result;
+}
+
+function renderCard(card) {
+    const slots = SURFACE_SLOTS[card.surface] || SURFACE_SLOTS.acom;
+    const [headingTag, headingSlot] = slots.heading;
+    const lines = [
+        `<aem-fragment fragment="${card.id}"></aem-fragment>`,
+        `<merch-icon slot="icons" src="${FIXTURE_IMAGE}" size="l"><img src="${FIXTURE_IMAGE}" alt=""></merch-icon>`,
+    ];
+
+    if (slots.badge) {
+        lines.push('<div slot="badge"><merch-badge>Best value</merch-badge></div>');
+    }
+    if (slots.trialBadge) {
+        lines.push('<div slot="trial-badge"><merch-badge>Free trial</merch-badge></div>');
+    }
+    if (slots.media) {
+        lines.push(`<div slot="${slots.media}"><img src="${FIXTURE_IMAGE}" alt=""></div>`);
+    }
+    if (slots.eyebrow) {
+        const [eyebrowTag, eyebrowSlot] = slots.eyebrow;
+        lines.push(`<${eyebrowTag} slot="${eyebrowSlot}">${escapeHtml(card.surface.toUpperCase())}</${eyebrowTag}>`);
+    }
+
+    lines.push(
+        `<${headingTag} slot="${headingSlot}">${escapeHtml(card.label)}</${headingTag}>`,
+        `<div slot="${slots.body}"><p>Fixture description for the ${escapeHtml(card.label)} card.</p></div>`,
+        '<p slot="price"><span is="inline-price" data-template="price">US$22.99/mo</span></p>',
+        '<div slot="cta"><a class="spectrum-Button spectrum-Button--accent" href="#buy-now">Buy now</a></div>',
+    );
+
+    return [
+        `<merch-card id="${card.id}" variant="${card.variant}" data-surface="${card.surface}" data-studio-id="${card.id}" loaded>`,
+        ...lines.map((line) => `    ${line}`),
+        '</merch-card>',
+    ].join('\n');
+}
+
+function renderDocument(title, body, script = '') {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+${STYLES}
+</style>
+</head>
+<body>
+${body}
+${script ? `<script>\n${script}\n</script>\n` : ''}</body>
+</html>
+`;
+}
+
+/**
+ * Render the fixture Studio page with one merch-card per variant
+ * @param {string} [query] - Card ID or variant to keep (server-side filter;
+ * the page applies the hash query itself)
+ * @returns {string} HTML page
+ */
+export function renderStudioPage(query) {
+    const cards = getFixtureCards().filter(
+        (card) => !query || card.id === query || card.variant === query,
+    );
+    const body = `<main class="fixture-grid">\n${cards.map(renderCard).join('\n')}\n</main>`;
+    return renderDocument('M@S Studio (fixture)', body, QUERY_SCRIPT);
+}
+
+/**
+ * Render a Milo page containing a single block or feature
+ * @param {FixtureBlock} block - Block to render
+ * @param {boolean} [variant] - Render the '-variant' page (block gets the 'dark' class)
+ * @returns {string} HTML page
+ */
+export function renderMiloPage(block, variant = false) {
+    const className = variant ? `${block.name} dark` : block.name;
+    const title = escapeHtml(block.displayName || block.name);
+    const body = `<main>
+<div class="section">
+    <div class="${className}">
+        <div class="foreground">
+            <h2 id="${block.name}-heading">${title}</h2>
+            <div class="text"><p>Fixture content for the ${title} ${block.category}.</p></div>
+            <a class="con-button blue" href="#learn-more">Learn more</a>
+        </div>
+    </div>
+</div>
+</main>`;
+    return renderDocument(`${block.displayName || block.name} (fixture)`, body);
+}
+
+function renderIndexPage(baseUrl) {
+    const cards = getFixtureCards()
+        .map((card) => `<li><a href="${baseUrl}/studio.html#query=${card.id}">${escapeHtml(card.label)}</a> <code>${card.id}</code></li>`);
+    const blocks = getFixtureBlocks()
+        .map((block) => `<li><a href="${baseUrl}${block.path}">${escapeHtml(block.displayName || block.name)}</a> <code>${block.path}</code></li>`);
+    const body = `<main>
+<h1>NALA fixture server</h1>
+<h2>Cards</h2>
+<ul>
+${cards.join('\n')}
+</ul>
+<h2>Milo blocks and features</h2>
+<ul>
+${blocks.join('\n')}
+</ul>
+</main>`;
+    return renderDocument('NALA fixture server', body);
+}
+
+/**
+ * Resolve a request path to a fixture page
+ * @param {string} pathname - Request path
+ * @param {URLSearchParams} searchParams - Request query string
+ * @param {string} baseUrl - Server base URL, used for index links
+ * @returns {string|null} HTML page, or null when nothing matches
+ */
+function resolvePage(pathname, searchParams, baseUrl) {
+    const cleanPath = pathname.replace(/\.html$/, '').replace(/\/+$/, '');
+
+    if (cleanPath === '' || cleanPath === '/index') {
+        return renderIndexPage(baseUrl);
+    }
+    if (cleanPath === '/studio') {
+        return renderStudioPage(searchParams.get('query') || undefined);
+    }
+
+    const blocks = getFixtureBlocks();
+    const block = blocks.find((b) => b.path === cleanPath);
+    if (block) return renderMiloPage(block);
+
+    const variantBlock = blocks.find((b) => `${b.path}-variant` === cleanPath);
+    if (variantBlock) return renderMiloPage(variantBlock, true);
+
+    return null;
+}
+
+/**
+ * @typedef {Object} FixtureServer
+ * @property {string} url - Base URL, e.g. 'http://127.0.0.1:3000'
+ * @property {number} port - Port the server listens on
+ * @property {Array<FixtureCard>} cards - Cards served on /studio.html
+ * @property {Array<FixtureBlock>} blocks - Milo pages served
+ * @property {() => Promise<void>} close - Stop the server
+ */
+
+/**
+ * Start a local HTTP server with static Studio and Milo fixture pages, so
+ * extraction and run-and-fix can run without network access or IMS login.
+ * Pass its url as the baseUrl of the extractors, or keep the default port
+ * so milolibs=local (http://localhost:3000) resolves to it.
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on; 0 picks a free port (default: 3000)
+ * @param {string} [options.host] - Interface to bind (default: '127.0.0.1')
+ * @returns {Promise<FixtureServer>} Running server
+ */
+export function startFixtureServer(options = {}) {
+    const { port = DEFAULT_FIXTURE_PORT, host = '127.0.0.1' } = options;
+
+    return new Promise((resolve, reject) => {
+        let baseUrl = '';
+
+        const server = createServer((req, res) => {
+            const requestUrl = new URL(req.url, baseUrl);
+            const html = req.method === 'GET' || req.method === 'HEAD'
+                ? resolvePage(requestUrl.pathname, requestUrl.searchParams, baseUrl)
+                : null;
+
+            if (html === null) {
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end(`No fixture for ${requestUrl.pathname}`);
+                return;
+            }
+
+            res.writeHead(200, {
+                'Content-Type': 'text/html; charset=utf-8',
+                'Cache-Control': 'no-store',
+            });
+            res.end(req.method === 'HEAD' ? undefined : html);
+        });
+
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            const address = server.address();
+            baseUrl = `http://${host}:${address.port}`;
+            resolve({
+                url: baseUrl,
+                port: address.port,
+                cards: getFixtureCards(),
+                blocks: getFixtureBlocks(),
+                close: () => new Promise((done, fail) => {
+                    server.close((error) => (error ? fail(error) : done()));
+                    server.closeAllConnections();
+                }),
+            });
+        });
+    });
+}
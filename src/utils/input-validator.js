@@ -33,7 +33,7 @@ export class InputValidator {
     }
 
     static validateTestType(testType) {
-        const validTypes = ['css', 'functional', 'edit', 'save', 'discard', 'interaction'];
+        const validTypes = ['css', 'functional', 'edit', 'save', 'discard', 'interaction', 'visual', 'a11y', 'analytics', 'checkout', 'price'];
         if (!validTypes.includes(testType)) {
             throw new Error(`Invalid test type: must be one of ${validTypes.join(', ')}`);
         }
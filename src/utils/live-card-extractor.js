@@ -1,6 +1,90 @@
 import { chromium } from 'playwright';
 import { existsSync } from 'fs';
 import path from 'path';
+import {
+    ANALYTICS_ATTRIBUTES,
+    CHECKOUT_ATTRIBUTES,
+    INLINE_PRICE_ATTRIBUTES,
+    getElementSelectors,
+    getElementsForTestType,
+} from './element-registry.js';
+import { resolveBreakpoints } from './breakpoints.js';
+import { getVariantElementSelectors } from './variant-registry.js';
+import { parseModule } from './test-validator.js';
+
+/**
+ * What one selector matched inside a live card
+ * @typedef {Object} SelectorCheck
+ * @property {string} value - Selector, or Playwright locator code (`page.getByRole(...)`)
+ * @property {number} count - Nodes matched inside the card
+ * @property {boolean} unique - Matched exactly one node
+ * @property {boolean} visible - The first match is visible
+ * @property {string} [error] - Why the selector could not be evaluated
+ */
+
+// Playwright locator methods accessibility strategies may call
+const LOCATOR_METHODS = new Set(['getByRole', 'getByLabel', 'getByText', 'getByTestId']);
+
+/**
+ * Literal argument of a locator call: a string, or an object of string,
+ * number and boolean options (`{ name: 'Buy now', exact: true }`)
+ * @param {Object} node - AST node
+ * @returns {string|Object}
+ * @throws {Error} When the argument is anything else
+ */
+function readLocatorArgument(node) {
+    if (node.type === 'Literal' && typeof node.value === 'string') {
+        return node.value;
+    }
+    if (node.type === 'ObjectExpression') {
+        return Object.fromEntries(node.properties.map((property) => {
+            const valid = property.type === 'Property'
+                && property.kind === 'init'
+                && !property.computed
+                && !property.method
+                && property.value.type === 'Literal'
+                && ['string', 'number', 'boolean'].includes(typeof property.value.value);
+            if (!valid) throw new Error('locator options must be literal strings, numbers or booleans');
+            return [property.key.name ?? String(property.key.value), property.value.value];
+        }));
+    }
+    throw new Error('locator arguments must be literal strings or objects');
+}
+
+/**
+ * Parse the locator code of an accessibility strategy, e.g.
+ * `page.getByRole('heading', { level: 3 })`, without evaluating it. Only one
+ * call of a getBy* method on `page` with literal arguments is accepted.
+ * @param {string} value - Locator code
+ * @returns {{method: string, args: Array<string|Object>}} The method and its arguments
+ * @throws {Error} When the code is not such a call
+ */
+export function parseLocatorCall(value) {
+    let body;
+    try {
+        ({ body } = parseModule(value));
+    } catch (error) {
+        throw new Error(`Unsupported locator ${value}: ${error.message}`);
+    }
+
+    const call = body.length === 1 && body[0].type === 'ExpressionStatement' ? body[0].expression : null;
+    const callee = call?.type === 'CallExpression' ? call.callee : null;
+    if (
+        callee?.type !== 'MemberExpression'
+        || callee.computed
+        || callee.object.type !== 'Identifier'
+        || callee.object.name !== 'page'
+        || !LOCATOR_METHODS.has(callee.property.name)
+    ) {
+        throw new Error(`Unsupported locator ${value}: expected page.${[...LOCATOR_METHODS].join('|')}(...)`);
+    }
+
+    try {
+        return { method: callee.property.name, args: call.arguments.map(readLocatorArgument) };
+    } catch (error) {
+        throw new Error(`Unsupported locator ${value}: ${error.message}`);
+    }
+}
 
 export class LiveCardExtractor {
     /**
@@ -70,8 +154,19 @@ export class LiveCardExtractor {
         return result;
     }
 
-    async extractActualCSSProperties(cardId, milolibs = 'local', cardType = null) {
-        const browser = await chromium.launch({ headless: false });
+    /**
+     * Open the card in Studio and wait for its content to load
+     * @param {string} cardId - Card ID to open
+     * @param {string} [milolibs] - Milolibs branch; 'local' uses localhost:3000
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - Studio base URL, e.g. a fixture server URL
+     * @param {boolean} [options.headless] - Run the browser headless (default: false)
+     * @returns {Promise<{browser: import('playwright').Browser, page: import('playwright').Page}>}
+     *   The open page; the caller closes the browser
+     */
+    async openStudioCard(cardId, milolibs = 'local', options = {}) {
+        const { baseUrl: baseUrlOverride, headless = false } = options;
+        const browser = await chromium.launch({ headless });
         
         // Try to use existing auth state if available
         const authFile = path.join(process.cwd(), 'nala/.auth/user.json');
@@ -95,7 +190,9 @@ export class LiveCardExtractor {
 
         try {
             let baseUrl;
-            if (milolibs === 'local') {
+            if (baseUrlOverride) {
+                baseUrl = baseUrlOverride.replace(/\/+$/, '');
+            } else if (milolibs === 'local') {
                 baseUrl = 'http://localhost:3000';
             } else {
                 baseUrl = 'https://main--mas--adobecom.aem.page';
@@ -159,8 +256,41 @@ export class LiveCardExtractor {
                 return true;
             }, { timeout: 10000 });
 
+            return { browser, page };
+        } catch (error) {
+            await browser.close();
+            throw error;
+        }
+    }
+
+    /**
+     * Open the card in Studio and extract the computed CSS of its elements
+     * @param {string} cardId - Card ID to extract
+     * @param {string} [milolibs] - Milolibs branch; 'local' uses localhost:3000
+     * @param {string} [cardType] - Card type (auto-detected on the page)
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - Studio base URL, e.g. a fixture server URL
+     * @param {boolean} [options.headless] - Run the browser headless (default: false)
+     * @param {Array<string>} [options.breakpoints] - Also extract at these breakpoints
+     *   (see breakpoints.js); the result gets a `breakpoints` map of card and element CSS
+     */
+    async extractActualCSSProperties(cardId, milolibs = 'local', cardType = null, options = {}) {
+        const { breakpoints = [] } = options;
+        const viewports = resolveBreakpoints(breakpoints);
+        const { browser, page } = await this.openStudioCard(cardId, milolibs, options);
+
+        try {
             // Extract actual CSS properties dynamically
-            const extractedData = await page.evaluate((cardId) => {
+            const extractCardData = ({
+                cardId,
+                potentialSelectors,
+                variantSelectors,
+                analyticsElements,
+                analyticsAttributes,
+                checkoutElements,
+                checkoutAttributes,
+                inlinePriceAttributes,
+            }) => {
                 // Find card using multiple strategies
                 const cardSelectors = [
                     `aem-fragment[fragment-id="${cardId}"]`,
@@ -274,69 +404,10 @@ export class LiveCardExtractor {
 
                 result.slots = Array.from(slotsFound);
 
-                // Dynamic selectors - find what actually exists
-                const potentialSelectors = {
-                    title: [
-                        'h3[slot="heading-xxs"]',
-                        'h2[slot="heading-xs"]',
-                        'h1[slot="heading-s"]',
-                        '[slot="heading-xs"]',
-                        '[slot="heading-s"]',
-                        '[slot="heading-m"]',
-                        '[slot="heading-l"]',
-                        '[slot="heading-xl"]',
-                        // Express specific
-                        'h1[slot="heading-xs"]',
-                        'h1[slot="heading-m"]',
-                        'h3[slot="heading-s"]'
-                    ],
-                    description: [
-                        'div[slot="body-s"]',
-                        'p[slot="body-s"]',
-                        '[slot="body-xs"]',
-                        '[slot="body-s"]',
-                        '[slot="body-m"]',
-                        '[slot="body-l"]',
-                        '[slot="body-xl"]'
-                    ],
-                    price: [
-                        'p[slot="price"] span[is="inline-price"]',
-                        '[slot="price"] span[is="inline-price"]',
-                        'span[is="inline-price"]',
-                        '[slot="price"]',
-                        // Express specific
-                        'p[slot="price"]',
-                        'div[slot="price"]',
-                        'span[slot="price"]'
-                    ],
-                    cta: [
-                        '[slot="cta"] a.spectrum-Button',
-                        '[slot="cta"] a',
-                        '[slot="cta"]',
-                        // Express specific
-                        'a[slot="cta"]',
-                        'a.spectrum-Button',
-                        'a[href*="express.adobe.com"]'
-                    ],
-                    icon: ['merch-icon'],
-                    trialBadge: [
-                        'div[slot="trial-badge"] merch-badge',
-                        '[slot="trial-badge"] merch-badge',
-                        '[slot="trial-badge"]'
-                    ],
-                    badge: [
-                        'div[slot="badge"] merch-badge',
-                        '[slot="badge"] merch-badge',
-                        '[slot="badge"]'
-                    ],
-                    eyebrow: ['[slot="eyebrow"]'],
-                    backgroundImage: ['[slot="media"]'],
-                    legalLink: ['[slot="legal-link"]'],
-                    strikethroughPrice: ['[slot="strikethrough-price"]']
-                };
-
                 // Find elements that actually exist and extract their properties
-                for (const [elementType, selectors] of Object.entries(potentialSelectors)) {
+                // Variants whose source declares their slots only get the element kinds they have slots for
+                const elementSelectors = variantSelectors[card.getAttribute('variant')] || potentialSelectors;
+                for (const [elementType, selectors] of Object.entries(elementSelectors)) {
                     let element = null;
                     let usedSelector = null;
                     
@@ -360,12 +431,76 @@ export class LiveCardExtractor {
                                 tagName: element.tagName.toLowerCase(),
                                 textContent: element.textContent?.trim() || ''
                             };
+
+                            // Capture the analytics and checkout attributes of every matching link
+                            if (analyticsElements.includes(elementType)) {
+                                result.elements[elementType].analytics = Array.from(card.querySelectorAll(usedSelector)).map(node => Object.fromEntries(
+                                    analyticsAttributes
+                                        .filter(attribute => node.hasAttribute(attribute))
+                                        .map(attribute => [attribute, node.getAttribute(attribute)])
+                                ));
+                            }
+
+                            // Capture the offer and resolved checkout URL of every checkout link
+                            if (checkoutElements.includes(elementType)) {
+                                result.elements[elementType].checkout = Array.from(card.querySelectorAll(usedSelector)).map(node => {
+                                    const attributes = Object.fromEntries(
+                                        checkoutAttributes
+                                            .filter(attribute => node.hasAttribute(attribute))
+                                            .map(attribute => [attribute, node.getAttribute(attribute)])
+                                    );
+                                    const href = node.getAttribute('href') || '';
+                                    if (!/^https?:/.test(href)) return { attributes };
+                                    const url = new URL(href);
+                                    return { attributes, url: url.origin + url.pathname, params: Object.fromEntries(url.searchParams) };
+                                });
+                            }
                         }
                     }
                 }
 
+                // Capture every inline price with its display options, rendered text,
+                // tax label and whether it is the strikethrough (regular) price
+                result.prices = Array.from(card.querySelectorAll('span[is="inline-price"]')).map(node => ({
+                    attributes: Object.fromEntries(
+                        inlinePriceAttributes
+                            .filter(attribute => node.hasAttribute(attribute))
+                            .map(attribute => [attribute, node.getAttribute(attribute)])
+                    ),
+                    text: node.textContent.replace(/\s+/g, ' ').trim(),
+                    taxLabel: node.querySelector('.price-tax-inclusivity')?.textContent.trim() || '',
+                    strikethrough: /strikethrough/i.test(node.getAttribute('data-template') || '')
+                        || Boolean(node.closest('[slot="strikethrough-price"], .price-strikethrough, s, del')),
+                }));
+
                 return result;
-            }, cardId);
+            };
+            const extractionArgs = {
+                cardId,
+                potentialSelectors: getElementSelectors(),
+                variantSelectors: getVariantElementSelectors(),
+                analyticsElements: getElementsForTestType('analytics').map((element) => element.name),
+                analyticsAttributes: ANALYTICS_ATTRIBUTES,
+                checkoutElements: getElementsForTestType('checkout').map((element) => element.name),
+                checkoutAttributes: CHECKOUT_ATTRIBUTES,
+                inlinePriceAttributes: INLINE_PRICE_ATTRIBUTES,
+            };
+            const extractedData = await page.evaluate(extractCardData, extractionArgs);
+
+            // Computed styles change with the viewport, so extract again at each breakpoint
+            if (viewports.length > 0 && !extractedData.error) {
+                extractedData.breakpoints = {};
+                for (const { name, width, height } of viewports) {
+                    await page.setViewportSize({ width, height });
+                    await page.waitForTimeout(1000);
+
+                    const { card, elements, error } = await page.evaluate(extractCardData, extractionArgs);
+                    if (error) {
+                        throw new Error(`${error} at the ${name} breakpoint (${width}x${height})`);
+                    }
+                    extractedData.breakpoints[name] = { card, elements };
+                }
+            }
 
             return extractedData;
 
@@ -374,6 +509,70 @@ export class LiveCardExtractor {
         }
     }
 
+    /**
+     * Locator of a card in Studio: the merch-card with the card ID, or the one
+     * holding the card's fragment
+     * @param {import('playwright').Page} page
+     * @param {string} cardId
+     */
+    getCardLocator(page, cardId) {
+        return page.locator(`merch-card[id="${cardId}"]`)
+            .or(page.locator('merch-card').filter({
+                has: page.locator(`aem-fragment[fragment="${cardId}"], aem-fragment[fragment-id="${cardId}"]`),
+            }))
+            .first();
+    }
+
+    /**
+     * Open the card in Studio and evaluate the selectors of each element inside it
+     * @param {string} cardId - Card ID to verify the selectors on
+     * @param {Record<string, Array<string>>} selectors - Selectors per element name
+     * @param {string} [milolibs] - Milolibs branch; 'local' uses localhost:3000
+     * @param {Object} [options] - baseUrl and headless, as for openStudioCard
+     * @returns {Promise<Record<string, Array<SelectorCheck>>>} Checks per element, in selector order
+     */
+    async verifySelectors(cardId, selectors, milolibs = 'local', options = {}) {
+        const { browser, page } = await this.openStudioCard(cardId, milolibs, options);
+
+        try {
+            const card = this.getCardLocator(page, cardId);
+            const checks = {};
+            for (const [elementName, values] of Object.entries(selectors)) {
+                checks[elementName] = [];
+                for (const value of values) {
+                    checks[elementName].push(await this.checkSelector(card, value));
+                }
+            }
+            return checks;
+        } finally {
+            await browser.close();
+        }
+    }
+
+    /**
+     * @param {import('playwright').Locator} card - Card locator
+     * @param {string} value - Selector, or Playwright locator code starting with `page.`
+     * @returns {Promise<SelectorCheck>}
+     */
+    async checkSelector(card, value) {
+        try {
+            // Accessibility strategies are locator code written against the page;
+            // call them on the card so that they are scoped like the selectors
+            let locator;
+            if (value.startsWith('page.')) {
+                const { method, args } = parseLocatorCall(value);
+                locator = card[method](...args);
+            } else {
+                locator = card.locator(value);
+            }
+            const count = await locator.count();
+            const visible = count > 0 && await locator.first().isVisible();
+            return { value, count, unique: count === 1, visible };
+        } catch (error) {
+            return { value, count: 0, unique: false, visible: false, error: error.message };
+        }
+    }
+
     generateCSSPropertyObject(extractedData) {
         if (extractedData.error) {
             throw new Error(extractedData.error);
@@ -393,20 +592,69 @@ export class LiveCardExtractor {
         return cssProp;
     }
 
-    async updatePageObjectWithLiveCSS(cardId, cardType = 'fries', milolibs = 'local') {
-        const extractedData = await this.extractActualCSSProperties(cardId, milolibs, cardType);
+    /**
+     * Analytics attributes of extracted data, as the `analytics` of each element config
+     * @param {Object} extractedData - Result of extractActualCSSProperties
+     * @returns {Record<string, Array<Record<string, string>>>} Attributes per node, by element name
+     */
+    generateAnalyticsObject(extractedData) {
+        return Object.fromEntries(
+            Object.entries(extractedData.elements || {})
+                .filter(([, data]) => data.analytics?.some((attributes) => Object.keys(attributes).length > 0))
+                .map(([elementType, data]) => [elementType, data.analytics]),
+        );
+    }
+
+    /**
+     * Checkout links of extracted data, as the `checkout` of each element config
+     * @param {Object} extractedData - Result of extractActualCSSProperties
+     * @returns {Record<string, Array<Object>>} Attributes and checkout URL per node, by element name
+     */
+    generateCheckoutObject(extractedData) {
+        return Object.fromEntries(
+            Object.entries(extractedData.elements || {})
+                .filter(([, data]) => data.checkout?.some((link) => link.attributes['data-wcs-osi']))
+                .map(([elementType, data]) => [elementType, data.checkout]),
+        );
+    }
+
+    /**
+     * CSS per breakpoint of data extracted with the breakpoints option
+     * @param {Object} extractedData - Result of extractActualCSSProperties
+     * @returns {Record<string, Object>} cssProp-shaped object per breakpoint name
+     *   (config.breakpointCss, page object cssPropByBreakpoint)
+     */
+    generateBreakpointCSSPropertyObject(extractedData) {
+        return Object.fromEntries(
+            Object.entries(extractedData.breakpoints || {}).map(([name, data]) => [
+                name,
+                this.generateCSSPropertyObject(data),
+            ]),
+        );
+    }
+
+    async updatePageObjectWithLiveCSS(cardId, cardType = 'fries', milolibs = 'local', options = {}) {
+        const extractedData = await this.extractActualCSSProperties(cardId, milolibs, cardType, options);
         const cssProp = this.generateCSSPropertyObject(extractedData);
+        const cssPropByBreakpoint = this.generateBreakpointCSSPropertyObject(extractedData);
 
         console.log('Extracted CSS Properties:', JSON.stringify(cssProp, null, 2));
 
+        const breakpointInstructions = Object.keys(cssPropByBreakpoint).length > 0 ? `
+
+and the cssPropByBreakpoint object with:
+
+this.cssPropByBreakpoint = ${JSON.stringify(cssPropByBreakpoint, null, 12).replace(/^/gm, '        ')};` : '';
+
         // Return the update instructions
         return {
             cssProp,
+            cssPropByBreakpoint,
             extractedData,
             updateInstructions: `
 To update the page object, replace the cssProp object with:
 
-this.cssProp = ${JSON.stringify(cssProp, null, 12).replace(/^/gm, '        ')};
+this.cssProp = ${JSON.stringify(cssProp, null, 12).replace(/^/gm, '        ')};${breakpointInstructions}
             `.trim()
         };
     }
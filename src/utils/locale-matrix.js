@@ -0,0 +1,125 @@
+import { existsSync, readFileSync } from 'fs';
+import { isAbsolute, join } from 'path';
+import { getTargetProjectRoot } from '../config.js';
+
+/**
+ * A locale a spec feature runs in
+ * @typedef {Object} Locale
+ * @property {string} code - Locale code used in feature names and tags, e.g. 'de', 'ch_fr'
+ * @property {string} prefix - Path prefix of the locale, e.g. '/de' ('' for the default locale)
+ * @property {string} [geo] - Geo the locale is routed from, e.g. 'ch'
+ * @property {Record<string, Object>} data - Expected data of the locale (see getLocaleFeatureData)
+ */
+
+/**
+ * Locale matrix options accepted by the MAS and Milo spec generators
+ * @typedef {Object} LocaleMatrixOptions
+ * @property {Array<string | {code: string, prefix?: string, geo?: string}>} [locales] - Locales to
+ *   expand every feature into. A string is a locale code whose prefix is `/<code>` ('' for 'us').
+ * @property {string | Record<string, Object>} [localeData] - Expected data per locale code, or
+ *   the path of a JSON file with it (relative to the target project root). String values apply to
+ *   every feature of the locale; an object value keyed by a feature name (without the locale
+ *   suffix) applies to that feature only:
+ *   `{ "de": { "price": "17,99 €/Monat", "@studio-fries-edit-title": { "title": "Pommes" } } }`
+ */
+
+const LOCALE_CODE = /^[a-z][a-z0-9_-]*$/i;
+
+// Locales served without a path prefix
+const UNPREFIXED_LOCALES = new Set(['us']);
+
+/**
+ * Normalize the locales of a matrix
+ * @param {LocaleMatrixOptions['locales']} locales - Locale codes or definitions
+ * @returns {Locale[]} Locales in the given order
+ */
+export function normalizeLocales(locales = []) {
+    const seen = new Set();
+
+    return locales.map((entry) => {
+        const locale = typeof entry === 'string' ? { code: entry } : { ...entry };
+        if (!locale.code || !LOCALE_CODE.test(locale.code)) {
+            throw new Error(`Invalid locale code: ${locale.code}`);
+        }
+        if (seen.has(locale.code)) {
+            throw new Error(`Duplicate locale: ${locale.code}`);
+        }
+        seen.add(locale.code);
+
+        const prefix = locale.prefix ?? (UNPREFIXED_LOCALES.has(locale.code) ? '' : `/${locale.code}`);
+        return { ...locale, prefix: prefix.replace(/\/+$/, ''), data: {} };
+    });
+}
+
+/**
+ * Load the expected data per locale
+ * @param {LocaleMatrixOptions['localeData']} localeData - Data, or path of a JSON file with it
+ * @returns {Record<string, Object>} Data keyed by locale code
+ */
+export function loadLocaleData(localeData) {
+    if (!localeData) return {};
+    if (typeof localeData === 'object') return localeData;
+
+    const filePath = isAbsolute(localeData) ? localeData : join(getTargetProjectRoot(), localeData);
+    if (!existsSync(filePath)) {
+        throw new Error(`Locale data file not found: ${filePath}`);
+    }
+
+    try {
+        return JSON.parse(readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Failed to parse locale data file ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Build the locale matrix of a generation request
+ * @param {LocaleMatrixOptions} [options]
+ * @returns {Locale[]} Locales with their expected data; empty when no matrix is requested
+ */
+export function buildLocaleMatrix(options = {}) {
+    const locales = normalizeLocales(options.locales);
+    if (locales.length === 0) return [];
+
+    const data = loadLocaleData(options.localeData);
+    const unknown = Object.keys(data).filter((code) => !locales.some((locale) => locale.code === code));
+    if (unknown.length > 0) {
+        console.error(`Locale data for locales outside the matrix is ignored: ${unknown.join(', ')}`);
+    }
+
+    return locales.map((locale) => ({ ...locale, data: { ...data[locale.code] } }));
+}
+
+/**
+ * Expected data of a feature in a locale
+ * @param {Locale} [locale]
+ * @param {string} featureName - Feature name without the locale suffix
+ * @returns {Record<string, string>} Locale-wide data with the feature's own data over it
+ */
+export function getLocaleFeatureData(locale, featureName) {
+    const localeWide = Object.fromEntries(
+        Object.entries(locale?.data || {}).filter(([, value]) => typeof value !== 'object'),
+    );
+    return { ...localeWide, ...locale?.data?.[featureName] };
+}
+
+/**
+ * Prefix a page path with the locale
+ * @param {string} path - Path of the default locale, e.g. '/drafts/nala/blocks/aside/aside'
+ * @param {Locale} [locale]
+ * @returns {string} Localized path, e.g. '/de/drafts/nala/blocks/aside/aside'
+ */
+export function localizePath(path, locale) {
+    if (!locale?.prefix) return path;
+    return `${locale.prefix}${path.startsWith('/') ? '' : '/'}${path}`;
+}
+
+/**
+ * Tags a localized feature gets in addition to its own
+ * @param {Locale} [locale]
+ * @returns {string[]} e.g. ['@locale-de'] or ['@locale-ch_fr', '@geo-ch']
+ */
+export function getLocaleTags(locale) {
+    if (!locale) return [];
+    return [`@locale-${locale.code}`, ...(locale.geo ? [`@geo-${locale.geo}`] : [])];
+}
@@ -0,0 +1,149 @@
+import { existsSync, readFileSync } from 'fs';
+import { isAbsolute, join } from 'path';
+import { getTargetProjectRoot } from '../config.js';
+
+/**
+ * Locator telemetry
+ *
+ * Smart page objects generated with `telemetry: true` chain the strategies of
+ * each locator through `trackLocator`. Running the tests with
+ * NALA_LOCATOR_TELEMETRY=<file> appends one JSON line per locator and test to
+ * that file, telling which strategies of the chain matched:
+ *
+ *   {"cardType":"fries","element":"title","strategies":[{"type":"slot","value":"h3[slot=\"heading-xxs\"]","matched":false},...],"timestamp":"..."}
+ *
+ * A primary selector that never matches while a fallback carries the test is
+ * promoted away; strategies that never match are proposed for removal.
+ */
+
+/**
+ * @typedef {Object} LocatorStrategyStats
+ * @property {string} type - Strategy type, e.g. 'slot', 'role'
+ * @property {string} value - Selector, or Playwright locator code for accessibility strategies
+ * @property {number} runs - Recorded runs that used the strategy
+ * @property {number} matches - Runs in which it matched
+ */
+
+/**
+ * @typedef {Object} LocatorSummary
+ * @property {string} cardType
+ * @property {string} element
+ * @property {number} runs - Recorded runs of the locator
+ * @property {LocatorStrategyStats[]} strategies - Latest recorded chain, primary first
+ */
+
+/**
+ * @typedef {LocatorSummary & {
+ *   action: 'promote' | 'remove' | 'keep' | 'unmatched' | 'insufficient-data',
+ *   proposed: LocatorStrategyStats[],
+ *   removed: LocatorStrategyStats[],
+ * }} LocatorProposal
+ */
+
+export const LOCATOR_TELEMETRY_ENV = 'NALA_LOCATOR_TELEMETRY';
+export const DEFAULT_TELEMETRY_FILE = 'locator-telemetry.jsonl';
+
+/**
+ * @param {string} [file] - Results file, absolute or relative to the project root
+ * @returns {string} Absolute path of the results file
+ */
+export function resolveTelemetryFile(file = DEFAULT_TELEMETRY_FILE) {
+    return isAbsolute(file) ? file : join(getTargetProjectRoot(), file);
+}
+
+/**
+ * Read the records of a results file, skipping malformed lines
+ * @param {string} file - Absolute path of the results file
+ * @returns {Array<Object>} Records in file order
+ */
+export function readLocatorTelemetry(file) {
+    if (!existsSync(file)) return [];
+
+    return readFileSync(file, 'utf-8')
+        .split('\n')
+        .filter((line) => line.trim())
+        .flatMap((line) => {
+            try {
+                const record = JSON.parse(line);
+                return record.element && Array.isArray(record.strategies) ? [record] : [];
+            } catch {
+                return [];
+            }
+        });
+}
+
+/**
+ * Count the runs and matches of every strategy, per card type and element
+ * @param {Array<Object>} records - Records in file order
+ * @returns {LocatorSummary[]} Summaries sorted by card type and element
+ */
+export function summarizeLocatorTelemetry(records) {
+    const summaries = new Map();
+
+    for (const { cardType, element, strategies } of records) {
+        const key = `${cardType}/${element}`;
+        const summary = summaries.get(key) || { cardType, element, runs: 0, stats: new Map(), chain: [] };
+        summary.runs += 1;
+        // A regenerated page object changes the chain; the latest one is current
+        summary.chain = strategies.map(({ value }) => value);
+        for (const { type, value, matched } of strategies) {
+            const stats = summary.stats.get(value) || { type, value, runs: 0, matches: 0 };
+            stats.runs += 1;
+            if (matched) stats.matches += 1;
+            summary.stats.set(value, stats);
+        }
+        summaries.set(key, summary);
+    }
+
+    return [...summaries.values()]
+        .map(({ cardType, element, runs, stats, chain }) => ({
+            cardType,
+            element,
+            runs,
+            strategies: chain.map((value) => stats.get(value)),
+        }))
+        .sort((a, b) => `${a.cardType}/${a.element}`.localeCompare(`${b.cardType}/${b.element}`));
+}
+
+/**
+ * @param {LocatorStrategyStats} strategy
+ * @returns {number} Share of its runs the strategy matched in (0-1)
+ */
+export function getMatchRate(strategy) {
+    return strategy.runs > 0 ? strategy.matches / strategy.runs : 0;
+}
+
+/**
+ * Propose a new chain per locator: strategies that never matched in at least
+ * minRuns runs are dead and removed, and a dead primary is replaced by the
+ * fallback with the best match rate
+ * @param {LocatorSummary[]} summaries
+ * @param {Object} [options]
+ * @param {number} [options.minRuns] - Runs needed before a strategy counts as dead (default: 3)
+ * @returns {LocatorProposal[]}
+ */
+export function proposeLocatorPromotions(summaries, options = {}) {
+    const { minRuns = 3 } = options;
+
+    return summaries.map((summary) => {
+        const { strategies } = summary;
+        const unchanged = { ...summary, proposed: strategies, removed: [] };
+
+        if (summary.runs < minRuns) return { ...unchanged, action: 'insufficient-data' };
+        if (strategies.every((strategy) => strategy.matches === 0)) return { ...unchanged, action: 'unmatched' };
+
+        const removed = strategies.filter((strategy) => strategy.matches === 0 && strategy.runs >= minRuns);
+        const kept = strategies.filter((strategy) => !removed.includes(strategy));
+        if (removed.length === 0) return { ...unchanged, action: 'keep' };
+        if (!removed.includes(strategies[0])) return { ...summary, action: 'remove', proposed: kept, removed };
+
+        // Stable sort: on equal match rates the earlier fallback wins
+        const [promoted] = [...kept].sort((a, b) => getMatchRate(b) - getMatchRate(a));
+        return {
+            ...summary,
+            action: 'promote',
+            proposed: [promoted, ...kept.filter((strategy) => strategy !== promoted)],
+            removed,
+        };
+    });
+}
@@ -3,6 +3,10 @@
  * Maps card types to their corresponding exported variables from mas-test.js
  */
 
+import { getVariant } from './variant-registry.js';
+import { getCardSurface } from './file-output.js';
+import { buildLocaleMatrix } from './locale-matrix.js';
+
 /**
  * Map card types to their mas-test.js export variable names
  */
@@ -28,7 +32,24 @@ const SURFACE_PREFIX = {
   'commerce': 'COM',
   'ccd': 'CCD',
   'ahome': 'AH',
+  'adobe-home': 'AH',
   'acom': 'ACOM',
+  'express': 'Express',
+};
+
+/**
+ * Map surfaces to the tag prefix used in NALA spec tags (@ccd-suggested, @ahome-try-buy-widget)
+ */
+const SURFACE_TAG = {
+  'adobe-home': 'ahome',
+};
+
+/**
+ * Map surfaces to the prefix of the merch-card variant attribute (ccd-suggested, ah-try-buy-widget)
+ */
+const SURFACE_VARIANT_PREFIX = {
+  'ccd': 'ccd-',
+  'adobe-home': 'ah-',
 };
 
 /**
@@ -49,6 +70,140 @@ export function getSurfacePrefix(surface) {
   return SURFACE_PREFIX[surface] || 'CCD';
 }
 
+/**
+ * Get the surface, variant attribute, feature name and tag prefix of a card type
+ * from the variant registry
+ * @param {string} cardType - The card type (e.g., 'suggested', 'plans', 'ah-try-buy-widget')
+ * @returns {{ surface: string, variant: string, name: string, label: string, featureName: string, tag: string }}
+ */
+export function getCardNaming(cardType) {
+  const surface = getCardSurface(cardType);
+  const variantPrefix = SURFACE_VARIANT_PREFIX[surface] || '';
+  const name = variantPrefix && cardType.startsWith(variantPrefix)
+    ? cardType.slice(variantPrefix.length)
+    : cardType;
+  const variant = `${variantPrefix}${name}`;
+  const prefix = getSurfacePrefix(surface);
+
+  const registered = getVariant(name) || getVariant(variant);
+  const label = (registered?.label || name.split('-').map(word =>
+    word.charAt(0).toUpperCase() + word.slice(1)
+  ).join(' ')).replace(new RegExp(`^${prefix} `, 'i'), '');
+
+  return {
+    surface,
+    variant,
+    name,
+    label,
+    featureName: `M@S Studio ${prefix} ${label}`,
+    tag: SURFACE_TAG[surface] || surface,
+  };
+}
+
+/**
+ * Get the variant attribute a merch-card of this card type renders with
+ * @param {string} cardType - The card type
+ * @returns {string} The variant attribute (e.g., 'ccd-suggested', 'plans')
+ */
+export function getVariantAttribute(cardType) {
+  return getCardNaming(cardType).variant;
+}
+
+/**
+ * Get the FeatureName of a card type's specs (e.g., 'M@S Studio CCD Suggested')
+ * @param {string} cardType - The card type
+ * @returns {string} The feature name
+ */
+export function getFeatureName(cardType) {
+  return getCardNaming(cardType).featureName;
+}
+
+/**
+ * Get the class name prefix of a card type's specs and page objects
+ * @param {string} cardType - The card type
+ * @returns {string} The class name (e.g., 'CCDSuggested', 'COMFries', 'AHTryBuyWidget')
+ */
+export function getCardClassName(cardType) {
+  const { surface, name } = getCardNaming(cardType);
+  const words = name.split('-').map(word =>
+    word.charAt(0).toUpperCase() + word.slice(1)
+  );
+  return `${getSurfacePrefix(surface)}${words.join('')}`;
+}
+
+/**
+ * Get the default tags of a card type's specs
+ * @param {string} cardType - The card type
+ * @param {string} testType - The test type
+ * @returns {string} Space separated tags
+ */
+export function getDefaultTags(cardType, testType) {
+  const { tag, name } = getCardNaming(cardType);
+  const tags = ['@mas-studio', `@${tag}`, `@${tag}-${name}`, `@${tag}-${name}-${testType}`];
+
+  if (testType === 'css') {
+    tags.push(`@${tag}-css`);
+  }
+
+  return tags.join(' ');
+}
+
+/**
+ * List the cards a suite runs against. A config with `cards` gets one feature
+ * per card, named after the card's label; otherwise the suite covers `cardId`.
+ * @param {import('../types.js').CardConfig} config - Card configuration
+ * @returns {import('../types.js').SuiteCard[]} Cards with a unique label ('' for a single-card suite)
+ */
+export function getSuiteCards(config) {
+  if (!Array.isArray(config.cards) || config.cards.length === 0) {
+    return [{ cardId: config.cardId, label: '', data: {} }];
+  }
+
+  const labels = new Set();
+  return config.cards.map((card, index) => {
+    const label = (card.label || `card-${index + 1}`)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+    if (!label || labels.has(label)) {
+      throw new Error(`Card labels must be unique and non-empty: "${card.label}" (card ${card.cardId})`);
+    }
+    labels.add(label);
+    return { cardId: card.cardId, label, data: card.data || {} };
+  });
+}
+
+/**
+ * Check whether a config covers several cards (see getSuiteCards)
+ * @param {import('../types.js').CardConfig} config - Card configuration
+ * @returns {boolean} True when the config lists `cards`
+ */
+export function isMultiCardSuite(config) {
+  return Array.isArray(config.cards) && config.cards.length > 0;
+}
+
+/**
+ * List the (card × locale) combinations a suite runs, card-major. Without
+ * `locales` every card runs once with no locale.
+ * @param {import('../types.js').CardConfig} config - Card configuration
+ * @returns {Array<{card: import('../types.js').SuiteCard, locale: import('./locale-matrix.js').Locale | null}>}
+ */
+export function getSuiteMatrix(config) {
+  const locales = buildLocaleMatrix(config);
+  return getSuiteCards(config).flatMap(card =>
+    locales.length > 0 ? locales.map(locale => ({ card, locale })) : [{ card, locale: null }]
+  );
+}
+
+/**
+ * Check whether a spec holds several features per test (several cards or locales)
+ * @param {import('../types.js').CardConfig} config - Card configuration
+ * @returns {boolean} True when the config lists `cards` or `locales`
+ */
+export function isMatrixSuite(config) {
+  return isMultiCardSuite(config) || (Array.isArray(config.locales) && config.locales.length > 0);
+}
+
 /**
  * Generate the import statement for a test file using mas-test.js
  * @param {string} cardType - The card type
@@ -0,0 +1,358 @@
+import { parseModule } from './test-validator.js';
+
+/**
+ * What a page object merge did, by member name
+ * (`title`, `getElementWithFallback`, `cssProp.title`, ...)
+ * @typedef {Object} PageObjectMergeReport
+ * @property {string[]} added - Generated members that were not in the file
+ * @property {string[]} changed - Generated members whose code was updated
+ * @property {string[]} removed - Members generated last time that the generator no longer produces
+ * @property {string[]} preserved - Hand-written members kept as they are
+ */
+
+// Object members merged per element key rather than replaced as a whole
+const KEYED_MEMBERS = ['cssProp', 'cssPropByBreakpoint', 'selectorAlternatives'];
+
+// First line of a merged page object, listing the members the generator owns
+const MANIFEST_PREFIX = '// nala-mcp:generated-members ';
+const MANIFEST_LINE = /^\/\/ nala-mcp:generated-members ?(.*)\n?/m;
+
+function readManifest(content) {
+    const match = content.match(MANIFEST_LINE);
+    if (!match) return null;
+    return new Set(match[1].split(',').map((name) => name.trim()).filter(Boolean));
+}
+
+function writeManifest(content, names) {
+    const line = `${MANIFEST_PREFIX}${names.join(', ')}\n`;
+    return MANIFEST_LINE.test(content) ? content.replace(MANIFEST_LINE, line) : `${line}${content}`;
+}
+
+function findClass(ast) {
+    for (const node of ast.body) {
+        if (node.type === 'ClassDeclaration') return node;
+        if ((node.type === 'ExportDefaultDeclaration' || node.type === 'ExportNamedDeclaration') && node.declaration?.type === 'ClassDeclaration') {
+            return node.declaration;
+        }
+    }
+    return null;
+}
+
+function keyName(node) {
+    return node.type === 'Identifier' ? node.name : String(node.value);
+}
+
+/**
+ * Start of a node including the comments directly above it
+ * @param {Object} node - AST node
+ * @param {Array<Object>} comments - All comments of the file
+ * @param {string} content - Source
+ * @param {number} floor - Offset the comments must start after (end of the previous sibling)
+ * @returns {number} Offset
+ */
+function leadingStart(node, comments, content, floor) {
+    let start = node.start;
+    const candidates = comments.filter((c) => c.end <= start && c.start >= floor).sort((a, b) => b.end - a.end);
+    for (const comment of candidates) {
+        if (content.slice(comment.end, start).trim() !== '') break;
+        start = comment.start;
+    }
+    return start;
+}
+
+/**
+ * Collect the members of a page object class
+ * @param {string} content - Page object source
+ * @returns {{members: Map<string, Object>, order: string[], classNode: Object, constructorNode: Object|null, content: string}} Members by name
+ */
+function collectMembers(content) {
+    const comments = [];
+    const ast = parseModule(content, { onComment: comments });
+    const classNode = findClass(ast);
+    if (!classNode) {
+        throw new Error('No class declaration found');
+    }
+
+    const members = new Map();
+    const order = [];
+    const add = (name, member) => {
+        if (members.has(name)) return;
+        members.set(name, { name, text: content.slice(member.start, member.end), ...member });
+        order.push(name);
+    };
+
+    const constructorNode = classNode.body.body.find((m) => m.type === 'MethodDefinition' && m.kind === 'constructor') || null;
+    let previousEnd = classNode.body.start + 1;
+
+    for (const member of classNode.body.body) {
+        if (member === constructorNode) {
+            let statementFloor = member.value.body.start + 1;
+            for (const statement of member.value.body.body) {
+                const expression = statement.expression;
+                const isField = statement.type === 'ExpressionStatement' &&
+                    expression.type === 'AssignmentExpression' &&
+                    expression.left.type === 'MemberExpression' &&
+                    expression.left.object.type === 'ThisExpression' &&
+                    !expression.left.computed;
+                if (isField) {
+                    add(expression.left.property.name, {
+                        category: 'field',
+                        start: leadingStart(statement, comments, content, statementFloor),
+                        end: statement.end,
+                        value: expression.right,
+                    });
+                }
+                statementFloor = statement.end;
+            }
+        } else if (member.type === 'MethodDefinition' || member.type === 'PropertyDefinition') {
+            const name = keyName(member.key);
+            const returned = member.kind === 'get'
+                ? member.value.body.body.find((s) => s.type === 'ReturnStatement')?.argument
+                : null;
+            add(member.kind === 'set' ? `set ${name}` : name, {
+                category: 'method',
+                start: leadingStart(member, comments, content, previousEnd),
+                end: member.end,
+                value: returned,
+            });
+        }
+        previousEnd = member.end;
+    }
+
+    return { members, order, classNode, constructorNode, content };
+}
+
+/**
+ * Entries of an object literal member, keyed `<member>.<element>` (e.g. `cssProp.title`)
+ * @param {Object} member - Member from collectMembers
+ * @param {string} content - Source
+ * @returns {Map<string, Object>|null} Entries, or null when the member is not an object literal
+ */
+function collectEntries(member, content) {
+    if (member?.value?.type !== 'ObjectExpression') return null;
+    const entries = new Map();
+    let floor = member.value.start + 1;
+    for (const property of member.value.properties) {
+        if (property.type === 'Property') {
+            const start = leadingStart(property, [], content, floor);
+            entries.set(`${member.name}.${keyName(property.key)}`, {
+                start,
+                end: property.end,
+                text: content.slice(start, property.end),
+            });
+        }
+        floor = property.end;
+    }
+    return entries;
+}
+
+function indentationAt(content, offset) {
+    const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+    return content.slice(lineStart, offset).match(/^\s*/)[0];
+}
+
+/**
+ * Widen a range to whole lines (and a following comma) so removing it leaves no gap
+ */
+function removalRange(content, start, end) {
+    const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+    const from = content.slice(lineStart, start).trim() === '' ? lineStart : start;
+    let to = end;
+    const comma = content.slice(to).match(/^\s*,/);
+    if (comma) to += comma[0].length;
+    const newline = content.slice(to).match(/^[ \t]*\n/);
+    if (newline) to += newline[0].length;
+    return { start: from, end: to };
+}
+
+/**
+ * Join adjacent removals and drop the blank line a removed block leaves behind
+ * @param {string} content - Source
+ * @param {Array<{start: number, end: number}>} ranges - Ranges from removalRange
+ * @returns {Array<{start: number, end: number}>} Ranges to delete
+ */
+function collapseRemovals(content, ranges) {
+    const merged = [];
+    for (const range of [...ranges].sort((a, b) => a.start - b.start)) {
+        const previous = merged[merged.length - 1];
+        if (previous && content.slice(previous.end, range.start).trim() === '') {
+            previous.end = Math.max(previous.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+    }
+
+    return merged.map((range) => {
+        const blankBefore = /\n[ \t]*\n$/.test(content.slice(0, range.start));
+        const blankAfter = content.slice(range.end).match(/^[ \t]*\n/);
+        if (blankBefore && blankAfter) {
+            return { start: range.start, end: range.end + blankAfter[0].length };
+        }
+        if (blankBefore && /^\s*}/.test(content.slice(range.end))) {
+            return { start: content.lastIndexOf('\n', range.start - 2) + 1, end: range.end };
+        }
+        return range;
+    });
+}
+
+/**
+ * Merge a regenerated page object into the existing file. Members the generator
+ * produces (locators, helper methods and each cssProp / selectorAlternatives entry)
+ * are added or updated; hand-written members are kept. A member is only removed
+ * when the manifest line written by the previous merge lists it as generated.
+ * @param {string} existingContent - Page object on disk ('' when there is none)
+ * @param {string} generatedContent - Freshly generated page object
+ * @returns {{content: string, report: PageObjectMergeReport}} Merged source and report
+ */
+export function mergePageObject(existingContent, generatedContent) {
+    const generated = collectMembers(generatedContent);
+    const generatedEntries = new Map(KEYED_MEMBERS.map((name) => [name, collectEntries(generated.members.get(name), generatedContent)]));
+    const ownedNames = [
+        ...generated.order.filter((name) => name !== 'constructor'),
+        ...[...generatedEntries.values()].flatMap((entries) => (entries ? [...entries.keys()] : [])),
+    ];
+
+    if (!existingContent.trim()) {
+        return {
+            content: writeManifest(generatedContent, ownedNames),
+            report: { added: ownedNames, changed: [], removed: [], preserved: [] },
+        };
+    }
+
+    const existing = collectMembers(existingContent);
+    const previouslyOwned = readManifest(existingContent) || new Set();
+    const report = { added: [], changed: [], removed: [], preserved: [] };
+    const edits = [];
+    const removals = [];
+    const inserts = new Map();
+
+    const insertAt = (offset, text) => {
+        if (!inserts.has(offset)) inserts.set(offset, []);
+        inserts.get(offset).push(text);
+    };
+    const remove = (range) => removals.push(removalRange(existingContent, range.start, range.end));
+
+    // Keyed members present as object literals on both sides are merged entry by entry
+    const keyedMerges = KEYED_MEMBERS
+        .map((name) => ({
+            name,
+            generated: generatedEntries.get(name),
+            existing: collectEntries(existing.members.get(name), existingContent),
+        }))
+        .filter((merge) => merge.generated && merge.existing);
+
+    // Where a new member goes: after the closest preceding generated member the file already has
+    const anchorFor = (name, category) => {
+        const index = generated.order.indexOf(name);
+        for (let i = index - 1; i >= 0; i--) {
+            const previous = existing.members.get(generated.order[i]);
+            if (previous && previous.category === category && generated.members.has(previous.name) &&
+                generated.members.get(previous.name).category === category) {
+                return previous.end;
+            }
+        }
+        if (category === 'field' && existing.constructorNode) {
+            return existing.constructorNode.value.body.start + 1;
+        }
+        return existing.constructorNode ? existing.constructorNode.end : existing.classNode.body.start + 1;
+    };
+    const memberText = (member, source) => `\n${member.category === 'method' ? '\n' : ''}${indentationAt(source, member.start)}${member.text}`;
+
+    if (!existing.constructorNode && generated.constructorNode) {
+        const constructorText = generatedContent.slice(generated.constructorNode.start, generated.constructorNode.end);
+        insertAt(existing.classNode.body.start + 1, `\n${indentationAt(generatedContent, generated.constructorNode.start)}${constructorText}\n`);
+        for (const name of generated.order) {
+            if (generated.members.get(name).category === 'field') report.added.push(name);
+        }
+    }
+
+    for (const name of generated.order) {
+        const member = generated.members.get(name);
+        const current = existing.members.get(name);
+        if (name === 'constructor' || (member.category === 'field' && !existing.constructorNode)) continue;
+        if (keyedMerges.some((merge) => merge.name === name)) continue;
+
+        if (!current) {
+            insertAt(anchorFor(name, member.category), memberText(member, generatedContent));
+            report.added.push(name);
+        } else if (current.category !== member.category) {
+            remove(current);
+            insertAt(anchorFor(name, member.category), memberText(member, generatedContent));
+            report.changed.push(name);
+        } else if (current.text !== member.text) {
+            edits.push({ start: current.start, end: current.end, text: member.text });
+            report.changed.push(name);
+        }
+    }
+
+    for (const name of existing.order) {
+        if (name === 'constructor' || generated.members.has(name)) continue;
+        if (previouslyOwned.has(name)) {
+            remove(existing.members.get(name));
+            report.removed.push(name);
+        } else {
+            report.preserved.push(name);
+        }
+    }
+
+    for (const merge of keyedMerges) {
+        const objectNode = existing.members.get(merge.name).value;
+        const kept = [...merge.existing].filter(([name]) => merge.generated.has(name) || !previouslyOwned.has(name));
+        const last = kept.length > 0 ? kept[kept.length - 1][1] : null;
+        const indent = last ? indentationAt(existingContent, last.start) : `${indentationAt(existingContent, objectNode.start)}    `;
+
+        for (const [name, entry] of merge.generated) {
+            const current = merge.existing.get(name);
+            if (!current) {
+                const anchor = last ? last.end : objectNode.start + 1;
+                const hasComma = last && /^\s*,/.test(existingContent.slice(last.end));
+                const offset = hasComma ? anchor + existingContent.slice(anchor).indexOf(',') + 1 : anchor;
+                insertAt(offset, `${last && !hasComma ? ',' : ''}\n${indent}${entry.text}${last && !hasComma ? '' : ','}`);
+                report.added.push(name);
+            } else if (current.text !== entry.text) {
+                edits.push({ start: current.start, end: current.end, text: entry.text });
+                report.changed.push(name);
+            }
+        }
+        for (const [name, entry] of merge.existing) {
+            if (merge.generated.has(name)) continue;
+            if (previouslyOwned.has(name)) {
+                remove(entry);
+                report.removed.push(name);
+            } else {
+                report.preserved.push(name);
+            }
+        }
+    }
+
+    for (const [offset, texts] of inserts) {
+        edits.push({ start: offset, end: offset, text: texts.join('') });
+    }
+    for (const range of collapseRemovals(existingContent, removals)) {
+        edits.push({ ...range, text: '' });
+    }
+
+    const merged = edits
+        .sort((a, b) => b.start - a.start || b.end - a.end)
+        .reduce((content, edit) => `${content.slice(0, edit.start)}${edit.text}${content.slice(edit.end)}`, existingContent);
+
+    return { content: writeManifest(merged, ownedNames), report };
+}
+
+/**
+ * Format a merge report as markdown
+ * @param {PageObjectMergeReport} report - Merge report
+ * @returns {string} Markdown list ('' when nothing was merged)
+ */
+export function formatMergeReport(report) {
+    const sections = [
+        ['Added', report.added],
+        ['Changed', report.changed],
+        ['Removed', report.removed],
+        ['Preserved (hand-written)', report.preserved],
+    ];
+    return sections
+        .filter(([, names]) => names.length > 0)
+        .map(([label, names]) => `- **${label}**: ${names.map((name) => `\`${name}\``).join(', ')}\n`)
+        .join('');
+}
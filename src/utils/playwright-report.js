@@ -0,0 +1,429 @@
+/**
+ * Result of a single test.step, flattened with its parent steps
+ * @typedef {Object} StepResult
+ * @property {string} title - Step title
+ * @property {string} path - Parent step titles joined with ' > '
+ * @property {'passed'|'failed'} status - Step status
+ * @property {number} duration - Step duration in milliseconds
+ * @property {string|null} validation - 'Validation-N' label when the step is a CSS validation step
+ * @property {string|null} error - First line of the error message
+ * @property {string|null} locator - Failing locator, if reported
+ * @property {string|null} selector - Innermost selector of the failing locator
+ * @property {string|null} expected - Expected value from the assertion
+ * @property {string|null} received - Received value from the assertion
+ */
+
+/**
+ * CSS value mismatch reported by webUtil.verifyCSS / toHaveCSS
+ * @typedef {Object} CSSMismatch
+ * @property {string|null} property - CSS property name
+ * @property {string|null} expected - Expected value
+ * @property {string|null} received - Actual value
+ * @property {string|null} locator - Locator the assertion ran against
+ * @property {string|null} validation - 'Validation-N' step the mismatch belongs to, when known
+ * @property {string|null} element - Validation label (e.g. 'title') when known
+ */
+
+/**
+ * Result of a single test case
+ * @typedef {Object} TestCaseResult
+ * @property {string} title - Full test title
+ * @property {string} name - Feature name (title up to the first comma)
+ * @property {string[]} tags - Tags from the title
+ * @property {string|null} tcid - Test case id from the spec
+ * @property {string} file - Test file
+ * @property {number|null} line - Line of the test in the file
+ * @property {string} project - Playwright project name
+ * @property {string} status - Final status (passed, failed, timedOut, skipped, interrupted)
+ * @property {string} outcome - Playwright outcome (expected, unexpected, flaky, skipped)
+ * @property {number} duration - Duration of the final attempt in milliseconds
+ * @property {number} retry - Retry index of the final attempt
+ * @property {string|null} error - First line of the error message
+ * @property {string|null} errorMessage - Full error message without ANSI codes
+ * @property {string|null} locator - Failing locator, if reported
+ * @property {string|null} selector - Innermost selector of the failing locator
+ * @property {string|null} expected - Expected value from the assertion
+ * @property {string|null} received - Received value from the assertion
+ * @property {StepResult[]} steps - All steps, flattened
+ * @property {StepResult[]} failedSteps - Failing steps that have no failing sub-step
+ * @property {CSSMismatch[]} cssMismatches - CSS values that did not match
+ */
+
+/**
+ * Parsed Playwright JSON report
+ * @typedef {Object} PlaywrightReport
+ * @property {{total: number, passed: number, failed: number, flaky: number, skipped: number, duration: number}} stats
+ * @property {TestCaseResult[]} tests - Test case results
+ * @property {string[]} errors - Errors reported outside of tests (e.g. config or import errors)
+ */
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+/**
+ * Remove terminal color codes
+ * @param {string} text
+ * @returns {string} Plain text
+ */
+export function stripAnsi(text) {
+    return (text || '').replace(ANSI_PATTERN, '');
+}
+
+function unquote(value) {
+    if (value === undefined) return null;
+    const trimmed = value.trim();
+    const match = trimmed.match(/^(["'`])(.*)\1$/);
+    return match ? match[2] : trimmed;
+}
+
+/**
+ * Pull locator and expected/received values out of a Playwright error message
+ * @param {string} message - Error message
+ * @returns {{error: string|null, locator: string|null, selector: string|null, expected: string|null, received: string|null}}
+ */
+export function analyzeErrorMessage(message) {
+    const text = stripAnsi(message);
+    if (!text.trim()) {
+        return { error: null, locator: null, selector: null, expected: null, received: null };
+    }
+
+    const locatorMatch =
+        text.match(/^\s*Locator:\s*(.+)$/m) ||
+        text.match(/waiting for (?:locator\()?((?:locator|getBy\w+)\(.+?\)(?:\.\w+\(.*?\))*)\s*$/m) ||
+        text.match(/((?:page\.)?locator\(['"].+?['"]\)(?:\.(?:locator|first|last|nth)\(.*?\))*)/);
+    const locator = locatorMatch ? locatorMatch[1].trim() : null;
+
+    let selector = null;
+    if (locator) {
+        const selectors = [...locator.matchAll(/locator\((['"])(.+?)\1\)/g)];
+        selector = selectors.length > 0 ? selectors[selectors.length - 1][2] : null;
+    }
+
+    const expected = text.match(/^\s*Expected(?: string| pattern| substring| value)?:\s*(.+)$/m);
+    const received = text.match(/^\s*Received(?: string| value)?:\s*(.+)$/m);
+
+    return {
+        error: text.trim().split('\n')[0].trim(),
+        locator,
+        selector,
+        expected: expected ? unquote(expected[1]) : null,
+        received: received ? unquote(received[1]) : null,
+    };
+}
+
+/**
+ * Extract CSS mismatches logged by webUtil.verifyCSS
+ * ("CSS property <name> not found: Error: expect(locator).toHaveCSS(...)")
+ * or thrown directly by toHaveCSS
+ * @param {string} text - Captured output or error message
+ * @returns {CSSMismatch[]} Mismatches
+ */
+export function extractCSSMismatches(text) {
+    const plain = stripAnsi(text);
+    const mismatches = [];
+    const chunks = plain.split(/(?=CSS property [\w-]+ not)/);
+
+    for (const chunk of chunks) {
+        const propertyMatch = chunk.match(/^CSS property ([\w-]+) not/);
+        const cssAssertion = chunk.match(/toHaveCSS\((['"])([\w-]+)\1/);
+        if (!propertyMatch && !chunk.includes('toHaveCSS')) continue;
+
+        const details = analyzeErrorMessage(chunk);
+        if (details.expected === null && details.received === null) continue;
+
+        mismatches.push({
+            property: propertyMatch ? propertyMatch[1] : cssAssertion ? cssAssertion[2] : null,
+            expected: details.expected,
+            received: details.received,
+            locator: details.locator,
+            validation: null,
+            element: null,
+        });
+    }
+
+    return mismatches;
+}
+
+/**
+ * Find the Playwright JSON report in reporter output that may contain other log lines
+ * @param {string} output - Reporter stdout
+ * @returns {Object|null} Report object
+ */
+function extractJson(output) {
+    if (!output) return null;
+    try {
+        return JSON.parse(output);
+    } catch {
+        const start = output.search(/^\{\s*$/m);
+        const end = output.lastIndexOf('}');
+        if (start === -1 || end <= start) return null;
+        try {
+            return JSON.parse(output.slice(start, end + 1));
+        } catch {
+            return null;
+        }
+    }
+}
+
+function flattenSteps(steps = [], parentPath = '') {
+    const flattened = [];
+    for (const step of steps) {
+        const path = parentPath ? `${parentPath} > ${step.title}` : step.title;
+        const details = analyzeErrorMessage(step.error?.message || '');
+        const validation = step.title.match(/^(Validation-\d+)\b/);
+        const children = flattenSteps(step.steps, path);
+
+        flattened.push({
+            title: step.title,
+            path,
+            status: step.error ? 'failed' : 'passed',
+            duration: step.duration ?? 0,
+            validation: validation ? validation[1] : null,
+            error: details.error,
+            locator: details.locator,
+            selector: details.selector,
+            expected: details.expected,
+            received: details.received,
+            isRootCause: !children.some((child) => child.status === 'failed'),
+        });
+        flattened.push(...children);
+    }
+    return flattened;
+}
+
+function collectOutput(entries = []) {
+    return entries
+        .map((entry) => entry.text ?? (entry.buffer ? Buffer.from(entry.buffer, 'base64').toString() : ''))
+        .join('');
+}
+
+/**
+ * Map validation labels from the CSS test failure summary
+ * ("🔍 Validation-2 (title) failed: ...")
+ * @param {string} message
+ * @returns {Map<string, string>} 'Validation-N' → label
+ */
+function parseValidationLabels(message) {
+    const labels = new Map();
+    for (const match of stripAnsi(message).matchAll(/(Validation-\d+) \(([^)]+)\) failed/g)) {
+        labels.set(match[1], match[2]);
+    }
+    return labels;
+}
+
+function buildTestCase(spec, test, suiteFile, featuresByName) {
+    const result = test.results?.[test.results.length - 1] || {};
+    const errorMessage = stripAnsi(
+        result.error?.message || (result.errors || []).map((e) => e.message).join('\n'),
+    );
+    const details = analyzeErrorMessage(errorMessage);
+    const [name, ...tagParts] = spec.title.split(',');
+    const steps = flattenSteps(result.steps);
+    const failedSteps = steps.filter((step) => step.status === 'failed' && step.isRootCause);
+    steps.forEach((step) => delete step.isRootCause);
+
+    const labels = parseValidationLabels(errorMessage);
+    const cssMismatches = [
+        ...extractCSSMismatches(collectOutput(result.stderr) + collectOutput(result.stdout)),
+        ...extractCSSMismatches(errorMessage),
+    ];
+    const failedValidations = failedSteps.filter((step) => step.validation);
+    if (failedValidations.length === 1) {
+        cssMismatches.forEach((mismatch) => {
+            mismatch.validation = failedValidations[0].validation;
+        });
+    }
+    cssMismatches.forEach((mismatch) => {
+        mismatch.element = mismatch.validation ? labels.get(mismatch.validation) || null : null;
+    });
+
+    const feature = featuresByName.get(name.trim());
+
+    return {
+        title: spec.title,
+        name: name.trim(),
+        tags: tagParts.join(',').split(/\s+/).filter(Boolean),
+        tcid: feature?.tcid !== undefined ? String(feature.tcid) : null,
+        file: spec.file || suiteFile,
+        line: spec.line ?? null,
+        project: test.projectName || '',
+        status: result.status || (test.status === 'skipped' ? 'skipped' : 'unknown'),
+        outcome: test.status,
+        duration: result.duration ?? 0,
+        retry: result.retry ?? 0,
+        error: details.error,
+        errorMessage: errorMessage || null,
+        locator: details.locator,
+        selector: details.selector,
+        expected: details.expected,
+        received: details.received,
+        steps,
+        failedSteps,
+        cssMismatches,
+    };
+}
+
+/**
+ * Parse the output of `playwright test --reporter=json`
+ * @param {string} output - Reporter stdout
+ * @param {Object} [options]
+ * @param {Array<{name: string, tcid: string}>} [options.features] - Spec features used to resolve tcids
+ * @returns {PlaywrightReport|null} Parsed report, or null when no JSON report was found
+ */
+export function parsePlaywrightReport(output, options = {}) {
+    const json = extractJson(output);
+    if (!json || !Array.isArray(json.suites)) return null;
+
+    const featuresByName = new Map((options.features || []).map((feature) => [feature.name, feature]));
+    const tests = [];
+
+    const visitSuite = (suite, file) => {
+        const suiteFile = suite.file || file;
+        (suite.specs || []).forEach((spec) => {
+            (spec.tests || []).forEach((test) => {
+                tests.push(buildTestCase(spec, test, suiteFile, featuresByName));
+            });
+        });
+        (suite.suites || []).forEach((child) => visitSuite(child, suiteFile));
+    };
+    json.suites.forEach((suite) => visitSuite(suite, suite.file));
+
+    const count = (outcome) => tests.filter((test) => test.outcome === outcome).length;
+
+    return {
+        stats: {
+            total: tests.length,
+            passed: count('expected'),
+            failed: count('unexpected'),
+            flaky: count('flaky'),
+            skipped: count('skipped'),
+            duration: json.stats?.duration ?? tests.reduce((sum, test) => sum + test.duration, 0),
+        },
+        tests,
+        errors: (json.errors || []).map((error) => stripAnsi(error.message || String(error))),
+    };
+}
+
+/**
+ * List failures of a report, one entry per failing step (or per test when no step failed)
+ * @param {PlaywrightReport|null} report
+ * @returns {Array<Object>} Failures with test, tcid, step, message, locator, selector, expected, received and cssMismatches
+ */
+export function getReportFailures(report) {
+    if (!report) return [];
+
+    const failures = [];
+    report.tests
+        .filter((test) => test.outcome === 'unexpected')
+        .forEach((test) => {
+            const base = { test: test.name, tcid: test.tcid, status: test.status };
+            if (test.failedSteps.length === 0) {
+                failures.push({
+                    ...base,
+                    step: null,
+                    message: test.errorMessage || test.error || `Test ${test.status}`,
+                    locator: test.locator,
+                    selector: test.selector,
+                    expected: test.expected,
+                    received: test.received,
+                    cssMismatches: test.cssMismatches,
+                });
+                return;
+            }
+            test.failedSteps.forEach((step) => {
+                failures.push({
+                    ...base,
+                    step: step.path,
+                    message: step.error || test.error || `Step failed: ${step.title}`,
+                    locator: step.locator || test.locator,
+                    selector: step.selector || test.selector,
+                    expected: step.expected,
+                    received: step.received,
+                    cssMismatches: test.cssMismatches.filter(
+                        (mismatch) => !mismatch.validation || mismatch.validation === step.validation,
+                    ),
+                });
+            });
+        });
+
+    report.errors.forEach((message) => {
+        failures.push({ test: null, tcid: null, step: null, message, locator: null, selector: null, cssMismatches: [] });
+    });
+
+    return failures;
+}
+
+const STATUS_ICONS = {
+    expected: '✅',
+    unexpected: '❌',
+    flaky: '⚠️',
+    skipped: '⏭️',
+};
+
+function escapeCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Render a parsed report as markdown for MCP responses
+ * @param {PlaywrightReport} report
+ * @returns {string} Markdown
+ */
+export function formatReportMarkdown(report) {
+    const { stats } = report;
+    let markdown = `**Tests**: ${stats.passed} passed, ${stats.failed} failed, ${stats.flaky} flaky, ${stats.skipped} skipped (${stats.duration}ms)\n\n`;
+
+    if (report.tests.length > 0) {
+        markdown += '| tcid | Test | Status | Duration |\n';
+        markdown += '| ---- | ---- | ------ | -------- |\n';
+        report.tests.forEach((test) => {
+            markdown += `| ${escapeCell(test.tcid ?? '-')} | ${escapeCell(test.name)} | ${STATUS_ICONS[test.outcome] || ''} ${test.status} | ${test.duration}ms |\n`;
+        });
+        markdown += '\n';
+    }
+
+    report.tests
+        .filter((test) => test.outcome === 'unexpected' || test.outcome === 'flaky')
+        .forEach((test) => {
+            markdown += `### ${STATUS_ICONS[test.outcome]} ${test.name}${test.tcid !== null ? ` (tcid ${test.tcid})` : ''}\n\n`;
+            if (test.error) {
+                markdown += `**Error**: ${test.error}\n`;
+            }
+            if (test.locator) {
+                markdown += `**Locator**: \`${test.locator}\`\n`;
+            }
+            if (test.expected !== null || test.received !== null) {
+                markdown += `**Expected**: \`${test.expected}\` / **Received**: \`${test.received}\`\n`;
+            }
+            if (test.failedSteps.length > 0) {
+                markdown += '\n**Failed steps**:\n';
+                test.failedSteps.forEach((step) => {
+                    markdown += `- \`${step.path}\`${step.error ? ` — ${step.error}` : ''}\n`;
+                    if (step.locator) {
+                        markdown += `  - Locator: \`${step.locator}\`\n`;
+                    }
+                });
+            }
+            if (test.cssMismatches.length > 0) {
+                markdown += '\n**CSS mismatches**:\n\n';
+                markdown += '| Step | Property | Expected | Received | Locator |\n';
+                markdown += '| ---- | -------- | -------- | -------- | ------- |\n';
+                test.cssMismatches.forEach((mismatch) => {
+                    const step = mismatch.validation
+                        ? `${mismatch.validation}${mismatch.element ? ` (${mismatch.element})` : ''}`
+                        : '-';
+                    markdown += `| ${escapeCell(step)} | ${escapeCell(mismatch.property)} | ${escapeCell(mismatch.expected)} | ${escapeCell(mismatch.received)} | ${escapeCell(mismatch.locator)} |\n`;
+                });
+            }
+            markdown += '\n';
+        });
+
+    if (report.errors.length > 0) {
+        markdown += '**Errors outside tests**:\n';
+        report.errors.forEach((error) => {
+            markdown += `- ${error.split('\n')[0]}\n`;
+        });
+        markdown += '\n';
+    }
+
+    return markdown;
+}
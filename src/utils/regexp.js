@@ -0,0 +1,8 @@
+/**
+ * Escape a string for use as a literal inside a regular expression
+ * @param {string} value - Text to match literally
+ * @returns {string} Pattern source
+ */
+export function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,106 @@
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { findFeaturesArray, parseModule, propertyKey, toLiteral } from './test-validator.js';
+
+/**
+ * A feature found in an existing spec file
+ * @typedef {Object} SpecFeature
+ * @property {string|undefined} tcid - Test case id
+ * @property {string|undefined} name - Feature name, e.g. '@studio-suggested-css'
+ * @property {string|undefined} tags - Space separated tags
+ * @property {string|undefined} path - Page path
+ * @property {string|undefined} screenshot - Visual baseline name (visual features)
+ * @property {string|undefined} cardid - `data.cardid` of the feature
+ */
+
+/**
+ * Generated spec file name: `<card>_<testType>.spec.js`
+ */
+export const SPEC_FILE_PATTERN = /^(.+?)_([a-z0-9-]+)\.spec\.js$/;
+
+/**
+ * List the visible subdirectories of a directory
+ * @param {string} dir - Directory
+ * @returns {Array<string>} Sorted directory names, empty when `dir` does not exist
+ */
+export function listDirectories(dir) {
+    if (!existsSync(dir)) return [];
+    return readdirSync(dir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.'))
+        .map((entry) => entry.name)
+        .sort();
+}
+
+/**
+ * Read the properties of each feature object in a spec
+ * @param {string} content - Spec file source
+ * @returns {Array<Map<string, import('acorn').Node>>} Property value nodes by key, in file order
+ * @throws {SyntaxError} When the spec does not parse
+ */
+export function readFeatureProperties(content) {
+    const features = findFeaturesArray(parseModule(content));
+    if (!features) return [];
+
+    return features.elements
+        .filter((element) => element?.type === 'ObjectExpression')
+        .map((element) => new Map(element.properties
+            .filter((p) => p.type === 'Property' && !p.computed)
+            .map((p) => [propertyKey(p), p.value])));
+}
+
+/**
+ * List the features of a NALA spec file
+ * @param {string} content - Spec file source
+ * @returns {SpecFeature[]} Features in file order; empty when the file does not parse
+ */
+export function readSpecFeatures(content) {
+    let features;
+    try {
+        features = readFeatureProperties(content);
+    } catch {
+        return [];
+    }
+
+    return features.map((properties) => {
+        const data = toLiteral(properties.get('data'));
+        const tcid = toLiteral(properties.get('tcid'));
+        return {
+            tcid: tcid !== undefined ? String(tcid) : undefined,
+            name: toLiteral(properties.get('name')),
+            tags: toLiteral(properties.get('tags')),
+            path: toLiteral(properties.get('path')),
+            screenshot: toLiteral(properties.get('screenshot')),
+            cardid: data?.cardid ?? data?.cardId,
+        };
+    });
+}
+
+/**
+ * List the features of a spec file on disk
+ * @param {string} specPath - Spec file path
+ * @returns {SpecFeature[]} Features; empty when the file cannot be read or parsed
+ */
+export function readSpecFile(specPath) {
+    if (!existsSync(specPath)) return [];
+    return readSpecFeatures(readFileSync(specPath, 'utf-8'));
+}
+
+/**
+ * Create a tcid allocator. A feature already in the spec keeps its tcid; any
+ * other feature gets the lowest tcid that the spec does not use yet.
+ * @param {SpecFeature[]} [existingFeatures] - Features of the spec being regenerated
+ * @returns {(name: string) => string} Returns the tcid for a feature name
+ */
+export function createTcidAllocator(existingFeatures = []) {
+    const byName = new Map(existingFeatures.map((feature) => [feature.name, String(feature.tcid)]));
+    const used = new Set(byName.values());
+    let next = 0;
+
+    return (name) => {
+        if (byName.has(name)) {
+            return byName.get(name);
+        }
+        while (used.has(String(next))) next++;
+        used.add(String(next));
+        return String(next);
+    };
+}
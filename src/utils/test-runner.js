@@ -4,6 +4,9 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { getNALADirectoryPath, getCardSurface } from './file-output.js';
 import { getTargetProjectRoot, getTestOutputPath } from '../config.js';
+import { validateTestSource, formatDiagnostic } from './test-validator.js';
+import { readSpecFile } from './spec-reader.js';
+import { parsePlaywrightReport, formatReportMarkdown } from './playwright-report.js';
 
 /**
  * Test execution result
@@ -13,6 +16,7 @@ import { getTargetProjectRoot, getTestOutputPath } from '../config.js';
  * @property {string} error - Error output if any
  * @property {number} duration - Test duration in milliseconds
  * @property {Array<string>} warnings - Any warnings found
+ * @property {import('./playwright-report.js').PlaywrightReport|null} [report] - Parsed JSON reporter output
  */
 
 /**
@@ -22,6 +26,7 @@ import { getTargetProjectRoot, getTestOutputPath } from '../config.js';
  * @property {Array<string>} errors - Validation errors
  * @property {Array<string>} warnings - Validation warnings
  * @property {Object} files - File-specific validation results
+ * @property {Array<import('./test-validator.js').Diagnostic>} [diagnostics] - Located findings for test files
  */
 
 /**
@@ -109,12 +114,22 @@ export async function runNALATest(cardType, testType, options = {}) {
             timeout,
         });
 
+        const specPath = join(
+            dirname(dirname(testFilePath)),
+            'specs',
+            `${cardType}_${testType}.spec.js`,
+        );
+        const report = parsePlaywrightReport(result.stdout, {
+            features: readSpecFile(specPath),
+        });
+
         return {
             success: result.exitCode === 0,
             output: result.stdout,
             error: result.stderr,
             duration: Date.now() - startTime,
             warnings: [...warnings, ...validation.warnings],
+            report,
         };
     } catch (error) {
         return {
@@ -130,80 +145,32 @@ export async function runNALATest(cardType, testType, options = {}) {
 /**
  * Validate a generated test file for syntax and structure
  * @param {string} filePath - Path to the test file
+ * @param {Object} [options] - Validation options
+ * @param {'mas'|'milo'} [options.projectType] - Rule set to apply (detected from the path by default)
  * @returns {Promise<ValidationResult>} Validation result
  */
-export async function validateTestFile(filePath) {
+export async function validateTestFile(filePath, options = {}) {
     const errors = [];
     const warnings = [];
     const files = {};
+    let diagnostics = [];
 
     try {
         const content = readFileSync(filePath, 'utf-8');
+        const result = validateTestSource(content, {
+            filePath,
+            projectType: options.projectType,
+        });
+        diagnostics = result.diagnostics;
 
-        // Check for required imports
-        const requiredImports = [
-            'expect',
-            'test',
-            '@playwright/test',
-            'StudioPage',
-            'WebUtil',
-        ];
-
-        for (const importName of requiredImports) {
-            if (!content.includes(importName)) {
-                errors.push(`Missing required import: ${importName}`);
-            }
-        }
-
-        // Check for test structure
-        if (!content.includes('test.describe')) {
-            errors.push('Missing test.describe block');
-        }
-
-        if (!content.includes('test.beforeEach')) {
-            warnings.push('Missing test.beforeEach setup');
-        }
-
-        // Check for proper test naming
-        if (!content.includes('test(`')) {
-            errors.push('No test cases found');
-        }
-
-        // Check for async/await patterns
-        if (content.includes('test(') && !content.includes('async')) {
-            warnings.push('Tests should be async for Playwright');
-        }
-
-        // Check for proper page object usage
-        if (!content.includes('.page') && !content.includes('Page(')) {
-            warnings.push('No page object usage detected');
-        }
-
-        // Syntax validation (basic) - skip for ES6 modules
-        if (!content.includes('import ') && !content.includes('export ')) {
-            try {
-                // Try to parse as JavaScript (basic syntax check)
-                new Function(content);
-            } catch (syntaxError) {
-                errors.push(`Syntax error: ${syntaxError.message}`);
-            }
-        } else {
-            // For ES6 modules, just check for basic syntax patterns
-            const hasValidImports = content.match(
-                /^import\s+.*from\s+['"][^'"]+['"];?$/m,
-            );
-            const hasValidExports = content.match(/^export\s+(default\s+)?/m);
-
-            if (content.includes('import ') && !hasValidImports) {
-                warnings.push('Import statements may have syntax issues');
-            }
-            if (content.includes('export ') && !hasValidExports) {
-                warnings.push('Export statements may have syntax issues');
-            }
-        }
+        diagnostics.forEach((diagnostic) => {
+            const target = diagnostic.severity === 'error' ? errors : warnings;
+            target.push(formatDiagnostic(diagnostic));
+        });
 
         files[filePath] = {
             valid: errors.length === 0,
+            projectType: result.projectType,
             errors: [...errors],
             warnings: [...warnings],
         };
@@ -216,6 +183,7 @@ export async function validateTestFile(filePath) {
         errors,
         warnings,
         files,
+        diagnostics,
     };
 }
 
@@ -231,6 +199,9 @@ function executePlaywrightTest(testFilePath, options = {}) {
             headless = true,
             browser = 'chromium',
             timeout = 30000,
+            project = `mas-live-${browser}`,
+            updateSnapshots = false,
+            grep,
         } = options;
 
         const args = [
@@ -238,12 +209,18 @@ function executePlaywrightTest(testFilePath, options = {}) {
             testFilePath,
             '--reporter=json',
             `--timeout=${timeout}`,
-            `--project=mas-live-${browser}`,
+            `--project=${project}`,
         ];
 
         if (!headless) {
             args.push('--headed');
         }
+        if (updateSnapshots) {
+            args.push('--update-snapshots');
+        }
+        if (grep) {
+            args.push(`--grep=${grep}`);
+        }
 
         if (!process.env.IMS_EMAIL || !process.env.IMS_PASS) {
             throw new Error('IMS_EMAIL and IMS_PASS environment variables are required for test execution');
@@ -292,6 +269,51 @@ function executePlaywrightTest(testFilePath, options = {}) {
     });
 }
 
+/**
+ * Run one Playwright test file of the target project
+ * @param {string} testFilePath - Absolute path of the test file
+ * @param {Object} [options]
+ * @param {boolean} [options.headless] - Run in headless mode (default: true)
+ * @param {string} [options.browser] - Browser to use (default: 'chromium')
+ * @param {string} [options.project] - Playwright project (default: mas-live-<browser>)
+ * @param {number} [options.timeout] - Test timeout in milliseconds (default: 30000)
+ * @param {boolean} [options.updateSnapshots] - Rewrite screenshot baselines that differ
+ * @param {string} [options.grep] - Only run tests whose title matches
+ * @returns {Promise<TestResult>} Test execution result
+ */
+export async function runPlaywrightTestFile(testFilePath, options = {}) {
+    const startTime = Date.now();
+    if (!existsSync(testFilePath)) {
+        return {
+            success: false,
+            output: '',
+            error: `Test file not found: ${testFilePath}`,
+            duration: Date.now() - startTime,
+            warnings: [],
+        };
+    }
+
+    try {
+        const result = await executePlaywrightTest(testFilePath, options);
+        return {
+            success: result.exitCode === 0,
+            output: result.stdout,
+            error: result.stderr,
+            duration: Date.now() - startTime,
+            warnings: [],
+            report: parsePlaywrightReport(result.stdout),
+        };
+    } catch (error) {
+        return {
+            success: false,
+            output: '',
+            error: `Test execution failed: ${error.message}`,
+            duration: Date.now() - startTime,
+            warnings: [],
+        };
+    }
+}
+
 /**
  * Validate all generated files for a card
  * @param {string} cardType - The card type
@@ -495,7 +517,9 @@ export function generateTestReport(result) {
             });
         }
 
-        if (result.execution.output) {
+        if (result.execution.report) {
+            report += `\n${formatReportMarkdown(result.execution.report)}`;
+        } else if (result.execution.output) {
             report += `\n**Output**:\n\`\`\`\n${result.execution.output}\n\`\`\`\n`;
         }
     }
@@ -0,0 +1,325 @@
+import { readFileSync, existsSync } from 'fs';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { getTargetProjectRoot } from '../config.js';
+import { WaitHelpers } from './wait-helpers.js';
+import { getElementsForTestType } from './element-registry.js';
+
+/**
+ * Test templates
+ *
+ * Each (test type × element) combination of the edit, save and discard tests
+ * is a template file at `<testType>/<element>.tpl`:
+ *
+ *     ---
+ *     { "feature": "edit-title", "description": "...", "data": { ... } }
+ *     ---
+ *
+ *     ## setup
+ *     let clonedCard;
+ *
+ *     ## open-page: Go to MAS Studio test page
+ *     {{> open-page}}
+ *
+ *     ## edit: Edit title field
+ *     await editor.title.fill(data.newTitle);
+ *
+ * The JSON front matter names the feature and holds the spec data. Every
+ * `## <id>: <title>` section is a named test step, numbered in file order;
+ * `## setup` holds statements that run before the first step. Step bodies
+ * are written flush left. `{{name}}` inserts a variable and `{{> name}}`
+ * inserts `partials/<name>.tpl` at the indentation of the include.
+ *
+ * Projects override templates and partials by relative path from the
+ * directory set in .nala-mcp.json ("templates": "./nala-templates").
+ */
+
+/**
+ * @typedef {import('../types.js').TestType} TestType
+ */
+
+/**
+ * @typedef {Object} TemplateStep
+ * @property {string} id - Step name, e.g. 'open-editor'
+ * @property {string} title - Step title without the step number
+ * @property {string} body - Rendered step body
+ */
+
+/**
+ * @typedef {Object} RenderedTestTemplate
+ * @property {string} feature - Feature name, e.g. 'edited-title'
+ * @property {string} description - Test description
+ * @property {Record<string, string>} data - Spec data for the feature
+ * @property {string} setup - Rendered setup statements
+ * @property {Array<TemplateStep>} steps - Rendered steps in order
+ */
+
+export const BUILTIN_TEMPLATE_DIR = fileURLToPath(new URL('../templates/tests/', import.meta.url));
+
+const SETUP_INDENT = ' '.repeat(8);
+const STEP_INDENT = ' '.repeat(12);
+const MAX_PARTIAL_DEPTH = 10;
+
+class TestTemplateLoader {
+    constructor() {
+        /** @type {string | null} */
+        this.overrideDir = null;
+        /** @type {Map<string, Object>} */
+        this.cache = new Map();
+        this.loadConfigTemplates();
+    }
+
+    /**
+     * Read the template override directory from the target project's .nala-mcp.json
+     * ("templates": "<dir>" or "templates": { "path": "<dir>" })
+     */
+    loadConfigTemplates() {
+        try {
+            const projectRoot = getTargetProjectRoot();
+            const configPath = join(projectRoot, '.nala-mcp.json');
+            if (!existsSync(configPath)) return;
+
+            let config;
+            try {
+                config = JSON.parse(readFileSync(configPath, 'utf-8'));
+            } catch (parseError) {
+                console.error('Failed to parse config templates JSON:', parseError.message);
+                return;
+            }
+
+            const dir = typeof config.templates === 'string' ? config.templates : config.templates?.path;
+            if (dir) {
+                this.overrideDir = resolve(projectRoot, dir);
+            }
+        } catch (error) {
+            // Config might not exist, that's okay
+        }
+    }
+
+    /**
+     * @param {string | null} dir - Override directory, or null for built-ins only
+     */
+    setOverrideDir(dir) {
+        this.overrideDir = dir ? resolve(dir) : null;
+        this.cache.clear();
+    }
+
+    /**
+     * Find a template file, preferring the project override
+     * @param {string} relativePath - e.g. 'edit/title.tpl'
+     * @returns {string | null} Absolute path
+     */
+    resolvePath(relativePath) {
+        const dirs = this.overrideDir ? [this.overrideDir, BUILTIN_TEMPLATE_DIR] : [BUILTIN_TEMPLATE_DIR];
+        for (const dir of dirs) {
+            const filePath = join(dir, relativePath);
+            if (existsSync(filePath)) return filePath;
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} relativePath
+     * @returns {{ path: string, source: string } | null}
+     */
+    read(relativePath) {
+        if (!this.cache.has(relativePath)) {
+            const filePath = this.resolvePath(relativePath);
+            this.cache.set(relativePath, filePath
+                ? { path: filePath, source: readFileSync(filePath, 'utf-8') }
+                : null);
+        }
+        return this.cache.get(relativePath);
+    }
+}
+
+// Singleton instance
+const loader = new TestTemplateLoader();
+
+/**
+ * Split a template file into front matter and sections
+ * @param {string} source - Template file contents
+ * @param {string} filePath - Used in error messages
+ * @returns {{ meta: Object, setup: string, steps: Array<TemplateStep> }}
+ */
+export function parseTestTemplate(source, filePath = 'template') {
+    const match = source.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
+    if (!match) {
+        throw new Error(`Template ${filePath} must start with a --- JSON front matter --- block`);
+    }
+
+    let meta;
+    try {
+        meta = JSON.parse(match[1]);
+    } catch (error) {
+        throw new Error(`Invalid front matter in ${filePath}: ${error.message}`);
+    }
+    if (!meta.feature) {
+        throw new Error(`Front matter in ${filePath} needs a "feature" name`);
+    }
+
+    const sections = [];
+    for (const line of match[2].split('\n')) {
+        const header = line.match(/^## ([\w-]+)(?::\s*(.+))?$/);
+        if (header) {
+            sections.push({ id: header[1], title: header[2]?.trim(), lines: [] });
+        } else if (sections.length > 0) {
+            sections[sections.length - 1].lines.push(line);
+        } else if (line.trim()) {
+            throw new Error(`Unexpected content before the first section in ${filePath}: ${line}`);
+        }
+    }
+
+    let setup = '';
+    const steps = [];
+    for (const section of sections) {
+        const body = section.lines.join('\n').replace(/^\n+|\s+$/g, '');
+        if (section.id === 'setup' && !section.title) {
+            setup = body;
+        } else if (!section.title) {
+            throw new Error(`Step "${section.id}" in ${filePath} needs a title (## ${section.id}: <title>)`);
+        } else {
+            steps.push({ id: section.id, title: section.title, body });
+        }
+    }
+
+    return { meta, setup, steps };
+}
+
+/**
+ * Replace `{{> partial}}` lines with the partial, indented like the include
+ * @param {string} text
+ * @param {number} depth
+ * @returns {string}
+ */
+function expandPartials(text, depth = 0) {
+    return text.replace(/^([ \t]*)\{\{>\s*([\w/-]+)\s*\}\}[ \t]*$/gm, (_, indent, name) => {
+        if (depth >= MAX_PARTIAL_DEPTH) {
+            throw new Error(`Partial "${name}" is nested too deeply (recursive include?)`);
+        }
+        const partial = loader.read(`partials/${name}.tpl`);
+        if (!partial) {
+            throw new Error(`Unknown template partial: ${name}`);
+        }
+        return indentLines(expandPartials(partial.source.replace(/\s+$/, ''), depth + 1), indent);
+    });
+}
+
+/**
+ * @param {string} text
+ * @param {string} indent
+ * @returns {string}
+ */
+function indentLines(text, indent) {
+    return text.split('\n').map((line) => (line.trim() ? indent + line : line)).join('\n');
+}
+
+/**
+ * Replace `{{name}}` and `{{object.key}}` with template variables
+ * @param {string} text
+ * @param {Object} vars
+ * @returns {string}
+ */
+export function substituteVariables(text, vars) {
+    return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, name) => {
+        const value = name.split('.').reduce((scope, key) => scope?.[key], vars);
+        if (value === undefined || value === null) {
+            throw new Error(`Unknown template variable: {{${name}}}`);
+        }
+        return String(value);
+    });
+}
+
+/**
+ * Variables available to every template
+ * @param {Object} vars - Per-test variables (cardType, cardVariable, ...)
+ * @returns {Object}
+ */
+function getTemplateVariables(vars) {
+    return {
+        timeouts: WaitHelpers.TIMEOUTS,
+        waits: {
+            editorOpen: WaitHelpers.editorOpenWait(),
+            ostDialog: WaitHelpers.dialogWait('ost'),
+            saveDialog: WaitHelpers.dialogWait('save'),
+            discardDialog: WaitHelpers.dialogWait('discard'),
+        },
+        ...vars,
+    };
+}
+
+/**
+ * @param {TestType} testType
+ * @param {string} elementName
+ * @returns {boolean}
+ */
+export function hasTestTemplate(testType, elementName) {
+    return loader.read(`${testType}/${elementName}.tpl`) !== null;
+}
+
+/**
+ * Elements of a card config that have a template for the test type, in
+ * element registry order
+ * @param {TestType} testType
+ * @param {Record<string, Object>} elements - config.elements
+ * @returns {Array<string>} Element names
+ */
+export function getTemplatedElements(testType, elements = {}) {
+    return getElementsForTestType(testType)
+        .map((element) => element.name)
+        .filter((name) => elements[name] && hasTestTemplate(testType, name));
+}
+
+/**
+ * Parse a template without rendering it
+ * @param {TestType} testType
+ * @param {string} elementName
+ * @returns {{ meta: Object, setup: string, steps: Array<TemplateStep> }}
+ */
+export function loadTestTemplate(testType, elementName) {
+    const template = loader.read(`${testType}/${elementName}.tpl`);
+    if (!template) {
+        throw new Error(`No ${testType} template for element: ${elementName}`);
+    }
+    return parseTestTemplate(template.source, template.path);
+}
+
+/**
+ * Render the template of a (test type × element) combination
+ * @param {TestType} testType
+ * @param {string} elementName
+ * @param {Object} vars - cardType, cardVariable, featureIndex, ...
+ * @returns {RenderedTestTemplate}
+ */
+export function renderTestTemplate(testType, elementName, vars) {
+    const { meta, setup, steps } = loadTestTemplate(testType, elementName);
+    const allVars = getTemplateVariables({ testType, element: elementName, ...vars });
+    const render = (text, indent) => substituteVariables(indentLines(expandPartials(text), indent), allVars);
+
+    return {
+        feature: meta.feature,
+        description: substituteVariables(meta.description || '', allVars),
+        data: meta.data || {},
+        setup: render(setup, SETUP_INDENT),
+        steps: steps.map((step) => ({
+            id: step.id,
+            title: substituteVariables(step.title, allVars),
+            body: render(step.body, STEP_INDENT),
+        })),
+    };
+}
+
+/**
+ * Use templates from a directory before the built-in ones
+ * @param {string | null} dir - Override directory, or null to reset
+ */
+export function setTemplateOverrideDir(dir) {
+    loader.setOverrideDir(dir);
+}
+
+/**
+ * @returns {string | null} Active override directory
+ */
+export function getTemplateOverrideDir() {
+    return loader.overrideDir;
+}
@@ -0,0 +1,378 @@
+import { existsSync, readFileSync } from 'fs';
+import { dirname, resolve, sep } from 'path';
+import { parse } from 'acorn';
+import { full as walkFull } from 'acorn-walk';
+import { getProjectType } from '../config.js';
+
+/**
+ * A single validation finding with its source location
+ * @typedef {Object} Diagnostic
+ * @property {'error'|'warning'} severity - Diagnostic severity
+ * @property {string} rule - Rule identifier (e.g. 'syntax', 'unresolved-import')
+ * @property {string} message - Human readable message
+ * @property {number|null} line - 1-based line number, null for file-level findings
+ * @property {number|null} column - 1-based column number, null for file-level findings
+ */
+
+/**
+ * Rule sets applied per project type. Every name in `requiredImports` must be
+ * imported by the test; `pageObjectBindings` are the imported names that count
+ * as page object usage.
+ */
+const RULE_SETS = {
+    mas: {
+        requiredImports: ['test', 'expect'],
+        pageObjectBindings: ['studio', 'StudioPage'],
+        specImport: /\/specs\/[^/]+\.spec\.js$/,
+        requireBeforeEach: false,
+    },
+    milo: {
+        requiredImports: ['test', 'expect', 'WebUtil'],
+        pageObjectBindings: [],
+        pageObjectImport: /\.page\.js$/,
+        specImport: /\.spec\.js$/,
+        requireBeforeEach: true,
+    },
+};
+
+/**
+ * Parse JavaScript source as an ES module with location info
+ * @param {string} content - Source code
+ * @param {import('acorn').Options} [options] - Extra acorn options (e.g. onComment)
+ * @returns {import('acorn').Program} AST
+ */
+export function parseModule(content, options = {}) {
+    return parse(content, {
+        ecmaVersion: 'latest',
+        sourceType: 'module',
+        locations: true,
+        allowHashBang: true,
+        allowAwaitOutsideFunction: true,
+        ...options,
+    });
+}
+
+/**
+ * Key of an object property (`name`, `'name'` or `0`)
+ * @param {import('acorn').Property} property - Property node
+ * @returns {string} Key
+ */
+export function propertyKey(property) {
+    return property.key.name ?? String(property.key.value);
+}
+
+/**
+ * Value of a literal expression: strings, numbers, booleans, negative numbers,
+ * template literals without expressions, and arrays and objects of those
+ * @param {import('acorn').Node} node - Expression node
+ * @returns {*} Value, or undefined when it is not known without running the module
+ */
+export function toLiteral(node) {
+    switch (node?.type) {
+        case 'Literal':
+            return node.value;
+        case 'TemplateLiteral':
+            return node.expressions.length === 0 ? node.quasis[0].value.cooked : undefined;
+        case 'UnaryExpression':
+            return node.operator === '-' && typeof toLiteral(node.argument) === 'number'
+                ? -toLiteral(node.argument)
+                : undefined;
+        case 'ArrayExpression':
+            return node.elements.map(toLiteral).filter((value) => value !== undefined);
+        case 'ObjectExpression':
+            return Object.fromEntries(
+                node.properties
+                    .filter((property) => property.type === 'Property' && !property.computed)
+                    .map((property) => [propertyKey(property), toLiteral(property.value)])
+                    .filter(([, value]) => value !== undefined),
+            );
+        default:
+            // Identifiers, calls, ...: not known without running the module
+            return undefined;
+    }
+}
+
+/**
+ * Determine which rule set applies to a test file
+ * @param {string} filePath - Test file path
+ * @returns {'mas'|'milo'} Project type
+ */
+export function detectProjectType(filePath) {
+    const normalized = filePath.split(sep).join('/');
+    if (normalized.includes('/studio/')) return 'mas';
+    if (normalized.includes('/blocks/') || normalized.includes('/features/')) return 'milo';
+    try {
+        return getProjectType();
+    } catch {
+        return 'mas';
+    }
+}
+
+/**
+ * Format a diagnostic the way validation errors are reported elsewhere
+ * @param {Diagnostic} diagnostic
+ * @returns {string} 'line L:C - message', or the bare message for file-level findings
+ */
+export function formatDiagnostic(diagnostic) {
+    if (diagnostic.line === null) return diagnostic.message;
+    return `line ${diagnostic.line}:${diagnostic.column} - ${diagnostic.message}`;
+}
+
+function createDiagnostic(severity, rule, message, loc) {
+    return {
+        severity,
+        rule,
+        message,
+        line: loc ? loc.line : null,
+        column: loc ? loc.column + 1 : null,
+    };
+}
+
+function isRelative(source) {
+    return source.startsWith('./') || source.startsWith('../');
+}
+
+function importedNames(node) {
+    return node.specifiers.map((specifier) => {
+        if (specifier.type === 'ImportDefaultSpecifier') return 'default';
+        if (specifier.type === 'ImportNamespaceSpecifier') return '*';
+        return specifier.imported.name ?? specifier.imported.value;
+    });
+}
+
+/**
+ * Collect the export names of a module, or null when the module is CommonJS
+ * (named imports from CommonJS are resolved by Node at runtime)
+ * @param {import('acorn').Program} ast
+ * @returns {Set<string>|null} Export names
+ */
+function collectExports(ast) {
+    const names = new Set();
+    let hasEsm = false;
+
+    for (const node of ast.body) {
+        if (node.type === 'ExportDefaultDeclaration') {
+            hasEsm = true;
+            names.add('default');
+        } else if (node.type === 'ExportNamedDeclaration') {
+            hasEsm = true;
+            if (node.declaration?.declarations) {
+                node.declaration.declarations.forEach((d) => d.id.type === 'Identifier' && names.add(d.id.name));
+            } else if (node.declaration?.id) {
+                names.add(node.declaration.id.name);
+            }
+            node.specifiers.forEach((s) => names.add(s.exported.name ?? s.exported.value));
+        } else if (node.type === 'ExportAllDeclaration') {
+            // Re-exports cannot be checked without following the chain
+            return null;
+        }
+    }
+
+    return hasEsm ? names : null;
+}
+
+/**
+ * Find the `features` array literal in a spec module. Supports
+ * `export default { features: [...] }`, `export const features = [...]`
+ * and `module.exports = { features: [...] }`.
+ * @param {import('acorn').Program} ast
+ * @returns {import('acorn').ArrayExpression|null} Features array node
+ */
+export function findFeaturesArray(ast) {
+    const fromObject = (node) => {
+        if (node?.type !== 'ObjectExpression') return null;
+        const prop = node.properties.find(
+            (p) => p.type === 'Property' && (p.key.name === 'features' || p.key.value === 'features'),
+        );
+        return prop?.value.type === 'ArrayExpression' ? prop.value : null;
+    };
+    const declarations = new Map();
+
+    for (const node of ast.body) {
+        if (node.type === 'VariableDeclaration') {
+            node.declarations.forEach((d) => d.id.type === 'Identifier' && declarations.set(d.id.name, d.init));
+        }
+    }
+
+    for (const node of ast.body) {
+        if (node.type === 'ExportDefaultDeclaration') {
+            const declaration = node.declaration.type === 'Identifier'
+                ? declarations.get(node.declaration.name)
+                : node.declaration;
+            const found = fromObject(declaration);
+            if (found) return found;
+        }
+        if (node.type === 'ExportNamedDeclaration' && node.declaration?.declarations) {
+            const decl = node.declaration.declarations.find((d) => d.id.name === 'features');
+            if (decl?.init?.type === 'ArrayExpression') return decl.init;
+        }
+        if (
+            node.type === 'ExpressionStatement' &&
+            node.expression.type === 'AssignmentExpression' &&
+            node.expression.left.type === 'MemberExpression' &&
+            node.expression.left.object.name === 'module' &&
+            node.expression.left.property.name === 'exports'
+        ) {
+            const found = fromObject(node.expression.right);
+            if (found) return found;
+        }
+    }
+
+    return null;
+}
+
+function isTestMember(callee, property) {
+    return (
+        callee.type === 'MemberExpression' &&
+        callee.object.type === 'Identifier' &&
+        callee.object.name === 'test' &&
+        callee.property.name === property
+    );
+}
+
+/**
+ * Validate test source against the rule set of its project type
+ * @param {string} content - Test file content
+ * @param {Object} options
+ * @param {string} options.filePath - Absolute path of the test (used to resolve imports)
+ * @param {'mas'|'milo'} [options.projectType] - Rule set to apply (detected from the path by default)
+ * @returns {{projectType: string, diagnostics: Diagnostic[]}} Validation diagnostics
+ */
+export function validateTestSource(content, { filePath, projectType } = {}) {
+    const type = projectType || detectProjectType(filePath);
+    const rules = RULE_SETS[type] || RULE_SETS.mas;
+    const diagnostics = [];
+    const error = (rule, message, loc) => diagnostics.push(createDiagnostic('error', rule, message, loc));
+    const warning = (rule, message, loc) => diagnostics.push(createDiagnostic('warning', rule, message, loc));
+
+    let ast;
+    try {
+        ast = parseModule(content);
+    } catch (syntaxError) {
+        const message = syntaxError.message.replace(/\s*\(\d+:\d+\)$/, '');
+        error('syntax', `Syntax error: ${message}`, syntaxError.loc);
+        return { projectType: type, diagnostics };
+    }
+
+    const testDir = dirname(filePath);
+    const bindings = new Set();
+    let specPath = null;
+    let hasPageObjectImport = false;
+
+    for (const node of ast.body.filter((n) => n.type === 'ImportDeclaration')) {
+        const source = node.source.value;
+        node.specifiers.forEach((s) => bindings.add(s.local.name));
+        node.specifiers
+            .filter((s) => s.type === 'ImportSpecifier')
+            .forEach((s) => bindings.add(s.imported.name ?? s.imported.value));
+
+        if (!isRelative(source)) continue;
+
+        const target = resolve(testDir, source);
+        if (!existsSync(target)) {
+            error('unresolved-import', `Unresolved import: '${source}' (${target} does not exist)`, node.source.loc.start);
+            continue;
+        }
+
+        if (rules.specImport.test(source)) specPath = target;
+        if (rules.pageObjectImport?.test(source)) hasPageObjectImport = true;
+
+        try {
+            const exported = collectExports(parseModule(readFileSync(target, 'utf-8')));
+            if (!exported) continue;
+            node.specifiers.forEach((specifier, index) => {
+                const name = importedNames(node)[index];
+                if (name !== '*' && !exported.has(name)) {
+                    error(
+                        'missing-export',
+                        `Imported name '${name}' is not exported by '${source}'`,
+                        specifier.loc.start,
+                    );
+                }
+            });
+        } catch (parseError) {
+            warning('unparsable-import', `Could not parse '${source}': ${parseError.message}`, node.source.loc.start);
+        }
+    }
+
+    for (const name of rules.requiredImports) {
+        if (!bindings.has(name)) {
+            error('required-import', `Missing required import: ${name}`);
+        }
+    }
+
+    if (!rules.pageObjectBindings.some((name) => bindings.has(name)) && !hasPageObjectImport) {
+        warning('page-object', 'No page object usage detected');
+    }
+
+    let describeCount = 0;
+    let testCount = 0;
+    let beforeEachCount = 0;
+    const featureRefs = [];
+
+    walkFull(ast, (node) => {
+        if (node.type === 'CallExpression') {
+            const { callee } = node;
+            if (isTestMember(callee, 'describe') || (callee.type === 'MemberExpression' && isTestMember(callee.object, 'describe'))) {
+                describeCount++;
+            } else if (isTestMember(callee, 'beforeEach')) {
+                beforeEachCount++;
+            } else if ((callee.type === 'Identifier' && callee.name === 'test') || isTestMember(callee, 'only')) {
+                testCount++;
+                const body = node.arguments[node.arguments.length - 1];
+                if (body && /FunctionExpression$/.test(body.type) && !body.async) {
+                    warning('async-test', 'Tests should be async for Playwright', body.loc.start);
+                }
+            }
+        }
+        if (
+            node.type === 'MemberExpression' &&
+            node.computed &&
+            node.object.type === 'Identifier' &&
+            node.object.name === 'features' &&
+            node.property.type === 'Literal' &&
+            typeof node.property.value === 'number'
+        ) {
+            featureRefs.push(node);
+        }
+    });
+
+    if (describeCount === 0) {
+        error('structure', 'Missing test.describe block');
+    }
+    if (testCount === 0) {
+        error('structure', 'No test cases found');
+    }
+    if (beforeEachCount === 0) {
+        (rules.requireBeforeEach ? error : warning)('structure', 'Missing test.beforeEach setup');
+    }
+
+    if (featureRefs.length > 0) {
+        if (!specPath) {
+            warning('features', 'features[] is referenced but no spec import was found');
+        } else {
+            let features = null;
+            try {
+                features = findFeaturesArray(parseModule(readFileSync(specPath, 'utf-8')));
+            } catch (parseError) {
+                error('features', `Could not parse spec ${specPath}: ${parseError.message}`);
+            }
+            if (features) {
+                const reported = new Set();
+                for (const ref of featureRefs) {
+                    const index = ref.property.value;
+                    if (index >= features.elements.length && !reported.has(index)) {
+                        reported.add(index);
+                        error(
+                            'features',
+                            `features[${index}] does not exist in spec (spec defines ${features.elements.length} features)`,
+                            ref.loc.start,
+                        );
+                    }
+                }
+            }
+        }
+    }
+
+    return { projectType: type, diagnostics };
+}
@@ -0,0 +1,192 @@
+import { existsSync, readdirSync } from 'fs';
+import { basename, join, relative } from 'path';
+import { getTargetProjectRoot, getTestOutputPath } from '../config.js';
+import { getAllVariants } from './variant-registry.js';
+import { getCardSurface } from './file-output.js';
+import { getCardNaming } from './mas-test-integration.js';
+import { listDirectories, SPEC_FILE_PATTERN } from './spec-reader.js';
+
+/**
+ * Variant drift
+ *
+ * Generated suites live in `nala/studio/<surface>/<card>`, named after the card
+ * type without its surface prefix (`ccd-suggested` → `ccd/suggested`). When a
+ * variant is renamed or removed in the MAS repo its suites stay behind; this
+ * compares the variant registry (bundled defaults, `.nala-mcp.json` variants and
+ * discovered variants) with the suites on disk.
+ */
+
+/**
+ * @typedef {Object} TestSuite
+ * @property {string} surface - Surface directory, e.g. 'ccd'
+ * @property {string} cardType - Card directory, e.g. 'suggested'
+ * @property {string} path - Absolute path of the card directory
+ * @property {Array<string>} testTypes - Test types with a `<card>_<type>.spec.js` spec
+ */
+
+/**
+ * @typedef {Object} VariantDriftReport
+ * @property {Array<TestSuite & {reason: string}>} orphaned - Suites of no registered variant
+ * @property {Array<{variants: Array<string>, surface: string}>} untested - Variants without a suite
+ * @property {Array<{variants: Array<string>, cardType: string, expected: string, actual: string, path: string}>} surfaceMismatches
+ *   - Suites outside the directory getCardSurface writes the variant's tests to
+ * @property {Array<{variants: Array<string>, cardType: string, missing: Array<string>, present: Array<string>}>} missingTestTypes
+ *   - Registry test types of tested variants that have no spec
+ */
+
+/**
+ * List the generated suites under `<testOutputDir>/studio`
+ * @param {string} [testOutputDir] - NALA directory (default: the test output path)
+ * @returns {TestSuite[]} Suites sorted by surface and card
+ */
+export function scanTestSuites(testOutputDir = getTestOutputPath()) {
+    const studioDir = join(testOutputDir, 'studio');
+    if (!existsSync(studioDir)) return [];
+
+    return listDirectories(studioDir).flatMap((surface) =>
+        listDirectories(join(studioDir, surface)).map((cardType) => {
+            const path = join(studioDir, surface, cardType);
+            const specsDir = join(path, 'specs');
+            const testTypes = existsSync(specsDir)
+                ? readdirSync(specsDir).map((file) => file.match(SPEC_FILE_PATTERN)?.[2]).filter(Boolean)
+                : [];
+            return { surface, cardType, path, testTypes: [...new Set(testTypes)].sort() };
+        }));
+}
+
+/**
+ * Names of the variant modules in the MAS project
+ * @param {string} [projectRoot] - MAS project root
+ * @returns {Set<string>|null} Variant names, or null when the project has no variants directory
+ */
+export function listSourceVariants(projectRoot = getTargetProjectRoot()) {
+    const variantsDir = join(projectRoot, 'web-components', 'src', 'variants');
+    if (!existsSync(variantsDir)) return null;
+
+    return new Set(readdirSync(variantsDir)
+        .filter((file) => file.endsWith('.js') && !file.includes('.test.') && !file.endsWith('.css.js'))
+        .map((file) => basename(file, '.js')));
+}
+
+/**
+ * Compare registered variants with the suites on disk. Aliases of one card
+ * (`ccd-suggested` and `suggested`) share a suite directory and are reported
+ * together.
+ * @param {Array<Object>} variants - Registry variants
+ * @param {TestSuite[]} suites - Suites on disk
+ * @param {Object} [options]
+ * @param {Set<string>|null} [options.sourceVariants] - Variant modules of the MAS project; bundled
+ *   variants missing from it count as removed (default: null, not checked)
+ * @returns {VariantDriftReport}
+ */
+export function detectVariantDrift(variants, suites, options = {}) {
+    const { sourceVariants = null } = options;
+
+    // A bundled variant whose module is gone was removed or renamed in the MAS repo
+    const isRemoved = (variant) => Boolean(sourceVariants)
+        && variant.isDefault
+        && !variant.sourcePath
+        && !sourceVariants.has(variant.value);
+
+    const cards = new Map();
+    const removedCards = new Set();
+    for (const variant of variants) {
+        const { name } = getCardNaming(variant.value);
+        if (isRemoved(variant)) {
+            removedCards.add(name).add(variant.value);
+            continue;
+        }
+        const card = cards.get(name) || { cardType: name, variants: [], testTypes: new Set() };
+        card.variants.push(variant.value);
+        (variant.testTypes || []).forEach((testType) => card.testTypes.add(testType));
+        cards.set(name, card);
+    }
+    // Suites generated with the full variant name (`ccd-suggested/`)
+    for (const card of [...cards.values()]) {
+        card.variants.forEach((value) => cards.set(value, cards.get(value) || card));
+    }
+
+    const report = { orphaned: [], untested: [], surfaceMismatches: [], missingTestTypes: [] };
+    const suitesByCard = new Map();
+    for (const suite of suites) {
+        const card = cards.get(suite.cardType);
+        if (!card) {
+            const reason = removedCards.has(suite.cardType)
+                ? 'variant source was removed from the MAS project'
+                : 'variant is not registered';
+            report.orphaned.push({ ...suite, reason });
+            continue;
+        }
+        suitesByCard.set(card, [...(suitesByCard.get(card) || []), suite]);
+    }
+
+    for (const card of new Set(cards.values())) {
+        const cardSuites = suitesByCard.get(card);
+        const expected = getCardSurface(card.variants[0]);
+        if (!cardSuites) {
+            report.untested.push({ variants: card.variants, surface: expected });
+            continue;
+        }
+
+        for (const suite of cardSuites.filter(({ surface }) => surface !== expected)) {
+            report.surfaceMismatches.push({
+                variants: card.variants,
+                cardType: suite.cardType,
+                expected,
+                actual: suite.surface,
+                path: suite.path,
+            });
+        }
+
+        const present = [...new Set(cardSuites.flatMap((suite) => suite.testTypes))].sort();
+        const missing = [...card.testTypes].filter((testType) => !present.includes(testType));
+        if (missing.length > 0) {
+            report.missingTestTypes.push({ variants: card.variants, cardType: card.cardType, missing, present });
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Diff the variant registry against the suites of the target project. Call
+ * initializeRegistry() first so configured and discovered variants are included.
+ * @param {Object} [options]
+ * @param {string} [options.testOutputDir] - NALA directory (default: the test output path)
+ * @returns {VariantDriftReport & {testOutputDir: string, suites: number}}
+ */
+export function buildVariantDriftReport(options = {}) {
+    const { testOutputDir = getTestOutputPath() } = options;
+    const suites = scanTestSuites(testOutputDir);
+
+    return {
+        testOutputDir,
+        suites: suites.length,
+        ...detectVariantDrift(getAllVariants(), suites, { sourceVariants: listSourceVariants() }),
+    };
+}
+
+/**
+ * @param {VariantDriftReport & {testOutputDir: string, suites: number}} report
+ * @returns {string} Markdown report
+ */
+export function formatVariantDriftReport(report) {
+    const projectRoot = getTargetProjectRoot();
+    const path = (absolute) => `\`${relative(projectRoot, absolute)}\``;
+    const names = (variants) => variants.map((variant) => `\`${variant}\``).join(', ');
+    const section = (title, lines) =>
+        `## ${title} (${lines.length})\n\n${lines.length > 0 ? lines.join('\n') : '_None_'}\n\n`;
+
+    let output = '# Variant Drift Report\n\n';
+    output += `**Suites**: ${report.suites} in ${path(join(report.testOutputDir, 'studio'))}\n\n`;
+    output += section('Orphaned Suites', report.orphaned.map((suite) =>
+        `- ${path(suite.path)}: ${suite.reason}`));
+    output += section('Variants Without Tests', report.untested.map((card) =>
+        `- ${names(card.variants)} (expected in \`studio/${card.surface}\`)`));
+    output += section('Surface Mismatches', report.surfaceMismatches.map((mismatch) =>
+        `- ${names(mismatch.variants)}: tests in ${path(mismatch.path)}, getCardSurface returns \`${mismatch.expected}\``));
+    output += section('Missing Test Types', report.missingTestTypes.map((card) =>
+        `- ${names(card.variants)}: missing ${card.missing.join(', ')}${card.present.length > 0 ? ` (has ${card.present.join(', ')})` : ''}`));
+
+    return output.trimEnd() + '\n';
+}
@@ -1,7 +1,9 @@
 import { readFileSync, writeFileSync, existsSync, readdirSync } from 'fs';
 import { join, basename, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { getTargetProjectRoot } from '../config.js';
+import { getTargetProjectRoot, getTestOutputPath } from '../config.js';
+import { readVariantSource, findVariantSurfaces } from './variant-source.js';
+import { getElement } from './element-registry.js';
 
 const currentDir = dirname(fileURLToPath(import.meta.url));
 const defaultVariantsPath = join(currentDir, '../data/card-variants.json');
@@ -15,6 +17,10 @@ class VariantRegistry {
         };
         this.initialized = false;
         this.lastDiscoveryTime = null;
+
+        // Bundled variants are available before initialize() for sync callers
+        // such as the generators
+        this.loadDefaultVariants();
     }
 
     /**
@@ -126,7 +132,9 @@ class VariantRegistry {
     }
 
     /**
-     * Auto-discover variants from MAS project structure
+     * Auto-discover variants from MAS project structure. Each variant module is
+     * parsed for its slots, CSS custom properties and aem-fragment mapping, which
+     * become the variant's `selectors` and `testTypes` (see variant-source.js).
      */
     async discoverProjectVariants() {
         try {
@@ -138,24 +146,35 @@ class VariantRegistry {
             }
 
             const files = readdirSync(variantsDir);
-            const jsFiles = files.filter(f => f.endsWith('.js') && !f.includes('.test.'));
+            const jsFiles = files.filter(f => f.endsWith('.js') && !f.includes('.test.') && !f.endsWith('.css.js'));
 
             for (const file of jsFiles) {
                 const variantName = basename(file, '.js');
+                const existing = this.getVariant(variantName);
 
-                // Skip if already registered
-                if (this.hasVariant(variantName)) {
+                // Custom variants are configured by hand
+                if (existing?.isCustom) {
                     continue;
                 }
 
-                // Try to detect surface from file content or name
-                const surface = this.detectSurface(variantName);
+                const sourcePath = join(variantsDir, file);
+                const metadata = {
+                    ...this.readSourceMetadata(sourcePath),
+                    surfaces: findVariantSurfaces(projectRoot, variantName, getTestOutputPath()),
+                    sourcePath
+                };
+
+                // Known variants keep their label and surface
+                if (existing) {
+                    this.variants.set(variantName, { ...existing, ...metadata });
+                    continue;
+                }
 
                 this.registerVariant(variantName, {
+                    ...metadata,
                     label: this.formatLabel(variantName),
-                    surface: surface,
-                    isDiscovered: true,
-                    sourcePath: join(variantsDir, file)
+                    surface: metadata.surfaces[0] || this.detectSurface(variantName),
+                    isDiscovered: true
                 });
             }
         } catch (error) {
@@ -163,6 +182,22 @@ class VariantRegistry {
         }
     }
 
+    /**
+     * Variant metadata parsed from a variant module. Selectors and test types are
+     * only set when the module declares slots, so the registry defaults apply otherwise.
+     * @param {string} sourcePath - Variant module path
+     * @returns {Object} Variant metadata
+     */
+    readSourceMetadata(sourcePath) {
+        try {
+            const { selectors, testTypes, ...source } = readVariantSource(sourcePath);
+            return Object.keys(selectors).length > 0 ? { ...source, selectors, testTypes } : source;
+        } catch (error) {
+            console.error(`Failed to read variant source ${sourcePath}:`, error.message);
+            return {};
+        }
+    }
+
     /**
      * Check if a specific variant file exists in the project
      * @param {string} variantName - Name of the variant to check
@@ -416,6 +451,31 @@ export async function discoverProjectVariants() {
     return registry.discoverProjectVariants();
 }
 
+/**
+ * Element selectors of the variants whose source declares their slots
+ * @returns {Record<string, Record<string, Array<string>>>} Selectors per element kind, by variant name
+ */
+export function getVariantElementSelectors() {
+    return Object.fromEntries(
+        registry.getAllVariants()
+            .filter(variant => Object.keys(variant.selectors || {}).length > 0)
+            .map(variant => [variant.value, variant.selectors])
+    );
+}
+
+/**
+ * Element names a variant has no slots for, according to its source
+ * @param {string} variantName - Variant name
+ * @param {Array<string>} elementNames - Element names of a card config
+ * @returns {Array<string>} Element names the variant cannot render
+ */
+export function getUnsupportedElements(variantName, elementNames) {
+    const selectors = registry.getVariant(variantName)?.selectors || {};
+    if (Object.keys(selectors).length === 0) return [];
+    // Element kinds outside the registry have no known slots
+    return elementNames.filter(name => getElement(name) && !selectors[name]);
+}
+
 // Export for backward compatibility
 export function getSimplifiedCardTypes() {
     return registry.getSimplifiedCardTypes();
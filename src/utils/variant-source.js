@@ -0,0 +1,158 @@
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { escapeRegExp } from './regexp.js';
+import { parseModule, toLiteral } from './test-validator.js';
+import { getAllElements } from './element-registry.js';
+
+/**
+ * MAS variant sources
+ *
+ * A MAS variant module (web-components/src/variants/<variant>.js) renders its
+ * layout from named slots, declares the CSS custom properties of the variant
+ * (inline or in a companion `<variant>.css.js`) and exports how the fields of
+ * its aem-fragment map to slots:
+ *
+ *   export const FRIES_AEM_FRAGMENT_MAPPING = {
+ *       title: { tag: 'h3', slot: 'heading-xxs', maxCount: 250 },
+ *       prices: { tag: 'p', slot: 'price' },
+ *   };
+ *
+ * Reading them statically tells which element kinds a variant can render,
+ * e.g. that a variant without a `detail-s` or `eyebrow` slot has no eyebrow.
+ */
+
+/**
+ * @typedef {Object} VariantSource
+ * @property {Array<string>} slots - Slots the variant renders or maps fragment fields to
+ * @property {Array<string>} cssCustomProperties - CSS custom properties the variant declares
+ * @property {Object|null} fragmentMapping - aem-fragment field mapping (literal values only)
+ * @property {Record<string, Array<string>>} selectors - Registry selectors of each element
+ *   kind the variant has slots for (empty when the source declares no slots)
+ * @property {Array<string>} testTypes - Test types those element kinds support
+ */
+
+// Studio variant picker, listing the surface of each variant
+const VARIANT_PICKER_PATH = join('studio', 'src', 'editors', 'variant-picker.js');
+
+// Test types that cover the whole card rather than an element
+const CARD_TEST_TYPES = ['visual', 'a11y'];
+
+/**
+ * Find the exported `*_AEM_FRAGMENT_MAPPING` object of a variant module
+ * @param {string} content - Module source
+ * @returns {Object|null} The mapping, or null when there is none (or the module does not parse)
+ */
+function readFragmentMapping(content) {
+    let ast;
+    try {
+        ast = parseModule(content);
+    } catch {
+        return null;
+    }
+
+    for (const node of ast.body) {
+        const declaration = node.type === 'ExportNamedDeclaration' ? node.declaration : node;
+        if (declaration?.type !== 'VariableDeclaration') continue;
+
+        const mapping = declaration.declarations.find((declarator) =>
+            /AEM_FRAGMENT_MAPPING$/.test(declarator.id.name || '') && declarator.init?.type === 'ObjectExpression');
+        if (mapping) return toLiteral(mapping.init);
+    }
+    return null;
+}
+
+/**
+ * @param {Object} mapping - aem-fragment mapping
+ * @returns {Array<string>} Slots its fields map to
+ */
+function getMappedSlots(mapping) {
+    return Object.values(mapping || {})
+        .filter((field) => field && typeof field === 'object')
+        .flatMap((field) => (typeof field.slot === 'string' ? [field.slot] : getMappedSlots(field)));
+}
+
+/**
+ * Registry selectors of each element kind whose slots the variant has. A
+ * selector is kept when every slot it references is one of the variant's.
+ * @param {Set<string>} slots - Variant slots
+ * @returns {Record<string, Array<string>>} Selectors per element kind
+ */
+function getSlotSelectors(slots) {
+    return Object.fromEntries(
+        getAllElements()
+            .map((element) => [
+                element.name,
+                element.selectors.filter((selector) =>
+                    [...selector.matchAll(/\[slot="([\w-]+)"\]/g)].every(([, slot]) => slots.has(slot))),
+            ])
+            .filter(([, selectors]) => selectors.length > 0),
+    );
+}
+
+/**
+ * Parse a MAS variant module and its CSS companions
+ * @param {string} sourcePath - Path of web-components/src/variants/<variant>.js
+ * @returns {VariantSource}
+ */
+export function readVariantSource(sourcePath) {
+    const content = readFileSync(sourcePath, 'utf-8');
+    const fragmentMapping = readFragmentMapping(content);
+
+    // CSS lives in the module (css`...`) or in the .css.js modules it imports
+    const cssFiles = [...content.matchAll(/from\s+['"](\.\/[\w.-]+\.css\.js)['"]/g)]
+        .map(([, file]) => join(dirname(sourcePath), file))
+        .filter((file) => existsSync(file));
+    const css = [content, ...cssFiles.map((file) => readFileSync(file, 'utf-8'))].join('\n');
+
+    const slots = new Set([
+        ...[...content.matchAll(/<slot\s+name=["']([\w-]+)["']/g)].map(([, slot]) => slot),
+        ...getMappedSlots(fragmentMapping),
+    ]);
+    const selectors = slots.size > 0 ? getSlotSelectors(slots) : {};
+    const elements = getAllElements().filter((element) => selectors[element.name]);
+    const testTypes = elements.length > 0
+        ? [...new Set([
+            ...elements.flatMap((element) => element.testTypes),
+            ...(selectors.price ? ['price'] : []),
+            ...CARD_TEST_TYPES,
+        ])]
+        : [];
+
+    return {
+        slots: [...slots].sort(),
+        cssCustomProperties: [...new Set([...css.matchAll(/(--[\w-]+)\s*:/g)].map(([, property]) => property))].sort(),
+        fragmentMapping,
+        selectors,
+        testTypes,
+    };
+}
+
+/**
+ * Surfaces that reference a variant: the Studio variant picker entry of the
+ * variant and the NALA surface directories with tests for it
+ * @param {string} projectRoot - MAS project root
+ * @param {string} variantName - Variant name
+ * @param {string} [testOutputDir] - NALA directory (default: <projectRoot>/nala)
+ * @returns {Array<string>} Surface names
+ */
+export function findVariantSurfaces(projectRoot, variantName, testOutputDir = join(projectRoot, 'nala')) {
+    const surfaces = new Set();
+
+    const pickerPath = join(projectRoot, VARIANT_PICKER_PATH);
+    if (existsSync(pickerPath)) {
+        const entry = new RegExp(`\\{[^{}]*value:\\s*['"]${escapeRegExp(variantName)}['"][^{}]*\\}`);
+        const surface = readFileSync(pickerPath, 'utf-8').match(entry)?.[0].match(/surface:\s*['"]([\w-]+)['"]/);
+        if (surface && surface[1] !== 'all') surfaces.add(surface[1]);
+    }
+
+    const studioDir = join(testOutputDir, 'studio');
+    if (existsSync(studioDir)) {
+        for (const entry of readdirSync(studioDir, { withFileTypes: true })) {
+            if (entry.isDirectory() && existsSync(join(studioDir, entry.name, variantName))) {
+                surfaces.add(entry.name);
+            }
+        }
+    }
+
+    return [...surfaces].sort();
+}
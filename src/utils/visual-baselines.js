@@ -0,0 +1,240 @@
+import { existsSync, readFileSync, readdirSync, statSync, unlinkSync, rmdirSync } from 'fs';
+import { basename, dirname, join, relative } from 'path';
+import { getTargetProjectRoot, getTestOutputPath } from '../config.js';
+import { readSpecFile } from './spec-reader.js';
+import { escapeRegExp } from './regexp.js';
+import { parseModule, propertyKey, toLiteral } from './test-validator.js';
+
+/**
+ * Visual test baselines
+ *
+ * Playwright stores the `toHaveScreenshot` baselines of `x.test.js` in
+ * `x.test.js-snapshots/`, named `<screenshot>-<project>-<platform>.png`
+ * (`<screenshot>-<n>-<project>-<platform>.png` for repeated names).
+ * Generated visual specs name the screenshot of each feature (`screenshot:
+ * 'studio-fries-visual.png'`), which is how a baseline is traced back to a
+ * feature when pruning.
+ */
+
+/**
+ * @typedef {Object} VisualBaseline
+ * @property {string} path - Absolute path of the baseline image
+ * @property {string} file - File name, e.g. 'studio-fries-visual-mas-live-chromium-linux.png'
+ * @property {string} testFile - Absolute path of the test file the baseline belongs to
+ * @property {number} size - File size in bytes
+ * @property {Date} modified - Last modification time
+ * @property {string|null} orphaned - Why the baseline no longer belongs to a test, or null
+ */
+
+const SNAPSHOT_DIR_SUFFIX = '-snapshots';
+const SKIPPED_DIRS = new Set(['node_modules', '.git', 'test-results', 'playwright-report']);
+const PLAYWRIGHT_CONFIGS = ['playwright.config.js', 'playwright.config.mjs', 'playwright.config.cjs'];
+const PLATFORMS = ['linux', 'darwin', 'win32'];
+
+/**
+ * @param {string} testFilePath - Test file path
+ * @returns {string} Directory Playwright keeps its screenshot baselines in
+ */
+export function getBaselineDir(testFilePath) {
+    return `${testFilePath}${SNAPSHOT_DIR_SUFFIX}`;
+}
+
+/**
+ * Spec file of a test file: `../specs/x.spec.js` for MAS, `x.spec.js` next to the test for Milo
+ * @param {string} testFilePath
+ * @returns {string|null}
+ */
+function findSpecFile(testFilePath) {
+    const specName = basename(testFilePath).replace(/\.test\.js$/, '.spec.js');
+    const candidates = [
+        join(dirname(dirname(testFilePath)), 'specs', specName),
+        join(dirname(testFilePath), specName),
+    ];
+    return candidates.find((candidate) => existsSync(candidate)) || null;
+}
+
+/**
+ * Names of the Playwright projects in the config of the target project
+ * @param {string} [projectRoot] - Project root (default: the target project)
+ * @returns {string[]|null} Project names ([''] for a config without projects),
+ *   or null when there is no config to read them from
+ */
+export function readPlaywrightProjects(projectRoot) {
+    let root = projectRoot;
+    try {
+        root ??= getTargetProjectRoot();
+    } catch {
+        return null;
+    }
+
+    const configPath = PLAYWRIGHT_CONFIGS.map((file) => join(root, file)).find((path) => existsSync(path));
+    if (!configPath) return null;
+
+    let ast;
+    try {
+        ast = parseModule(readFileSync(configPath, 'utf-8'));
+    } catch {
+        return null;
+    }
+
+    // defineConfig({ projects: [{ name: 'mas-live-chromium', ... }] }), wherever the object is
+    let projects = null;
+    const visit = (node) => {
+        if (projects || !node || typeof node.type !== 'string') return;
+        if (node.type === 'Property' && !node.computed && propertyKey(node) === 'projects' && node.value.type === 'ArrayExpression') {
+            projects = toLiteral(node.value).map((project) => project.name).filter((name) => typeof name === 'string');
+            return;
+        }
+        Object.values(node).forEach((child) => (Array.isArray(child) ? child.forEach(visit) : visit(child)));
+    };
+    visit(ast);
+
+    return projects && projects.length > 0 ? projects : [''];
+}
+
+/**
+ * Pattern of the baseline file names Playwright writes for a screenshot name
+ * @param {string} screenshot - Screenshot name from the spec, e.g. 'studio-fries-visual.png'
+ * @param {string[]|null} projects - Playwright project names, null when unknown
+ * @returns {RegExp}
+ */
+function baselinePattern(screenshot, projects) {
+    const stem = escapeRegExp(screenshot.replace(/\.png$/, ''));
+    const project = projects
+        ? `(?:${projects.map((name) => (name ? `-${escapeRegExp(name)}` : '')).join('|')})`
+        : '-.+';
+    return new RegExp(`^${stem}(?:-\\d+)?${project}-(?:${PLATFORMS.join('|')})\\.png$`);
+}
+
+function findSnapshotDirs(dir) {
+    let entries;
+    try {
+        entries = readdirSync(dir, { withFileTypes: true });
+    } catch {
+        return [];
+    }
+
+    return entries
+        .filter((entry) => entry.isDirectory() && !SKIPPED_DIRS.has(entry.name))
+        .flatMap((entry) => {
+            const path = join(dir, entry.name);
+            return entry.name.endsWith(SNAPSHOT_DIR_SUFFIX) ? [path] : findSnapshotDirs(path);
+        });
+}
+
+/**
+ * Why a baseline no longer belongs to a test
+ * @param {string} file - Baseline file name
+ * @param {string} testFile - Test file path
+ * @param {Map<string, string[]|null>} screenshotsBySpec - Cache of spec screenshot names
+ * @param {string[]|null} projects - Playwright project names, null when unknown
+ * @returns {string|null} Reason, or null when the baseline is in use (or cannot be traced)
+ */
+function orphanReason(file, testFile, screenshotsBySpec, projects) {
+    if (!existsSync(testFile)) {
+        return 'test file was removed';
+    }
+
+    if (!screenshotsBySpec.has(testFile)) {
+        const specFile = findSpecFile(testFile);
+        const screenshots = specFile
+            ? readSpecFile(specFile).map((feature) => feature.screenshot).filter(Boolean)
+            : [];
+        screenshotsBySpec.set(testFile, screenshots.length > 0 ? screenshots : null);
+    }
+
+    // Specs without screenshot names belong to hand-written tests; keep their baselines
+    const screenshots = screenshotsBySpec.get(testFile);
+    if (!screenshots) return null;
+
+    const inUse = screenshots.some((screenshot) => file === screenshot || baselinePattern(screenshot, projects).test(file));
+    return inUse ? null : 'no spec feature uses this screenshot';
+}
+
+/**
+ * List the screenshot baselines under a directory of the target project
+ * @param {string} [rootDir] - Directory to search (default: the test output path)
+ * @param {string[]|null} [projects] - Playwright project names the baselines were taken with
+ *   (default: read from the Playwright config; any name when there is none)
+ * @returns {VisualBaseline[]} Baselines sorted by path
+ */
+export function listBaselines(rootDir = getTestOutputPath(), projects = readPlaywrightProjects()) {
+    const screenshotsBySpec = new Map();
+
+    return findSnapshotDirs(rootDir)
+        .flatMap((snapshotDir) => {
+            const testFile = snapshotDir.slice(0, -SNAPSHOT_DIR_SUFFIX.length);
+            return readdirSync(snapshotDir)
+                .filter((file) => file.endsWith('.png'))
+                .map((file) => {
+                    const path = join(snapshotDir, file);
+                    const stats = statSync(path);
+                    return {
+                        path,
+                        file,
+                        testFile,
+                        size: stats.size,
+                        modified: stats.mtime,
+                        orphaned: orphanReason(file, testFile, screenshotsBySpec, projects),
+                    };
+                });
+        })
+        .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Compare two listings of the same directory
+ * @param {VisualBaseline[]} before
+ * @param {VisualBaseline[]} after
+ * @returns {{ created: VisualBaseline[], updated: VisualBaseline[] }}
+ */
+export function diffBaselines(before, after) {
+    const previous = new Map(before.map((baseline) => [baseline.path, baseline]));
+    return {
+        created: after.filter((baseline) => !previous.has(baseline.path)),
+        updated: after.filter((baseline) => {
+            const old = previous.get(baseline.path);
+            return old && (old.modified.getTime() !== baseline.modified.getTime() || old.size !== baseline.size);
+        }),
+    };
+}
+
+/**
+ * Delete the baselines no test uses anymore
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Directory to search (default: the test output path)
+ * @param {boolean} [options.dryRun] - Only report what would be deleted
+ * @param {string[]|null} [options.projects] - Playwright project names (default: read from the Playwright config)
+ * @returns {VisualBaseline[]} Orphaned baselines (deleted unless dryRun)
+ */
+export function pruneBaselines(options = {}) {
+    const { rootDir = getTestOutputPath(), dryRun = false, projects = readPlaywrightProjects() } = options;
+    const orphaned = listBaselines(rootDir, projects).filter((baseline) => baseline.orphaned);
+
+    if (!dryRun) {
+        for (const baseline of orphaned) {
+            unlinkSync(baseline.path);
+        }
+        for (const snapshotDir of new Set(orphaned.map((baseline) => dirname(baseline.path)))) {
+            if (readdirSync(snapshotDir).length === 0) rmdirSync(snapshotDir);
+        }
+    }
+
+    return orphaned;
+}
+
+/**
+ * Format baselines as a markdown list, with paths relative to the project root
+ * @param {VisualBaseline[]} baselines
+ * @returns {string}
+ */
+export function formatBaselines(baselines) {
+    if (baselines.length === 0) return '_None_\n';
+
+    const projectRoot = getTargetProjectRoot();
+    return baselines.map((baseline) => {
+        const size = `${Math.max(1, Math.round(baseline.size / 1024))} KB`;
+        const note = baseline.orphaned ? ` ⚠️ orphaned: ${baseline.orphaned}` : '';
+        return `- \`${relative(projectRoot, baseline.path)}\` (${size}, ${baseline.modified.toISOString()})${note}`;
+    }).join('\n') + '\n';
+}
@@ -0,0 +1,310 @@
+/**
+ * Card configurations shared by the generator tests
+ * @typedef {import('../../src/types.js').CardConfig} CardConfig
+ */
+
+/** @type {CardConfig} */
+export const suggestedConfig = {
+    cardType: 'suggested',
+    cardId: '206a8742-0289-4196-92d4-ced99ec4191e',
+    testSuite: 'M@S Studio CCD Suggested',
+    elements: {
+        title: {
+            selector: 'h3[slot="heading-xs"]',
+            expectedText: 'Sample Title',
+            cssProperties: {
+                color: 'rgb(44, 44, 44)',
+                'font-size': '16px',
+                'font-weight': '700',
+                'line-height': '20px',
+            },
+            interactions: [{ type: 'edit', value: 'New Title' }],
+        },
+        eyebrow: {
+            selector: 'h4[slot="detail-s"]',
+            expectedText: 'Sample Eyebrow',
+            cssProperties: {
+                color: 'rgb(110, 110, 110)',
+                'font-size': '11px',
+            },
+            interactions: [{ type: 'edit', value: 'New Eyebrow' }],
+        },
+        description: {
+            selector: 'div[slot="body-xs"] p',
+            expectedText: 'Sample description text',
+            cssProperties: {
+                color: 'rgb(75, 75, 75)',
+                'font-size': '14px',
+            },
+            interactions: [{ type: 'edit', value: 'New description' }],
+        },
+        price: {
+            selector: 'p[slot="price"]',
+            expectedText: 'US$17.24/mo',
+            cssProperties: {
+                color: 'rgb(34, 34, 34)',
+            },
+        },
+        cta: {
+            selector: 'div[slot="cta"] > button',
+            expectedText: 'Buy now',
+            cssProperties: {
+                color: 'rgb(34, 34, 34)',
+                'font-weight': '700',
+            },
+            interactions: [{ type: 'click' }],
+        },
+        icon: {
+            selector: 'merch-icon',
+            cssProperties: {
+                width: '40px',
+                height: '38px',
+            },
+        },
+        backgroundImage: {
+            selector: 'div[slot="bg-image"] img',
+        },
+    },
+    cssProperties: {
+        card: {
+            'background-color': 'rgb(245, 245, 245)',
+            'min-width': '270px',
+        },
+    },
+    testTypes: ['css', 'functional', 'edit', 'save', 'discard', 'interaction'],
+    metadata: {
+        tags: ['@mas-studio', '@ccd', '@ccd-suggested'],
+        path: '/studio.html',
+        browserParams: '#query=',
+    },
+};
+
+/** @type {CardConfig} */
+export const friesConfig = {
+    cardType: 'fries',
+    cardId: '9620f75c-96cd-4ec3-a431-275a53d8860c',
+    testSuite: 'M@S Studio Commerce Fries',
+    elements: {
+        title: {
+            selector: 'h3[slot="heading-xxs"]',
+            cssProperties: {
+                color: 'rgb(44, 44, 44)',
+            },
+        },
+        price: {
+            selector: 'p[slot="price"]',
+            cssProperties: {
+                color: 'rgb(34, 34, 34)',
+            },
+        },
+    },
+    testTypes: ['css'],
+    metadata: {
+        tags: ['@mas-studio', '@commerce', '@commerce-fries'],
+        path: '/studio.html',
+        browserParams: '#query=',
+    },
+};
+
+/**
+ * The fries card in two locales, covered by one spec
+ * @type {CardConfig}
+ */
+export const multiCardConfig = {
+    ...friesConfig,
+    elements: {
+        ...friesConfig.elements,
+        title: { ...friesConfig.elements.title, interactions: [{ type: 'click' }] },
+    },
+    testTypes: ['css', 'edit', 'functional'],
+    cards: [
+        { cardId: '9620f75c-96cd-4ec3-a431-275a53d8860c', label: 'US' },
+        { cardId: '0e1c41f5-3bd5-4c71-9a3c-2e2a1d1f6b4d', label: 'JP', data: { title: 'Fries JP' } },
+    ],
+};
+
+export const localeMatrixConfig = {
+    ...friesConfig,
+    testTypes: ['css', 'edit'],
+    locales: ['us', 'de', { code: 'ch_fr', prefix: '/ch_fr', geo: 'ch' }],
+    localeData: {
+        de: { price: '17,99 €/Monat', '@studio-fries-edit-title': { title: 'Pommes' } },
+        ch_fr: { '@studio-fries-edit-title': { title: 'Frites' } },
+    },
+};
+
+export const breakpointConfig = {
+    ...friesConfig,
+    testTypes: ['css'],
+    breakpointCss: {
+        mobile: {
+            card: { width: '343px' },
+            title: { 'font-size': '16px' },
+        },
+        desktop: {
+            card: { width: '492px' },
+            title: { 'font-size': '18px' },
+            price: { 'font-size': '16px' },
+        },
+    },
+};
+
+/**
+ * Elements data as returned by analyze-browser-snapshot
+ */
+export const snapshotElements = {
+    title: {
+        selector: 'h3[slot="heading-xs"]',
+        fallbackSelectors: ['.card-title'],
+        accessibilitySelectors: [
+            { type: 'role', value: 'page.getByRole(\'heading\', { level: 3 })', priority: 85 },
+        ],
+        cssProperties: { color: 'rgb(44, 44, 44)', 'font-size': '16px' },
+        metadata: { confidence: 95 },
+    },
+    cta: {
+        selector: '[data-testid="card-cta"]',
+        cssProperties: { color: 'rgb(255, 255, 255)' },
+        metadata: { confidence: 90 },
+    },
+    icon: {
+        selector: 'merch-icon',
+    },
+};
+
+/**
+ * Visual tests of the fries card in two locales, with an extra masked region
+ * @type {CardConfig}
+ */
+export const visualConfig = {
+    ...multiCardConfig,
+    testTypes: ['visual'],
+    visualMask: ['.badge'],
+};
+
+/**
+ * Accessibility tests of the fries card, with a CTA and an allowed axe rule
+ * @type {CardConfig}
+ */
+export const a11yConfig = {
+    ...friesConfig,
+    elements: {
+        ...friesConfig.elements,
+        cta: { selector: 'div[slot="cta"] > a' },
+    },
+    testTypes: ['a11y'],
+    a11yAllowRules: ['region'],
+};
+
+/**
+ * Accessibility tests of the fries card that allow the heading order and contrast rules
+ * @type {CardConfig}
+ */
+export const a11yAllowConfig = {
+    ...a11yConfig,
+    a11yAllowRules: ['region', 'heading-order', 'color-contrast'],
+};
+
+/**
+ * Analytics tests of the fries card in two locales, with the attributes
+ * extracted from the US card
+ * @type {CardConfig}
+ */
+export const analyticsConfig = {
+    ...multiCardConfig,
+    elements: {
+        ...friesConfig.elements,
+        cta: {
+            selector: 'div[slot="cta"] > a',
+            analytics: [
+                {
+                    'data-analytics-id': 'buy-now',
+                    'daa-ll': 'Buy now-1--Fries',
+                    'data-wcs-osi': 'A1xn6EL4pK93bWjM8flffQpfEL-bnvtoQKQAvkx574M',
+                    'data-checkout-workflow': 'UCv3',
+                },
+                { 'data-analytics-id': 'free-trial', 'daa-ll': 'Free trial-2--Fries' },
+            ],
+        },
+        legalLink: {
+            selector: 'div[slot="body-xs"] p > a',
+            analytics: [{ 'data-analytics-id': 'see-terms', 'daa-ll': 'See terms-3--Fries' }],
+        },
+    },
+    testTypes: ['analytics'],
+};
+
+/**
+ * Checkout tests of the fries card in two locales, with the checkout links
+ * extracted from the US card
+ * @type {CardConfig}
+ */
+export const checkoutConfig = {
+    ...multiCardConfig,
+    elements: {
+        ...friesConfig.elements,
+        cta: {
+            selector: 'div[slot="cta"] > a',
+            checkout: [
+                {
+                    attributes: {
+                        'data-wcs-osi': 'A1xn6EL4pK93bWjM8flffQpfEL-bnvtoQKQAvkx574M',
+                        'data-promotion-code': 'NALA20',
+                        'data-checkout-workflow': 'UCv3',
+                        'data-checkout-workflow-step': 'email',
+                    },
+                    url: 'https://commerce.adobe.com/store/email',
+                    params: {
+                        'items[0][id]': '632B3ADD940A7FBB7864AA5AD19B8D28',
+                        co: 'US',
+                        lang: 'en',
+                        apc: 'NALA20',
+                    },
+                },
+                { attributes: { 'data-wcs-osi': 'r_JXAnlFI7xD6FxWKl2ODvZriLYBoSL701Kd1hRyhe8' } },
+            ],
+        },
+    },
+    testTypes: ['checkout'],
+};
+
+/**
+ * Price tests of the fries card in three locales, with a strikethrough and a
+ * discounted price extracted from the US card and a German tax label
+ * @type {CardConfig}
+ */
+export const priceConfig = {
+    ...friesConfig,
+    elements: {
+        ...friesConfig.elements,
+        strikethroughPrice: { selector: 'span[is="inline-price"][data-template="strikethrough"]' },
+    },
+    testTypes: ['price'],
+    prices: [
+        {
+            attributes: {
+                'data-template': 'strikethrough',
+                'data-display-tax': 'false',
+                'data-display-recurrence': 'true',
+                'data-wcs-osi': 'A1xn6EL4pK93bWjM8flffQpfEL-bnvtoQKQAvkx574M',
+            },
+            text: 'US$29.99/mo',
+            strikethrough: true,
+        },
+        {
+            attributes: {
+                'data-template': 'price',
+                'data-display-tax': 'true',
+                'data-display-recurrence': 'true',
+                'data-display-per-unit': 'false',
+                'data-wcs-osi': 'A1xn6EL4pK93bWjM8flffQpfEL-bnvtoQKQAvkx574M',
+            },
+            text: 'US$22.99/mo excl. tax',
+            taxLabel: 'excl. tax',
+        },
+    ],
+    locales: ['us', 'de', { code: 'ch_fr', prefix: '/ch_fr', geo: 'ch' }],
+    localeData: {
+        de: { taxLabel: 'inkl. MwSt.' },
+    },
+};
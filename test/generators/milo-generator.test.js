@@ -0,0 +1,68 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import {
+    generateMiloPageObject,
+    generateMiloSpec,
+    generateMiloTest,
+} from '../../src/generators/milo-generator.js';
+import { assertGolden, assertParses } from '../helpers/golden.js';
+
+const TEST_TYPES = ['functional', 'css', 'interaction', 'visual'];
+const LOCALE_OPTIONS = {
+    locales: ['us', 'de', 'jp'],
+    localeData: {
+        de: { heading: 'Beispielüberschrift', '@Accordion (variant)': { heading: 'Variante' } },
+    },
+};
+
+describe('generateMiloPageObject', () => {
+    it('generates a block page object', () => {
+        const code = generateMiloPageObject('accordion');
+        assertParses(code);
+        assertGolden('milo-generator/accordion.page', code);
+    });
+
+    it('generates a feature page object', () => {
+        const code = generateMiloPageObject('header', 'feature');
+        assertParses(code);
+        assertGolden('milo-generator/header.page', code);
+    });
+});
+
+describe('generateMiloSpec', () => {
+    for (const testType of TEST_TYPES) {
+        it(`generates the ${testType} spec`, () => {
+            const code = generateMiloSpec('accordion', testType);
+            assertParses(code);
+            assertGolden(`milo-generator/accordion_${testType}.spec`, code);
+        });
+    }
+
+    it('generates a locale matrix spec', () => {
+        const code = generateMiloSpec('accordion', 'functional', 'block', LOCALE_OPTIONS);
+        assertParses(code);
+        assertGolden('milo-generator/accordion_locales.spec', code);
+    });
+});
+
+describe('generateMiloTest', () => {
+    for (const testType of TEST_TYPES) {
+        it(`generates ${testType} tests`, () => {
+            const code = generateMiloTest('accordion', testType);
+            assertParses(code);
+            assertGolden(`milo-generator/accordion_${testType}.test`, code);
+        });
+    }
+
+    it('generates feature tests', () => {
+        const code = generateMiloTest('header', 'functional', 'feature');
+        assertParses(code);
+        assertGolden('milo-generator/header_functional.test', code);
+    });
+
+    it('runs the suite once per locale of a locale matrix spec', () => {
+        const code = generateMiloTest('accordion', 'functional', 'block', LOCALE_OPTIONS);
+        assertParses(code);
+        assertGolden('milo-generator/accordion_locales.test', code);
+    });
+});
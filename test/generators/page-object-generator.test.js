@@ -0,0 +1,27 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import { PageObjectGenerator } from '../../src/generators/page-object-generator.js';
+import { assertGolden, assertParses } from '../helpers/golden.js';
+import { breakpointConfig, friesConfig, suggestedConfig } from '../fixtures/card-configs.js';
+
+describe('PageObjectGenerator.generatePageObject', () => {
+    const generator = new PageObjectGenerator();
+
+    it('generates locators, selector alternatives and cssProp', () => {
+        const code = generator.generatePageObject(suggestedConfig);
+        assertParses(code);
+        assertGolden('page-object-generator/suggested', code);
+    });
+
+    it('generates a page object without card css properties', () => {
+        const code = generator.generatePageObject(friesConfig);
+        assertParses(code);
+        assertGolden('page-object-generator/fries', code);
+    });
+
+    it('generates cssPropByBreakpoint from breakpoint CSS', () => {
+        const code = generator.generatePageObject(breakpointConfig);
+        assertParses(code);
+        assertGolden('page-object-generator/fries_breakpoints', code);
+    });
+});
@@ -0,0 +1,50 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { SmartLocatorGenerator } from '../../src/generators/smart-locator-generator.js';
+import { assertGolden, assertParses } from '../helpers/golden.js';
+import { snapshotElements } from '../fixtures/card-configs.js';
+
+// Generation timestamps change on every run
+function withoutTimestamps(code) {
+    return code
+        .replace(/Generated: \S+/g, 'Generated: <timestamp>')
+        .replace(/validated: [^)]+\)/g, 'validated: <date>)');
+}
+
+describe('SmartLocatorGenerator.generatePageObject', () => {
+    const generator = new SmartLocatorGenerator();
+
+    it('generates getters with .or() fallback chains', () => {
+        const code = generator.generatePageObject('suggested', snapshotElements);
+        assertParses(code);
+        assertGolden('smart-locator-generator/suggested', withoutTimestamps(code));
+    });
+
+    it('uses the surface prefix in the class name', () => {
+        const code = generator.generatePageObject('fries', { title: snapshotElements.title });
+        assertParses(code);
+        assertGolden('smart-locator-generator/fries', withoutTimestamps(code));
+    });
+
+    it('chains the strategies through trackLocator with telemetry', () => {
+        const code = generator.generatePageObject('fries', { title: snapshotElements.title }, { telemetry: true });
+        assertParses(code);
+        assertGolden('smart-locator-generator/fries_telemetry', withoutTimestamps(code));
+    });
+});
+
+describe('SmartLocatorGenerator.buildElementData', () => {
+    const generator = new SmartLocatorGenerator();
+
+    it('keeps a promoted fallback first when the page object is regenerated', () => {
+        const elementData = generator.buildElementData([
+            { type: 'role', value: 'page.getByRole(\'heading\', { level: 3 })' },
+            { type: 'id', value: '#title' },
+        ], 60);
+        const { primaryLocator, fallbackLocator } = generator.generateLocatorCode('title', elementData);
+
+        assert.equal(primaryLocator, 'this.page.getByRole(\'heading\', { level: 3 })');
+        assert.equal(fallbackLocator, '\n        .or(this.page.locator(\'#title\'))');
+    });
+});
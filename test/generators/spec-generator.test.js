@@ -0,0 +1,156 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { SpecGenerator } from '../../src/generators/spec-generator.js';
+import { assertGolden, assertParses } from '../helpers/golden.js';
+import {
+    a11yConfig,
+    analyticsConfig,
+    breakpointConfig,
+    checkoutConfig,
+    localeMatrixConfig,
+    multiCardConfig,
+    priceConfig,
+    suggestedConfig,
+    visualConfig,
+} from '../fixtures/card-configs.js';
+import { readSpecFeatures } from '../../src/utils/spec-reader.js';
+
+describe('SpecGenerator.generateTestSpec', () => {
+    const generator = new SpecGenerator();
+
+    for (const testType of suggestedConfig.testTypes) {
+        it(`generates the ${testType} spec`, () => {
+            const code = generator.generateTestSpec(suggestedConfig, testType);
+            assertParses(code);
+            assertGolden(`spec-generator/suggested_${testType}`, code);
+        });
+    }
+});
+
+describe('SpecGenerator multi-card suites', () => {
+    const generator = new SpecGenerator();
+
+    for (const testType of multiCardConfig.testTypes) {
+        it(`generates one ${testType} feature per card`, () => {
+            const code = generator.generateSpecFile(multiCardConfig, testType);
+            assertParses(code);
+            assertGolden(`spec-generator/fries_multi_card_${testType}`, code);
+        });
+    }
+
+    it('keeps the tcids of the existing spec and never reuses them', () => {
+        const existingSpec = `export default {
+    features: [
+        { tcid: '0', name: '@studio-fries-edit-title-jp' },
+        { tcid: '1', name: '@studio-fries-edit-title-removed' },
+    ],
+};`;
+        const features = readSpecFeatures(generator.generateSpecFile(multiCardConfig, 'edit', { existingSpec }))
+            .map(({ tcid, name }) => ({ tcid, name }));
+
+        assert.deepEqual(features, [
+            { tcid: '2', name: '@studio-fries-edit-title-us' },
+            { tcid: '3', name: '@studio-fries-edit-price-us' },
+            { tcid: '0', name: '@studio-fries-edit-title-jp' },
+            { tcid: '4', name: '@studio-fries-edit-price-jp' },
+        ]);
+    });
+
+    it('rejects duplicate card labels', () => {
+        const config = { ...multiCardConfig, cards: [{ cardId: 'a', label: 'US' }, { cardId: 'b', label: 'us' }] };
+        assert.throws(() => generator.generateSpecFile(config, 'css'), /Card labels must be unique/);
+    });
+});
+
+describe('SpecGenerator locale matrix', () => {
+    const generator = new SpecGenerator();
+
+    for (const testType of localeMatrixConfig.testTypes) {
+        it(`generates one ${testType} feature per locale`, () => {
+            const code = generator.generateSpecFile(localeMatrixConfig, testType);
+            assertParses(code);
+            assertGolden(`spec-generator/fries_locales_${testType}`, code);
+        });
+    }
+
+    it('expands every card into every locale', () => {
+        const config = { ...multiCardConfig, locales: ['de', 'jp'] };
+        const names = readSpecFeatures(generator.generateSpecFile(config, 'css')).map(({ name }) => name);
+        assert.deepEqual(names, [
+            '@studio-fries-css-us-de',
+            '@studio-fries-css-us-jp',
+            '@studio-fries-css-jp-de',
+            '@studio-fries-css-jp-jp',
+        ]);
+    });
+});
+
+describe('SpecGenerator breakpoints', () => {
+    const generator = new SpecGenerator();
+
+    it('generates a css feature per breakpoint with its viewport', () => {
+        const code = generator.generateSpecFile(breakpointConfig, 'css');
+        assertParses(code);
+        assertGolden('spec-generator/fries_breakpoints_css', code);
+    });
+
+    it('rejects unknown breakpoints', () => {
+        const config = { ...breakpointConfig, breakpointCss: { watch: { card: {} } } };
+        assert.throws(() => generator.generateSpecFile(config, 'css'), /Unknown breakpoint: watch/);
+    });
+});
+
+describe('SpecGenerator visual suites', () => {
+    const generator = new SpecGenerator();
+
+    it('names the baseline screenshot of every feature', () => {
+        const code = generator.generateSpecFile(visualConfig, 'visual');
+        assertParses(code);
+        assertGolden('spec-generator/fries_visual', code);
+    });
+});
+
+describe('SpecGenerator a11y suites', () => {
+    const generator = new SpecGenerator();
+
+    it('lists the allowed axe rules of every feature', () => {
+        const code = generator.generateSpecFile(a11yConfig, 'a11y');
+        assertParses(code);
+        assertGolden('spec-generator/fries_a11y', code);
+    });
+});
+
+describe('SpecGenerator analytics suites', () => {
+    const generator = new SpecGenerator();
+
+    it('expects the extracted attributes of the extracted card only', () => {
+        const code = generator.generateSpecFile(analyticsConfig, 'analytics');
+        assertParses(code);
+        assertGolden('spec-generator/fries_analytics', code);
+    });
+});
+
+describe('SpecGenerator checkout suites', () => {
+    const generator = new SpecGenerator();
+
+    it('expects the extracted offers and checkout URLs of the extracted card only', () => {
+        const code = generator.generateSpecFile(checkoutConfig, 'checkout');
+        assertParses(code);
+        assertGolden('spec-generator/fries_checkout', code);
+    });
+});
+
+describe('SpecGenerator price suites', () => {
+    const generator = new SpecGenerator();
+
+    it('expects the extracted prices of the extracted card and any price elsewhere', () => {
+        const code = generator.generateSpecFile(priceConfig, 'price');
+        assertParses(code);
+        assertGolden('spec-generator/fries_price', code);
+    });
+
+    it('refuses to generate a price spec without extracted prices', () => {
+        assert.throws(() => generator.generateSpecFile({ ...priceConfig, prices: [] }, 'price'), /No prices in the fries card config/);
+    });
+});
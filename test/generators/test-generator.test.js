@@ -0,0 +1,96 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { TestGenerator } from '../../src/generators/test-generator.js';
+import { assertGolden, assertParses } from '../helpers/golden.js';
+import {
+    a11yAllowConfig,
+    a11yConfig,
+    analyticsConfig,
+    breakpointConfig,
+    checkoutConfig,
+    friesConfig,
+    localeMatrixConfig,
+    multiCardConfig,
+    priceConfig,
+    suggestedConfig,
+    visualConfig,
+} from '../fixtures/card-configs.js';
+
+describe('TestGenerator.generateTestFile', () => {
+    const generator = new TestGenerator();
+
+    for (const testType of suggestedConfig.testTypes) {
+        it(`generates ${testType} tests`, () => {
+            const code = generator.generateTestFile(suggestedConfig, testType);
+            assertParses(code);
+            assertGolden(`test-generator/suggested_${testType}`, code);
+        });
+    }
+
+    it('generates css tests for a card with few elements', () => {
+        const code = generator.generateTestFile(friesConfig, 'css');
+        assertParses(code);
+        assertGolden('test-generator/fries_css', code);
+    });
+
+    for (const testType of multiCardConfig.testTypes) {
+        it(`generates ${testType} tests that iterate the cards of a multi-card spec`, () => {
+            const code = generator.generateTestFile(multiCardConfig, testType);
+            assertParses(code);
+            assertGolden(`test-generator/fries_multi_card_${testType}`, code);
+        });
+    }
+
+    it('generates edit tests that iterate the locales of a locale matrix spec', () => {
+        const code = generator.generateTestFile(localeMatrixConfig, 'edit');
+        assertParses(code);
+        assertGolden('test-generator/fries_locales_edit', code);
+    });
+
+    it('generates a css test per breakpoint that sets the viewport', () => {
+        const code = generator.generateTestFile(breakpointConfig, 'css');
+        assertParses(code);
+        assertGolden('test-generator/fries_breakpoints_css', code);
+    });
+
+    it('generates a visual test per card that masks dynamic regions', () => {
+        const code = generator.generateTestFile(visualConfig, 'visual');
+        assertParses(code);
+        assertGolden('test-generator/fries_visual', code);
+    });
+
+    it('generates an accessibility test scoped to the card', () => {
+        const code = generator.generateTestFile(a11yConfig, 'a11y');
+        assertParses(code);
+        assertGolden('test-generator/fries_a11y', code);
+    });
+
+    it('leaves out the accessibility steps of allowed axe rules', () => {
+        const code = generator.generateTestFile(a11yAllowConfig, 'a11y');
+        assertParses(code);
+        assertGolden('test-generator/fries_a11y_allow_rules', code);
+    });
+
+    it('generates an analytics test per card that asserts every link', () => {
+        const code = generator.generateTestFile(analyticsConfig, 'analytics');
+        assertParses(code);
+        assertGolden('test-generator/fries_analytics', code);
+    });
+
+    it('generates a checkout test that resolves every checkout link', () => {
+        const code = generator.generateTestFile(checkoutConfig, 'checkout');
+        assertParses(code);
+        assertGolden('test-generator/fries_checkout', code);
+    });
+
+    it('generates a price test that pairs strikethrough and discounted prices', () => {
+        const code = generator.generateTestFile(priceConfig, 'price');
+        assertParses(code);
+        assertGolden('test-generator/fries_price', code);
+    });
+
+    it('refuses to generate a price test without extracted prices', () => {
+        assert.throws(() => generator.generateTestFile({ ...priceConfig, prices: undefined }, 'price'), /No prices in the fries card config/);
+    });
+});
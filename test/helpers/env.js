@@ -0,0 +1,6 @@
+// Point the generators at a fixed project so output does not depend on
+// the developer's .env or .nala-mcp.json. Import before any src module.
+process.env.MAS_PROJECT_PATH = '/nala-mcp-test/mas';
+process.env.MILO_PROJECT_PATH = '/nala-mcp-test/milo';
+process.env.DEFAULT_PROJECT = 'mas';
+process.env.TEST_OUTPUT_PATH = 'nala';
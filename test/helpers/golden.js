@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join, relative } from 'path';
+import { fileURLToPath } from 'url';
+import { parseModule } from '../../src/utils/test-validator.js';
+
+const GOLDEN_DIR = join(dirname(fileURLToPath(import.meta.url)), '../golden');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+/**
+ * Compare generated output with its golden file (test/golden/<name>.snap).
+ * Run `npm run test:update` to write new or changed golden files.
+ * @param {string} name - Golden file name, e.g. 'test-generator/suggested_css'
+ * @param {string} actual - Generated output
+ */
+export function assertGolden(name, actual) {
+    const goldenPath = join(GOLDEN_DIR, `${name}.snap`);
+    const label = relative(process.cwd(), goldenPath);
+
+    if (UPDATE) {
+        mkdirSync(dirname(goldenPath), { recursive: true });
+        writeFileSync(goldenPath, actual);
+        return;
+    }
+
+    assert.ok(existsSync(goldenPath), `Missing golden file ${label} - run npm run test:update`);
+    assert.equal(
+        actual,
+        readFileSync(goldenPath, 'utf-8'),
+        `Output differs from ${label} - run npm run test:update if the change is intended`,
+    );
+}
+
+/**
+ * Assert that generated code is syntactically valid JavaScript
+ * @param {string} code - Generated code
+ */
+export function assertParses(code) {
+    assert.doesNotThrow(() => parseModule(code), 'Generated code does not parse');
+}
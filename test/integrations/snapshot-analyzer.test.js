@@ -0,0 +1,75 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { SnapshotAnalyzer } from '../../src/integrations/snapshot-analyzer.js';
+
+const elements = {
+    title: {
+        selector: 'h3',
+        fallbackSelectors: ['h3[slot="heading-xs"]', '.card-title'],
+        accessibilitySelectors: [{ type: 'role', value: 'page.getByRole(\'heading\', { level: 3 })' }],
+        metadata: { confidence: 95 },
+    },
+};
+
+describe('SnapshotAnalyzer.applySelectorVerification', () => {
+    const analyzer = new SnapshotAnalyzer();
+
+    it('lists the selectors of each element in chain order', () => {
+        assert.deepEqual(analyzer.getSelectorValues(elements), {
+            title: ['h3', 'h3[slot="heading-xs"]', '.card-title', 'page.getByRole(\'heading\', { level: 3 })'],
+        });
+    });
+
+    it('drops non-unique and unmatched selectors and scores what the others matched', () => {
+        const checks = {
+            title: [
+                { value: 'h3', count: 2, unique: false, visible: true },
+                { value: 'h3[slot="heading-xs"]', count: 1, unique: true, visible: true },
+                { value: '.card-title', count: 0, unique: false, visible: false },
+                { value: 'page.getByRole(\'heading\', { level: 3 })', count: 1, unique: true, visible: true },
+            ],
+        };
+
+        const { elements: verified, dropped } = analyzer.applySelectorVerification(elements, checks);
+
+        assert.deepEqual(dropped, { title: ['h3', '.card-title'] });
+        assert.equal(verified.title.selector, 'h3[slot="heading-xs"]');
+        assert.deepEqual(verified.title.fallbackSelectors, []);
+        assert.equal(verified.title.accessibilitySelectors.length, 1);
+        // Unique and visible primary (80) plus one unique accessibility selector (10)
+        assert.equal(verified.title.metadata.confidence, 90);
+        assert.equal(verified.title.metadata.verification, checks.title);
+    });
+
+    it('does not promote a fallback that matches nothing', () => {
+        const checks = {
+            title: [
+                { value: 'h3', count: 2, unique: false, visible: true },
+                { value: 'h3[slot="heading-xs"]', count: 0, unique: false, visible: false },
+                { value: '.card-title', count: 1, unique: true, visible: true },
+                { value: 'page.getByRole(\'heading\', { level: 3 })', count: 0, unique: false, visible: false, error: 'Unsupported locator' },
+            ],
+        };
+
+        const { elements: verified, dropped } = analyzer.applySelectorVerification(elements, checks);
+
+        assert.equal(verified.title.selector, '.card-title');
+        assert.deepEqual(verified.title.accessibilitySelectors, []);
+        assert.deepEqual(dropped.title, ['h3', 'h3[slot="heading-xs"]', 'page.getByRole(\'heading\', { level: 3 })']);
+    });
+
+    it('scores zero when no selector matches the card', () => {
+        const checks = {
+            title: analyzer.getSelectorValues(elements).title
+                .map(value => ({ value, count: 0, unique: false, visible: false })),
+        };
+
+        const { elements: verified, dropped } = analyzer.applySelectorVerification(elements, checks);
+
+        // The primary stays so the getter still exists
+        assert.equal(verified.title.selector, 'h3');
+        assert.equal(dropped.title.includes('h3'), false);
+        assert.equal(verified.title.metadata.confidence, 0);
+    });
+});
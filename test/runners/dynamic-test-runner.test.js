@@ -0,0 +1,157 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { DynamicTestRunner } from '../../src/dynamic-test-runner.js';
+
+// A spec whose module would fail to load and flag that it ran
+const SPEC = `import missing from './missing.js';
+globalThis.nalaSpecImported = true;
+
+export default {
+    FeatureName: 'M@S Studio Commerce Fries',
+    features: [
+        {
+            tcid: 0,
+            name: '@studio-fries-css',
+            path: '/studio.html',
+            data: { cardid: 'card-1' },
+            tags: '@mas-studio @commerce @commerce-fries',
+        },
+        {
+            tcid: '1',
+            name: '@studio-fries-css-mobile',
+            tags: \`@mas-studio @breakpoint-mobile\`,
+        },
+        {
+            tcid: '2',
+            name: '@nala-unrelated',
+        },
+    ],
+};
+`;
+
+function fakeRunner(outcomes) {
+    const calls = [];
+    return {
+        calls,
+        async runAndFix(name) {
+            calls.push(['runAndFix', name]);
+            return outcomes[name];
+        },
+        async runNALATest(name) {
+            calls.push(['runNALATest', name]);
+            return outcomes[name];
+        },
+    };
+}
+
+describe('DynamicTestRunner', () => {
+    let root;
+
+    beforeEach(() => {
+        root = mkdtempSync(join(tmpdir(), 'nala-dynamic-'));
+    });
+
+    afterEach(() => {
+        rmSync(root, { recursive: true, force: true });
+        delete globalThis.nalaSpecImported;
+    });
+
+    it('discovers @studio features from spec sources without importing them', async () => {
+        const specsDir = join(root, 'studio', 'commerce', 'fries', 'specs');
+        mkdirSync(specsDir, { recursive: true });
+        writeFileSync(join(specsDir, 'fries_css.spec.js'), SPEC);
+        writeFileSync(join(specsDir, 'broken.spec.js'), 'export default { features: [');
+        writeFileSync(join(specsDir, 'fries_promo.spec.js'), 'export default { features: [{ tcid: \'0\', name: \'@studio-fries-promo-price\' }] };');
+
+        const runner = new DynamicTestRunner({ runner: fakeRunner({}) });
+        runner.studioRoot = join(root, 'studio');
+        const tests = await runner.discoverAllTests();
+
+        assert.equal(globalThis.nalaSpecImported, undefined);
+        assert.deepEqual(tests, [
+            {
+                name: '@studio-fries-css',
+                tcid: '0',
+                tags: ['@mas-studio', '@commerce', '@commerce-fries'],
+                cardType: 'fries',
+                surface: 'commerce',
+                testType: 'css',
+                cardId: 'card-1',
+                specPath: join('studio', 'commerce', 'fries', 'specs', 'fries_css.spec.js'),
+            },
+            {
+                name: '@studio-fries-css-mobile',
+                tcid: '1',
+                tags: ['@mas-studio', '@breakpoint-mobile'],
+                cardType: 'fries',
+                surface: 'commerce',
+                testType: 'css',
+                cardId: null,
+                specPath: join('studio', 'commerce', 'fries', 'specs', 'fries_css.spec.js'),
+            },
+            {
+                name: '@studio-fries-promo-price',
+                tcid: '0',
+                tags: [],
+                cardType: 'fries',
+                surface: 'commerce',
+                testType: 'price',
+                cardId: null,
+                specPath: join('studio', 'commerce', 'fries', 'specs', 'fries_promo.spec.js'),
+            },
+        ]);
+    });
+
+    it('detects every test type from feature names', () => {
+        const runner = new DynamicTestRunner({ runner: fakeRunner({}) });
+
+        assert.equal(runner.detectTestType('@studio-fries-css-mobile'), 'css');
+        assert.equal(runner.detectTestType('@studio-fries-visual'), 'visual');
+        assert.equal(runner.detectTestType('@studio-fries-a11y'), 'a11y');
+        assert.equal(runner.detectTestType('@studio-fries-analytics-fr_FR'), 'analytics');
+        assert.equal(runner.detectTestType('@studio-fries-checkout'), 'checkout');
+        assert.equal(runner.detectTestType('@studio-fries-price'), 'price');
+        assert.equal(runner.detectTestType('@studio-fries'), null);
+        assert.equal(runner.detectTestType('@studio-fries-cssx'), null);
+    });
+
+    it('samples the selected test types across card types', () => {
+        const runner = new DynamicTestRunner({ runner: fakeRunner({}) });
+        const tests = [
+            { name: 'a1', cardType: 'a', testType: 'css' },
+            { name: 'a2', cardType: 'a', testType: 'css' },
+            { name: 'a3', cardType: 'a', testType: 'price' },
+            { name: 'b1', cardType: 'b', testType: 'css' },
+            { name: 'b2', cardType: 'b', testType: 'visual' },
+        ];
+
+        assert.deepEqual(runner.selectTests(tests, { testTypes: ['css', 'price'] }).map(({ name }) => name), ['a1', 'a2', 'a3', 'b1']);
+        assert.deepEqual(runner.selectTests(tests, { maxTests: 3 }).map(({ name }) => name), ['a1', 'b1', 'a2']);
+    });
+
+    it('auto-fixes tests with a card id and counts the outcomes', async () => {
+        const runner = new DynamicTestRunner({
+            runner: fakeRunner({
+                '@studio-fries-css': { success: true, attempts: 2 },
+                '@studio-fries-price': { success: false, errors: [{ type: 'timeout' }] },
+            }),
+        });
+        const category = {
+            surface: 'commerce',
+            tests: [
+                { name: '@studio-fries-css', cardType: 'fries', testType: 'css', cardId: 'card-1' },
+                { name: '@studio-fries-price', cardType: 'fries', testType: 'price', cardId: null },
+            ],
+        };
+
+        const result = await runner.runTestsFromCategory('commerce', category);
+
+        assert.deepEqual(runner.runner.calls, [['runAndFix', '@studio-fries-css'], ['runNALATest', '@studio-fries-price']]);
+        assert.deepEqual({ ...result, results: undefined }, { total: 2, passed: 1, failed: 1, fixed: 1, results: undefined });
+        assert.deepEqual(result.results[1].errors, [{ type: 'timeout' }]);
+    });
+});
@@ -0,0 +1,16 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getA11yAllowRules } from '../../src/utils/a11y-rules.js';
+import { a11yConfig, friesConfig } from '../fixtures/card-configs.js';
+
+describe('getA11yAllowRules', () => {
+    it('allows no rules by default', () => {
+        assert.deepEqual(getA11yAllowRules(friesConfig), []);
+    });
+
+    it('adds the rules of the card config, once each', () => {
+        const config = { ...a11yConfig, a11yAllowRules: ['region', 'color-contrast', 'region'] };
+        assert.deepEqual(getA11yAllowRules(config), ['color-contrast', 'region']);
+    });
+});
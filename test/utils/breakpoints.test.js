@@ -0,0 +1,28 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    DEFAULT_BREAKPOINTS,
+    getBreakpoint,
+    getBreakpointNames,
+    getCSSBreakpoints,
+    resolveBreakpoints,
+} from '../../src/utils/breakpoints.js';
+import { breakpointConfig, friesConfig } from '../fixtures/card-configs.js';
+
+describe('breakpoints', () => {
+    it('knows the default breakpoints, narrowest first', () => {
+        assert.deepEqual(getBreakpointNames(), Object.keys(DEFAULT_BREAKPOINTS));
+        assert.deepEqual(getBreakpoint('tablet'), { name: 'tablet', width: 768, height: 1024 });
+    });
+
+    it('resolves breakpoint names and rejects unknown ones', () => {
+        assert.deepEqual(resolveBreakpoints(['wide', 'mobile']).map(({ name }) => name), ['wide', 'mobile']);
+        assert.throws(() => resolveBreakpoints(['watch']), /Unknown breakpoint: watch/);
+    });
+
+    it('lists the breakpoints a card config has CSS for', () => {
+        assert.deepEqual(getCSSBreakpoints(breakpointConfig).map(({ name }) => name), ['mobile', 'desktop']);
+        assert.deepEqual(getCSSBreakpoints(friesConfig), []);
+    });
+});
@@ -0,0 +1,115 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import {
+    formatCoverageReport,
+    readSpecCoverage,
+    scanMiloCoverage,
+    scanVariantCoverage,
+} from '../../src/utils/coverage-report.js';
+
+const golden = (file) => readFileSync(new URL(`../golden/${file}`, import.meta.url), 'utf-8');
+
+const TEST_TYPES = ['css', 'edit', 'analytics'];
+
+function write(root, path, content) {
+    mkdirSync(dirname(join(root, path)), { recursive: true });
+    writeFileSync(join(root, path), content);
+}
+
+describe('coverage report', () => {
+    let root;
+
+    beforeEach(() => {
+        root = mkdtempSync(join(tmpdir(), 'nala-coverage-'));
+    });
+
+    afterEach(() => {
+        rmSync(root, { recursive: true, force: true });
+    });
+
+    it('reads the elements each spec feature checks', () => {
+        write(root, 'edit.spec.js', golden('spec-generator/suggested_edit.snap'));
+        write(root, 'analytics.spec.js', golden('spec-generator/fries_analytics.snap'));
+
+        const edit = readSpecCoverage(join(root, 'edit.spec.js'));
+        assert.deepEqual(edit.map(({ tcid, elements }) => [tcid, elements]), [
+            ['0', ['title']],
+            ['1', ['eyebrow']],
+            ['2', ['description']],
+            ['3', ['*']],
+            ['4', ['*']],
+            ['5', ['price']],
+            ['6', ['cta']],
+        ]);
+        assert.deepEqual(edit[0].tags, ['@mas-studio', '@ccd', '@ccd-suggested', '@ccd-suggested-edit']);
+
+        const [analytics] = readSpecCoverage(join(root, 'analytics.spec.js'));
+        assert.deepEqual(analytics.elements, ['cta', 'legalLink']);
+        assert.deepEqual(readSpecCoverage(join(root, 'missing.spec.js')), []);
+    });
+
+    it('builds a row per card from the specs of its variants', () => {
+        write(root, 'nala/studio/ccd/suggested/specs/suggested_edit.spec.js', golden('spec-generator/suggested_edit.snap'));
+        write(root, 'nala/studio/ccd/suggested/specs/suggested_css.spec.js', golden('spec-generator/suggested_css.snap'));
+        write(root, 'nala/studio/ccd/suggested/suggested.page.js', '');
+
+        const rows = scanVariantCoverage([
+            { value: 'ccd-suggested', testTypes: TEST_TYPES },
+            { value: 'suggested', testTypes: TEST_TYPES },
+            { value: 'fries', testTypes: TEST_TYPES },
+        ], join(root, 'nala'), root);
+
+        assert.deepEqual(rows.map(({ name, variants, surface, missing }) => ({ name, variants, surface, missing })), [
+            { name: 'fries', variants: ['fries'], surface: 'commerce', missing: TEST_TYPES },
+            { name: 'suggested', variants: ['ccd-suggested', 'suggested'], surface: 'ccd', missing: ['analytics'] },
+        ]);
+
+        const { edit, css } = rows[1].testTypes;
+        assert.deepEqual(edit.specs, ['nala/studio/ccd/suggested/specs/suggested_edit.spec.js']);
+        assert.deepEqual(edit.tcids, ['0', '1', '2', '3', '4', '5', '6']);
+        assert.deepEqual(edit.elements.cta, ['6']);
+        assert.deepEqual(css.elements, { '*': ['0'] });
+        assert.match(css.modified, /^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    it('reads the test type of Milo specs from the test next to them', () => {
+        write(root, 'nala/blocks/accordion/accordion.spec.js', golden('milo-generator/accordion_css.spec.snap'));
+        write(root, 'nala/blocks/accordion/accordion.test.js', golden('milo-generator/accordion_css.test.snap'));
+        write(root, 'nala/features/feds/header/header.spec.js', golden('milo-generator/accordion_functional.spec.snap'));
+
+        const rows = scanMiloCoverage(join(root, 'nala'), root);
+        const accordion = rows.find((row) => row.name === 'accordion');
+        const header = rows.find((row) => row.name === 'feds/header');
+
+        assert.equal(accordion.category, 'block');
+        assert.deepEqual(Object.keys(accordion.testTypes), ['css']);
+        assert.deepEqual(accordion.missing, ['functional', 'interaction']);
+        assert.equal(header.category, 'feature');
+        assert.deepEqual(header.testTypes.functional.specs, ['nala/features/feds/header/header.spec.js']);
+        assert.ok(rows.some((row) => row.name === 'mas/acom/plans'));
+    });
+
+    it('formats the matrix as markdown, JSON and HTML', () => {
+        write(root, 'nala/studio/commerce/fries/specs/fries_analytics.spec.js', golden('spec-generator/fries_analytics.snap'));
+        const rows = scanVariantCoverage([{ value: 'fries', testTypes: ['css', 'analytics'] }], join(root, 'nala'), root);
+        const report = { generatedAt: '2026-01-01T00:00:00.000Z', testTypes: ['css', 'analytics'], elements: ['cta', 'legalLink'], rows };
+
+        const markdown = formatCoverageReport(report);
+        assert.match(markdown, /\| fries \(commerce\) \| ❌ \| ✅ cta, legalLink \|/);
+        assert.match(markdown, /- \*\*analytics\*\*: tcids 0, 1; elements cta, legalLink/);
+
+        assert.deepEqual(JSON.parse(formatCoverageReport(report, 'json')).rows[0].testTypes.analytics.elements, {
+            cta: ['0', '1'],
+            legalLink: ['0', '1'],
+        });
+
+        const html = formatCoverageReport(report, 'html');
+        assert.match(html, /^<!DOCTYPE html>/);
+        assert.match(html, /<td class="missing">missing<\/td><td class="covered" title="tcids: 0, 1/);
+        assert.throws(() => formatCoverageReport(report, 'pdf'), /Unknown coverage report format/);
+    });
+});
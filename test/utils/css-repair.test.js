@@ -0,0 +1,180 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, it } from 'node:test';
+import {
+    applyCSSRepairs,
+    getFailureBreakpoint,
+    planCSSRepairs,
+    repairPageObjectCSS,
+} from '../../src/utils/css-repair.js';
+import { classifyFailures } from '../../src/utils/failure-classifier.js';
+
+const golden = (file) => readFileSync(new URL(`../golden/${file}`, import.meta.url), 'utf-8');
+
+const BREAKPOINT_PAGE_OBJECT = golden('page-object-generator/fries_breakpoints.snap');
+
+const PAGE_OBJECT = `export default class CommerceFries {
+    constructor(page) {
+        this.page = page;
+        this.title = page.locator('h3[slot="heading-xxs"]');
+        this.legalLink = page.locator('a.legal-link');
+        this.description = page.locator('div[slot="body-s"]');
+    }
+
+    get cssProp() {
+        return {
+            title: {
+                'font-size': '18px',
+                color: "rgb(44, 44, 44)",
+            },
+            'legalLink': {
+                'font-size': '12px',
+                'text-decoration': 'underline',
+            },
+            description: {
+                'font-size': '12px',
+            },
+        };
+    }
+}
+`;
+
+describe('css repair', () => {
+    it('plans a repair per failing value, by element, then by selector', () => {
+        const { repairs, unresolved } = planCSSRepairs(PAGE_OBJECT, [
+            { property: 'color', expected: 'rgb(44, 44, 44)', actual: 'rgb(0, 0, 0)' },
+            { property: 'font-size', expected: '12px', actual: '11px', element: 'legalLink' },
+            { property: 'font-size', expected: '12px', actual: '14px', selector: 'div[slot="body-s"]' },
+        ]);
+
+        assert.deepEqual(unresolved, []);
+        assert.deepEqual(repairs.map(({ element, breakpoint, property, expected, actual, quote }) =>
+            ({ element, breakpoint, property, expected, actual, quote })), [
+            { element: 'title', breakpoint: null, property: 'color', expected: 'rgb(44, 44, 44)', actual: 'rgb(0, 0, 0)', quote: '"' },
+            { element: 'legalLink', breakpoint: null, property: 'font-size', expected: '12px', actual: '11px', quote: '\'' },
+            { element: 'description', breakpoint: null, property: 'font-size', expected: '12px', actual: '14px', quote: '\'' },
+        ]);
+    });
+
+    it('patches only the nested values it planned', () => {
+        const { repairs } = planCSSRepairs(PAGE_OBJECT, [
+            { property: 'color', expected: 'rgb(44, 44, 44)', actual: 'rgb(0, 0, 0)' },
+            { property: 'font-size', expected: '12px', actual: '11px', element: 'legalLink' },
+        ]);
+
+        assert.equal(applyCSSRepairs(PAGE_OBJECT, repairs), PAGE_OBJECT
+            .replace('color: "rgb(44, 44, 44)"', 'color: "rgb(0, 0, 0)"')
+            .replace(`'legalLink': {
+                'font-size': '12px'`, `'legalLink': {
+                'font-size': '11px'`));
+    });
+
+    it('reports mismatches it cannot attribute to one entry', () => {
+        const { repairs, unresolved } = planCSSRepairs(PAGE_OBJECT, [
+            { property: 'font-size', expected: '12px', actual: '11px' },
+            { property: 'font-size', expected: '18px', actual: '20px', element: 'eyebrow' },
+            { property: 'font-weight', expected: '700', actual: '400' },
+            { property: 'color', expected: null, actual: 'rgb(0, 0, 0)' },
+        ]);
+
+        assert.deepEqual(repairs, []);
+        assert.deepEqual(unresolved.map(({ reason }) => reason), [
+            'Ambiguous: legalLink, description all have font-size: \'12px\'',
+            'No cssProp entry has font-size: \'18px\' for eyebrow',
+            'No cssProp entry has font-weight: \'700\'',
+            'Missing property, expected or actual value',
+        ]);
+        assert.deepEqual(planCSSRepairs('export default class Empty {}', [{ property: 'color', expected: 'a', actual: 'b' }])
+            .unresolved.map(({ reason }) => reason), ['Page object has no cssProp object']);
+    });
+
+    it('leaves a page object that already has the rendered values untouched', () => {
+        const dir = mkdtempSync(join(tmpdir(), 'nala-css-repair-'));
+        const pageObjectPath = join(dir, 'fries.page.js');
+        writeFileSync(pageObjectPath, PAGE_OBJECT);
+
+        try {
+            const repaired = repairPageObjectCSS(pageObjectPath, [
+                { property: 'font-size', expected: '18px', actual: '18px', element: 'title' },
+            ]);
+            assert.equal(repaired.updated, false);
+            assert.equal(repaired.diff, '');
+
+            const rerun = repairPageObjectCSS(pageObjectPath, [
+                { property: 'font-size', expected: '20px', actual: '18px', element: 'title' },
+            ]);
+            assert.equal(rerun.updated, false);
+            assert.deepEqual(rerun.repairs, []);
+            assert.equal(readFileSync(pageObjectPath, 'utf-8'), PAGE_OBJECT);
+
+            const fixed = repairPageObjectCSS(pageObjectPath, [
+                { property: 'font-size', expected: '18px', actual: '20px', element: 'title' },
+            ], { dryRun: true, label: 'fries.page.js' });
+            assert.equal(fixed.updated, false);
+            assert.match(fixed.diff, /^--- a\/fries\.page\.js\n\+\+\+ b\/fries\.page\.js\n@@ -9,7 \+9,7 @@\n/);
+            assert.match(fixed.diff, /^-                'font-size': '18px',\n\+                'font-size': '20px',$/m);
+            assert.equal(readFileSync(pageObjectPath, 'utf-8'), PAGE_OBJECT);
+
+            assert.match(repairPageObjectCSS(join(dir, 'missing.page.js'), []).error, /Page object not found/);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('reads the breakpoint of a failing test from its tag or feature name', () => {
+        assert.equal(getFailureBreakpoint({ test: '@studio-fries-css', tags: ['@mas-studio', '@breakpoint-mobile'] }), 'mobile');
+        assert.equal(getFailureBreakpoint({ test: '@studio-fries-css-desktop-default' }), 'desktop');
+        assert.equal(getFailureBreakpoint({ test: '@studio-fries-css-fr_FR', tags: [] }), null);
+        assert.equal(getFailureBreakpoint({ test: null }), null);
+    });
+
+    it('carries the tags of the failing test into classified errors', () => {
+        const output = [
+            'CSS property font-size not met',
+            'Expected: "18px"',
+            'Received: "16px"',
+            '',
+            '  1) [mas-live-chromium] › tests/fries_css.test.js:40:5 › Fries CSS › @studio-fries-css-mobile,@mas-studio @commerce @breakpoint-mobile',
+            '',
+            '    Error: CSS validation failed',
+        ].join('\n');
+
+        const mismatch = classifyFailures(output).find((error) => error.property === 'font-size');
+
+        assert.equal(mismatch.test, '@studio-fries-css-mobile');
+        assert.deepEqual(mismatch.tags, ['@mas-studio', '@commerce', '@breakpoint-mobile']);
+        assert.equal(getFailureBreakpoint(mismatch), 'mobile');
+    });
+
+    it('patches cssPropByBreakpoint.<breakpoint> for breakpoint tests', () => {
+        const { repairs, unresolved } = planCSSRepairs(BREAKPOINT_PAGE_OBJECT, [
+            { property: 'font-size', expected: '18px', actual: '20px', element: 'title', breakpoint: 'desktop' },
+        ]);
+
+        assert.deepEqual(unresolved, []);
+        assert.deepEqual(repairs.map(({ element, breakpoint, actual }) => ({ element, breakpoint, actual })), [
+            { element: 'title', breakpoint: 'desktop', actual: '20px' },
+        ]);
+
+        const updated = applyCSSRepairs(BREAKPOINT_PAGE_OBJECT, repairs);
+        assert.match(updated, /'desktop': \{[^]*?'title': \{\s*'font-size': '20px'/);
+        assert.match(updated, /'mobile': \{[^]*?'title': \{\s*'font-size': '16px'/);
+        assert.match(updated, /this\.cssProp = \{\s*'title': \{\s*'color': 'rgb\(44, 44, 44\)'/);
+    });
+
+    it('does not fall back to cssProp when the breakpoint has no entry', () => {
+        const { repairs, unresolved } = planCSSRepairs(BREAKPOINT_PAGE_OBJECT, [
+            { property: 'color', expected: 'rgb(44, 44, 44)', actual: 'rgb(0, 0, 0)', element: 'title', breakpoint: 'mobile' },
+            { property: 'font-size', expected: '16px', actual: '14px', element: 'title', breakpoint: 'tablet' },
+        ]);
+
+        assert.deepEqual(repairs, []);
+        assert.deepEqual(unresolved.map(({ reason }) => reason), [
+            'No cssPropByBreakpoint.mobile entry has color: \'rgb(44, 44, 44)\' for title',
+            'Page object has no cssPropByBreakpoint.tablet object',
+        ]);
+    });
+});
@@ -0,0 +1,60 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createUnifiedDiff } from '../../src/utils/diff.js';
+
+const lines = (count, edit = {}) =>
+    Array.from({ length: count }, (_, index) => edit[index + 1] ?? `line ${index + 1}`).join('\n');
+
+describe('createUnifiedDiff', () => {
+    it('returns nothing for equal contents', () => {
+        assert.equal(createUnifiedDiff('same\n', 'same\n'), '');
+    });
+
+    it('shows a change with three lines of context', () => {
+        const diff = createUnifiedDiff(lines(10), lines(10, { 5: 'changed' }), { fromFile: 'a/x.js', toFile: 'b/x.js' });
+
+        assert.equal(diff, [
+            '--- a/x.js',
+            '+++ b/x.js',
+            '@@ -2,7 +2,7 @@',
+            ' line 2',
+            ' line 3',
+            ' line 4',
+            '-line 5',
+            '+changed',
+            ' line 6',
+            ' line 7',
+            ' line 8',
+            '',
+        ].join('\n'));
+    });
+
+    it('splits distant changes into hunks and joins close ones', () => {
+        const distant = createUnifiedDiff(lines(20), lines(20, { 2: 'two', 18: 'eighteen' }));
+        assert.deepEqual(distant.match(/^@@.*@@$/gm), ['@@ -1,5 +1,5 @@', '@@ -15,6 +15,6 @@']);
+
+        const close = createUnifiedDiff(lines(20), lines(20, { 5: 'five', 10: 'ten' }));
+        assert.deepEqual(close.match(/^@@.*@@$/gm), ['@@ -2,12 +2,12 @@']);
+    });
+
+    it('counts added and removed lines in the hunk header', () => {
+        assert.equal(createUnifiedDiff('', 'a\nb\n', { fromFile: '/dev/null', toFile: 'b/new.js' }), [
+            '--- /dev/null',
+            '+++ b/new.js',
+            '@@ -0,0 +1,3 @@',
+            '+a',
+            '+b',
+            '+',
+            '',
+        ].join('\n'));
+
+        assert.equal(createUnifiedDiff('a\nb\nc', 'a\nc', { context: 0 }), [
+            '--- a',
+            '+++ b',
+            '@@ -2,1 +1,0 @@',
+            '-b',
+            '',
+        ].join('\n'));
+    });
+});
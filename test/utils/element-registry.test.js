@@ -0,0 +1,73 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    createElementsSchema,
+    getElementNames,
+    getElementSelectors,
+    getElementsForTestType,
+    registerElement,
+} from '../../src/utils/element-registry.js';
+import { CardExtractor } from '../../src/generators/card-extractor.js';
+import { TestGenerator } from '../../src/generators/test-generator.js';
+import { friesConfig } from '../fixtures/card-configs.js';
+
+describe('element registry', () => {
+    it('registers the elements CardExtractor extracts', () => {
+        const names = getElementNames();
+        for (const name of ['title', 'price', 'cta', 'badge', 'trialBadge', 'smallIcons', 'image']) {
+            assert.ok(names.includes(name), `${name} is not registered`);
+        }
+        assert.deepEqual(new CardExtractor().commonSelectors, getElementSelectors());
+    });
+
+    it('lists the elements covered by a test type', () => {
+        assert.deepEqual(
+            getElementsForTestType('edit').map((element) => element.name),
+            ['title', 'eyebrow', 'description', 'icon', 'backgroundImage', 'price', 'cta'],
+        );
+    });
+
+    it('keeps extracted elements and their kind-specific fields', () => {
+        const elements = createElementsSchema().parse({
+            title: { selector: 'h3[slot="heading-xs"]' },
+            badge: { selector: 'div[slot="badge"] merch-badge', variant: 'spectrum' },
+            trialBadge: { selector: 'div[slot="trial-badge"] merch-badge' },
+            smallIcons: { selector: 'div[slot="body-s"] merch-icon[size="xs"]', size: 'xs' },
+            image: { selector: 'div[slot="image"] img' },
+            custom: { selector: '.custom', unknownField: 'dropped' },
+        });
+
+        assert.deepEqual(Object.keys(elements), ['title', 'image', 'badge', 'trialBadge', 'smallIcons', 'custom']);
+        assert.equal(elements.badge.variant, 'spectrum');
+        assert.equal(elements.smallIcons.size, 'xs');
+        assert.deepEqual(elements.custom, { selector: '.custom' });
+    });
+
+    it('rejects elements without a selector', () => {
+        const result = createElementsSchema().safeParse({ badge: { expectedText: 'Best value' } });
+        assert.equal(result.success, false);
+    });
+
+    it('uses registered elements in extractors and generators', () => {
+        registerElement('ratings', {
+            label: 'Ratings',
+            selectors: ['div[slot="ratings"]'],
+            multiple: true,
+        });
+        assert.ok(createElementsSchema().shape.ratings);
+
+        const script = new CardExtractor().generateExtractionScript('card-id', 'main');
+        assert.ok(script.includes('"name":"ratings","selectors":["div[slot=\\"ratings\\"]"]'));
+
+        const code = new TestGenerator().generateTestFile({
+            ...friesConfig,
+            elements: { ...friesConfig.elements, ratings: { selector: 'div[slot="ratings"]' } },
+        }, 'css');
+        assert.ok(code.includes('.locator(fries.ratings).first(), fries.cssProp.ratings)'));
+    });
+
+    it('rejects invalid element names', () => {
+        assert.throws(() => registerElement('legal-link', {}), /Invalid element name/);
+    });
+});
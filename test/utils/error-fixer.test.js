@@ -0,0 +1,135 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ERROR_PATTERNS } from '../../src/utils/error-fixer.js';
+import { assertGolden } from '../helpers/golden.js';
+
+const IMPORTS = `import { test } from '@playwright/test';
+import StudioPage from '../../../libs/studio-page.js';
+import WebUtil from '../../../libs/webutil.js';
+`;
+
+/**
+ * One broken test file per pattern, with the error message that triggers it
+ */
+const CASES = {
+    missingImports: {
+        error: 'Missing required import: expect',
+        content: `${IMPORTS}
+test.describe('suggested css tests', () => {
+    test(\`title\`, async ({ page }) => {
+        await expect(page.locator('h3')).toBeVisible();
+    });
+});
+`,
+    },
+    missingTestDescribe: {
+        error: 'Missing test.describe block',
+        content: `${IMPORTS}
+test(\`title\`, async ({ page }) => {
+    await page.goto('/studio.html');
+});
+`,
+    },
+    missingAsyncTest: {
+        error: 'Tests should be async for Playwright',
+        content: `${IMPORTS}
+test.describe('suggested css tests', () => {
+    test(\`title\`, ({ page }) => {
+        page.goto('/studio.html');
+    });
+});
+`,
+    },
+    syntaxErrors: {
+        error: 'Syntax error: Unexpected end of input',
+        content: `${IMPORTS}
+test.describe('suggested css tests', () => {
+    test(\`title\`, async ({ page }) => {
+        await page.goto('/studio.html');
+`,
+    },
+    missingPageObject: {
+        error: 'No page object usage detected',
+        content: `import { test, expect } from '@playwright/test';
+
+test.describe('suggested css tests', () => {
+    test.beforeEach(async () => { await setup(); });
+
+    test(\`title\`, async ({ page }) => {
+        await expect(page.locator('h3')).toBeVisible();
+    });
+});
+`,
+    },
+    elementNotFound: {
+        error: 'Element not found: h3[slot="heading-xs"]',
+        content: `${IMPORTS}
+test.describe('suggested css tests', () => {
+    test(\`title\`, async ({ page }) => {
+        const title = page.locator('h3[slot="heading-xs"]');
+        await title.click();
+    });
+});
+`,
+    },
+    timeoutError: {
+        error: 'Timeout 5000ms exceeded',
+        content: `${IMPORTS}
+test.describe('suggested css tests', () => {
+    test(\`title\`, async ({ page }) => {
+        await page.locator('h3').waitFor({ timeout: 5000 });
+    });
+});
+`,
+    },
+    missingWait: {
+        error: 'Expected element to be visible but it\'s not',
+        content: `${IMPORTS}
+test.describe('suggested css tests', () => {
+    test(\`title\`, async ({ page }) => {
+        const title = page.locator('h3');
+        await expect(title).toBeVisible();
+    });
+});
+`,
+    },
+    editorNotOpening: {
+        error: 'Editor panel not visible',
+        content: `${IMPORTS}
+test.describe('suggested edit tests', () => {
+    test(\`edit title\`, async ({ page }) => {
+        await (card).dblclick();
+    });
+});
+`,
+    },
+    priceNotLoading: {
+        error: 'Price element not found or empty',
+        content: `${IMPORTS}
+test.describe('suggested css tests', () => {
+    test(\`price\`, async ({ page }) => {
+        await expect(card.price).toBeVisible();
+    });
+});
+`,
+    },
+};
+
+describe('error-fixer ERROR_PATTERNS', () => {
+    it('has a test case for every pattern', () => {
+        assert.deepEqual(Object.keys(CASES).sort(), Object.keys(ERROR_PATTERNS).sort());
+    });
+
+    for (const [name, { error, content }] of Object.entries(CASES)) {
+        it(`${name} matches its error and fixes the file`, () => {
+            const { pattern, fix } = ERROR_PATTERNS[name];
+            const match = error.match(pattern);
+            assert.ok(match, `${name} does not match "${error}"`);
+
+            const fixed = fix(content, match, 'suggested', 'css');
+            assert.notEqual(fixed, content, `${name} left the file unchanged`);
+            assertGolden(`error-fixer/${name}`, fixed);
+        });
+    }
+});
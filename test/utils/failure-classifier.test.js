@@ -0,0 +1,143 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { classifyErrorMessage, classifyFailures } from '../../src/utils/failure-classifier.js';
+
+// List reporter output of a CSS and an edit suite, with a verifyCSS log before the summary
+const OUTPUT = `Running 3 tests using 1 worker
+
+CSS property color not found: Error: expect(locator).toHaveCSS(expected) failed
+
+Locator: locator('merch-card[id="abc"]').locator('h3[slot="heading-xs"]')
+Expected string: "rgb(44, 44, 44)"
+Received string: "rgb(0, 0, 0)"
+
+  1) [mas-live-chromium] › nala/studio/commerce/fries/tests/fries_css.test.js:20:5 › M@S Studio Commerce Fries › @studio-fries-css,@mas-studio @commerce › step-2: Validate CSS
+
+    Error: 🔍 Validation-2 (title) failed: expect(locator).toHaveCSS(expected) failed
+
+    🔍 Validation-3 (price) failed: Error: strict mode violation: locator('span.price') resolved to 2 elements
+
+  2) [mas-live-chromium] › nala/studio/commerce/fries/tests/fries_edit.test.js:41:9 › M@S Studio Commerce Fries › @studio-fries-edit-title,@mas-studio › step-3: Edit title
+
+    Error: expect(locator).toHaveText(expected) failed
+
+    Locator: locator('h3[slot="heading-xs"]')
+    Expected string: "New Title"
+    Received string: "Sample Title"
+
+        at nala/studio/commerce/fries/tests/fries_edit.test.js:55:13
+
+  3) [mas-live-chromium] › nala/studio/commerce/fries/tests/fries_edit.test.js:80:9 › M@S Studio Commerce Fries › @studio-fries-edit-price,@mas-studio
+
+    Test timeout of 30000ms exceeded.
+
+    Error: locator.click: Target page, context or browser has been closed
+    Call log:
+      - waiting for locator('div[slot="price"] > span').first()
+        at test.step('step-2: Open editor')
+
+  3 failed
+`;
+
+describe('failure classifier', () => {
+    it('attributes each failure to its test, tags, step and source line', () => {
+        const errors = classifyFailures(OUTPUT);
+
+        assert.deepEqual(errors.map(({ type, test, tags, step, file, line }) => ({ type, test, tags, step, file, line })), [
+            {
+                type: 'css-mismatch',
+                test: '@studio-fries-css',
+                tags: ['@mas-studio', '@commerce'],
+                step: 'Validation-2 (title)',
+                file: 'nala/studio/commerce/fries/tests/fries_css.test.js',
+                line: 20,
+            },
+            {
+                type: 'strict-mode-violation',
+                test: '@studio-fries-css',
+                tags: ['@mas-studio', '@commerce'],
+                step: 'Validation-3 (price)',
+                file: 'nala/studio/commerce/fries/tests/fries_css.test.js',
+                line: 20,
+            },
+            {
+                type: 'text-mismatch',
+                test: '@studio-fries-edit-title',
+                tags: ['@mas-studio'],
+                step: 'step-3: Edit title',
+                file: 'nala/studio/commerce/fries/tests/fries_edit.test.js',
+                line: 55,
+            },
+            {
+                type: 'invalid-selector',
+                test: '@studio-fries-edit-price',
+                tags: ['@mas-studio'],
+                step: 'step-2: Open editor',
+                file: 'nala/studio/commerce/fries/tests/fries_edit.test.js',
+                line: 80,
+            },
+            {
+                type: 'css-mismatch',
+                test: null,
+                tags: [],
+                step: null,
+                file: null,
+                line: null,
+            },
+        ]);
+    });
+
+    it('keeps the values and locators needed to fix each failure', () => {
+        const [title, price, text, missing, logged] = classifyFailures(OUTPUT);
+
+        assert.equal(title.element, 'title');
+        assert.deepEqual([price.selector, price.count, price.element], ['span.price', 2, 'price']);
+        assert.deepEqual([text.selector, text.expected, text.actual], ['h3[slot="heading-xs"]', 'New Title', 'Sample Title']);
+        assert.equal(missing.selector, 'div[slot="price"] > span');
+        assert.deepEqual([logged.property, logged.expected, logged.actual, logged.selector], [
+            'color', 'rgb(44, 44, 44)', 'rgb(0, 0, 0)', 'h3[slot="heading-xs"]',
+        ]);
+    });
+
+    it('gives a logged CSS mismatch the test of a single failure', () => {
+        const single = OUTPUT.slice(0, OUTPUT.indexOf('  2) '));
+        const logged = classifyFailures(single).find((error) => error.property === 'color');
+
+        assert.equal(logged.test, '@studio-fries-css');
+        assert.deepEqual(logged.tags, ['@mas-studio', '@commerce']);
+    });
+
+    it('classifies browser, navigation and sign-in errors', () => {
+        const types = [
+            'Error: locator.click: Element is not attached to the DOM',
+            'Error: page.goto: net::ERR_CONNECTION_REFUSED at http://localhost:3000/studio.html\nCall log:\n  - navigating to "http://localhost:3000/studio.html", waiting until "load"',
+            'Error: expect(page).toHaveURL failed\n  navigated to "https://auth.services.adobe.com/en_US/index.html#/"',
+            'TypeError: Cannot convert undefined or null to object',
+            'Test timeout of 30000ms exceeded.',
+            'Error: expect(received).toBe(expected)\n\nExpected: 3\nReceived: 2',
+        ].map((message) => classifyErrorMessage(message)[0]);
+
+        assert.deepEqual(types.map(({ type }) => type), [
+            'detached-element',
+            'navigation-failure',
+            'ims-auth-redirect',
+            'missing-css-properties',
+            'timeout',
+            'assertion',
+        ]);
+        assert.equal(types[1].url, 'http://localhost:3000/studio.html');
+        assert.equal(types[2].url, 'https://auth.services.adobe.com/en_US/index.html#/');
+        assert.deepEqual([types[5].expected, types[5].actual], ['3', '2']);
+    });
+
+    it('reports authentication and cleanup failures outside of tests', () => {
+        assert.deepEqual(classifyFailures('Global setup: authentication failed, please log in').map(({ type }) => type), [
+            'authentication',
+        ]);
+        assert.deepEqual(classifyFailures('Cleanup failed: card not deleted').map(({ type, test }) => [type, test]), [
+            ['cleanup', null],
+        ]);
+        assert.deepEqual(classifyFailures(''), []);
+    });
+});
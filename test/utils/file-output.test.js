@@ -0,0 +1,108 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { validatePath, writeGeneratedFile } from '../../src/utils/file-output.js';
+
+describe('writeGeneratedFile', () => {
+    let root;
+
+    beforeEach(() => {
+        root = mkdtempSync(join(tmpdir(), 'nala-output-'));
+    });
+
+    afterEach(() => {
+        rmSync(root, { recursive: true, force: true });
+    });
+
+    it('creates new files and leaves identical ones unchanged', () => {
+        const testPath = join(root, 'tests', 'fries_css.test.js');
+
+        const created = writeGeneratedFile(testPath, 'test\n', { label: 'fries_css.test.js' });
+        assert.deepEqual([created.action, created.written], ['created', true]);
+        assert.equal(created.diff, '--- /dev/null\n+++ b/fries_css.test.js\n@@ -0,0 +1,2 @@\n+test\n+\n');
+        assert.equal(readFileSync(testPath, 'utf-8'), 'test\n');
+
+        const unchanged = writeGeneratedFile(testPath, 'test\n', { conflict: 'write-alongside' });
+        assert.deepEqual([unchanged.action, unchanged.written, unchanged.diff], ['unchanged', false, '']);
+        assert.ok(!existsSync(join(root, 'tests', 'fries_css.test.generated.js')));
+    });
+
+    it('overwrites by default and skips on request', () => {
+        const specPath = join(root, 'fries_css.spec.js');
+        writeFileSync(specPath, 'old\n');
+
+        const skipped = writeGeneratedFile(specPath, 'new\n', { conflict: 'skip' });
+        assert.deepEqual([skipped.action, skipped.written], ['skipped', false]);
+        assert.match(skipped.diff, /^-old\n\+new$/m);
+        assert.equal(readFileSync(specPath, 'utf-8'), 'old\n');
+
+        const overwritten = writeGeneratedFile(specPath, 'new\n');
+        assert.deepEqual([overwritten.action, overwritten.written], ['overwritten', true]);
+        assert.equal(readFileSync(specPath, 'utf-8'), 'new\n');
+    });
+
+    it('leaves the files on disk as they are in a dry run', () => {
+        const specPath = join(root, 'fries_css.spec.js');
+        writeFileSync(specPath, 'old\n');
+
+        const overwritten = writeGeneratedFile(specPath, 'new\n', { dryRun: true, label: 'fries_css.spec.js' });
+        assert.deepEqual([overwritten.action, overwritten.written, overwritten.dryRun], ['overwritten', false, true]);
+        assert.equal(overwritten.diff, '--- a/fries_css.spec.js\n+++ b/fries_css.spec.js\n@@ -1,2 +1,2 @@\n-old\n+new\n \n');
+        assert.equal(readFileSync(specPath, 'utf-8'), 'old\n');
+
+        const alongside = writeGeneratedFile(specPath, 'new\n', { dryRun: true, conflict: 'write-alongside' });
+        assert.equal(alongside.action, 'written-alongside');
+        assert.ok(!existsSync(alongside.path));
+
+        const created = writeGeneratedFile(join(root, 'fries_edit.spec.js'), 'new\n', { dryRun: true });
+        assert.deepEqual([created.action, created.written], ['created', false]);
+        assert.ok(!existsSync(join(root, 'fries_edit.spec.js')));
+    });
+
+    it('writes specs and tests alongside instead of merging them', () => {
+        const specPath = join(root, 'fries_css.spec.js');
+        writeFileSync(specPath, 'export default { features: [] };\n');
+
+        const result = writeGeneratedFile(specPath, 'export default { features: [{}] };\n', { conflict: 'merge' });
+
+        assert.equal(result.action, 'written-alongside');
+        assert.equal(result.path, join(root, 'fries_css.spec.generated.js'));
+        assert.match(result.note, /only page objects can be merged/);
+        assert.equal(readFileSync(specPath, 'utf-8'), 'export default { features: [] };\n');
+        assert.doesNotMatch(readFileSync(result.path, 'utf-8'), /<<<<<<<|>>>>>>>/);
+    });
+
+    it('merges with the merge function of page objects', () => {
+        const pageObjectPath = join(root, 'fries.page.js');
+        writeFileSync(pageObjectPath, 'old\n');
+
+        const result = writeGeneratedFile(pageObjectPath, 'new\n', {
+            conflict: 'merge',
+            dryRun: true,
+            merge: (existing, generated) => ({ content: existing + generated, report: null }),
+        });
+
+        assert.equal(result.action, 'merged');
+        assert.equal(result.note, undefined);
+        assert.match(result.diff, /^\+new$/m);
+        assert.equal(readFileSync(pageObjectPath, 'utf-8'), 'old\n');
+        assert.ok(!existsSync(join(root, 'fries.page.generated.js')));
+    });
+});
+
+describe('validatePath', () => {
+    it('accepts paths inside the project root', () => {
+        assert.equal(validatePath('/repo/nala/report.md', '/repo'), '/repo/nala/report.md');
+        assert.equal(validatePath('/repo/nala/../report.md', '/repo/'), '/repo/report.md');
+        assert.equal(validatePath('/repo', '/repo'), '/repo');
+    });
+
+    it('rejects parents and siblings that share the root prefix', () => {
+        assert.throws(() => validatePath('/repo/../etc/passwd', '/repo'), /outside project root/);
+        assert.throws(() => validatePath('/repo-evil/report.md', '/repo'), /outside project root/);
+        assert.throws(() => validatePath('/', '/repo'), /outside project root/);
+    });
+});
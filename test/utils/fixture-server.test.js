@@ -0,0 +1,97 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { readFileSync } from 'fs';
+import {
+    getFixtureBlocks,
+    getFixtureCards,
+    renderStudioPage,
+    startFixtureServer,
+} from '../../src/utils/fixture-server.js';
+import { CardExtractor } from '../../src/generators/card-extractor.js';
+import { generateMiloSpec } from '../../src/generators/milo-generator.js';
+
+const { variants } = JSON.parse(
+    readFileSync(new URL('../../src/data/card-variants.json', import.meta.url), 'utf-8'),
+);
+
+describe('fixture pages', () => {
+    it('serves one card per variant in card-variants.json', () => {
+        const cards = getFixtureCards();
+        assert.deepEqual(
+            cards.map((card) => card.variant),
+            variants.map((variant) => variant.value),
+        );
+
+        const html = renderStudioPage();
+        for (const card of cards) {
+            assert.match(html, new RegExp(`<merch-card id="${card.id}" variant="${card.variant}"`));
+            assert.match(html, new RegExp(`<aem-fragment fragment="${card.id}">`));
+        }
+    });
+
+    it('renders the slots the extractors look for', () => {
+        const html = renderStudioPage('nala-fixture-ccd-suggested');
+        assert.equal(html.match(/<merch-card /g).length, 1);
+        assert.match(html, /<h3 slot="heading-xs">CCD Suggested<\/h3>/);
+        assert.match(html, /<h4 slot="detail-s">/);
+        assert.match(html, /<div slot="body-xs"><p>/);
+        assert.match(html, /<p slot="price"><span is="inline-price" data-template="price">/);
+        assert.match(html, /<div slot="cta"><a class="spectrum-Button/);
+        assert.match(html, /<merch-icon slot="icons"/);
+    });
+
+    it('lists a page for every Milo block at the path generated specs use', () => {
+        const blocks = getFixtureBlocks();
+        const accordion = blocks.find((block) => block.name === 'accordion');
+        assert.equal(accordion.path, '/drafts/nala/blocks/accordion/accordion');
+        assert.ok(generateMiloSpec('accordion', 'functional').includes(`path: '${accordion.path}'`));
+
+        const header = blocks.find((block) => block.name === 'header');
+        assert.equal(header.category, 'feature');
+        assert.equal(new Set(blocks.map((block) => block.path)).size, blocks.length);
+    });
+});
+
+describe('startFixtureServer', () => {
+    let server;
+
+    before(async () => {
+        server = await startFixtureServer({ port: 0 });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('serves the Studio page with the query applied', async () => {
+        const res = await fetch(`${server.url}/studio.html?query=nala-fixture-fries`);
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /text\/html/);
+
+        const html = await res.text();
+        assert.equal(html.match(/<merch-card /g).length, 1);
+        assert.match(html, /variant="fries"/);
+    });
+
+    it('serves Milo block and variant pages', async () => {
+        const page = await fetch(`${server.url}/drafts/nala/blocks/accordion/accordion?milolibs=local`);
+        assert.equal(page.status, 200);
+        assert.match(await page.text(), /<div class="accordion">/);
+
+        const variant = await fetch(`${server.url}/drafts/nala/blocks/accordion/accordion-variant.html`);
+        assert.equal(variant.status, 200);
+        assert.match(await variant.text(), /<div class="accordion dark">/);
+    });
+
+    it('returns 404 for unknown paths', async () => {
+        const res = await fetch(`${server.url}/drafts/nala/blocks/unknown/unknown`);
+        assert.equal(res.status, 404);
+        await res.text();
+    });
+
+    it('can be used as the extractor base URL', async () => {
+        const extraction = await new CardExtractor().extractFromLiveCard('nala-fixture-fries', server.url);
+        assert.equal(extraction.fullUrl, `${server.url}/studio.html#query=nala-fixture-fries`);
+    });
+});
@@ -0,0 +1,63 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { LiveCardExtractor, parseLocatorCall } from '../../src/utils/live-card-extractor.js';
+
+// Card locator that records the locator calls made on it
+function fakeCard(count = 1) {
+    const calls = [];
+    const locator = (method) => (...args) => {
+        calls.push([method, ...args]);
+        return { count: async () => count, first: () => ({ isVisible: async () => true }) };
+    };
+    return { calls, locator: locator('locator'), getByRole: locator('getByRole'), getByText: locator('getByText') };
+}
+
+describe('parseLocatorCall', () => {
+    it('reads getBy* calls with literal arguments', () => {
+        assert.deepEqual(parseLocatorCall('page.getByRole(\'heading\', { level: 3, name: "Fries", exact: true })'), {
+            method: 'getByRole',
+            args: ['heading', { level: 3, name: 'Fries', exact: true }],
+        });
+        assert.deepEqual(parseLocatorCall('page.getByLabel(\'Buy now\')'), { method: 'getByLabel', args: ['Buy now'] });
+    });
+
+    it('rejects anything else', () => {
+        for (const value of [
+            'page.evaluate(() => process.exit())',
+            'page.getByRole(\'button\'); process.exit()',
+            'page.getByRole(\'button\').click()',
+            'page.getByRole(require(\'fs\'))',
+            'page.getByRole(\'button\', { name: process.env.HOME })',
+            'page.getByText(`${process.pid}`)',
+            'page[\'getByRole\'](\'button\')',
+            'window.getByRole(\'button\')',
+            'page.getByRole(\'button\'',
+        ]) {
+            assert.throws(() => parseLocatorCall(value), /Unsupported locator/, value);
+        }
+    });
+});
+
+describe('LiveCardExtractor.checkSelector', () => {
+    const extractor = new LiveCardExtractor();
+
+    it('calls accessibility locators on the card', async () => {
+        const card = fakeCard();
+
+        const check = await extractor.checkSelector(card, 'page.getByRole(\'heading\', { level: 3 })');
+
+        assert.deepEqual(card.calls, [['getByRole', 'heading', { level: 3 }]]);
+        assert.deepEqual(check, { value: 'page.getByRole(\'heading\', { level: 3 })', count: 1, unique: true, visible: true });
+    });
+
+    it('reports locator code it does not run as an error', async () => {
+        const card = fakeCard();
+
+        const check = await extractor.checkSelector(card, 'page.evaluate(() => 1)');
+
+        assert.deepEqual(card.calls, []);
+        assert.equal(check.count, 0);
+        assert.match(check.error, /Unsupported locator/);
+    });
+});
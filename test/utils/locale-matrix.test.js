@@ -0,0 +1,81 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, it } from 'node:test';
+import {
+    buildLocaleMatrix,
+    getLocaleFeatureData,
+    getLocaleTags,
+    localizePath,
+    normalizeLocales,
+} from '../../src/utils/locale-matrix.js';
+
+describe('normalizeLocales', () => {
+    it('prefixes locale codes and serves us without a prefix', () => {
+        assert.deepEqual(normalizeLocales(['us', 'de', { code: 'ch_fr', geo: 'ch' }]), [
+            { code: 'us', prefix: '', data: {} },
+            { code: 'de', prefix: '/de', data: {} },
+            { code: 'ch_fr', prefix: '/ch_fr', geo: 'ch', data: {} },
+        ]);
+    });
+
+    it('rejects invalid and duplicate locales', () => {
+        assert.throws(() => normalizeLocales(['de', 'de']), /Duplicate locale: de/);
+        assert.throws(() => normalizeLocales(['/de']), /Invalid locale code/);
+    });
+});
+
+describe('buildLocaleMatrix', () => {
+    it('is empty without locales', () => {
+        assert.deepEqual(buildLocaleMatrix({ localeData: { de: { title: 'Pommes' } } }), []);
+    });
+
+    it('reads the expected data of each locale from a file', () => {
+        const dir = mkdtempSync(join(tmpdir(), 'nala-locales-'));
+        try {
+            const filePath = join(dir, 'locales.json');
+            writeFileSync(filePath, JSON.stringify({ jp: { price: '¥1,078/月' } }));
+
+            const [de, jp] = buildLocaleMatrix({ locales: ['de', 'jp'], localeData: filePath });
+            assert.deepEqual(de.data, {});
+            assert.deepEqual(jp.data, { price: '¥1,078/月' });
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('applies feature data over the locale-wide data', () => {
+        const [de] = buildLocaleMatrix({
+            locales: ['de'],
+            localeData: { de: { price: '17,99 €', '@studio-fries-edit-price': { price: '8,99 €' } } },
+        });
+        assert.deepEqual(getLocaleFeatureData(de, '@studio-fries-edit-title'), { price: '17,99 €' });
+        assert.deepEqual(getLocaleFeatureData(de, '@studio-fries-edit-price'), { price: '8,99 €' });
+        assert.deepEqual(getLocaleFeatureData(null, '@studio-fries-edit-price'), {});
+    });
+
+    it('reports a missing data file', () => {
+        assert.throws(
+            () => buildLocaleMatrix({ locales: ['de'], localeData: '/nala-mcp-test/missing.json' }),
+            /Locale data file not found/,
+        );
+    });
+});
+
+describe('localized paths and tags', () => {
+    it('prefixes the path of the default locale', () => {
+        const [us, de] = normalizeLocales(['us', 'de']);
+        assert.equal(localizePath('/studio.html', us), '/studio.html');
+        assert.equal(localizePath('/drafts/nala/blocks/aside/aside', de), '/de/drafts/nala/blocks/aside/aside');
+        assert.equal(localizePath('/studio.html', null), '/studio.html');
+    });
+
+    it('tags the locale and its geo', () => {
+        const [de, chFr] = normalizeLocales(['de', { code: 'ch_fr', geo: 'ch' }]);
+        assert.deepEqual(getLocaleTags(de), ['@locale-de']);
+        assert.deepEqual(getLocaleTags(chFr), ['@locale-ch_fr', '@geo-ch']);
+        assert.deepEqual(getLocaleTags(null), []);
+    });
+});
@@ -0,0 +1,74 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, it } from 'node:test';
+import {
+    proposeLocatorPromotions,
+    readLocatorTelemetry,
+    summarizeLocatorTelemetry,
+} from '../../src/utils/locator-telemetry.js';
+
+// One record of the fries title chain: primary slot selector, class and role fallbacks
+function titleRecord(matched) {
+    const [slot, cls, role] = matched;
+    return {
+        cardType: 'fries',
+        element: 'title',
+        strategies: [
+            { type: 'slot', value: 'h3[slot="heading-xxs"]', matched: slot },
+            { type: 'class', value: '.card-title', matched: cls },
+            { type: 'role', value: 'page.getByRole(\'heading\', { level: 3 })', matched: role },
+        ],
+        timestamp: '2026-10-01T00:00:00.000Z',
+    };
+}
+
+describe('readLocatorTelemetry', () => {
+    it('reads JSON lines and skips malformed ones', () => {
+        const dir = mkdtempSync(join(tmpdir(), 'nala-telemetry-'));
+        try {
+            const file = join(dir, 'locator-telemetry.jsonl');
+            writeFileSync(file, `${JSON.stringify(titleRecord([true, true, true]))}\n{"truncated\n{"element":"x"}\n`);
+            assert.equal(readLocatorTelemetry(file).length, 1);
+            assert.deepEqual(readLocatorTelemetry(join(dir, 'missing.jsonl')), []);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('proposeLocatorPromotions', () => {
+    const propose = (records, options) => proposeLocatorPromotions(summarizeLocatorTelemetry(records), options);
+
+    it('promotes the best fallback of a dead primary and removes dead strategies', () => {
+        const [proposal] = propose([
+            titleRecord([false, false, true]),
+            titleRecord([false, true, true]),
+            titleRecord([false, false, true]),
+        ]);
+
+        assert.equal(proposal.action, 'promote');
+        assert.equal(proposal.runs, 3);
+        assert.deepEqual(proposal.proposed.map(({ value, matches }) => [value, matches]), [
+            ['page.getByRole(\'heading\', { level: 3 })', 3],
+            ['.card-title', 1],
+        ]);
+        assert.deepEqual(proposal.removed.map(({ value }) => value), ['h3[slot="heading-xxs"]']);
+    });
+
+    it('removes dead fallbacks of a working primary', () => {
+        const [proposal] = propose(Array(3).fill(titleRecord([true, false, true])));
+
+        assert.equal(proposal.action, 'remove');
+        assert.deepEqual(proposal.proposed.map(({ value }) => value), ['h3[slot="heading-xxs"]', 'page.getByRole(\'heading\', { level: 3 })']);
+    });
+
+    it('waits for enough runs and flags chains that never match', () => {
+        assert.equal(propose([titleRecord([false, true, true])])[0].action, 'insufficient-data');
+        assert.equal(propose([titleRecord([false, true, true])], { minRuns: 1 })[0].action, 'promote');
+        assert.equal(propose(Array(3).fill(titleRecord([false, false, false])))[0].action, 'unmatched');
+        assert.equal(propose(Array(3).fill(titleRecord([true, true, true])))[0].action, 'keep');
+    });
+});
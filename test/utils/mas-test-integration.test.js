@@ -0,0 +1,57 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    getCardClassName,
+    getCardNaming,
+    getDefaultTags,
+    getFeatureName,
+    getVariantAttribute,
+} from '../../src/utils/mas-test-integration.js';
+import { SpecGenerator } from '../../src/generators/spec-generator.js';
+import { TestGenerator } from '../../src/generators/test-generator.js';
+import { suggestedConfig } from '../fixtures/card-configs.js';
+
+describe('card naming from the variant registry', () => {
+    it('derives the variant attribute from the surface', () => {
+        assert.equal(getVariantAttribute('suggested'), 'ccd-suggested');
+        assert.equal(getVariantAttribute('ccd-slice'), 'ccd-slice');
+        assert.equal(getVariantAttribute('try-buy-widget'), 'ah-try-buy-widget');
+        assert.equal(getVariantAttribute('ah-try-buy-widget'), 'ah-try-buy-widget');
+        assert.equal(getVariantAttribute('plans'), 'plans');
+        assert.equal(getVariantAttribute('fries'), 'fries');
+    });
+
+    it('derives feature names and tags from surface and label', () => {
+        assert.equal(getFeatureName('suggested'), 'M@S Studio CCD Suggested');
+        assert.equal(getFeatureName('plans-students'), 'M@S Studio ACOM Plans Students');
+        assert.equal(getFeatureName('ah-try-buy-widget'), 'M@S Studio AH Try Buy Widget');
+
+        assert.equal(getDefaultTags('suggested', 'css'), '@mas-studio @ccd @ccd-suggested @ccd-suggested-css @ccd-css');
+        assert.equal(getDefaultTags('ah-try-buy-widget', 'edit'), '@mas-studio @ahome @ahome-try-buy-widget @ahome-try-buy-widget-edit');
+        assert.equal(getCardNaming('fries').tag, 'commerce');
+    });
+
+    it('derives class names from the surface prefix', () => {
+        assert.equal(getCardClassName('suggested'), 'CCDSuggested');
+        assert.equal(getCardClassName('ccd-slice'), 'CCDSlice');
+        assert.equal(getCardClassName('fries'), 'COMFries');
+        assert.equal(getCardClassName('plans-students'), 'ACOMPlansStudents');
+        assert.equal(getCardClassName('ah-try-buy-widget'), 'AHTryBuyWidget');
+    });
+
+    it('is used by the spec and test generators', () => {
+        const config = { ...suggestedConfig, cardType: 'ah-try-buy-widget' };
+
+        const spec = new SpecGenerator().generateSpecFile(config, 'edit');
+        assert.match(spec, /FeatureName: 'M@S Studio AH Try Buy Widget'/);
+        assert.match(spec, /tags: '@mas-studio @ahome @ahome-try-buy-widget @ahome-try-buy-widget-edit'/);
+        assert.doesNotMatch(spec, /@ccd/);
+
+        const code = new TestGenerator().generateTestFile(config, 'edit');
+        assert.match(code, /^import AHTryBuyWidgetSpec from '\.\.\/specs\/ah-try-buy-widget_edit\.spec\.js';$/m);
+        assert.match(code, /test\.describe\('M@S Studio AH Try Buy Widget card test suite'/);
+        assert.match(code, /'variant',\n {16}'ah-try-buy-widget',/);
+        assert.doesNotMatch(code, /ccd-/);
+    });
+});
@@ -0,0 +1,132 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, it } from 'node:test';
+import { formatMergeReport, mergePageObject } from '../../src/utils/page-object-merge.js';
+import { writeGeneratedFile } from '../../src/utils/file-output.js';
+
+const generate = ({ titleSelector = 'h3[slot="heading-xxs"]', withPrice = true, titleSize = '18px', mobileSize = '16px' } = {}) => `export default class CommerceFries {
+    constructor(page) {
+        this.page = page;
+        this.title = page.locator('${titleSelector}');
+${withPrice ? '        this.price = page.locator(\'span[is="inline-price"]\');\n' : ''}    }
+
+    get cssProp() {
+        return {
+            'title': {
+                'font-size': '${titleSize}',
+            },
+${withPrice ? `            'price': {
+                'font-size': '14px',
+            },
+` : ''}        };
+    }
+
+    get cssPropByBreakpoint() {
+        return {
+            'mobile': {
+                'title': {
+                    'font-size': '${mobileSize}',
+                },
+            },
+        };
+    }
+}
+`;
+
+// A merged page object after the user added a locator, a method and cssProp entries
+function customize(content) {
+    return content
+        .replace('        this.title =', '        // Hand-written\n        this.badge = page.locator(\'.badge\');\n        this.title =')
+        .replace('    get cssProp() {', '    async openBadge() {\n        await this.badge.click();\n    }\n\n    get cssProp() {')
+        .replace('            \'title\': {\n                \'font-size\'', '            \'badge\': {\n                \'color\': \'red\',\n            },\n            \'title\': {\n                \'font-size\'')
+        .replace('            \'mobile\': {', '            \'tablet\': {\n                \'title\': {\n                    \'font-size\': \'17px\',\n                },\n            },\n            \'mobile\': {');
+}
+
+describe('mergePageObject', () => {
+    it('marks every generated member as owned for a new file', () => {
+        const owned = ['page', 'title', 'price', 'cssProp', 'cssPropByBreakpoint', 'cssProp.title', 'cssProp.price', 'cssPropByBreakpoint.mobile'];
+        const { content, report } = mergePageObject('', generate());
+
+        assert.equal(content, `// nala-mcp:generated-members ${owned.join(', ')}\n${generate()}`);
+        assert.deepEqual(report, { added: owned, changed: [], removed: [], preserved: [] });
+    });
+
+    it('keeps members the user added', () => {
+        const existing = customize(mergePageObject('', generate()).content);
+        const { content, report } = mergePageObject(existing, generate());
+
+        assert.equal(content, existing);
+        assert.deepEqual(report, {
+            added: [],
+            changed: [],
+            removed: [],
+            preserved: ['badge', 'openBadge', 'cssProp.badge', 'cssPropByBreakpoint.tablet'],
+        });
+    });
+
+    it('updates changed selectors and values in place', () => {
+        const existing = customize(mergePageObject('', generate()).content);
+        const { content, report } = mergePageObject(existing, generate({ titleSelector: 'h3.title', titleSize: '20px', mobileSize: '15px' }));
+
+        assert.equal(content, existing
+            .replace('page.locator(\'h3[slot="heading-xxs"]\')', 'page.locator(\'h3.title\')')
+            .replace('\'font-size\': \'18px\'', '\'font-size\': \'20px\'')
+            .replace('\'font-size\': \'16px\'', '\'font-size\': \'15px\''));
+        assert.deepEqual(report.changed, ['title', 'cssProp.title', 'cssPropByBreakpoint.mobile']);
+        assert.deepEqual(report.added, []);
+        assert.deepEqual(report.removed, []);
+    });
+
+    it('removes members the generator no longer produces, but only its own', () => {
+        const existing = customize(mergePageObject('', generate()).content);
+        const { content, report } = mergePageObject(existing, generate({ withPrice: false }));
+
+        assert.deepEqual(report.removed, ['price', 'cssProp.price']);
+        assert.equal(content, existing
+            .replace(', price, cssProp, cssPropByBreakpoint, cssProp.title, cssProp.price,', ', cssProp, cssPropByBreakpoint, cssProp.title,')
+            .replace('        this.price = page.locator(\'span[is="inline-price"]\');\n', '')
+            .replace('            \'price\': {\n                \'font-size\': \'14px\',\n            },\n', ''));
+        assert.match(content, /this\.badge = page\.locator\('\.badge'\)/);
+        assert.match(content, /'badge': \{\n\s+'color': 'red'/);
+
+        // Without a manifest nothing is known to be generated, so nothing is removed
+        const { report: unowned } = mergePageObject(existing.replace(/^.*\n/, ''), generate({ withPrice: false }));
+        assert.deepEqual(unowned.removed, []);
+        assert.deepEqual(unowned.preserved, ['badge', 'price', 'openBadge', 'cssProp.badge', 'cssProp.price', 'cssPropByBreakpoint.tablet']);
+    });
+
+    it('adds new members after the generated member before them', () => {
+        const existing = customize(mergePageObject('', generate({ withPrice: false })).content);
+        const { content, report } = mergePageObject(existing, generate());
+
+        assert.deepEqual(report.added, ['price', 'cssProp.price']);
+        assert.match(content, /this\.title = page\.locator\('h3\[slot="heading-xxs"\]'\);\n {8}this\.price = /);
+        assert.match(content, /'title': \{\n {16}'font-size': '18px',\n {12}\},\n {12}'price': \{\n {16}'font-size': '14px',\n {12}\},\n {8}\};/);
+        assert.equal(formatMergeReport(report), [
+            '- **Added**: `price`, `cssProp.price`\n',
+            '- **Preserved (hand-written)**: `badge`, `openBadge`, `cssProp.badge`, `cssPropByBreakpoint.tablet`\n',
+        ].join(''));
+    });
+
+    it('falls back to conflict markers when the page object does not parse', () => {
+        const dir = mkdtempSync(join(tmpdir(), 'nala-merge-'));
+        const pageObjectPath = join(dir, 'fries.page.js');
+        writeFileSync(pageObjectPath, 'export default class CommerceFries {\n');
+
+        try {
+            assert.throws(() => mergePageObject('export default class CommerceFries {\n', generate()));
+            assert.throws(() => mergePageObject('export const fries = {};\n', generate()), /No class declaration found/);
+
+            const result = writeGeneratedFile(pageObjectPath, generate(), { conflict: 'merge', merge: mergePageObject });
+            assert.equal(result.action, 'merged');
+            assert.ok(result.mergeError);
+            assert.ok(result.conflicts > 0);
+            assert.match(readFileSync(pageObjectPath, 'utf-8'), /^<<<<<<< /m);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,161 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    analyzeErrorMessage,
+    extractCSSMismatches,
+    formatReportMarkdown,
+    getReportFailures,
+    parsePlaywrightReport,
+} from '../../src/utils/playwright-report.js';
+
+const TO_HAVE_CSS = `Error: expect(locator).toHaveCSS(expected) failed
+
+Locator: locator('merch-card').locator('h3[slot="heading-xs"]')
+Expected string: "rgb(44, 44, 44)"
+Received string: "rgb(0, 0, 0)"`;
+
+// `playwright test --reporter=json` output of a CSS suite: a failing, a passing and a flaky test
+const REPORT = {
+    suites: [{
+        file: 'fries_css.test.js',
+        suites: [{
+            title: 'M@S Studio Commerce Fries',
+            specs: [
+                {
+                    title: '@studio-fries-css,@mas-studio @commerce',
+                    line: 9,
+                    tests: [{
+                        projectName: 'mas-live-chromium',
+                        status: 'unexpected',
+                        results: [{
+                            status: 'failed',
+                            duration: 1200,
+                            retry: 0,
+                            error: { message: '\u001b[31mError: 🔍 Validation-2 (title) failed: expect(locator).toHaveCSS(expected) failed\u001b[39m' },
+                            stdout: [{ text: `CSS property color not found: ${TO_HAVE_CSS}\n` }],
+                            steps: [
+                                { title: 'step-1: Go to test page', duration: 300 },
+                                {
+                                    title: 'step-2: Validate CSS',
+                                    duration: 800,
+                                    error: { message: 'Error: Validation failed' },
+                                    steps: [
+                                        { title: 'Validation-1: title font', duration: 10 },
+                                        { title: 'Validation-2: title color', duration: 20, error: { message: TO_HAVE_CSS } },
+                                    ],
+                                },
+                            ],
+                        }],
+                    }],
+                },
+                {
+                    title: '@studio-fries-css-mobile,@mas-studio @breakpoint-mobile',
+                    line: 30,
+                    tests: [{ projectName: 'mas-live-chromium', status: 'expected', results: [{ status: 'passed', duration: 900, retry: 0, steps: [] }] }],
+                },
+                {
+                    title: '@studio-fries-css-tablet,@mas-studio',
+                    line: 50,
+                    tests: [{ projectName: 'mas-live-chromium', status: 'flaky', results: [{ status: 'passed', duration: 700, retry: 1 }] }],
+                },
+            ],
+        }],
+    }],
+    errors: [{ message: 'Error: Cannot find module fries.page.js' }],
+    stats: { duration: 2900 },
+};
+
+const FEATURES = [{ name: '@studio-fries-css', tcid: 0 }, { name: '@studio-fries-css-mobile', tcid: '1' }];
+
+describe('playwright report', () => {
+    it('reads locator and expected/received values out of an error message', () => {
+        assert.deepEqual(analyzeErrorMessage(`\u001b[31m${TO_HAVE_CSS}\u001b[39m`), {
+            error: 'Error: expect(locator).toHaveCSS(expected) failed',
+            locator: 'locator(\'merch-card\').locator(\'h3[slot="heading-xs"]\')',
+            selector: 'h3[slot="heading-xs"]',
+            expected: 'rgb(44, 44, 44)',
+            received: 'rgb(0, 0, 0)',
+        });
+        assert.equal(analyzeErrorMessage('').error, null);
+    });
+
+    it('extracts logged and thrown CSS mismatches', () => {
+        const logged = extractCSSMismatches(`CSS property color not found: ${TO_HAVE_CSS}\nCSS property font-size not found: ${TO_HAVE_CSS}`);
+        const thrown = extractCSSMismatches('Error: expect(locator).toHaveCSS(\'font-size\', \'16px\') failed\nExpected string: "16px"\nReceived string: "14px"');
+
+        assert.deepEqual(logged.map(({ property, expected, received }) => [property, expected, received]), [
+            ['color', 'rgb(44, 44, 44)', 'rgb(0, 0, 0)'],
+            ['font-size', 'rgb(44, 44, 44)', 'rgb(0, 0, 0)'],
+        ]);
+        assert.deepEqual(thrown.map(({ property, expected, received }) => [property, expected, received]), [
+            ['font-size', '16px', '14px'],
+        ]);
+        assert.deepEqual(extractCSSMismatches('Error: expect(locator).toBeVisible() failed'), []);
+    });
+
+    it('parses the JSON report after other log lines', () => {
+        const report = parsePlaywrightReport(`Logging in...\n${JSON.stringify(REPORT, null, 2)}\n`, { features: FEATURES });
+
+        assert.deepEqual(report.stats, { total: 3, passed: 1, failed: 1, flaky: 1, skipped: 0, duration: 2900 });
+        assert.deepEqual(report.tests.map(({ name, tags, tcid, line, status, outcome }) => ({ name, tags, tcid, line, status, outcome })), [
+            { name: '@studio-fries-css', tags: ['@mas-studio', '@commerce'], tcid: '0', line: 9, status: 'failed', outcome: 'unexpected' },
+            { name: '@studio-fries-css-mobile', tags: ['@mas-studio', '@breakpoint-mobile'], tcid: '1', line: 30, status: 'passed', outcome: 'expected' },
+            { name: '@studio-fries-css-tablet', tags: ['@mas-studio'], tcid: null, line: 50, status: 'passed', outcome: 'flaky' },
+        ]);
+        assert.deepEqual(report.errors, ['Error: Cannot find module fries.page.js']);
+        assert.equal(parsePlaywrightReport('Running 3 tests using 1 worker'), null);
+    });
+
+    it('keeps the failing validation step as the root cause and labels its CSS mismatch', () => {
+        const [failed] = parsePlaywrightReport(JSON.stringify(REPORT)).tests;
+
+        assert.equal(failed.error, 'Error: 🔍 Validation-2 (title) failed: expect(locator).toHaveCSS(expected) failed');
+        assert.deepEqual(failed.steps.map(({ path, status }) => [path, status]), [
+            ['step-1: Go to test page', 'passed'],
+            ['step-2: Validate CSS', 'failed'],
+            ['step-2: Validate CSS > Validation-1: title font', 'passed'],
+            ['step-2: Validate CSS > Validation-2: title color', 'failed'],
+        ]);
+        assert.deepEqual(failed.failedSteps.map(({ validation, selector }) => [validation, selector]), [
+            ['Validation-2', 'h3[slot="heading-xs"]'],
+        ]);
+        assert.deepEqual(failed.cssMismatches, [{
+            property: 'color',
+            expected: 'rgb(44, 44, 44)',
+            received: 'rgb(0, 0, 0)',
+            locator: 'locator(\'merch-card\').locator(\'h3[slot="heading-xs"]\')',
+            validation: 'Validation-2',
+            element: 'title',
+        }]);
+    });
+
+    it('lists a failure per failing step and per error outside tests', () => {
+        const failures = getReportFailures(parsePlaywrightReport(JSON.stringify(REPORT), { features: FEATURES }));
+
+        assert.deepEqual(failures.map(({ test, tcid, step, expected, received, cssMismatches }) =>
+            ({ test, tcid, step, expected, received, cssMismatches: cssMismatches.length })), [
+            {
+                test: '@studio-fries-css',
+                tcid: '0',
+                step: 'step-2: Validate CSS > Validation-2: title color',
+                expected: 'rgb(44, 44, 44)',
+                received: 'rgb(0, 0, 0)',
+                cssMismatches: 1,
+            },
+            { test: null, tcid: null, step: null, expected: undefined, received: undefined, cssMismatches: 0 },
+        ]);
+        assert.deepEqual(getReportFailures(null), []);
+    });
+
+    it('formats the report as markdown', () => {
+        const markdown = formatReportMarkdown(parsePlaywrightReport(JSON.stringify(REPORT), { features: FEATURES }));
+
+        assert.match(markdown, /^\*\*Tests\*\*: 1 passed, 1 failed, 1 flaky, 0 skipped \(2900ms\)/);
+        assert.match(markdown, /^\| 0 \| @studio-fries-css \| ❌ failed \| 1200ms \|$/m);
+        assert.match(markdown, /^### ❌ @studio-fries-css \(tcid 0\)$/m);
+        assert.match(markdown, /^### ⚠️ @studio-fries-css-tablet$/m);
+        assert.match(markdown, /^\| Validation-2 \(title\) \| color \| rgb\(44, 44, 44\) \| rgb\(0, 0, 0\) \|/m);
+        assert.match(markdown, /\*\*Errors outside tests\*\*:\n- Error: Cannot find module fries\.page\.js/);
+    });
+});
@@ -0,0 +1,107 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import {
+    getTemplatedElements,
+    loadTestTemplate,
+    renderTestTemplate,
+    setTemplateOverrideDir,
+} from '../../src/utils/test-templates.js';
+import { getElementsForTestType, registerElement } from '../../src/utils/element-registry.js';
+import { TestGenerator } from '../../src/generators/test-generator.js';
+import { SpecGenerator } from '../../src/generators/spec-generator.js';
+import { assertParses } from '../helpers/golden.js';
+import { suggestedConfig } from '../fixtures/card-configs.js';
+
+const vars = { cardType: 'suggested', cardVariable: 'suggested', variantAttribute: 'ccd-suggested', featureIndex: 0 };
+
+describe('built-in test templates', () => {
+    for (const testType of ['edit', 'save', 'discard']) {
+        it(`covers every ${testType} element in the registry`, () => {
+            for (const { name } of getElementsForTestType(testType)) {
+                const { meta, steps } = loadTestTemplate(testType, name);
+                assert.ok(meta.feature, `${testType}/${name} has no feature`);
+                assert.equal(steps[0].id, 'open-page');
+                assert.ok(renderTestTemplate(testType, name, vars).steps.length >= 4);
+            }
+        });
+    }
+
+    it('expands partials at the include indentation', () => {
+        const { steps } = renderTestTemplate('save', 'title', vars);
+        const save = steps.find((step) => step.id === 'edit-and-save');
+        assert.match(save.body, /\n {12}await studio\.saveCard\(\);\n/);
+        assert.doesNotMatch(save.body, /\{\{/);
+    });
+});
+
+describe('template overrides', () => {
+    let dir;
+
+    const write = (relativePath, source) => {
+        mkdirSync(dirname(join(dir, relativePath)), { recursive: true });
+        writeFileSync(join(dir, relativePath), source);
+    };
+
+    before(() => {
+        dir = mkdtempSync(join(tmpdir(), 'nala-templates-'));
+    });
+
+    afterEach(() => {
+        setTemplateOverrideDir(null);
+    });
+
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('applies an overridden partial to every test that uses it', () => {
+        write('partials/open-editor.tpl', 'await studio.openEditor(data.cardid);\n');
+        setTemplateOverrideDir(dir);
+
+        const edit = new TestGenerator().generateTestFile(suggestedConfig, 'edit');
+        assertParses(edit);
+        assert.equal(edit.match(/await studio\.openEditor\(data\.cardid\);/g).length, 7);
+        assert.doesNotMatch(new TestGenerator().generateTestFile(suggestedConfig, 'save'), /openEditor/);
+    });
+
+    it('adds tests for a project element from its template', () => {
+        registerElement('ratings', { testTypes: ['css', 'edit'], selectors: ['div[slot="ratings"]'] });
+        write('edit/ratings.tpl', [
+            '---',
+            '{ "feature": "ratings", "description": "Validate edit ratings", "data": { "rating": "4.5" } }',
+            '---',
+            '',
+            '## open-page: Go to MAS Studio test page',
+            '{{> open-page}}',
+            '',
+            '## edit: Edit ratings on {{cardType}}',
+            'await editor.ratings.fill(data.rating);',
+            '',
+        ].join('\n'));
+        setTemplateOverrideDir(dir);
+
+        const config = { ...suggestedConfig, elements: { ...suggestedConfig.elements, ratings: { selector: '.ratings' } } };
+        assert.equal(getTemplatedElements('edit', config.elements).at(-1), 'ratings');
+
+        const code = new TestGenerator().generateTestFile(config, 'edit');
+        assertParses(code);
+        assert.match(code, /\/\/ @studio-suggested-edit-ratings - Validate edit ratings\n.*features\[7\]/);
+        assert.match(code, /step-2: Edit ratings on suggested/);
+
+        const spec = new SpecGenerator().generateSpecFile(config, 'edit');
+        assert.match(spec, /tcid: '7',\n {12}name: '@studio-suggested-edit-ratings',[\s\S]*rating: '4\.5',/);
+    });
+
+    it('reports unknown variables and partials', () => {
+        write('discard/title.tpl', '---\n{ "feature": "edited-title" }\n---\n## edit: Edit\n{{newTitle}}\n');
+        write('discard/eyebrow.tpl', '---\n{ "feature": "edited-eyebrow" }\n---\n## edit: Edit\n{{> missing}}\n');
+        setTemplateOverrideDir(dir);
+
+        assert.throws(() => renderTestTemplate('discard', 'title', vars), /Unknown template variable: \{\{newTitle\}\}/);
+        assert.throws(() => renderTestTemplate('discard', 'eyebrow', vars), /Unknown template partial: missing/);
+    });
+});
@@ -0,0 +1,162 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import {
+    detectProjectType,
+    findFeaturesArray,
+    formatDiagnostic,
+    parseModule,
+    toLiteral,
+    validateTestSource,
+} from '../../src/utils/test-validator.js';
+
+const SPEC = `export default {
+    features: [
+        { tcid: '0', name: '@studio-fries-css' },
+        { tcid: '1', name: '@studio-fries-css-mobile' },
+    ],
+};
+`;
+
+const MAS_TEST = `import { expect, test } from '@playwright/test';
+import { studio } from '../../../../libs/mas-test.js';
+import FriesSpec from '../specs/fries_css.spec.js';
+
+const { features } = FriesSpec;
+
+test.describe('Fries CSS', () => {
+    test(\`\${features[0].name}\`, async () => {
+        await studio.open();
+        expect(features[1]).toBeTruthy();
+    });
+});
+`;
+
+function write(root, path, content) {
+    mkdirSync(dirname(join(root, path)), { recursive: true });
+    writeFileSync(join(root, path), content);
+}
+
+const rulesOf = ({ diagnostics }) => diagnostics.map(({ severity, rule, line }) => [severity, rule, line]);
+
+describe('validateTestSource', () => {
+    let root;
+    let testPath;
+
+    beforeEach(() => {
+        root = mkdtempSync(join(tmpdir(), 'nala-validator-'));
+        write(root, 'nala/libs/mas-test.js', 'export const studio = {};\n');
+        write(root, 'nala/studio/commerce/fries/specs/fries_css.spec.js', SPEC);
+        testPath = join(root, 'nala/studio/commerce/fries/tests/fries_css.test.js');
+    });
+
+    afterEach(() => {
+        rmSync(root, { recursive: true, force: true });
+    });
+
+    it('accepts a MAS test and only warns about the missing beforeEach', () => {
+        const result = validateTestSource(MAS_TEST, { filePath: testPath });
+
+        assert.equal(result.projectType, 'mas');
+        assert.deepEqual(rulesOf(result), [['warning', 'structure', null]]);
+    });
+
+    it('reports syntax errors with their location', () => {
+        const { diagnostics } = validateTestSource('test.describe(\'x\', () => {\n  test(\n', { filePath: testPath });
+
+        assert.equal(diagnostics.length, 1);
+        assert.equal(diagnostics[0].rule, 'syntax');
+        assert.equal(diagnostics[0].line, 3);
+        assert.doesNotMatch(diagnostics[0].message, /\(\d+:\d+\)$/);
+    });
+
+    it('reports unresolved imports and names the import does not export', () => {
+        const content = MAS_TEST
+            .replace('import { studio }', 'import { studio, editor }')
+            .replace('../specs/fries_css.spec.js', '../specs/fries_edit.spec.js');
+        const { diagnostics } = validateTestSource(content, { filePath: testPath });
+
+        assert.deepEqual(diagnostics.filter(({ severity }) => severity === 'error').map(({ rule, message, line }) => [rule, message, line]), [
+            ['missing-export', 'Imported name \'editor\' is not exported by \'../../../../libs/mas-test.js\'', 2],
+            ['unresolved-import', `Unresolved import: '../specs/fries_edit.spec.js' (${join(root, 'nala/studio/commerce/fries/specs/fries_edit.spec.js')} does not exist)`, 3],
+        ]);
+        assert.ok(diagnostics.some(({ rule }) => rule === 'features'));
+    });
+
+    it('reports feature indexes the imported spec does not define', () => {
+        const { diagnostics } = validateTestSource(MAS_TEST.replace('features[1]', 'features[2]'), { filePath: testPath });
+        const features = diagnostics.filter(({ rule }) => rule === 'features');
+
+        assert.equal(features.length, 1);
+        assert.equal(formatDiagnostic(features[0]), 'line 10:16 - features[2] does not exist in spec (spec defines 2 features)');
+    });
+
+    it('checks required imports, page objects, async tests and structure', () => {
+        const content = `import { test } from '@playwright/test';
+
+test('sync', () => {});
+`;
+        const { diagnostics } = validateTestSource(content, { filePath: testPath });
+
+        assert.deepEqual(rulesOf({ diagnostics }), [
+            ['error', 'required-import', null],
+            ['warning', 'page-object', null],
+            ['warning', 'async-test', 3],
+            ['error', 'structure', null],
+            ['warning', 'structure', null],
+        ]);
+        assert.equal(formatDiagnostic(diagnostics[0]), 'Missing required import: expect');
+    });
+
+    it('applies the Milo rule set to blocks and features', () => {
+        write(root, 'nala/blocks/accordion/accordion.page.js', 'export default class Accordion {}\n');
+        write(root, 'nala/blocks/accordion/accordion.spec.js', SPEC);
+        const content = `import { expect, test } from '@playwright/test';
+import AccordionBlock from './accordion.page.js';
+import { features } from './accordion.spec.js';
+
+test.describe('Accordion', () => {
+    test(features[0].name, async () => {
+        expect(AccordionBlock).toBeTruthy();
+    });
+});
+`;
+        const filePath = join(root, 'nala/blocks/accordion/accordion.test.js');
+        const result = validateTestSource(content, { filePath });
+
+        assert.equal(result.projectType, 'milo');
+        assert.deepEqual(result.diagnostics.map(formatDiagnostic), [
+            'line 3:10 - Imported name \'features\' is not exported by \'./accordion.spec.js\'',
+            'Missing required import: WebUtil',
+            'Missing test.beforeEach setup',
+        ]);
+        assert.equal(validateTestSource(content, { filePath, projectType: 'mas' }).projectType, 'mas');
+    });
+});
+
+describe('test validator helpers', () => {
+    it('detects the project type from the test path', () => {
+        assert.equal(detectProjectType('/repo/nala/studio/ccd/slice/tests/slice_css.test.js'), 'mas');
+        assert.equal(detectProjectType('/repo/nala/blocks/accordion/accordion.test.js'), 'milo');
+        assert.equal(detectProjectType('/repo/nala/features/feds/header/header.test.js'), 'milo');
+    });
+
+    it('finds the features array in every supported spec shape', () => {
+        const tcids = (content) => toLiteral(findFeaturesArray(parseModule(content))).map(({ tcid }) => tcid);
+
+        assert.deepEqual(tcids(SPEC), ['0', '1']);
+        assert.deepEqual(tcids('const spec = { \'features\': [{ tcid: \'0\' }] };\nexport default spec;'), ['0']);
+        assert.deepEqual(tcids('export const features = [{ tcid: 1 }];'), [1]);
+        assert.deepEqual(tcids('module.exports = { features: [{ tcid: \'2\' }] };'), ['2']);
+        assert.equal(findFeaturesArray(parseModule('export default { features: getFeatures() };')), null);
+    });
+
+    it('reads literal values and skips what needs the module to run', () => {
+        const [statement] = parseModule('({ a: -1, b: `x`, c: [true, null, y], d: `${y}`, [e]: 1, f: { g: \'h\' } });').body;
+
+        assert.deepEqual(toLiteral(statement.expression), { a: -1, b: 'x', c: [true, null], f: { g: 'h' } });
+    });
+});
@@ -0,0 +1,102 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { detectVariantDrift, scanTestSuites } from '../../src/utils/variant-drift.js';
+
+const TEST_TYPES = ['css', 'functional', 'edit'];
+
+// Lay out a MAS card directory with a spec per test type
+function writeSuite(root, surface, cardType, testTypes) {
+    const specsDir = join(root, 'studio', surface, cardType, 'specs');
+    mkdirSync(specsDir, { recursive: true });
+    for (const testType of testTypes) {
+        writeFileSync(join(specsDir, `${cardType}_${testType}.spec.js`), '');
+    }
+}
+
+describe('variant drift', () => {
+    let root;
+
+    beforeEach(() => {
+        root = mkdtempSync(join(tmpdir(), 'nala-drift-'));
+    });
+
+    afterEach(() => {
+        rmSync(root, { recursive: true, force: true });
+    });
+
+    it('lists the suites with the test types of their specs', () => {
+        writeSuite(root, 'commerce', 'fries', ['functional', 'css']);
+        mkdirSync(join(root, 'studio', 'ccd', 'slice'), { recursive: true });
+        writeFileSync(join(root, 'studio', 'commerce', 'fries', 'specs', 'fries.page.js'), '');
+
+        assert.deepEqual(scanTestSuites(root).map(({ surface, cardType, testTypes }) => ({ surface, cardType, testTypes })), [
+            { surface: 'ccd', cardType: 'slice', testTypes: [] },
+            { surface: 'commerce', cardType: 'fries', testTypes: ['css', 'functional'] },
+        ]);
+        assert.deepEqual(scanTestSuites(join(root, 'missing')), []);
+    });
+
+    it('reports orphaned suites, untested variants, surface mismatches and missing test types', () => {
+        writeSuite(root, 'commerce', 'fries', TEST_TYPES);
+        writeSuite(root, 'ccd', 'suggested', ['css']);
+        writeSuite(root, 'acom', 'plans', TEST_TYPES);
+        writeSuite(root, 'acom', 'mini-plans', TEST_TYPES);
+
+        const variants = [
+            { value: 'fries', testTypes: TEST_TYPES },
+            { value: 'ccd-suggested', testTypes: TEST_TYPES },
+            { value: 'suggested', testTypes: TEST_TYPES },
+            { value: 'catalog', testTypes: TEST_TYPES },
+            { value: 'fries-express', surface: 'express', testTypes: TEST_TYPES },
+        ];
+        const report = detectVariantDrift(variants, scanTestSuites(root));
+
+        assert.deepEqual(report.orphaned.map(({ cardType, reason }) => [cardType, reason]), [
+            ['mini-plans', 'variant is not registered'],
+            ['plans', 'variant is not registered'],
+        ]);
+        assert.deepEqual(report.untested, [
+            { variants: ['catalog'], surface: 'acom' },
+            { variants: ['fries-express'], surface: 'express' },
+        ]);
+        assert.deepEqual(report.surfaceMismatches, []);
+        assert.deepEqual(report.missingTestTypes, [
+            { variants: ['ccd-suggested', 'suggested'], cardType: 'suggested', missing: ['functional', 'edit'], present: ['css'] },
+        ]);
+    });
+
+    it('flags suites outside the surface of their variant', () => {
+        writeSuite(root, 'acom', 'fries', TEST_TYPES);
+
+        const [mismatch] = detectVariantDrift([{ value: 'fries', testTypes: TEST_TYPES }], scanTestSuites(root)).surfaceMismatches;
+
+        assert.deepEqual(mismatch, {
+            variants: ['fries'],
+            cardType: 'fries',
+            expected: 'commerce',
+            actual: 'acom',
+            path: join(root, 'studio', 'acom', 'fries'),
+        });
+    });
+
+    it('treats bundled variants missing from the MAS sources as removed', () => {
+        writeSuite(root, 'acom', 'plans', TEST_TYPES);
+        writeSuite(root, 'commerce', 'fries', TEST_TYPES);
+
+        const variants = [
+            { value: 'plans', isDefault: true, testTypes: TEST_TYPES },
+            { value: 'fries', isDefault: true, sourcePath: '/mas/web-components/src/variants/fries.js', testTypes: TEST_TYPES },
+            { value: 'catalog', isDefault: true, testTypes: TEST_TYPES },
+        ];
+        const report = detectVariantDrift(variants, scanTestSuites(root), { sourceVariants: new Set(['fries']) });
+
+        assert.deepEqual(report.orphaned.map(({ cardType, reason }) => [cardType, reason]), [
+            ['plans', 'variant source was removed from the MAS project'],
+        ]);
+        assert.deepEqual(report.untested, []);
+    });
+});
@@ -0,0 +1,118 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { findVariantSurfaces, readVariantSource } from '../../src/utils/variant-source.js';
+
+const FRIES_SOURCE = `import { html, css } from 'lit';
+import { VariantLayout } from './variant-layout.js';
+import { CSS } from './fries.css.js';
+
+export const FRIES_AEM_FRAGMENT_MAPPING = {
+    mnemonics: { size: 's' },
+    title: { tag: 'h3', slot: 'heading-xxs', maxCount: 250, withSuffix: true },
+    description: { tag: 'div', slot: 'body-s', maxCount: 300 },
+    prices: { tag: 'p', slot: 'price' },
+    ctas: { slot: 'cta', size: 'M' },
+    borderColor: { attribute: 'border-color', specialValues: { gray: '--spectrum-gray-300' } },
+    style: STYLE,
+};
+
+export class FriesCard extends VariantLayout {
+    getGlobalCSS() {
+        return CSS;
+    }
+
+    renderLayout() {
+        return html\`<div class="content">
+                <slot name="icons"></slot>
+                <slot name="heading-xxs"></slot>
+                <slot name="body-s"></slot>
+                <slot name="price"></slot>
+                <slot name="cta"></slot>
+            </div>\`;
+    }
+
+    static variantStyle = css\`
+        :host([variant='fries']) {
+            --merch-card-fries-min-width: 620px;
+        }
+    \`;
+}
+`;
+
+const FRIES_CSS = `export const CSS = \`
+:root {
+    --consonant-merch-card-fries-width: 620px;
+    --consonant-merch-card-fries-icon-size: 40px;
+}\`;
+`;
+
+describe('variant sources', () => {
+    let root;
+    let variantsDir;
+
+    beforeEach(() => {
+        root = mkdtempSync(join(tmpdir(), 'nala-variants-'));
+        variantsDir = join(root, 'web-components', 'src', 'variants');
+        mkdirSync(variantsDir, { recursive: true });
+        writeFileSync(join(variantsDir, 'fries.js'), FRIES_SOURCE);
+        writeFileSync(join(variantsDir, 'fries.css.js'), FRIES_CSS);
+    });
+
+    afterEach(() => {
+        rmSync(root, { recursive: true, force: true });
+    });
+
+    it('reads the slots, CSS custom properties and fragment mapping of a variant', () => {
+        const source = readVariantSource(join(variantsDir, 'fries.js'));
+
+        assert.deepEqual(source.slots, ['body-s', 'cta', 'heading-xxs', 'icons', 'price']);
+        assert.deepEqual(source.cssCustomProperties, [
+            '--consonant-merch-card-fries-icon-size',
+            '--consonant-merch-card-fries-width',
+            '--merch-card-fries-min-width',
+        ]);
+        assert.deepEqual(source.fragmentMapping.title, { tag: 'h3', slot: 'heading-xxs', maxCount: 250, withSuffix: true });
+        assert.equal('style' in source.fragmentMapping, false);
+    });
+
+    it('keeps the element kinds and selectors the variant has slots for', () => {
+        const { selectors, testTypes } = readVariantSource(join(variantsDir, 'fries.js'));
+
+        assert.equal(selectors.eyebrow, undefined);
+        assert.deepEqual(selectors.title, ['h3[slot="heading-xxs"]']);
+        assert.ok(selectors.price.includes('p[slot="price"]'));
+        assert.ok(!selectors.price.includes('p[slot="heading-m"] span[data-template="price"]'));
+        assert.ok(testTypes.includes('price'));
+        assert.ok(testTypes.includes('checkout'));
+    });
+
+    it('leaves the selectors open when the source declares no slots', () => {
+        writeFileSync(join(variantsDir, 'variant-layout.js'), 'export class VariantLayout {}\n');
+
+        const source = readVariantSource(join(variantsDir, 'variant-layout.js'));
+
+        assert.deepEqual(source.selectors, {});
+        assert.deepEqual(source.testTypes, []);
+        assert.equal(source.fragmentMapping, null);
+    });
+
+    it('finds the surfaces of the variant picker and NALA test directories', () => {
+        mkdirSync(join(root, 'studio', 'src', 'editors'), { recursive: true });
+        writeFileSync(join(root, 'studio', 'src', 'editors', 'variant-picker.js'), `export const VARIANTS = [
+    { label: 'All', value: 'all', surface: 'all' },
+    { label: 'Fries', value: 'fries', surface: 'commerce' },
+];
+`);
+        mkdirSync(join(root, 'nala', 'studio', 'acom', 'fries'), { recursive: true });
+        mkdirSync(join(root, 'nala', 'studio', 'ccd', 'suggested'), { recursive: true });
+
+        assert.deepEqual(findVariantSurfaces(root, 'fries'), ['acom', 'commerce']);
+        assert.deepEqual(findVariantSurfaces(root, 'plans'), []);
+        assert.deepEqual(findVariantSurfaces(root, 'fr.es'), []);
+        assert.deepEqual(findVariantSurfaces(root, 'fries('), []);
+    });
+});
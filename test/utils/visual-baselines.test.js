@@ -0,0 +1,157 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import {
+    diffBaselines,
+    listBaselines,
+    pruneBaselines,
+    readPlaywrightProjects,
+} from '../../src/utils/visual-baselines.js';
+
+const SPEC = `export default {
+    FeatureName: 'M@S Studio Fries',
+    features: [
+        {
+            tcid: '0',
+            name: '@studio-fries-visual',
+            screenshot: 'studio-fries-visual.png',
+            path: '/studio.html',
+        },
+    ],
+};
+`;
+
+// Lay out a MAS card directory: specs/, tests/ and the test's -snapshots/ dir
+function writeCard(root, cardType, baselines, spec = SPEC) {
+    const cardDir = join(root, 'studio', 'commerce', cardType);
+    mkdirSync(join(cardDir, 'specs'), { recursive: true });
+    mkdirSync(join(cardDir, 'tests', `${cardType}_visual.test.js-snapshots`), { recursive: true });
+    writeFileSync(join(cardDir, 'specs', `${cardType}_visual.spec.js`), spec);
+    writeFileSync(join(cardDir, 'tests', `${cardType}_visual.test.js`), '');
+    for (const file of baselines) {
+        writeFileSync(join(cardDir, 'tests', `${cardType}_visual.test.js-snapshots`, file), 'png');
+    }
+    return cardDir;
+}
+
+describe('visual baselines', () => {
+    let root;
+
+    beforeEach(() => {
+        root = mkdtempSync(join(tmpdir(), 'nala-baselines-'));
+    });
+
+    afterEach(() => {
+        rmSync(root, { recursive: true, force: true });
+    });
+
+    it('lists baselines and flags the ones no spec feature uses', () => {
+        writeCard(root, 'fries', [
+            'studio-fries-visual-mas-live-chromium-linux.png',
+            'studio-fries-visual-jp-mas-live-chromium-linux.png',
+            'studio-fries-old-mas-live-chromium-linux.png',
+        ]);
+
+        const baselines = listBaselines(root);
+        assert.deepEqual(
+            baselines.map(({ file, orphaned }) => [file, orphaned]),
+            [
+                ['studio-fries-old-mas-live-chromium-linux.png', 'no spec feature uses this screenshot'],
+                ['studio-fries-visual-jp-mas-live-chromium-linux.png', null],
+                ['studio-fries-visual-mas-live-chromium-linux.png', null],
+            ],
+        );
+        assert.ok(baselines[0].testFile.endsWith(join('tests', 'fries_visual.test.js')));
+    });
+
+    it('matches baselines to screenshots by the exact Playwright file name', () => {
+        writeCard(root, 'fries', [
+            'studio-fries-visual-mas-live-chromium-linux.png',
+            'studio-fries-visual-2-mas-live-chromium-darwin.png',
+            'studio-fries-visual-jp-mas-live-chromium-linux.png',
+            'studio-fries-visual-mas-live-firefox-linux.png',
+            'studio-fries-visual-mas-live-chromium.png',
+        ]);
+
+        assert.deepEqual(
+            listBaselines(root, ['mas-live-chromium']).map(({ file, orphaned }) => [file, orphaned]),
+            [
+                ['studio-fries-visual-2-mas-live-chromium-darwin.png', null],
+                ['studio-fries-visual-jp-mas-live-chromium-linux.png', 'no spec feature uses this screenshot'],
+                ['studio-fries-visual-mas-live-chromium-linux.png', null],
+                ['studio-fries-visual-mas-live-chromium.png', 'no spec feature uses this screenshot'],
+                ['studio-fries-visual-mas-live-firefox-linux.png', 'no spec feature uses this screenshot'],
+            ],
+        );
+        assert.deepEqual(pruneBaselines({ rootDir: root, dryRun: true, projects: [''] }).map(({ file }) => file), [
+            'studio-fries-visual-2-mas-live-chromium-darwin.png',
+            'studio-fries-visual-jp-mas-live-chromium-linux.png',
+            'studio-fries-visual-mas-live-chromium-linux.png',
+            'studio-fries-visual-mas-live-chromium.png',
+            'studio-fries-visual-mas-live-firefox-linux.png',
+        ]);
+    });
+
+    it('reads the project names from the Playwright config', () => {
+        assert.equal(readPlaywrightProjects(root), null);
+
+        writeFileSync(join(root, 'playwright.config.js'), `import { defineConfig, devices } from '@playwright/test';
+
+export default defineConfig({
+    testDir: './nala',
+    projects: [
+        { name: 'mas-live-chromium', use: { ...devices['Desktop Chrome'] } },
+        { name: \`mas-live-firefox\`, use: { ...devices['Desktop Firefox'] } },
+    ],
+});
+`);
+        assert.deepEqual(readPlaywrightProjects(root), ['mas-live-chromium', 'mas-live-firefox']);
+
+        writeFileSync(join(root, 'playwright.config.js'), 'export default { testDir: \'./nala\' };\n');
+        assert.deepEqual(readPlaywrightProjects(root), ['']);
+    });
+
+    it('flags every baseline of a removed test file', () => {
+        const cardDir = writeCard(root, 'fries', ['studio-fries-visual-mas-live-chromium-linux.png']);
+        rmSync(join(cardDir, 'tests', 'fries_visual.test.js'));
+
+        assert.equal(listBaselines(root)[0].orphaned, 'test file was removed');
+    });
+
+    it('keeps the baselines of specs without screenshot names', () => {
+        writeCard(root, 'fries', ['anything-mas-live-chromium-linux.png'], 'export default { features: [] };\n');
+
+        assert.equal(listBaselines(root)[0].orphaned, null);
+    });
+
+    it('prunes orphaned baselines and their empty directories', () => {
+        const cardDir = writeCard(root, 'fries', ['studio-fries-visual-mas-live-chromium-linux.png']);
+        writeCard(root, 'plans', ['studio-plans-old-mas-live-chromium-linux.png'], SPEC);
+
+        assert.equal(pruneBaselines({ rootDir: root, dryRun: true }).length, 1);
+        assert.equal(listBaselines(root).length, 2);
+
+        const pruned = pruneBaselines({ rootDir: root });
+        assert.deepEqual(pruned.map(({ file }) => file), ['studio-plans-old-mas-live-chromium-linux.png']);
+        assert.deepEqual(listBaselines(root).map(({ file }) => file), ['studio-fries-visual-mas-live-chromium-linux.png']);
+        assert.ok(existsSync(join(cardDir, 'tests', 'fries_visual.test.js-snapshots')));
+        assert.ok(!existsSync(join(root, 'studio', 'commerce', 'plans', 'tests', 'plans_visual.test.js-snapshots')));
+    });
+});
+
+describe('diffBaselines', () => {
+    it('reports created and rewritten baselines', () => {
+        const old = { path: '/a.png', size: 1, modified: new Date(0) };
+        const kept = { path: '/b.png', size: 1, modified: new Date(0) };
+        const rewritten = { ...old, modified: new Date(1000) };
+        const created = { path: '/c.png', size: 1, modified: new Date(1000) };
+
+        assert.deepEqual(diffBaselines([old, kept], [rewritten, kept, created]), {
+            created: [created],
+            updated: [rewritten],
+        });
+    });
+});